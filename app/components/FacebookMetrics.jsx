@@ -6,6 +6,7 @@ import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
 export default function FacebookMetrics({ 
   facebook, 
   stats, 
+  currency,
   formatCurrency, 
   formatNumber, 
   scrollToFacebookDropdown 
@@ -25,8 +26,9 @@ export default function FacebookMetrics({
     return <SkeletonBodyText lines={4} />;
   }
 
-  const fbCurrency = facebook?.selectedAccount?.currency || facebook?.currency || 'USD';
-  if (!facebook || !facebook.selectedAccount) {
+  // Amounts are converted to the shop currency, an ad account currency is only a fallback
+  const fbCurrency = currency || facebook?.selectedAccounts?.[0]?.currency || facebook?.currency || 'USD';
+  if (!facebook || !facebook.selectedAccounts?.length) {
     return (
       <Banner
         title={t('facebook.metricsBanner.title')}
@@ -39,14 +41,16 @@ export default function FacebookMetrics({
   }
 
   // Use stats for all main metrics, fallback to facebook.metrics if missing
+  // Ad totals also count the other ad platforms, the Facebook row of adPlatforms is used first
   const safeStats = stats || {};
+  const fbPlatform = (safeStats.adPlatforms || []).find(platform => platform.platform === 'facebook');
   const roas = typeof safeStats.fbROAS === 'number' ? safeStats.fbROAS : (facebook.metrics?.roas || 0);
-  const totalSpend = typeof safeStats.adCosts === 'number' ? safeStats.adCosts : (facebook.metrics?.totalSpend || 0);
-  const totalRevenue = typeof safeStats.adRevenue === 'number' ? safeStats.adRevenue : (facebook.metrics?.totalRevenue || 0);
-  const totalPurchases = typeof safeStats.adPurchases === 'number' ? safeStats.adPurchases : (facebook.metrics?.totalPurchases || 0);
-  const totalImpressions = typeof safeStats.adImpressions === 'number' ? safeStats.adImpressions : (facebook.metrics?.totalImpressions || 0);
+  const totalSpend = fbPlatform?.spend ?? (typeof safeStats.adCosts === 'number' ? safeStats.adCosts : (facebook.metrics?.totalSpend || 0));
+  const totalRevenue = fbPlatform?.revenue ?? (typeof safeStats.adRevenue === 'number' ? safeStats.adRevenue : (facebook.metrics?.totalRevenue || 0));
+  const totalPurchases = fbPlatform?.conversions ?? (typeof safeStats.adPurchases === 'number' ? safeStats.adPurchases : (facebook.metrics?.totalPurchases || 0));
+  const totalImpressions = fbPlatform?.impressions ?? (typeof safeStats.adImpressions === 'number' ? safeStats.adImpressions : (facebook.metrics?.totalImpressions || 0));
   const effectiveROAS = typeof safeStats.effectiveROAS === 'number' ? safeStats.effectiveROAS : 0;
-  const mer = typeof safeStats.mer === 'number' ? safeStats.mer : 0;
+  const mer = fbPlatform?.mer ?? (typeof safeStats.mer === 'number' ? safeStats.mer : 0);
 
   return (
     <>
@@ -31,12 +31,6 @@ export const LazyStatCard = lazy(() =>
   }))
 );
 
-// Lazy load DashboardStats
-export const LazyDashboardStats = lazy(() => 
-  import('./DashboardStats').then(module => ({
-    default: module.default || module
-  }))
-);
 export const LazySimpleDataTable = SimpleDataTable;
 
 // Loading fallback component
@@ -0,0 +1,76 @@
+import prisma from "../db.server";
+
+export const LANDED_COST_TYPES = ["per_order", "per_item", "percent_revenue"];
+
+/**
+ * Validate the fields of a rule
+ * @param {Object} data - name, type, amount and optional tag as submitted
+ * @returns {{data?: Object, error?: string}} Cleaned fields, or the first error
+ */
+function cleanRule({ name, type, amount, tag }) {
+  const value = parseFloat(amount);
+  if (!String(name || "").trim()) return { error: "Name is required" };
+  if (!LANDED_COST_TYPES.includes(type)) return { error: "Invalid rule type" };
+  if (isNaN(value) || value < 0) return { error: "Amount must be a positive number" };
+  if (type === "percent_revenue" && value > 100) return { error: "Percentage cannot exceed 100" };
+  return { data: { name: String(name).trim(), type, amount: value, tag: String(tag || "").trim() || null } };
+}
+
+/**
+ * All landed cost rules of a shop, oldest first
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listLandedCostRules(shop, { activeOnly = false } = {}) {
+  return prisma.landedCostRule.findMany({
+    where: { shop, ...(activeOnly ? { active: true } : {}) },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Create a rule
+ * @param {string} shop - Shop domain
+ * @param {Object} data - name, type, amount and optional tag
+ * @returns {Promise<{success: boolean, rule?: Object, error?: string}>}
+ */
+export async function createLandedCostRule(shop, data) {
+  const { data: fields, error } = cleanRule(data);
+  if (error) return { success: false, error };
+  const rule = await prisma.landedCostRule.create({ data: { shop, ...fields } });
+  return { success: true, rule };
+}
+
+/**
+ * Change a rule, or switch it on or off
+ * @param {string} shop - Shop domain
+ * @param {string} id - Rule id
+ * @param {Object} data - Fields to change; active alone only toggles the rule
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function updateLandedCostRule(shop, id, data) {
+  const { active, ...fields } = data;
+  let update = {};
+  if (Object.keys(fields).length > 0) {
+    const cleaned = cleanRule(fields);
+    if (cleaned.error) return { success: false, error: cleaned.error };
+    update = cleaned.data;
+  }
+  if (active !== undefined) update.active = Boolean(active);
+
+  const { count } = await prisma.landedCostRule.updateMany({ where: { id, shop }, data: update });
+  return count > 0 ? { success: true } : { success: false, error: "Rule not found" };
+}
+
+/**
+ * Delete a rule
+ * @param {string} shop - Shop domain
+ * @param {string} id - Rule id
+ * @returns {Promise<boolean>} false when the rule does not exist
+ */
+export async function deleteLandedCostRule(shop, id) {
+  const { count } = await prisma.landedCostRule.deleteMany({ where: { id, shop } });
+  return count > 0;
+}
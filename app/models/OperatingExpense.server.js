@@ -0,0 +1,102 @@
+import prisma from "../db.server";
+
+export const EXPENSE_CATEGORIES = ["rent", "salaries", "shopify", "apps", "marketing", "other"];
+export const EXPENSE_RECURRENCES = ["one_off", "daily", "weekly", "monthly", "yearly"];
+
+// "YYYY-MM-DD" as UTC midnight of that day
+const toDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ""))) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate the fields of an expense
+ * @param {Object} data - name, category, amount, currency, recurrence, startDate and optional endDate as submitted
+ * @returns {{data?: Object, error?: string}} Cleaned fields, or the first error
+ */
+function cleanExpense({ name, category, amount, currency, recurrence, startDate, endDate }) {
+  const value = parseFloat(amount);
+  const start = toDay(startDate);
+  const end = endDate ? toDay(endDate) : null;
+  const code = String(currency || "").trim().toUpperCase();
+  if (!String(name || "").trim()) return { error: "Name is required" };
+  if (!EXPENSE_CATEGORIES.includes(category)) return { error: "Invalid category" };
+  if (isNaN(value) || value <= 0) return { error: "Amount must be a positive number" };
+  if (!/^[A-Z]{3}$/.test(code)) return { error: "Invalid currency" };
+  if (!EXPENSE_RECURRENCES.includes(recurrence)) return { error: "Invalid recurrence" };
+  if (!start) return { error: "Start date is required" };
+  if (endDate && !end) return { error: "Invalid end date" };
+  if (end && end < start) return { error: "End date is before the start date" };
+  return {
+    data: {
+      name: String(name).trim(),
+      category,
+      amount: value,
+      currency: code,
+      recurrence,
+      startDate: start,
+      endDate: recurrence === "one_off" ? null : end,
+    },
+  };
+}
+
+/**
+ * Expenses of a shop, most recent start first
+ * @param {string} shop - Shop domain
+ * @param {Object} [range] - Only expenses running during this period
+ * @param {Date} [range.start]
+ * @param {Date} [range.end]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listOperatingExpenses(shop, { start, end } = {}) {
+  return prisma.operatingExpense.findMany({
+    where: {
+      shop,
+      ...(end ? { startDate: { lte: end } } : {}),
+      ...(start ? { OR: [{ endDate: null }, { endDate: { gte: start } }] } : {}),
+    },
+    orderBy: [{ startDate: "desc" }, { createdAt: "desc" }],
+  });
+}
+
+/**
+ * Create an expense
+ * @param {string} shop - Shop domain
+ * @param {Object} data - Fields as submitted
+ * @returns {Promise<{success: boolean, expense?: Object, error?: string}>}
+ */
+export async function createOperatingExpense(shop, data) {
+  const { data: fields, error } = cleanExpense(data);
+  if (error) return { success: false, error };
+  const expense = await prisma.operatingExpense.create({ data: { shop, ...fields } });
+  return { success: true, expense };
+}
+
+/**
+ * Stop a recurring expense after the given day
+ * @param {string} shop - Shop domain
+ * @param {string} id - Expense id
+ * @param {string} endDate - "YYYY-MM-DD", last day the expense runs
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function endOperatingExpense(shop, id, endDate) {
+  const end = toDay(endDate);
+  if (!end) return { success: false, error: "Invalid end date" };
+  const { count } = await prisma.operatingExpense.updateMany({
+    where: { id, shop, recurrence: { not: "one_off" }, startDate: { lte: end } },
+    data: { endDate: end },
+  });
+  return count > 0 ? { success: true } : { success: false, error: "Expense not found" };
+}
+
+/**
+ * Delete an expense
+ * @param {string} shop - Shop domain
+ * @param {string} id - Expense id
+ * @returns {Promise<boolean>} false when the expense does not exist
+ */
+export async function deleteOperatingExpense(shop, id) {
+  const { count } = await prisma.operatingExpense.deleteMany({ where: { id, shop } });
+  return count > 0;
+}
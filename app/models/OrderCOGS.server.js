@@ -1,4 +1,5 @@
 import prisma from "../db.server";
+import { getOrderLandedCost } from "../services/landedCost.server";
 
 export class OrderCOGSService {
   constructor() {
@@ -6,93 +7,200 @@ export class OrderCOGSService {
   }
 
   /**
-   * Calculate and store COGS for an order
+   * Line items priced with their unit cost, as stored in OrderItem
+   * @param {Array} lineItems - Array of line items with product/variant information and unitCost
+   * @returns {{totalCost: number, items: Array<Object>}}
+   */
+  buildItems(lineItems) {
+    let totalCost = 0;
+    const items = (lineItems || []).map(item => {
+      const { productId, variantId, title } = item;
+      const quantity = parseInt(item.quantity || 0);
+      const price = parseFloat(item.price || 0);
+      const unitCost = parseFloat(item.unitCost || 0);
+      const itemTotalCost = unitCost * quantity;
+      const itemTotalRevenue = price * quantity;
+      totalCost += itemTotalCost;
+      return {
+        productId: productId || '',
+        variantId: variantId || '',
+        title: title || '',
+        quantity,
+        unitCost,
+        price,
+        totalCost: itemTotalCost,
+        totalRevenue: itemTotalRevenue,
+        profit: itemTotalRevenue - itemTotalCost
+      };
+    });
+    return { totalCost, items };
+  }
+
+  /**
+   * Differences between the stored line items of an order and new ones
+   * Items are matched by variant, then product, then title.
+   * @param {Array<Object>} previousItems - Stored OrderItem rows
+   * @param {Array<Object>} nextItems - Items from buildItems
+   * @returns {Array<{key: string, title: string, field: string, before: number|null, after: number|null}>}
+   * field is "quantity", "unitCost", "price", or "item" when a line was added or removed
+   */
+  diffItems(previousItems, nextItems) {
+    const keyOf = (item) => item.variantId || item.productId || item.title;
+    const byKey = (items) => {
+      const map = new Map();
+      (items || []).forEach(item => {
+        const key = keyOf(item);
+        const existing = map.get(key);
+        // The same variant on two lines is compared as one line
+        map.set(key, existing ? { ...existing, quantity: existing.quantity + item.quantity } : { ...item });
+      });
+      return map;
+    };
+    const before = byKey(previousItems);
+    const after = byKey(nextItems);
+    const changes = [];
+
+    for (const [key, item] of after) {
+      const old = before.get(key);
+      if (!old) {
+        changes.push({ key, title: item.title, field: 'item', before: null, after: item.quantity });
+        continue;
+      }
+      for (const field of ['quantity', 'unitCost', 'price']) {
+        if (Math.abs((old[field] || 0) - (item[field] || 0)) > 0.0001) {
+          changes.push({ key, title: item.title, field, before: old[field], after: item[field] });
+        }
+      }
+    }
+    for (const [key, item] of before) {
+      if (!after.has(key)) {
+        changes.push({ key, title: item.title, field: 'item', before: item.quantity, after: null });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Calculate the COGS of an order and store it, updating the existing record when it changed
+   * Landed costs of the shop's rules are added to the unit costs. Every creation or change is kept as an OrderCOGSRevision.
    * @param {string} shop - The shop identifier
    * @param {string} orderId - The Shopify order ID
    * @param {string} orderName - The Shopify order name (#1001, etc.)
-   * @param {Array} lineItems - Array of line items with product/variant information
+   * @param {Array} lineItems - Array of line items with product/variant information, unitCost and, for tag rules, tags
    * @param {number} totalRevenue - Total revenue from the order
-   * @returns {Promise<Object>} The created OrderCOGS record
+   * @param {string} [reason] - What triggered the calculation, stored on the revision; without one the first
+   * revision is "created" and later ones "recompute"
+   * @returns {Promise<{orderCOGS: Object, changed: boolean, changes: Array<Object>}>}
    */
-  async calculateAndStoreCOGS(shop, orderId, orderName, lineItems, totalRevenue) {
+  async recalculateCOGS(shop, orderId, orderName, lineItems, totalRevenue, reason) {
     try {
-      // Check if this order already has COGS calculated
-      const existingCOGS = await this.prisma.orderCOGS.findUnique({
-        where: {
-          shop_orderId: {
-            shop,
-            orderId
-          }
-        }
-      });
-
-      if (existingCOGS) {
-        return existingCOGS;
-      }
+      const existing = await this.getOrderCOGS(shop, orderId);
+      const { totalCost, items } = this.buildItems(lineItems);
+      const landed = await getOrderLandedCost(shop, lineItems, totalRevenue);
+      const landedCostDetails = JSON.stringify(landed.details);
+      const profit = totalRevenue - totalCost - landed.total;
 
-      // Calculate COGS for each line item
-      let totalCost = 0;
-      const itemsWithCost = [];
-
-      for (const item of lineItems) {
-        const { productId, variantId, title, quantity, price } = item;
-        let unitCost = 0;
-
-        // Try to find inventory item's cost from the Shopify admin API
-        try {
-          // This would typically be handled by your Shopify GraphQL query
-          // Here we're assuming the cost is being passed in or set to 0
-          unitCost = item.unitCost || 0;
-        } catch (error) {
-          console.error(`Failed to get cost for variant ${variantId}:`, error);
-        }
-
-        const itemTotalCost = unitCost * quantity;
-        const itemTotalRevenue = price * quantity;
-        const itemProfit = itemTotalRevenue - itemTotalCost;
-
-        totalCost += itemTotalCost;
-
-        itemsWithCost.push({
-          productId,
-          variantId,
-          title,
-          quantity,
-          unitCost,
-          price,
-          totalCost: itemTotalCost,
-          totalRevenue: itemTotalRevenue,
-          profit: itemProfit
+      if (!existing) {
+        const orderCOGS = await this.prisma.orderCOGS.create({
+          data: {
+            shop,
+            orderId,
+            orderName,
+            totalCost,
+            landedCost: landed.total,
+            landedCostDetails,
+            totalRevenue,
+            profit,
+            items: { create: items },
+            revisions: { create: { shop, orderId, reason: reason || "created", totalCost, totalRevenue, changes: "[]" } }
+          },
+          include: { items: true }
         });
+        return { orderCOGS, changed: true, changes: [] };
       }
 
-      const profit = totalRevenue - totalCost;
+      const changes = this.diffItems(existing.items, items);
+      if (Math.abs(existing.landedCost - landed.total) > 0.0001) {
+        changes.push({ key: 'landedCost', title: '', field: 'landedCost', before: existing.landedCost, after: landed.total });
+      }
+      const totalsChanged = Math.abs(existing.totalCost - totalCost) > 0.0001 || Math.abs(existing.totalRevenue - totalRevenue) > 0.0001;
+      if (changes.length === 0 && !totalsChanged) {
+        return { orderCOGS: existing, changed: false, changes };
+      }
 
-      // Create the OrderCOGS record with items
-      const orderCOGS = await this.prisma.orderCOGS.create({
-        data: {
-          shop,
-          orderId,
-          orderName,
-          totalCost,
-          totalRevenue,
-          profit,
-          items: {
-            create: itemsWithCost
+      const [orderCOGS] = await this.prisma.$transaction([
+        this.prisma.orderCOGS.update({
+          where: { id: existing.id },
+          data: {
+            orderName: orderName || existing.orderName,
+            totalCost,
+            landedCost: landed.total,
+            landedCostDetails,
+            totalRevenue,
+            profit,
+            items: { deleteMany: {}, create: items }
+          },
+          include: { items: true }
+        }),
+        this.prisma.orderCOGSRevision.create({
+          data: {
+            shop,
+            orderId,
+            orderCOGSId: existing.id,
+            reason: reason || "recompute",
+            previousTotalCost: existing.totalCost,
+            totalCost,
+            previousTotalRevenue: existing.totalRevenue,
+            totalRevenue,
+            changes: JSON.stringify(changes)
           }
-        },
-        include: {
-          items: true
-        }
-      });
+        })
+      ]);
 
-      return orderCOGS;
+      return { orderCOGS, changed: true, changes };
     } catch (error) {
       console.error("Error calculating COGS:", error);
       throw error;
     }
   }
 
+  /**
+   * Calculate and store COGS for an order
+   * @param {string} shop - The shop identifier
+   * @param {string} orderId - The Shopify order ID
+   * @param {string} orderName - The Shopify order name (#1001, etc.)
+   * @param {Array} lineItems - Array of line items with product/variant information
+   * @param {number} totalRevenue - Total revenue from the order
+   * @param {string} [reason] - What triggered the calculation
+   * @returns {Promise<Object>} The created or updated OrderCOGS record
+   */
+  async calculateAndStoreCOGS(shop, orderId, orderName, lineItems, totalRevenue, reason) {
+    const { orderCOGS } = await this.recalculateCOGS(shop, orderId, orderName, lineItems, totalRevenue, reason);
+    return orderCOGS;
+  }
+
+  /**
+   * Latest COGS changes of a shop, newest first
+   * @param {string} shop - The shop identifier
+   * @param {Object} [options]
+   * @param {string} [options.orderId] - Only this order's history
+   * @param {number} [options.take=50]
+   * @returns {Promise<Array<Object>>} Revisions with their parsed changes and order name
+   */
+  async getRevisions(shop, { orderId, take = 50 } = {}) {
+    const revisions = await this.prisma.orderCOGSRevision.findMany({
+      where: { shop, ...(orderId ? { orderId } : {}) },
+      include: { orderCOGS: { select: { orderName: true } } },
+      orderBy: { createdAt: 'desc' },
+      take
+    });
+    return revisions.map(({ orderCOGS, changes, ...revision }) => {
+      let parsed = [];
+      try { parsed = JSON.parse(changes); } catch (error) { console.error(`Invalid COGS revision ${revision.id}:`, error); }
+      return { ...revision, orderName: orderCOGS?.orderName || revision.orderId, changes: parsed };
+    });
+  }
+
   /**
    * Get COGS for a specific order
    */
@@ -0,0 +1,28 @@
+import prisma from "../db.server";
+
+/**
+ * Get the settings of a shop, creating the row with defaults on first use
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} The ShopSettings record
+ */
+export async function getShopSettings(shop) {
+  return prisma.shopSettings.upsert({
+    where: { shop },
+    update: {},
+    create: { shop },
+  });
+}
+
+/**
+ * Update some settings of a shop
+ * @param {string} shop - Shop domain
+ * @param {Object} data - Fields of ShopSettings to change
+ * @returns {Promise<Object>} The updated ShopSettings record
+ */
+export async function updateShopSettings(shop, data) {
+  return prisma.shopSettings.upsert({
+    where: { shop },
+    update: data,
+    create: { shop, ...data },
+  });
+}
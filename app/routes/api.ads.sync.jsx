@@ -0,0 +1,25 @@
+import { json } from "@remix-run/node";
+import { syncAllShopsAdSpend } from "../services/adSpendSources.server";
+
+// Called by the scheduler (Heroku Scheduler, fly machine cron, ...) with
+// `Authorization: Bearer $CRON_SECRET`, the dashboard only reads the stored insights
+export const action = async ({ request }) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("Authorization") !== `Bearer ${secret}`) {
+    return json({ success: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const results = await syncAllShopsAdSpend();
+    return json({
+      success: results.every(result => result.success),
+      rows: results.reduce((sum, result) => sum + result.platforms.reduce((total, platform) => total + platform.rows, 0), 0),
+      results,
+    });
+  } catch (error) {
+    console.error('Ad spend sync error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export const loader = () => json({ error: 'Method not allowed' }, { status: 405 });
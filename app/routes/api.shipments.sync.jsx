@@ -0,0 +1,25 @@
+import { json } from "@remix-run/node";
+import { syncAllShops } from "../services/shipmentSync.server";
+
+// Called by the scheduler (Heroku Scheduler, fly machine cron, ...) with
+// `Authorization: Bearer $CRON_SECRET`
+export const action = async ({ request }) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("Authorization") !== `Bearer ${secret}`) {
+    return json({ success: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const results = await syncAllShops();
+    return json({
+      success: results.every(result => result.success),
+      synced: results.reduce((sum, result) => sum + result.synced, 0),
+      results,
+    });
+  } catch (error) {
+    console.error('Shipment sync error:', error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export const loader = () => json({ error: 'Method not allowed' }, { status: 405 });
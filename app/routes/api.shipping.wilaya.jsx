@@ -3,10 +3,8 @@
  */
 import { json } from '@remix-run/node';
 import { authenticate } from '../shopify.server';
-import { 
-  getZRExpressCredentials,
-  getZRExpressTarification
-} from '../services/shipping.service';
+import { getZRExpressCredentials } from '../services/shipping.service';
+import { DEFAULT_CARRIER, getShopTarification } from '../services/carriers.server';
 
 export async function action({ request }) {
   const { session } = await authenticate.admin(request);
@@ -25,8 +23,8 @@ export async function action({ request }) {
     
     switch (action) {
       case 'getWilayaData': {
-        // Get tarification data
-        const wilayaData = await getZRExpressTarification(credentials);
+        // Get tarification data, cached per shop
+        const wilayaData = await getShopTarification(session.shop, DEFAULT_CARRIER, { refresh: formData.get('refresh') === 'true' });
         
         return json({
           success: true,
@@ -1,7 +1,6 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import prisma from "../db.server";
-import { zrexpress } from "../services/zrexpress.server";
+import { getCarrier, getCarrierCredentials, saveCarrierCredentials } from "../services/carriers.server";
 
 export async function action({ request }) {
   const { session } = await authenticate.admin(request);
@@ -9,6 +8,7 @@ export async function action({ request }) {
   try {
     const formData = await request.formData();
     const action = formData.get('action');
+    const carrier = getCarrier(formData.get('carrier') || undefined);
 
     if (process.env.NODE_ENV !== 'production') {
       console.log('API action:', action);
@@ -34,40 +34,14 @@ export async function action({ request }) {
           }, { status: 400 });
         }
 
-        // First validate the credentials with ZRExpress
         try {
-          console.log('Validating credentials with ZRExpress...');
-          await zrexpress.validateCredentials(token, key);
-          console.log('Credentials validated successfully');
-        } catch (error) {
-          console.error('Validation error:', error);
-          return json({ 
-            success: false, 
-            error: 'Invalid credentials: ' + error.message 
-          }, { status: 400 });
-        }
-
-        // If validation successful, save to database
-        try {
-          console.log('Saving credentials to database...');
-          const result = await prisma.zrexpressCredential.upsert({
-            where: { 
-              shop: session.shop 
-            },
-            update: {
-              token: token.trim(),
-              key: key.trim(),
-              updatedAt: new Date()
-            },
-            create: {
-              shop: session.shop,
-              token: token.trim(),
-              key: key.trim(),
-              createdAt: new Date(),
-              updatedAt: new Date()
-            }
-          });
-          console.log('Credentials saved successfully:', result.id);
+          const result = await saveCarrierCredentials(session.shop, carrier.code, { token, key });
+          if (!result.success) {
+            return json({ 
+              success: false, 
+              error: 'Invalid credentials: ' + result.error 
+            }, { status: 400 });
+          }
           return json({ success: true });
         } catch (error) {
           console.error('Database error:', error);
@@ -79,9 +53,7 @@ export async function action({ request }) {
       }
 
       case 'testConnection': {
-        const credentials = await prisma.zrexpressCredential.findUnique({
-          where: { shop: session.shop }
-        });
+        const credentials = await getCarrierCredentials(session.shop, carrier.code);
 
         if (!credentials) {
           return json({ 
@@ -90,15 +62,14 @@ export async function action({ request }) {
           }, { status: 404 });
         }
 
-        try {
-          await zrexpress.validateCredentials(credentials.token, credentials.key);
-          return json({ success: true });
-        } catch (error) {
+        const validation = await carrier.validateCredentials(credentials);
+        if (!validation.success) {
           return json({ 
             success: false, 
-            error: 'Connection test failed: ' + error.message 
+            error: 'Connection test failed: ' + validation.error 
           }, { status: 400 });
         }
+        return json({ success: true });
       }
 
       case 'createShipment':
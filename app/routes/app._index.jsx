@@ -22,12 +22,23 @@ import {
   Bleed,
   InlineGrid,
   Banner,
+  DataTable,
+  Link,
+  Popover,
+  OptionList,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
-import { facebook } from "../services/facebook.server.js";
+import { getCachedAdAccounts } from "../services/facebookSync.server";
 import { zrexpress } from "../services/zrexpress.server.js";
+import { getPresetDates, isDeliveredShipment, isCancelledShipment, toUTCDateKey, buildCOGSMap, parseLandedCost } from "../services/profitRules.server.js";
+import { getOutstandingCash } from "../services/codRemittance.server.js";
+import { getCashFlow } from "../services/cashFlow.server.js";
+import { getDailyOperatingExpenses } from "../services/operatingExpenses.server.js";
+import { getCurrencyConverter } from "../services/exchangeRates.server.js";
+import { syncPlatformAdSpend, getPlatformAdSpend, mergeDailyAdMetrics } from "../services/adSpendSources.server.js";
+import { getShopSettings, updateShopSettings } from "../models/ShopSettings.server";
 import {
   LazyChartComponents,
   LazyFacebookMetrics,
@@ -211,29 +222,22 @@ const DATE_PRESETS_CONFIG = [
 const DEFAULT_STATS = {
   totalProfit: 0, adCosts: 0, adImpressions: 0, adPurchases: 0,
   adRevenue: 0, fbROAS: 0, orderRevenue: 0, shippingAndCancelFees: 0,
-  cogs: 0, mer: 0, effectiveROAS: 0,
+  cogs: 0, landedCosts: 0, landedCostBreakdown: [], operatingExpenses: 0, operatingExpenseBreakdown: [],
+  mer: 0, effectiveROAS: 0, adPlatforms: [],
   dailyStats: [],
 };
 
+// "accrual" recognizes revenue on delivery, "cash" also shows money on the day it moves
+const BASIS_CONFIG = [
+  { value: "accrual", translationKey: "cashFlow.accrual" },
+  { value: "cash", translationKey: "cashFlow.cash" },
+];
+
 const DEFAULT_FACEBOOK_DATA = {
-  accounts: [], selectedAccount: null, currency: 'USD',
+  accounts: [], selectedAccounts: [], accountBreakdown: [], currency: 'USD', sync: null,
   metrics: { totalSpend: 0, totalRevenue: 0, totalPurchases: 0, totalImpressions: 0, roas: 0 }
 };
 
-const getPresetDates = (preset = "last_30_days") => {
-  const end = new Date();
-  end.setHours(23, 59, 59, 999);
-  const start = new Date();
-  start.setHours(0, 0, 0, 0);
-  switch (preset) {
-    case "today": break;
-    case "last_7_days": start.setDate(start.getDate() - 6); break;
-    case "this_month": start.setDate(1); break;
-    case "last_30_days": default: start.setDate(start.getDate() - 29); break;
-  }
-  return { start, end };
-};
-
 
 // --- Refactored Helper Functions for the Loader ---
 
@@ -338,70 +342,33 @@ async function fetchPrimaryData({ admin, session }, dateRange) {
 
 
 /**
- * [FIXED] Fetches and processes comprehensive Facebook Ads data.
- * 1. Correctly persists the selected ad account across reloads.
- * 2. Fetches not just spend, but also revenue, purchases, and impressions.
- *    (Assumes your facebook.server.js service can provide this data).
+ * Facebook ad accounts of the account picker and the totals of the selected ones
+ * The spend itself is summed with the other platforms by getPlatformAdSpend, whose Facebook row
+ * gives the breakdown of each selected account and the state of their insight sync.
+ * @param {Object|null} fbCredentials - FacebookCredential record
+ * @param {Array<string>} adAccountIds - Selected ad account IDs
+ * @param {Object|undefined} facebookPlatform - Facebook row of getPlatformAdSpend
  */
-async function fetchFacebookData(fbCredentials, searchParams, preset, exchangeRate) {
-  const facebookResult = {
-    data: { ...DEFAULT_FACEBOOK_DATA },
-    adCosts: 0, adRevenue: 0, adPurchases: 0, adImpressions: 0, fbROAS: 0, dailyMetrics: [],
-  };
-
-  if (!fbCredentials?.accessToken) return facebookResult;
+async function getFacebookData(fbCredentials, adAccountIds, facebookPlatform) {
+  const data = { ...DEFAULT_FACEBOOK_DATA };
+  if (!fbCredentials?.accessToken) return data;
 
   try {
-    const adAccounts = await facebook.getAdAccounts(fbCredentials.accessToken);
-    if (!Array.isArray(adAccounts)) return facebookResult;
-
-    facebookResult.data.accounts = adAccounts.map(acc => ({
+    const adAccounts = await getCachedAdAccounts(fbCredentials);
+    data.accounts = adAccounts.map(acc => ({
       value: acc.id || '',
-      label: acc.name || `Account ${acc.accountId || 'Unknown'}`,
+      label: acc.name || `Account ${acc.id || 'Unknown'}`,
       currency: acc.currency || 'USD'
     }));
-
-    const selectedAdAccountId = searchParams.get("adAccountId");
-    if (!selectedAdAccountId) return facebookResult;
-
-    const selectedAccount = facebookResult.data.accounts.find(acc => acc.value === selectedAdAccountId);
-    if (!selectedAccount) return facebookResult;
-    
-    // FIX #1: Persist the selected account object in the response data.
-    // This ensures the dropdown and toast notifications know which account is active.
-    facebookResult.data.selectedAccount = selectedAccount;
-
-    const { start, end } = getPresetDates(preset);
-    const since = start.toISOString().slice(0, 10);
-    const until = end.toISOString().slice(0, 10);
-
-    // FIX #2: Fetch comprehensive daily metrics, not just spend.
-    // We assume your service can provide daily data for spend, revenue, purchases, and impressions.
-    // If your service function is named differently (e.g., getInsights), change it here.
-    const { getDailySpend } = await import("../services/facebook.server.js");
-    const dailyInsights = await getDailySpend(fbCredentials.accessToken, selectedAccount.value, since, until);
-
-    // Process the full daily insight data
-    facebookResult.dailyMetrics = dailyInsights.map(day => ({
-      date: day.date,
-      spend: (day.spend || 0) * exchangeRate,
-      revenue: (day.revenue || 0) * exchangeRate, // Assuming 'revenue' is in the payload
-      purchases: (day.purchases || 0),           // Assuming 'purchases' is in the payload
-      impressions: (day.impressions || 0),       // Assuming 'impressions' is in the payload
-    }));
-
-    // Calculate totals from the processed daily metrics
-    facebookResult.adCosts = facebookResult.dailyMetrics.reduce((sum, d) => sum + d.spend, 0);
-    facebookResult.adRevenue = facebookResult.dailyMetrics.reduce((sum, d) => sum + d.revenue, 0);
-    facebookResult.adPurchases = facebookResult.dailyMetrics.reduce((sum, d) => sum + d.purchases, 0);
-    facebookResult.adImpressions = facebookResult.dailyMetrics.reduce((sum, d) => sum + d.impressions, 0);
-    facebookResult.fbROAS = facebookResult.adCosts > 0 ? Number((facebookResult.adRevenue / facebookResult.adCosts).toFixed(2)) : 0;
-
+    // The selected account objects let the account picker and the toasts know which accounts are active
+    data.selectedAccounts = data.accounts.filter(acc => adAccountIds.includes(acc.value));
   } catch (error) {
-    console.error("Failed to fetch Facebook data:", error);
+    console.error("Failed to fetch Facebook ad accounts:", error);
   }
 
-  return facebookResult;
+  data.accountBreakdown = facebookPlatform?.accounts || [];
+  data.sync = facebookPlatform?.sync || null;
+  return data;
 }
 
 
@@ -469,6 +436,22 @@ function calculateProductPerformance(orderCOGSData) {
   return { topSellingProduct, mostProfitableProduct };
 }
 
+/**
+ * Days of the period as UTC date strings (YYYY-MM-DD), the keys of dailyStats
+ * @param {{start: Date, end: Date}} dateRange
+ * @returns {Array<string>}
+ */
+function getDateKeys(dateRange) {
+  const dateKeys = [];
+  const dateCursor = new Date(Date.UTC(dateRange.start.getFullYear(), dateRange.start.getMonth(), dateRange.start.getDate()));
+  const endDate = new Date(Date.UTC(dateRange.end.getFullYear(), dateRange.end.getMonth(), dateRange.end.getDate()));
+  while (dateCursor <= endDate) {
+    dateKeys.push(dateCursor.toISOString().slice(0, 10));
+    dateCursor.setUTCDate(dateCursor.getUTCDate() + 1);
+  }
+  return dateKeys;
+}
+
 /**
  * [FIXED] This function was completely rewritten to address several critical bugs:
  * 1.  Revenue Recognition: Now correctly recognizes revenue only when a shipment status is "Livrée" (Delivered), not the incorrect "En Préparation".
@@ -476,44 +459,43 @@ function calculateProductPerformance(orderCOGSData) {
  * 3.  Accurate Totals: Overall stats (total profit, revenue, etc.) are now calculated by summing the daily data, ensuring the totals always match the chart data.
  * 4.  Robust COGS and Fee Application: Costs, delivery fees, and cancellation fees are now applied correctly on the day the corresponding event (delivery/cancellation) occurs.
  */
-function calculateFinalStats({ allShipments, shopifyOrdersList, orderCOGSData, fbDailyMetrics, dateRange, exchangeRate, adCosts }) {
+function calculateFinalStats({ allShipments, shopifyOrdersList, orderCOGSData, adDailyMetrics, dateRange, adCosts, operatingExpenses }) {
   const stats = { ...DEFAULT_STATS, dailyStats: [] };
   const dailyData = {};
   const processedOrderIdsForRevenue = new Set();
 
   // Always use UTC date string (YYYY-MM-DD) for keys
-  const dateCursor = new Date(Date.UTC(dateRange.start.getFullYear(), dateRange.start.getMonth(), dateRange.start.getDate()));
-  const endDate = new Date(Date.UTC(dateRange.end.getFullYear(), dateRange.end.getMonth(), dateRange.end.getDate()));
-  while (dateCursor <= endDate) {
-    const dateString = dateCursor.toISOString().slice(0, 10); // UTC YYYY-MM-DD
-    dailyData[dateString] = { orderRevenue: 0, cogs: 0, shippingAndCancelFees: 0, adCosts: 0, shipmentCount: 0, totalProfit: 0 };
-    dateCursor.setUTCDate(dateCursor.getUTCDate() + 1);
-  }
-
-  const cogsMap = new Map();
-  orderCOGSData.forEach(order => {
-    cogsMap.set(order.orderId, parseFloat(order.totalCost || 0));
-    if (order.orderId.includes('gid://')) {
-      cogsMap.set(order.orderId.split('/').pop(), parseFloat(order.totalCost || 0));
-    }
+  getDateKeys(dateRange).forEach(dateString => {
+    dailyData[dateString] = { orderRevenue: 0, cogs: 0, landedCosts: 0, shippingAndCancelFees: 0, adCosts: 0, operatingExpenses: 0, shipmentCount: 0, totalProfit: 0 };
   });
 
+  const cogsMap = buildCOGSMap(orderCOGSData);
+  const landedCostMap = buildCOGSMap(orderCOGSData, parseLandedCost);
+  const landedCostByRule = {};
+  // Landed costs (packaging, COD handling...) count with the order's COGS, split per rule for the breakdown
+  const addLandedCost = (day, orderId) => {
+    const landed = landedCostMap.get(orderId);
+    if (!landed) return;
+    day.landedCosts += landed.total;
+    landed.details.forEach(detail => { landedCostByRule[detail.name] = (landedCostByRule[detail.name] || 0) + detail.amount; });
+  };
+
 
   // --- Start: Populate Daily Data for Charts ---
   allShipments.forEach(shipment => {
     // Normalize shipment date to UTC YYYY-MM-DD
-    const d = new Date(shipment.updatedAt);
-    const dateString = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString().slice(0, 10);
+    const dateString = toUTCDateKey(shipment.updatedAt);
     if (!dailyData[dateString]) return;
 
     // FIX #3: Revenue is recognized ONLY on delivered shipments ("Livrée").
     // Removed "En Préparation" to prevent premature revenue recognition.
-    const isDelivered = shipment.status && (shipment.status === "Livrée"  || shipment.status?.toLowerCase().includes("livrée"));
-    const isCancelled = shipment.status?.includes("Retour") || shipment.status === "Annuler";
+    const isDelivered = isDeliveredShipment(shipment);
+    const isCancelled = isCancelledShipment(shipment);
 
     if (isDelivered && !processedOrderIdsForRevenue.has(shipment.orderId)) {
       dailyData[dateString].orderRevenue += parseFloat(shipment.total || 0);
       dailyData[dateString].cogs += cogsMap.get(shipment.orderId) || 0;
+      addLandedCost(dailyData[dateString], shipment.orderId);
       processedOrderIdsForRevenue.add(shipment.orderId);
       dailyData[dateString].shipmentCount++;
       // Apply delivery fee as a cost on the day of delivery
@@ -527,22 +509,22 @@ function calculateFinalStats({ allShipments, shopifyOrdersList, orderCOGSData, f
   shopifyOrdersList.forEach(order => {
     const orderId = order.id.split('/').pop();
     // Normalize order date to UTC YYYY-MM-DD
-    const d = new Date(order.createdAt);
-    const dateString = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString().slice(0, 10);
+    const dateString = toUTCDateKey(order.createdAt);
     // Process paid orders that haven't been accounted for via shipment (e.g., digital goods)
     if (order.financialStatus === 'PAID' && !processedOrderIdsForRevenue.has(orderId) && dailyData[dateString]) {
       dailyData[dateString].orderRevenue += parseFloat(order.totalPrice || 0);
       dailyData[dateString].cogs += cogsMap.get(orderId) || 0;
+      addLandedCost(dailyData[dateString], orderId);
       processedOrderIdsForRevenue.add(orderId);
     }
   });
 
-  // Map daily adCosts from fbDailyMetrics
-  if (fbDailyMetrics && Array.isArray(fbDailyMetrics) && fbDailyMetrics.length > 0) {
-    fbDailyMetrics.forEach(day => {
-      const fbDate = day.date && typeof day.date === 'string' ? day.date.slice(0, 10) : '';
-      if (dailyData[fbDate]) {
-        dailyData[fbDate].adCosts += (day.spend || 0); // Already includes exchange rate from fetchFacebookData
+  // Map daily adCosts from adDailyMetrics, the spend of every ad platform
+  if (adDailyMetrics && Array.isArray(adDailyMetrics) && adDailyMetrics.length > 0) {
+    adDailyMetrics.forEach(day => {
+      const adDate = day.date && typeof day.date === 'string' ? day.date.slice(0, 10) : '';
+      if (dailyData[adDate]) {
+        dailyData[adDate].adCosts += (day.spend || 0); // Already includes exchange rate from each source
       }
     });
   } else {
@@ -553,8 +535,13 @@ function calculateFinalStats({ allShipments, shopifyOrdersList, orderCOGSData, f
     }
   }
 
+  // Rent, salaries, subscriptions... take their prorated share out of every day
+  Object.entries(operatingExpenses?.byDay || {}).forEach(([date, amount]) => {
+    if (dailyData[date]) dailyData[date].operatingExpenses += amount;
+  });
+
   Object.entries(dailyData).forEach(([date, day]) => {
-    day.totalProfit = day.orderRevenue - day.cogs - day.shippingAndCancelFees - day.adCosts;
+    day.totalProfit = day.orderRevenue - day.cogs - day.landedCosts - day.shippingAndCancelFees - day.adCosts - day.operatingExpenses;
     stats.dailyStats.push({ date, ...day });
   });
   // --- End: Daily Data Population ---
@@ -562,20 +549,28 @@ function calculateFinalStats({ allShipments, shopifyOrdersList, orderCOGSData, f
   // --- Recalculate all totals directly from daily data to ensure accuracy and consistency ---
   stats.orderRevenue = stats.dailyStats.reduce((sum, day) => sum + day.orderRevenue, 0);
   stats.cogs = stats.dailyStats.reduce((sum, day) => sum + day.cogs, 0);
+  stats.landedCosts = stats.dailyStats.reduce((sum, day) => sum + day.landedCosts, 0);
+  stats.landedCostBreakdown = Object.entries(landedCostByRule)
+    .map(([name, amount]) => ({ name, amount }))
+    .sort((a, b) => b.amount - a.amount);
   stats.shippingAndCancelFees = stats.dailyStats.reduce((sum, day) => sum + day.shippingAndCancelFees, 0);
   stats.adCosts = stats.dailyStats.reduce((sum, day) => sum + day.adCosts, 0);
+  stats.operatingExpenses = stats.dailyStats.reduce((sum, day) => sum + day.operatingExpenses, 0);
+  stats.operatingExpenseBreakdown = Object.entries(operatingExpenses?.byCategory || {})
+    .map(([category, amount]) => ({ category, amount }))
+    .sort((a, b) => b.amount - a.amount);
   stats.totalProfit = stats.dailyStats.reduce((sum, day) => sum + day.totalProfit, 0);
 
   // Fallback if daily ad costs were not available but total was
   if (stats.adCosts === 0 && typeof adCosts === 'number' && adCosts > 0) {
     stats.adCosts = adCosts;
-    stats.totalProfit = stats.orderRevenue - stats.cogs - stats.shippingAndCancelFees - stats.adCosts;
+    stats.totalProfit = stats.orderRevenue - stats.cogs - stats.landedCosts - stats.shippingAndCancelFees - stats.adCosts - stats.operatingExpenses;
   }
 
   // --- Ensure Diagnostics data is calculated consistently with the main logic ---
   // FIX #3 (Consistency): Use the same "Livrée" logic for diagnostics.
-  const deliveredShipments = allShipments.filter(s => s.status && (s.status === "Livrée" || s.status?.toLowerCase().includes("livrée")));
-  const cancelledShipments = allShipments.filter(s => s.status?.includes("Retour") || s.status === "Annuler");
+  const deliveredShipments = allShipments.filter(isDeliveredShipment);
+  const cancelledShipments = allShipments.filter(isCancelledShipment);
 
   const totalDeliveryFees = deliveredShipments.reduce((sum, s) => sum + parseFloat(s.deliveryFee || 0), 0);
   const totalCancelFees = cancelledShipments.reduce((sum, s) => sum + parseFloat(s.cancelFee || 0), 0);
@@ -606,47 +601,84 @@ function calculateFinalStats({ allShipments, shopifyOrdersList, orderCOGSData, f
 export const loader = async ({ request }) => {
   const url = new URL(request.url);
   const preset = url.searchParams.get("preset") || "last_30_days";
-  const exchangeRateParam = url.searchParams.get("exchangeRate") || "1";
+  const adAccountIdsParam = url.searchParams.get("adAccountIds");
+  const basis = url.searchParams.get("basis") === "cash" ? "cash" : "accrual";
 
   try {
     const { admin, session } = await authenticate.admin(request);
-    const exchangeRate = parseFloat(exchangeRateParam);
-    if (isNaN(exchangeRate)) return json({ error: "Invalid exchange rate" }, { status: 400 });
+    // Ad accounts of the URL are only shown, the shop's default selection is saved by the action
+    const adAccountIds = adAccountIdsParam !== null
+      ? adAccountIdsParam.split(",").map(id => id.trim()).filter(Boolean)
+      : (await getShopSettings(session.shop)).facebookAdAccountIds || [];
     const dateRange = getPresetDates(preset);
 
     const { shopCurrency, fbCredentials, allShipments, orderCOGSData, zrExpressProfitData, shopifyOrdersList } = await fetchPrimaryData({ admin, session }, dateRange);
+    const currencyConverter = await getCurrencyConverter(session.shop, shopCurrency, dateRange.end);
 
-    const { data: facebookData, adCosts, adRevenue, adPurchases, adImpressions, fbROAS, dailyMetrics: fbDailyMetrics } = await fetchFacebookData(fbCredentials, url.searchParams, preset, exchangeRate);
+    // Facebook, TikTok, Snapchat... are summed into the ad costs of every day from their stored insights,
+    // the page asks the syncAds action for the days that are not stored yet
+    const adPlatforms = await getPlatformAdSpend(session.shop, dateRange, currencyConverter.rateFor, { facebookAdAccountIds: adAccountIds });
+    const facebookPlatform = adPlatforms.find(platform => platform.platform === 'facebook');
+    const facebookData = await getFacebookData(fbCredentials, adAccountIds, facebookPlatform);
+    const adDailyMetrics = mergeDailyAdMetrics(adPlatforms.map(platform => platform.dailyMetrics));
 
     const { topSellingProduct, mostProfitableProduct } = calculateProductPerformance(orderCOGSData);
 
+    const operatingExpenses = await getDailyOperatingExpenses(session.shop, getDateKeys(dateRange), currencyConverter.convert);
+
     const { stats, diagnostics } = calculateFinalStats({
         allShipments,
         shopifyOrdersList,
         orderCOGSData,
-        fbDailyMetrics,
+        adDailyMetrics,
         dateRange,
-        exchangeRate,
-        adCosts
+        adCosts: adPlatforms.reduce((sum, platform) => sum + platform.spend, 0),
+        operatingExpenses
     });
 
-    stats.adRevenue = adRevenue;
-    stats.adPurchases = adPurchases;
-    stats.adImpressions = adImpressions;
-    stats.fbROAS = fbROAS;
+    stats.adRevenue = adPlatforms.reduce((sum, platform) => sum + platform.revenue, 0);
+    stats.adPurchases = adPlatforms.reduce((sum, platform) => sum + platform.conversions, 0);
+    stats.adImpressions = adPlatforms.reduce((sum, platform) => sum + platform.impressions, 0);
+    stats.fbROAS = facebookPlatform?.spend > 0 ? Number((facebookPlatform.revenue / facebookPlatform.spend).toFixed(2)) : 0;
+
+    // The cash view falls back to the accrual figures when its sources cannot be read
+    const cashFlow = basis === "cash"
+      ? await getCashFlow(session.shop, dateRange, { shopifyOrdersList, adDailyMetrics }).catch(error => {
+        console.error('Cash flow error:', error);
+        return null;
+      })
+      : null;
+
+    // Outstanding COD cash does not depend on the period, a failure here should not break the dashboard
+    const outstandingCash = await getOutstandingCash(session.shop).catch(error => {
+      console.error('Outstanding cash error:', error);
+      return null;
+    });
 
     stats.mer = (stats.adCosts > 0) ? Number((stats.orderRevenue / stats.adCosts).toFixed(2)) : 0;
     stats.effectiveROAS = (stats.adCosts > 0 && stats.orderRevenue > 0 && stats.adRevenue > 0) ? Number(((stats.adRevenue - (stats.adRevenue / stats.orderRevenue * stats.cogs)) / stats.adCosts).toFixed(2)) : 0;
+    // ROAS as reported by each platform, MER as the store revenue per unit spent on it
+    stats.adPlatforms = adPlatforms.map(({ dailyMetrics, accounts, sync, syncDue, ...platform }) => ({
+      ...platform,
+      roas: platform.spend > 0 ? Number((platform.revenue / platform.spend).toFixed(2)) : 0,
+      mer: platform.spend > 0 ? Number((stats.orderRevenue / platform.spend).toFixed(2)) : 0,
+    }));
 
     return json({
       stats,
-      facebook: facebookData, // This now contains the selectedAccount object
+      facebook: facebookData, // This now contains the selectedAccounts objects
+      adSyncDue: adPlatforms.some(platform => platform.syncDue),
       datePreset: preset,
-      exchangeRate: exchangeRateParam,
+      exchangeRate: String(currencyConverter.defaultRate),
+      // Foreign currencies converted with the default rate because no daily rate is stored
+      missingExchangeRates: currencyConverter.getMissingRates(),
       topSellingProduct,
       mostProfitableProduct,
       diagnostics,
       zrExpressProfit: zrExpressProfitData,
+      outstandingCash,
+      basis,
+      cashFlow,
       shopCurrency,
     });
 
@@ -656,39 +688,99 @@ export const loader = async ({ request }) => {
       error: error.message,
       stats: { ...DEFAULT_STATS },
       facebook: { ...DEFAULT_FACEBOOK_DATA },
+      adSyncDue: false,
       datePreset: preset,
-      exchangeRate: exchangeRateParam,
+      exchangeRate: "1",
+      missingExchangeRates: [],
       topSellingProduct: null,
       mostProfitableProduct: null,
       diagnostics: null,
       zrExpressProfit: null,
+      outstandingCash: null,
+      basis,
+      cashFlow: null,
       shopCurrency: 'DZD',
     }, { status: 500 });
   }
 };
 
 
+// Dashboard settings saved from the filters, the page reloads its own data afterwards
+const SETTINGS_ACTIONS = ["saveExchangeRate", "saveAdAccounts", "syncAds"];
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+
+  try {
+    if (_action === "saveExchangeRate") {
+      const exchangeRate = parseFloat(formData.get("exchangeRate"));
+      if (isNaN(exchangeRate) || exchangeRate <= 0) {
+        return json({ success: false, _action, error: "Invalid exchange rate" }, { status: 400 });
+      }
+      const settings = await updateShopSettings(session.shop, { exchangeRate });
+      return json({ success: true, _action, exchangeRate: String(settings.exchangeRate) });
+    }
+
+    // Ad insights of the shown period are synced in the background, the page reloads once they are stored
+    if (_action === "syncAds") {
+      const adAccountIds = String(formData.get("adAccountIds") || "").split(",").map(id => id.trim()).filter(Boolean);
+      const platforms = await syncPlatformAdSpend(session.shop, getPresetDates(formData.get("preset") || "last_30_days"), { facebookAdAccountIds: adAccountIds });
+      return json({ success: true, _action, rows: platforms.reduce((sum, platform) => sum + platform.rows, 0), platforms });
+    }
+
+    if (_action === "saveAdAccounts") {
+      const adAccountIds = String(formData.get("adAccountIds") || "").split(",").map(id => id.trim()).filter(Boolean);
+      const settings = await updateShopSettings(session.shop, { facebookAdAccountIds: adAccountIds });
+      return json({ success: true, _action, adAccountIds: settings.facebookAdAccountIds });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Dashboard action error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+// Saving a setting or syncing ads does not rerun the whole dashboard loader, the filters fetcher reloads it
+export const shouldRevalidate = ({ formData, defaultShouldRevalidate }) => {
+  if (SETTINGS_ACTIONS.includes(formData?.get("_action"))) return false;
+  return defaultShouldRevalidate;
+};
+
 export default function Index() {
   const initialData = useLoaderData() || {};
   const {
-    stats: iStats, facebook: iFb, datePreset: iPreset, exchangeRate: iExRate,
+    stats: iStats, facebook: iFb, adSyncDue: iAdSyncDue, datePreset: iPreset, exchangeRate: iExRate, missingExchangeRates: iMissingRates,
     topSellingProduct: iTop, mostProfitableProduct: iMost, diagnostics: iDiag,
-    zrExpressProfit: iZrProfit, shopCurrency: iShopCurrency
+    zrExpressProfit: iZrProfit, outstandingCash: iOutstandingCash,
+    basis: iBasis, cashFlow: iCashFlow, shopCurrency: iShopCurrency
   } = initialData;
   const [currentStats, setCurrentStats] = useState(iStats || DEFAULT_STATS);
   const [currentFacebook, setCurrentFacebook] = useState(iFb || DEFAULT_FACEBOOK_DATA);
+  const [adSyncDue, setAdSyncDue] = useState(Boolean(iAdSyncDue));
   const [currentDatePreset, setCurrentDatePreset] = useState(iPreset || "last_30_days");
   const [exchangeRate, setExchangeRate] = useState(iExRate || "1");
+  const [savedExchangeRate, setSavedExchangeRate] = useState(iExRate || "1");
+  const [missingExchangeRates, setMissingExchangeRates] = useState(iMissingRates || []);
   const [topSellingProduct, setTopSellingProduct] = useState(iTop || null);
   const [mostProfitableProduct, setMostProfitableProduct] = useState(iMost || null);
   const [zrExpressProfit, setZrExpressProfit] = useState(iZrProfit || null);
+  const [outstandingCash, setOutstandingCash] = useState(iOutstandingCash || null);
+  const [basis, setBasis] = useState(iBasis || "accrual");
+  const [cashFlow, setCashFlow] = useState(iCashFlow || null);
   const [diagnostics, setDiagnostics] = useState(iDiag || {});
   const [showToast, setShowToast] = useState(false);
+  const [isAccountPickerOpen, setIsAccountPickerOpen] = useState(false);
+  const [pendingAccountIds, setPendingAccountIds] = useState([]);
   const [toastMessage, setToastMessage] = useState("");
   const [shopCurrency, setShopCurrency] = useState(iShopCurrency || 'DZD');
 
   const { t, language, isRTL } = useLanguage();
 
+  const BASIS_OPTIONS = useMemo(() => BASIS_CONFIG.map(item => ({ value: item.value, label: t(item.translationKey) })), [t]);
+
   const DATE_PRESETS = useMemo(() => {
     return DATE_PRESETS_CONFIG.map(preset => ({
       value: preset.value,
@@ -720,6 +812,10 @@ export default function Index() {
 
   const facebookDropdownRef = useRef(null);
   const fetcher = useFetcher();
+  // Saves the exchange rate and account selection through the action
+  const settingsFetcher = useFetcher();
+  // Syncs the ad insights of the shown period through the action
+  const syncFetcher = useFetcher();
   const navigation = useNavigation();
   const isLoading = navigation.state === "loading" || fetcher.state !== "idle";
 
@@ -727,16 +823,24 @@ export default function Index() {
     if (fetcher.data && fetcher.state === "idle") {
       setCurrentStats(fetcher.data.stats || DEFAULT_STATS);
       setCurrentFacebook(fetcher.data.facebook || DEFAULT_FACEBOOK_DATA);
+      setAdSyncDue(Boolean(fetcher.data.adSyncDue));
       setCurrentDatePreset(fetcher.data.datePreset || "last_30_days");
       setTopSellingProduct(fetcher.data.topSellingProduct || null);
       setMostProfitableProduct(fetcher.data.mostProfitableProduct || null);
       setZrExpressProfit(fetcher.data.zrExpressProfit || null);
+      setOutstandingCash(fetcher.data.outstandingCash || null);
+      setBasis(fetcher.data.basis || "accrual");
+      setCashFlow(fetcher.data.cashFlow || null);
       setDiagnostics(fetcher.data.diagnostics || {});
-      if (fetcher.data.exchangeRate) setExchangeRate(fetcher.data.exchangeRate);
+      if (fetcher.data.exchangeRate) {
+        setExchangeRate(fetcher.data.exchangeRate);
+        setSavedExchangeRate(fetcher.data.exchangeRate);
+      }
+      setMissingExchangeRates(fetcher.data.missingExchangeRates || []);
       if (fetcher.data.shopCurrency) setShopCurrency(fetcher.data.shopCurrency); 
-      // This logic now works correctly because `fetcher.data.facebook.selectedAccount` is persisted
-      if (fetcher.data.facebook?.selectedAccount?.label) {
-        setToastMessage(t('toast.accountUpdated', { account: fetcher.data.facebook.selectedAccount.label }));
+      // This logic now works correctly because `fetcher.data.facebook.selectedAccounts` is persisted
+      if (fetcher.data.facebook?.selectedAccounts?.length) {
+        setToastMessage(t('toast.accountUpdated', { account: fetcher.data.facebook.selectedAccounts.map(account => account.label).join(', ') }));
       } else {
         const presetLabel = DATE_PRESETS.find(preset => preset.value === fetcher.data.datePreset)?.label || fetcher.data.datePreset;
         setToastMessage(t('toast.dataUpdated', { period: presetLabel }));
@@ -750,44 +854,104 @@ export default function Index() {
     fetcher.submit(params, { method: "get" });
   }, [fetcher, isLoading]);
 
-  const handleAccountChange = useCallback((accountId) => {
-    if (!accountId || accountId === currentFacebook.selectedAccount?.value) return;
-    const selectedAccount = currentFacebook.accounts.find(a => a.value === accountId) || null;
-    // Optimistically set the selected account for a smoother UI response
-    setCurrentFacebook(prev => ({ ...prev, selectedAccount }));
-    const params = { preset: currentDatePreset, exchangeRate, adAccountId: accountId };
-    submitFilters(params);
-    setToastMessage(t('toast.updatingAccount', { account: selectedAccount?.label || t('facebook.chooseAccount') }));
+  const selectedAccountIds = useMemo(() => (currentFacebook.selectedAccounts || []).map(account => account.value), [currentFacebook.selectedAccounts]);
+
+  const openAccountPicker = useCallback(() => {
+    setPendingAccountIds(selectedAccountIds);
+    setIsAccountPickerOpen(true);
+  }, [selectedAccountIds]);
+
+  // The selection is applied when the picker closes, and saved by the action as the shop's default
+  const handleAccountsApply = useCallback(() => {
+    setIsAccountPickerOpen(false);
+    if ([...pendingAccountIds].sort().join(',') === [...selectedAccountIds].sort().join(',')) return;
+    const selectedAccounts = currentFacebook.accounts.filter(a => pendingAccountIds.includes(a.value));
+    // Optimistically set the selected accounts for a smoother UI response
+    setCurrentFacebook(prev => ({ ...prev, selectedAccounts }));
+    submitFilters({ preset: currentDatePreset, basis, adAccountIds: pendingAccountIds.join(',') });
+    settingsFetcher.submit({ _action: "saveAdAccounts", adAccountIds: pendingAccountIds.join(',') }, { method: "post" });
+    setToastMessage(t('toast.updatingAccount', { account: selectedAccounts.map(account => account.label).join(', ') || t('facebook.chooseAccount') }));
     setShowToast(true);
-  }, [currentDatePreset, exchangeRate, currentFacebook.accounts, currentFacebook.selectedAccount, submitFilters, t]);
+  }, [currentDatePreset, basis, currentFacebook.accounts, pendingAccountIds, selectedAccountIds, submitFilters, settingsFetcher, t]);
 
   const handleDatePresetChange = useCallback((value) => {
     if (value === currentDatePreset) return;
     setCurrentDatePreset(value);
     const presetLabel = DATE_PRESETS.find(preset => preset.value === value)?.label || value;
-    const params = { preset: value, exchangeRate };
-    if (currentFacebook.selectedAccount?.value) params.adAccountId = currentFacebook.selectedAccount.value;
-    submitFilters(params);
+    submitFilters({ preset: value, basis });
     setToastMessage(t('toast.updatingPeriod', { period: presetLabel }));
     setShowToast(true);
-  }, [currentDatePreset, exchangeRate, currentFacebook.selectedAccount, submitFilters, t, DATE_PRESETS]);
+  }, [currentDatePreset, basis, submitFilters, t, DATE_PRESETS]);
+
+  const handleBasisChange = useCallback((value) => {
+    if (value === basis) return;
+    setBasis(value);
+    submitFilters({ preset: currentDatePreset, basis: value });
+  }, [basis, currentDatePreset, submitFilters]);
 
   const handleExchangeRateChange = useCallback((value) => setExchangeRate(value), []);
 
+  // The rate is saved as the shop's default by the action, the dashboard is reloaded once it is stored
+  const applyExchangeRate = useCallback(() => {
+    if (isLoading || settingsFetcher.state !== "idle") return;
+    settingsFetcher.submit({ _action: "saveExchangeRate", exchangeRate }, { method: "post" });
+  }, [settingsFetcher, isLoading, exchangeRate]);
+
+  const handledSettingsData = useRef(null);
+  useEffect(() => {
+    if (!settingsFetcher.data || settingsFetcher.state !== "idle" || handledSettingsData.current === settingsFetcher.data) return;
+    handledSettingsData.current = settingsFetcher.data;
+    const { success, _action, error } = settingsFetcher.data;
+    if (!success) {
+      setToastMessage(`${t('errors.general')} ${error || ''}`);
+      setShowToast(true);
+    } else if (_action === "saveExchangeRate") {
+      fetcher.submit({ preset: currentDatePreset, basis }, { method: "get" });
+      setToastMessage(t('toast.exchangeRateUpdated', { rate: settingsFetcher.data.exchangeRate }));
+      setShowToast(true);
+    }
+  }, [settingsFetcher.data, settingsFetcher.state, fetcher, currentDatePreset, basis, t]);
+
+  // Each period and account selection is synced once per visit, a failed sync shows its error instead of retrying
+  const syncedAdSelections = useRef(new Set());
+  useEffect(() => {
+    if (!adSyncDue || isLoading || syncFetcher.state !== "idle") return;
+    const adAccountIds = selectedAccountIds.join(',');
+    const selection = `${currentDatePreset}:${adAccountIds}`;
+    if (syncedAdSelections.current.has(selection)) return;
+    syncedAdSelections.current.add(selection);
+    syncFetcher.submit({ _action: "syncAds", preset: currentDatePreset, adAccountIds }, { method: "post" });
+  }, [adSyncDue, isLoading, syncFetcher, selectedAccountIds, currentDatePreset]);
+
+  const handledSyncData = useRef(null);
+  useEffect(() => {
+    if (!syncFetcher.data || syncFetcher.state !== "idle" || handledSyncData.current === syncFetcher.data) return;
+    handledSyncData.current = syncFetcher.data;
+    if (!syncFetcher.data.success) {
+      setToastMessage(`${t('errors.general')} ${syncFetcher.data.error || ''}`);
+      setShowToast(true);
+      return;
+    }
+    fetcher.submit({ preset: currentDatePreset, basis, adAccountIds: selectedAccountIds.join(',') }, { method: "get" });
+  }, [syncFetcher.data, syncFetcher.state, fetcher, currentDatePreset, basis, selectedAccountIds, t]);
+
   const handleFormSubmit = useCallback((event) => {
     event.preventDefault();
     if (isLoading) return;
-    const params = { preset: currentDatePreset, exchangeRate };
-    if (currentFacebook.selectedAccount?.value) params.adAccountId = currentFacebook.selectedAccount.value;
-    fetcher.submit(params, { method: "get" });
-  }, [fetcher, isLoading, currentDatePreset, exchangeRate, currentFacebook.selectedAccount]);
+    if (exchangeRate !== savedExchangeRate) applyExchangeRate();
+    else fetcher.submit({ preset: currentDatePreset, basis }, { method: "get" });
+  }, [fetcher, isLoading, currentDatePreset, basis, exchangeRate, savedExchangeRate, applyExchangeRate]);
 
   const scrollToFacebookDropdown = useCallback(() => {
     facebookDropdownRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
   }, []);
 
+  // Facebook part of the ad totals, which also count the other ad platforms
+  const facebookTotals = useMemo(() => (currentStats.adPlatforms || []).find(platform => platform.platform === 'facebook')
+    || { spend: currentStats.adCosts, revenue: currentStats.adRevenue, conversions: currentStats.adPurchases }, [currentStats]);
+
   const [profitDistributionData, performanceMetricsData] = useMemo(() => ([
-    { labels: ['الإيرادات', 'التكاليف', 'الربح'], datasets: [{ label: 'المبلغ (دج)', data: [currentStats.orderRevenue, currentStats.adCosts + currentStats.shippingAndCancelFees + currentStats.cogs, currentStats.totalProfit], backgroundColor: ['rgba(54, 162, 235, 0.7)', 'rgba(255, 99, 132, 0.7)', 'rgba(75, 192, 192, 0.7)'], borderColor: ['#36A2EB', '#FF6384', '#4BC0C0'], borderWidth: 1, }] },
+    { labels: ['الإيرادات', 'التكاليف', 'الربح'], datasets: [{ label: 'المبلغ (دج)', data: [currentStats.orderRevenue, currentStats.adCosts + currentStats.shippingAndCancelFees + currentStats.cogs + (currentStats.landedCosts || 0) + (currentStats.operatingExpenses || 0), currentStats.totalProfit], backgroundColor: ['rgba(54, 162, 235, 0.7)', 'rgba(255, 99, 132, 0.7)', 'rgba(75, 192, 192, 0.7)'], borderColor: ['#36A2EB', '#FF6384', '#4BC0C0'], borderWidth: 1, }] },
     { labels: ['كفاءة التسويق (MER)', 'عائد الإعلان (ROAS)', 'العائد الصافي (Net ROAS)'], datasets: [{ label: 'النسبة', data: [currentStats.mer, currentStats.fbROAS, currentStats.effectiveROAS], backgroundColor: ['rgba(54, 162, 235, 0.7)', 'rgba(255, 206, 86, 0.7)', 'rgba(75, 192, 192, 0.7)'], borderColor: ['#36A2EB', '#FFCE56', '#4BC0C0'], borderWidth: 1 }] }
   ]), [currentStats]);
 
@@ -795,15 +959,19 @@ export default function Index() {
 
   const statCardsData = useMemo(() => {
     // Calculate total costs exactly as displayed
-    const totalCosts = Number(currentStats.cogs || 0) + Number(currentStats.shippingAndCancelFees || 0) + Number(currentStats.adCosts || 0);
+    const totalCosts = Number(currentStats.cogs || 0) + Number(currentStats.landedCosts || 0) + Number(currentStats.shippingAndCancelFees || 0) + Number(currentStats.adCosts || 0) + Number(currentStats.operatingExpenses || 0);
     // Calculate net profit using the same formula
     const netProfitValue = Number(currentStats.orderRevenue || 0) - totalCosts;
     const netProfitSubtitle = `${formatCurrency(currentStats.orderRevenue, false, shopCurrency)} الإيرادات - ${formatCurrency(totalCosts, false, shopCurrency)} التكاليف`;
 
-    // Always use shopCurrency for Ad Costs
-    const fbCurrency = currentFacebook?.selectedAccount?.currency || currentFacebook?.currency || shopCurrency;
-    // adCostsInFbCurrency: convert shop currency to fb currency if needed
-    const adCostsInFbCurrency = fbCurrency !== shopCurrency ? Number(currentStats.adCosts) / parseFloat(exchangeRate) : Number(currentStats.adCosts);
+    // Always use shopCurrency for Ad Costs, split by platform, or by Facebook account in its own currency
+    const accountBreakdown = currentFacebook?.accountBreakdown || [];
+    const adPlatforms = currentStats.adPlatforms || [];
+    const adCostsSubtitle = adPlatforms.some(platform => platform.platform !== 'facebook')
+      ? adPlatforms.map(platform => `${platform.label}: ${formatCurrency(platform.spend, true, shopCurrency)}`).join(' + ')
+      : accountBreakdown.some(account => account.currency !== shopCurrency)
+        ? `${accountBreakdown.map(account => formatCurrency(account.accountSpend, true, account.currency)).join(' + ')} (${formatCurrency(currentStats.adCosts, true, shopCurrency)})`
+        : null;
 
     const sanitizeChartData = (dailyStats, valueKey) => (
       !dailyStats || !Array.isArray(dailyStats) ? [] : dailyStats.filter(d => d && d.date && d[valueKey] !== undefined && d[valueKey] !== null && !isNaN(Number(d[valueKey])))
@@ -813,12 +981,26 @@ export default function Index() {
       { title: t('stats.netProfit'), value: formatCurrency(netProfitValue, netProfitValue < 0, shopCurrency), trend: netProfitValue >= 0 ? "positive" : "negative", chartData: sanitizeChartData(currentStats.dailyStats, 'totalProfit'), subtitle: netProfitSubtitle },
       { title: t('stats.totalSales'), value: formatCurrency(currentStats.orderRevenue, false, shopCurrency), trend: "positive", chartData: sanitizeChartData(currentStats.dailyStats, 'orderRevenue') },
       // Ad Costs: always show in shopCurrency, and show subtitle if conversion
-      { title: t('stats.adCosts'), value: formatCurrency(currentStats.adCosts, true, shopCurrency), trend: "negative", chartData: sanitizeChartData(currentStats.dailyStats, 'adCosts'), subtitle: fbCurrency !== shopCurrency ? `${formatCurrency(adCostsInFbCurrency, true, fbCurrency)} (${formatCurrency(currentStats.adCosts, true, shopCurrency)})` : null },
+      { title: t('stats.adCosts'), value: formatCurrency(currentStats.adCosts, true, shopCurrency), trend: "negative", chartData: sanitizeChartData(currentStats.dailyStats, 'adCosts'), subtitle: adCostsSubtitle },
       { title: t('stats.shippingCancelFees'), value: formatCurrency(currentStats.shippingAndCancelFees, true, shopCurrency), trend: "negative", chartData: sanitizeChartData(currentStats.dailyStats, 'shippingAndCancelFees') },
       { title: t('stats.cogsCosts'), value: formatCurrency(currentStats.cogs, true, shopCurrency), trend: "negative", chartData: sanitizeChartData(currentStats.dailyStats, 'cogs') },
+      ...(currentStats.landedCosts > 0 ? [{
+        title: t('stats.landedCosts'),
+        value: formatCurrency(currentStats.landedCosts, true, shopCurrency),
+        trend: "negative",
+        chartData: sanitizeChartData(currentStats.dailyStats, 'landedCosts'),
+        subtitle: (currentStats.landedCostBreakdown || []).slice(0, 3).map(item => `${item.name}: ${formatCurrency(item.amount, false, shopCurrency)}`).join(' · '),
+      }] : []),
+      ...(currentStats.operatingExpenses > 0 ? [{
+        title: t('stats.operatingExpenses'),
+        value: formatCurrency(currentStats.operatingExpenses, true, shopCurrency),
+        trend: "negative",
+        chartData: sanitizeChartData(currentStats.dailyStats, 'operatingExpenses'),
+        subtitle: (currentStats.operatingExpenseBreakdown || []).slice(0, 3).map(item => `${t(`expenses.categories.${item.category}`)}: ${formatCurrency(item.amount, false, shopCurrency)}`).join(' · '),
+      }] : []),
       { title: t('stats.totalShipments'), value: formatNumber(diagnostics.shipmentsFound), trend: "positive", chartData: sanitizeChartData(currentStats.dailyStats, 'shipmentCount') },
     ];
-  }, [currentStats, exchangeRate, currentFacebook, t, formatCurrency, formatNumber, diagnostics, shopCurrency]);
+  }, [currentStats, currentFacebook, t, formatCurrency, formatNumber, diagnostics, shopCurrency]);
 
   return (
     <Frame>
@@ -844,20 +1026,42 @@ export default function Index() {
                 <Box paddingInline="400" paddingBlockEnd="400">
                   <form onSubmit={handleFormSubmit}>
                     <Grid columns={{ xs: 1, sm: 6, lg: 12 }} gap="400" alignItems="end">
-                      <Grid.Cell columnSpan={{ xs: 1, sm: 3, lg: 4 }}>
+                      <Grid.Cell columnSpan={{ xs: 1, sm: 3, lg: 3 }}>
                         <Select label={t('dashboard.dateRange')} options={DATE_PRESETS} value={currentDatePreset} onChange={handleDatePresetChange} disabled={isLoading} />
                       </Grid.Cell>
-                      <Grid.Cell columnSpan={{ xs: 1, sm: 3, lg: 4 }}>
+                      <Grid.Cell columnSpan={{ xs: 1, sm: 3, lg: 3 }}>
                         <div ref={facebookDropdownRef}>
-                          <Select label={t('dashboard.facebookAccount')} options={[{ label: t('dashboard.selectAccount'), value: "" }, ...(currentFacebook?.accounts || [])]} value={currentFacebook.selectedAccount?.value || ""} onChange={handleAccountChange} disabled={isLoading} />
+                          <BlockStack gap="100">
+                            <Text as="p">{t('dashboard.facebookAccount')}</Text>
+                            <Popover
+                              active={isAccountPickerOpen}
+                              onClose={handleAccountsApply}
+                              activator={
+                                <Button onClick={openAccountPicker} disclosure fullWidth textAlign="start" disabled={isLoading || !(currentFacebook?.accounts || []).length}>
+                                  {selectedAccountIds.length === 0 ? t('dashboard.selectAccount') : selectedAccountIds.length === 1 ? currentFacebook.selectedAccounts[0].label : t('dashboard.accountsSelected', { count: selectedAccountIds.length })}
+                                </Button>
+                              }
+                            >
+                              <OptionList
+                                title={t('dashboard.selectAccounts')}
+                                options={(currentFacebook?.accounts || []).map(account => ({ value: account.value, label: `${account.label} (${account.currency})` }))}
+                                selected={pendingAccountIds}
+                                onChange={setPendingAccountIds}
+                                allowMultiple
+                              />
+                            </Popover>
+                          </BlockStack>
                         </div>
                       </Grid.Cell>
+                      <Grid.Cell columnSpan={{ xs: 1, sm: 2, lg: 2 }}>
+                        <Select label={t('cashFlow.basis')} options={BASIS_OPTIONS} value={basis} onChange={handleBasisChange} disabled={isLoading} />
+                      </Grid.Cell>
                       <Grid.Cell columnSpan={{ xs: 1, sm: 4, lg: 2 }}>
                         <div style={{ display: 'flex', gap: '5px' }}>
                           <div style={{ flex: 1 }}>
-                            <TextField label={t('dashboard.exchangeRate')} type="number" value={exchangeRate} onChange={handleExchangeRateChange} autoComplete="off" disabled={isLoading} onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); const params = { preset: currentDatePreset, exchangeRate }; if (currentFacebook.selectedAccount?.value) params.adAccountId = currentFacebook.selectedAccount.value; submitFilters(params); setToastMessage(t('toast.exchangeRateUpdated', { rate: exchangeRate })); setShowToast(true); } }} />
+                            <TextField label={t('dashboard.exchangeRate')} type="number" value={exchangeRate} onChange={handleExchangeRateChange} autoComplete="off" disabled={isLoading} helpText={<Link url="/app/exchange-rates">{t('dashboard.dailyRates')}</Link>} onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); applyExchangeRate(); } }} />
                           </div>
-                          <div style={{ alignSelf: 'flex-end', marginBottom: '2px' }}><Button onClick={() => { const params = { preset: currentDatePreset, exchangeRate }; if (currentFacebook.selectedAccount?.value) params.adAccountId = currentFacebook.selectedAccount.value; submitFilters(params); setToastMessage(t('toast.exchangeRateUpdated', { rate: exchangeRate })); setShowToast(true); }} disabled={isLoading}>تطبيق</Button></div>
+                          <div style={{ alignSelf: 'flex-end', marginBottom: '2px' }}><Button onClick={applyExchangeRate} loading={settingsFetcher.state !== "idle"} disabled={isLoading}>تطبيق</Button></div>
                         </div>
                       </Grid.Cell>
                       <Grid.Cell columnSpan={{ xs: 1, sm: 2, lg: 2 }}>
@@ -866,6 +1070,11 @@ export default function Index() {
                     </Grid>
                   </form>
                 </Box>
+                {missingExchangeRates.length > 0 && (
+                  <Banner tone="warning">
+                    <p>{t('dashboard.missingExchangeRates', { currencies: missingExchangeRates.join(', '), rate: exchangeRate })} <Link url="/app/exchange-rates">{t('dashboard.dailyRates')}</Link></p>
+                  </Banner>
+                )}
               </BlockStack>
             </Card>
           </Layout.Section>
@@ -893,7 +1102,74 @@ export default function Index() {
                 </InlineGrid>
               </Layout.Section>
 
-              {currentFacebook?.selectedAccount && (
+              {basis === "cash" && cashFlow && (
+                <Layout.Section>
+                  <Card>
+                    <BlockStack gap="400" padding="400">
+                      <BlockStack gap="100">
+                        <Text variant="headingLg" as="h2">{t('cashFlow.title')}</Text>
+                        <Text variant="bodyMd" tone="subdued">{t('cashFlow.subtitle')}</Text>
+                      </BlockStack>
+                      <InlineGrid columns={{ xs: 1, sm: 3 }} gap="400">
+                        {[
+                          { label: t('cashFlow.cashIn'), value: formatCurrency(cashFlow.totals.cashIn), detail: `${t('cashFlow.remittances')} ${formatCurrency(cashFlow.totals.remittances)} · ${t('cashFlow.shopifyPayments')} ${formatCurrency(cashFlow.totals.shopifyPayments)}` },
+                          { label: t('cashFlow.cashOut'), value: formatCurrency(cashFlow.totals.cashOut, true), detail: `${t('cashFlow.adSpend')} ${formatCurrency(cashFlow.totals.adSpend)} · ${t('cashFlow.carrierFees')} ${formatCurrency(cashFlow.totals.carrierFees)} · ${t('cashFlow.cogsPurchases')} ${formatCurrency(cashFlow.totals.cogsPurchases)}` },
+                          { label: t('cashFlow.net'), value: formatCurrency(cashFlow.totals.net, cashFlow.totals.net < 0), detail: t('cashFlow.accrualProfit', { amount: formatCurrency(currentStats.totalProfit, currentStats.totalProfit < 0) }) },
+                        ].map(({ label, value, detail }) => (
+                          <BlockStack key={label} gap="100">
+                            <Text variant="bodyMd" tone="subdued">{label}</Text>
+                            <Text variant="headingLg" as="p">{value}</Text>
+                            <Text variant="bodySm" tone="subdued">{detail}</Text>
+                          </BlockStack>
+                        ))}
+                      </InlineGrid>
+                      <DataTable
+                        columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+                        headings={[t('cashFlow.date'), t('cashFlow.remittances'), t('cashFlow.shopifyPayments'), t('cashFlow.adSpend'), t('cashFlow.carrierFees'), t('cashFlow.cogsPurchases'), t('cashFlow.net')]}
+                        rows={cashFlow.dailyCash.filter(day => day.cashIn !== 0 || day.cashOut !== 0).reverse().map(day => [
+                          day.date,
+                          formatCurrency(day.remittances),
+                          formatCurrency(day.shopifyPayments),
+                          formatCurrency(day.adSpend),
+                          formatCurrency(day.carrierFees),
+                          formatCurrency(day.cogsPurchases),
+                          <Text key="net" as="span" tone={day.net < 0 ? "critical" : "success"}>{formatCurrency(day.net, day.net < 0)}</Text>,
+                        ])}
+                      />
+                    </BlockStack>
+                  </Card>
+                </Layout.Section>
+              )}
+
+              {outstandingCash && outstandingCash.count > 0 && (
+                <Layout.Section>
+                  <Card>
+                    <BlockStack gap="400" padding="400">
+                      <InlineStack align="space-between" blockAlign="center">
+                        <BlockStack gap="100">
+                          <Text variant="headingLg" as="h2">{t('remittances.widgetTitle')}</Text>
+                          <Text variant="bodyMd" tone="subdued">{t('remittances.widgetSubtitle', { count: formatNumber(outstandingCash.count), days: outstandingCash.oldestDays })}</Text>
+                        </BlockStack>
+                        <InlineStack gap="400" blockAlign="center">
+                          <Text variant="headingXl" as="p">{formatCurrency(outstandingCash.amount)}</Text>
+                          <Button url="/app/remittances">{t('remittances.manage')}</Button>
+                        </InlineStack>
+                      </InlineStack>
+                      <InlineGrid columns={{ xs: 2, sm: 4 }} gap="400">
+                        {outstandingCash.buckets.map(bucket => (
+                          <BlockStack key={bucket.key} gap="100" inlineAlign="center">
+                            <Badge tone={bucket.key === 'over_30' && bucket.count > 0 ? "critical" : undefined}>{t(`remittances.buckets.${bucket.key}`)}</Badge>
+                            <Text variant="headingMd" alignment="center">{formatCurrency(bucket.amount)}</Text>
+                            <Text variant="bodySm" tone="subdued" alignment="center">{t('remittances.parcels', { count: formatNumber(bucket.count) })}</Text>
+                          </BlockStack>
+                        ))}
+                      </InlineGrid>
+                    </BlockStack>
+                  </Card>
+                </Layout.Section>
+              )}
+
+              {currentFacebook?.selectedAccounts?.length > 0 && (
                 <Layout.Section>
                   <Card>
                     <BlockStack gap="500">
@@ -902,15 +1178,24 @@ export default function Index() {
                           <InlineStack align="space-between" blockAlign="center">
                             <BlockStack gap="100">
                               <Text variant="headingLg" as="h2">{t('facebook.title')}</Text>
-                              <Text variant="bodyMd" tone="subdued"> {t('facebook.chooseAccount')}: {currentFacebook.selectedAccount.label} </Text>
+                              <Text variant="bodyMd" tone="subdued"> {t('facebook.chooseAccount')}: {currentFacebook.selectedAccounts.map(account => account.label).join(', ')} </Text>
+                              {syncFetcher.state !== "idle" ? (
+                                <Text variant="bodySm" tone="subdued">{t('facebook.syncing')}</Text>
+                              ) : currentFacebook.sync?.backoffUntil && new Date(currentFacebook.sync.backoffUntil) > new Date() ? (
+                                <Text variant="bodySm" tone="caution">{t('facebook.syncBackoff', { date: new Date(currentFacebook.sync.backoffUntil).toLocaleString('fr-CA') })}</Text>
+                              ) : currentFacebook.sync?.lastSyncedAt && (
+                                <Text variant="bodySm" tone="subdued">{t('facebook.lastSynced', { date: new Date(currentFacebook.sync.lastSyncedAt).toLocaleString('fr-CA') })}</Text>
+                              )}
                             </BlockStack>
-                            <Badge tone="info">{currentFacebook.selectedAccount.currency || currentFacebook.currency || shopCurrency}</Badge>
+                            <InlineStack gap="100">
+                              {[...new Set(currentFacebook.selectedAccounts.map(account => account.currency))].map(currency => <Badge key={currency} tone="info">{currency}</Badge>)}
+                            </InlineStack>
                           </InlineStack>
                         </Box>
                       </Bleed>
                       <Box padding="400">
                         <Suspense fallback={<LoadingFallback />}>
-                          <LazyFacebookMetrics facebook={currentFacebook} stats={currentStats} formatCurrency={formatCurrency} formatNumber={formatNumber} scrollToFacebookDropdown={scrollToFacebookDropdown} />
+                          <LazyFacebookMetrics facebook={currentFacebook} stats={currentStats} currency={shopCurrency} formatCurrency={formatCurrency} formatNumber={formatNumber} scrollToFacebookDropdown={scrollToFacebookDropdown} />
                         </Suspense>
                       </Box>
                     </BlockStack>
@@ -918,6 +1203,64 @@ export default function Index() {
                 </Layout.Section>
               )}
 
+              {currentFacebook?.accountBreakdown?.length > 1 && (
+                <Layout.Section>
+                  <Card>
+                    <BlockStack gap="400">
+                      <Text variant="headingMd" as="h2">{t('facebook.accountBreakdown.title')}</Text>
+                      <DataTable
+                        columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+                        headings={[
+                          t('facebook.accountBreakdown.account'), t('facebook.accountBreakdown.accountSpend'), t('facebook.accountBreakdown.spend'),
+                          t('facebook.accountBreakdown.share'), t('facebook.accountBreakdown.revenue'), t('facebook.accountBreakdown.purchases'), t('facebook.accountBreakdown.roas'),
+                        ]}
+                        rows={currentFacebook.accountBreakdown.map(account => [
+                          account.label,
+                          formatCurrency(account.accountSpend, false, account.currency),
+                          formatCurrency(account.spend, false, shopCurrency),
+                          `${facebookTotals.spend > 0 ? ((account.spend / facebookTotals.spend) * 100).toFixed(1) : '0.0'}%`,
+                          formatCurrency(account.revenue, false, shopCurrency),
+                          formatNumber(account.purchases),
+                          `${account.roas}x`,
+                        ])}
+                        totals={['', '', formatCurrency(facebookTotals.spend, false, shopCurrency), '100%', formatCurrency(facebookTotals.revenue, false, shopCurrency), formatNumber(facebookTotals.conversions), `${currentStats.fbROAS}x`]}
+                        showTotalsInFooter
+                      />
+                    </BlockStack>
+                  </Card>
+                </Layout.Section>
+              )}
+
+              {(currentStats.adPlatforms || []).some(platform => platform.platform !== 'facebook') && (
+                <Layout.Section>
+                  <Card>
+                    <BlockStack gap="400">
+                      <InlineStack align="space-between" blockAlign="center">
+                        <Text variant="headingMd" as="h2">{t('adPlatforms.breakdownTitle')}</Text>
+                        <Link url="/app/ad-platforms">{t('adPlatforms.manage')}</Link>
+                      </InlineStack>
+                      <DataTable
+                        columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+                        headings={[t('adPlatforms.platform'), t('adPlatforms.spend'), t('adPlatforms.share'), t('adPlatforms.revenue'), t('adPlatforms.conversions'), t('adPlatforms.roas'), t('adPlatforms.mer')]}
+                        rows={currentStats.adPlatforms.map(platform => [
+                          platform.error
+                            ? <InlineStack key={platform.platform} gap="200"><Text as="span">{platform.label}</Text><Badge tone="critical">{t('adPlatforms.fetchFailed')}</Badge></InlineStack>
+                            : platform.label,
+                          formatCurrency(platform.spend, false, shopCurrency),
+                          `${currentStats.adCosts > 0 ? ((platform.spend / currentStats.adCosts) * 100).toFixed(1) : '0.0'}%`,
+                          formatCurrency(platform.revenue, false, shopCurrency),
+                          formatNumber(platform.conversions),
+                          `${platform.roas}x`,
+                          `${platform.mer}x`,
+                        ])}
+                        totals={['', formatCurrency(currentStats.adCosts, false, shopCurrency), '100%', formatCurrency(currentStats.adRevenue, false, shopCurrency), formatNumber(currentStats.adPurchases), `${currentStats.adCosts > 0 ? (currentStats.adRevenue / currentStats.adCosts).toFixed(2) : 0}x`, `${currentStats.mer}x`]}
+                        showTotalsInFooter
+                      />
+                    </BlockStack>
+                  </Card>
+                </Layout.Section>
+              )}
+
               <Layout.Section>
                 <Card>
                   <BlockStack gap="400" padding="400">
@@ -952,7 +1295,7 @@ export default function Index() {
                 </Layout.Section>
               )}
 
-              {currentFacebook?.selectedAccount && (
+              {currentFacebook?.selectedAccounts?.length > 0 && (
                 <Layout.Section>
                   <CalloutCard title={t('roasCalculation.title')} illustration="https://cdn.shopify.com/s/files/1/0757/9955/files/empty-state.svg" primaryAction={{ content: t('roasCalculation.learnMore'), url: 'https://www.shopify.com/blog/roas', external: "true" }}>
                     <BlockStack gap="400">
@@ -0,0 +1,172 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useEffect, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  Text,
+  Banner,
+  TextField,
+  Button,
+  Badge,
+  FormLayout,
+  BlockStack,
+  InlineStack,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  AD_SPEND_SOURCES,
+  listAdPlatformConnections,
+  connectAdPlatform,
+  disconnectAdPlatform,
+} from "../services/adSpendSources.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+
+const emptyForm = () => ({ accessToken: "", refreshToken: "", accountIds: "" });
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  // Facebook is connected from its own page
+  const platforms = Object.entries(AD_SPEND_SOURCES).filter(([, source]) => source.connectable).map(([platform, source]) => ({
+    platform,
+    label: source.label,
+    requiresAccountIds: source.requiresAccountIds,
+    requiresRefreshToken: source.requiresRefreshToken,
+  }));
+
+  try {
+    const connections = await listAdPlatformConnections(session.shop);
+    return json({ connections, platforms, error: null });
+  } catch (error) {
+    console.error("Ad platforms loader error:", error);
+    return json({ connections: [], platforms, error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+  const platform = formData.get("platform");
+
+  try {
+    if (_action === "connect") {
+      const result = await connectAdPlatform(session.shop, platform, {
+        accessToken: formData.get("accessToken"),
+        refreshToken: formData.get("refreshToken"),
+        accountIds: formData.get("accountIds"),
+      });
+      return json({ ...result, _action, platform }, { status: result.success ? 200 : 400 });
+    }
+
+    if (_action === "disconnect") {
+      const deleted = await disconnectAdPlatform(session.shop, platform);
+      return json({ success: deleted, _action, platform, ...(deleted ? {} : { error: "Platform not connected" }) }, { status: deleted ? 200 : 404 });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Ad platforms action error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+export default function AdPlatforms() {
+  const { connections, platforms, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const { t } = useLanguage();
+  const [forms, setForms] = useState({});
+  const [toastMessage, setToastMessage] = useState(null);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    const { success, _action, platform } = fetcher.data;
+    if (!success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    if (_action === "connect") {
+      setForms(prev => ({ ...prev, [platform]: emptyForm() }));
+      setToastMessage({ content: t('adPlatforms.connected', { count: fetcher.data.accounts.length }), error: false });
+    } else if (_action === "disconnect") {
+      setToastMessage({ content: t('adPlatforms.disconnected'), error: false });
+    }
+  }, [fetcher.data, fetcher.state, t]);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const submittingPlatform = isSubmitting ? fetcher.formData?.get("platform") : null;
+
+  return (
+    <Frame>
+      <Page title={t('adPlatforms.title')} subtitle={t('adPlatforms.description')} backAction={{ url: "/app" }}>
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          {platforms.map(({ platform, label, requiresAccountIds, requiresRefreshToken }) => {
+            const connection = connections.find(item => item.platform === platform);
+            const form = forms[platform] || emptyForm();
+            const setForm = (changes) => setForms(prev => ({ ...prev, [platform]: { ...form, ...changes } }));
+            const canSubmit = (requiresRefreshToken ? form.refreshToken.trim() : form.accessToken.trim()) && (!requiresAccountIds || form.accountIds.trim());
+
+            return (
+              <Layout.Section key={platform}>
+                <Card>
+                  <BlockStack gap="400">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text variant="headingMd" as="h2">{label}</Text>
+                      {connection?.needsReconnect ? (
+                        <Badge tone="critical">{t('adPlatforms.statusNeedsReconnect')}</Badge>
+                      ) : (
+                        <Badge tone={connection ? "success" : undefined}>{connection ? t('adPlatforms.statusConnected') : t('adPlatforms.statusNotConnected')}</Badge>
+                      )}
+                    </InlineStack>
+                    {connection && (
+                      <BlockStack gap="200">
+                        {connection.accounts.map(account => (
+                          <Text key={account.id} as="p">{`${account.name} · ${account.currency} · ${account.id}`}</Text>
+                        ))}
+                        <InlineStack align="end">
+                          <Button tone="critical" onClick={() => fetcher.submit({ _action: "disconnect", platform }, { method: "post" })} disabled={isSubmitting}>
+                            {t('adPlatforms.disconnect')}
+                          </Button>
+                        </InlineStack>
+                      </BlockStack>
+                    )}
+                    <Text as="p" tone="subdued">{t(`adPlatforms.help.${platform}`)}</Text>
+                    <FormLayout>
+                      {requiresRefreshToken ? (
+                        <TextField label={t('adPlatforms.refreshToken')} type="password" value={form.refreshToken} onChange={(v) => setForm({ refreshToken: v })} helpText={t('adPlatforms.refreshTokenHelp')} autoComplete="off" />
+                      ) : (
+                        <TextField label={t('adPlatforms.accessToken')} type="password" value={form.accessToken} onChange={(v) => setForm({ accessToken: v })} autoComplete="off" />
+                      )}
+                      <TextField
+                        label={requiresAccountIds ? t('adPlatforms.accountIds') : t('adPlatforms.accountIdsOptional')}
+                        value={form.accountIds}
+                        onChange={(v) => setForm({ accountIds: v })}
+                        helpText={t('adPlatforms.accountIdsHelp')}
+                        multiline={2}
+                        autoComplete="off"
+                      />
+                      <InlineStack align="end">
+                        <Button variant="primary" onClick={() => fetcher.submit({ _action: "connect", platform, ...form }, { method: "post" })} disabled={!canSubmit || isSubmitting} loading={submittingPlatform === platform && fetcher.formData?.get("_action") === "connect"}>
+                          {connection ? t('adPlatforms.reconnect') : t('adPlatforms.connect')}
+                        </Button>
+                      </InlineStack>
+                    </FormLayout>
+                  </BlockStack>
+                </Card>
+              </Layout.Section>
+            );
+          })}
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,235 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useSearchParams } from "@remix-run/react";
+import { useEffect, useMemo, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  Button,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getPresetDates } from "../services/profitRules.server";
+import { getCurrencyConverter } from "../services/exchangeRates.server";
+import { ATTRIBUTION_LEVELS, getAdProfitReport, backfillOrderAttributions } from "../services/adAttribution.server";
+import { getCachedAdAccounts, syncFacebookInsights } from "../services/facebookSync.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency, formatNumber } from "../utils/formatters";
+
+const DATE_PRESETS_CONFIG = [
+  { value: "today", translationKey: "datePresets.today" },
+  { value: "last_7_days", translationKey: "datePresets.last7Days" },
+  { value: "last_30_days", translationKey: "datePresets.last30Days" },
+  { value: "this_month", translationKey: "datePresets.thisMonth" },
+];
+
+async function getShopCurrency(admin) {
+  const response = await admin.graphql(`#graphql
+    query getShopCurrency {
+      shop { currencyCode }
+    }
+  `);
+  const responseJson = await response.json();
+  return responseJson.data?.shop?.currencyCode || "DZD";
+}
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const preset = url.searchParams.get("preset") || "last_30_days";
+  const level = ATTRIBUTION_LEVELS.includes(url.searchParams.get("level")) ? url.searchParams.get("level") : "campaign";
+  const base = { preset, level, levels: ATTRIBUTION_LEVELS, accounts: [], accountId: null, report: null, shopCurrency: "DZD" };
+
+  try {
+    const fbCredentials = await prisma.FacebookCredential.findUnique({ where: { shop: session.shop } });
+    if (!fbCredentials?.accessToken) {
+      return json({ ...base, isConnected: false, error: null });
+    }
+
+    const accounts = await getCachedAdAccounts(fbCredentials);
+    const account = accounts.find(item => item.id === url.searchParams.get("accountId")) || accounts[0];
+    if (!account) {
+      return json({ ...base, isConnected: true, error: null });
+    }
+
+    const dateRange = getPresetDates(preset);
+    const shopCurrency = await getShopCurrency(admin);
+    const { rateFor } = await getCurrencyConverter(session.shop, shopCurrency, dateRange.end);
+    const report = await getAdProfitReport(session.shop, { adAccountId: account.id, ...dateRange, level, rateFor });
+
+    return json({ ...base, isConnected: true, accounts, accountId: account.id, report, shopCurrency, error: null });
+  } catch (error) {
+    console.error("Ad profit loader error:", error);
+    return json({ ...base, isConnected: true, error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+
+  try {
+    if (_action === "sync") {
+      const fbCredentials = await prisma.FacebookCredential.findUnique({ where: { shop: session.shop } });
+      if (!fbCredentials?.accessToken) {
+        return json({ success: false, _action, error: "Facebook is not connected." }, { status: 400 });
+      }
+      const account = (await getCachedAdAccounts(fbCredentials)).find(item => item.id === formData.get("accountId"));
+      if (!account) {
+        return json({ success: false, _action, error: "Ad account not found." }, { status: 404 });
+      }
+
+      const dateRange = getPresetDates(formData.get("preset") || "last_30_days");
+      const { rows, state, error } = await syncFacebookInsights(session.shop, fbCredentials.accessToken, account, {
+        since: dateRange.start.toISOString().slice(0, 10),
+        until: dateRange.end.toISOString().slice(0, 10),
+      }, { force: true });
+      if (error) {
+        const retryAt = state?.backoffUntil ? ` Retry after ${new Date(state.backoffUntil).toLocaleString('fr-CA')}.` : "";
+        return json({ success: false, _action, error: `${error}${retryAt}` }, { status: state?.backoffUntil ? 429 : 500 });
+      }
+      const { checked, attributed } = await backfillOrderAttributions(admin, session.shop, dateRange);
+      return json({ success: true, _action, rows, checked, attributed });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Ad profit sync error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+export default function AdProfit() {
+  const { isConnected, accounts, accountId, preset, level, levels, report, shopCurrency, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t } = useLanguage();
+  const [toastMessage, setToastMessage] = useState(null);
+
+  const presetOptions = useMemo(() => DATE_PRESETS_CONFIG.map(item => ({ value: item.value, label: t(item.translationKey) })), [t]);
+  const levelOptions = useMemo(() => levels.map(value => ({ value, label: t(`adProfit.levels.${value}`) })), [levels, t]);
+  const accountOptions = useMemo(() => accounts.map(account => ({ value: account.id, label: `${account.name} (${account.currency})` })), [accounts]);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    if (!fetcher.data.success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    const { rows, checked, attributed } = fetcher.data;
+    setToastMessage({ content: t('adProfit.synced', { rows, checked, attributed }), error: false });
+  }, [fetcher.data, fetcher.state, t]);
+
+  const setFilter = (key, value) => {
+    const params = new URLSearchParams(searchParams);
+    params.set(key, value);
+    setSearchParams(params);
+  };
+
+  const money = (amount) => formatCurrency(amount, amount < 0, shopCurrency);
+  const isSyncing = fetcher.state !== "idle";
+  const totals = report?.totals;
+
+  const rows = (report?.rows || []).map(row => [
+    row.name || row.id,
+    money(row.spend),
+    `${formatNumber(row.fbPurchases)} · ${row.fbRoas}x`,
+    formatNumber(row.orders),
+    `${formatNumber(row.deliveredOrders)} (${row.deliveryRate}%)`,
+    money(row.deliveredRevenue),
+    money(row.cogs),
+    money(row.shippingFees),
+    <Text key={`profit-${row.id}`} as="span" tone={row.netProfit < 0 ? "critical" : "success"}>{money(row.netProfit)}</Text>,
+    `${row.trueRoas}x`,
+  ]);
+
+  return (
+    <Frame>
+      <Page title={t('adProfit.title')} subtitle={t('adProfit.description')} backAction={{ url: "/app/facebook" }}>
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          {!isConnected ? (
+            <Layout.Section>
+              <Banner tone="warning" action={{ content: t('adProfit.connect'), url: "/app/facebook" }}>
+                <p>{t('adProfit.notConnected')}</p>
+              </Banner>
+            </Layout.Section>
+          ) : (
+            <>
+              <Layout.Section>
+                <Card>
+                  <InlineStack gap="300" blockAlign="end" wrap>
+                    <Select label={t('dashboard.dateRange')} options={presetOptions} value={preset} onChange={(value) => setFilter("preset", value)} />
+                    <Select label={t('dashboard.facebookAccount')} options={accountOptions} value={accountId || ""} onChange={(value) => setFilter("accountId", value)} />
+                    <Select label={t('adProfit.level')} options={levelOptions} value={level} onChange={(value) => setFilter("level", value)} />
+                    <Button variant="primary" onClick={() => fetcher.submit({ _action: "sync", accountId, preset }, { method: "post" })} loading={isSyncing} disabled={isSyncing || !accountId}>
+                      {t('adProfit.sync')}
+                    </Button>
+                  </InlineStack>
+                </Card>
+              </Layout.Section>
+              {totals && (
+                <Layout.Section>
+                  <InlineGrid columns={{ xs: 2, md: 5 }} gap="300">
+                    {[
+                      { label: t('adProfit.spend'), value: money(totals.spend) },
+                      { label: t('adProfit.deliveredRevenue'), value: money(totals.deliveredRevenue) },
+                      { label: t('adProfit.netProfit'), value: money(totals.netProfit) },
+                      { label: t('adProfit.trueRoas'), value: `${totals.trueRoas}x`, detail: t('adProfit.fbRoasValue', { roas: totals.fbRoas }) },
+                      { label: t('adProfit.unattributed'), value: formatNumber(report.unattributedOrders) },
+                    ].map(({ label, value, detail }) => (
+                      <Card key={label}>
+                        <BlockStack gap="100">
+                          <Text as="p" tone="subdued">{label}</Text>
+                          <Text variant="headingLg" as="p">{value}</Text>
+                          {detail && <Text as="p" variant="bodySm" tone="subdued">{detail}</Text>}
+                        </BlockStack>
+                      </Card>
+                    ))}
+                  </InlineGrid>
+                </Layout.Section>
+              )}
+              <Layout.Section>
+                <Card>
+                  <BlockStack gap="300">
+                    <Text as="p" tone="subdued">
+                      {report?.lastSyncedAt ? t('adProfit.lastSynced', { date: new Date(report.lastSyncedAt).toLocaleString('fr-CA') }) : t('adProfit.neverSynced')}
+                    </Text>
+                    {rows.length === 0 ? (
+                      <Text as="p" tone="subdued">{t('adProfit.empty')}</Text>
+                    ) : (
+                      <DataTable
+                        columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+                        headings={[
+                          t(`adProfit.levels.${level}`), t('adProfit.spend'), t('adProfit.fbPurchases'), t('adProfit.orders'), t('adProfit.delivered'),
+                          t('adProfit.deliveredRevenue'), t('adProfit.cogs'), t('adProfit.shippingFees'), t('adProfit.netProfit'), t('adProfit.trueRoas'),
+                        ]}
+                        rows={rows}
+                      />
+                    )}
+                    <Text as="p" variant="bodySm" tone="subdued">{t('adProfit.attributionHelp')}</Text>
+                  </BlockStack>
+                </Card>
+              </Layout.Section>
+            </>
+          )}
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
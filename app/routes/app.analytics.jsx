@@ -0,0 +1,167 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import { useMemo } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Spinner,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getPresetDates } from "../services/profitRules.server";
+import { getGeoProfitability } from "../services/geoAnalytics.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency, formatNumber } from "../utils/formatters";
+
+const DATE_PRESETS_CONFIG = [
+  { value: "today", translationKey: "datePresets.today" },
+  { value: "last_7_days", translationKey: "datePresets.last7Days" },
+  { value: "last_30_days", translationKey: "datePresets.last30Days" },
+  { value: "this_month", translationKey: "datePresets.thisMonth" },
+];
+
+// Areas returning at least this share of finished parcels are flagged
+const HIGH_RETURN_RATE = 0.3;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const preset = url.searchParams.get("preset") || "last_30_days";
+
+  try {
+    const analytics = await getGeoProfitability(session.shop, getPresetDates(preset));
+    return json({ ...analytics, preset, error: null });
+  } catch (error) {
+    console.error("Geo analytics loader error:", error);
+    return json({ wilayas: [], communes: [], totals: null, preset, error: error.message }, { status: 500 });
+  }
+};
+
+export default function Analytics() {
+  const { wilayas, communes, totals, preset, error } = useLoaderData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t } = useLanguage();
+  const selectedWilaya = searchParams.get("wilaya") || "";
+
+  const presetOptions = useMemo(() => DATE_PRESETS_CONFIG.map(item => ({ value: item.value, label: t(item.translationKey) })), [t]);
+  const wilayaOptions = useMemo(() => [
+    { value: "", label: t('geoAnalytics.allWilayas') },
+    ...wilayas.map(w => ({ value: w.wilayaId.toString(), label: `${w.wilayaId} - ${w.wilaya}` })).sort((a, b) => parseInt(a.value) - parseInt(b.value)),
+  ], [wilayas, t]);
+
+  const updateParam = (name, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) params.set(name, value);
+    else params.delete(name);
+    setSearchParams(params);
+  };
+
+  const metricCells = (row) => [
+    formatNumber(row.delivered),
+    formatNumber(row.returned),
+    row.returnRate >= HIGH_RETURN_RATE
+      ? <Badge key="rate" tone="critical">{`${(row.returnRate * 100).toFixed(1)}%`}</Badge>
+      : `${(row.returnRate * 100).toFixed(1)}%`,
+    formatCurrency(row.avgDeliveryFee),
+    formatCurrency(row.revenue),
+    formatCurrency(row.cogs),
+    formatCurrency(row.fees),
+    <Text key="profit" as="span" tone={row.netProfit < 0 ? "critical" : "success"}>{formatCurrency(row.netProfit, row.netProfit < 0)}</Text>,
+  ];
+
+  const metricHeadings = [
+    t('geoAnalytics.delivered'),
+    t('geoAnalytics.returned'),
+    t('geoAnalytics.returnRate'),
+    t('geoAnalytics.avgDeliveryFee'),
+    t('geoAnalytics.revenue'),
+    t('geoAnalytics.cogs'),
+    t('geoAnalytics.fees'),
+    t('geoAnalytics.netProfit'),
+  ];
+  const metricTypes = ['numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric'];
+
+  const communeRows = communes
+    .filter(c => !selectedWilaya || c.wilayaId.toString() === selectedWilaya)
+    .map(c => [c.commune || '-', `${c.wilayaId} - ${c.wilaya}`, ...metricCells(c)]);
+
+  const isLoading = navigation.state === "loading";
+
+  return (
+    <Page title={t('geoAnalytics.title')} subtitle={t('geoAnalytics.description')}>
+      <Layout>
+        {error && (
+          <Layout.Section>
+            <Banner tone="critical"><p>{error}</p></Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <InlineStack gap="400" align="space-between" blockAlign="end">
+              <InlineStack gap="400" blockAlign="end">
+                <Select label={t('geoAnalytics.period')} options={presetOptions} value={preset} onChange={(value) => updateParam("preset", value)} />
+                <Select label={t('geoAnalytics.wilaya')} options={wilayaOptions} value={selectedWilaya} onChange={(value) => updateParam("wilaya", value)} />
+              </InlineStack>
+              {isLoading && <Spinner size="small" />}
+            </InlineStack>
+          </Card>
+        </Layout.Section>
+        {totals && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="200">
+                <InlineStack gap="600">
+                  <Text as="p">{t('geoAnalytics.delivered')}: <strong>{formatNumber(totals.delivered)}</strong></Text>
+                  <Text as="p">{t('geoAnalytics.returnRate')}: <strong>{(totals.returnRate * 100).toFixed(1)}%</strong></Text>
+                  <Text as="p">{t('geoAnalytics.revenue')}: <strong>{formatCurrency(totals.revenue)}</strong></Text>
+                  <Text as="p">{t('geoAnalytics.netProfit')}: <strong>{formatCurrency(totals.netProfit, totals.netProfit < 0)}</strong></Text>
+                </InlineStack>
+                <Text as="p" variant="bodySm" tone="subdued">{t('geoAnalytics.adsNote')}</Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">{t('geoAnalytics.byWilaya')}</Text>
+              {wilayas.length === 0 ? (
+                <Text as="p" tone="subdued">{t('geoAnalytics.empty')}</Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={['text', ...metricTypes]}
+                  headings={[t('geoAnalytics.wilaya'), ...metricHeadings]}
+                  rows={wilayas.map(w => [`${w.wilayaId} - ${w.wilaya}`, ...metricCells(w)])}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">{t('geoAnalytics.byCommune')}</Text>
+              {communeRows.length === 0 ? (
+                <Text as="p" tone="subdued">{t('geoAnalytics.empty')}</Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={['text', 'text', ...metricTypes]}
+                  headings={[t('geoAnalytics.commune'), t('geoAnalytics.wilaya'), ...metricHeadings]}
+                  rows={communeRows}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
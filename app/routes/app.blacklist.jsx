@@ -0,0 +1,163 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useEffect, useState, useCallback } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  TextField,
+  Button,
+  Toast,
+  Frame,
+  FormLayout,
+  BlockStack,
+  InlineStack,
+  Badge,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  AUTO_BLACKLIST_MIN_REFUSALS,
+  listBlacklist,
+  addBlacklistEntry,
+  removeBlacklistEntry,
+  refreshAutoBlacklist,
+} from "../services/blacklist.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const entries = await listBlacklist(session.shop);
+    return json({ entries, minRefusals: AUTO_BLACKLIST_MIN_REFUSALS, error: null });
+  } catch (error) {
+    console.error("Blacklist loader error:", error);
+    return json({ entries: [], minRefusals: AUTO_BLACKLIST_MIN_REFUSALS, error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+
+  try {
+    if (_action === "add") {
+      const result = await addBlacklistEntry(session.shop, {
+        phone: formData.get("phone"),
+        name: formData.get("name"),
+        note: formData.get("note"),
+      });
+      return json({ ...result, _action }, { status: result.success ? 200 : 400 });
+    }
+
+    if (_action === "remove") {
+      const removed = await removeBlacklistEntry(session.shop, formData.get("id"));
+      return json({ success: removed, _action, ...(removed ? {} : { error: "Entry not found" }) }, { status: removed ? 200 : 404 });
+    }
+
+    if (_action === "rebuild") {
+      const result = await refreshAutoBlacklist(session.shop);
+      return json({ success: true, _action, ...result });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Blacklist action error:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export default function Blacklist() {
+  const { entries, minRefusals, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const { t } = useLanguage();
+  const [form, setForm] = useState({ phone: "", name: "", note: "" });
+  const [toastMessage, setToastMessage] = useState(null);
+
+  const submitAction = useCallback((_action, values = {}) => {
+    fetcher.submit({ _action, ...values }, { method: "post" });
+  }, [fetcher]);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    const { success, _action, refusers } = fetcher.data;
+    if (!success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    if (_action === "add") {
+      setForm({ phone: "", name: "", note: "" });
+      setToastMessage({ content: t('blacklist.added'), error: false });
+    } else if (_action === "remove") {
+      setToastMessage({ content: t('blacklist.removed'), error: false });
+    } else if (_action === "rebuild") {
+      setToastMessage({ content: t('blacklist.rebuildDone', { count: refusers }), error: false });
+    }
+  }, [fetcher.data, fetcher.state, t]);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const formatDate = (value) => (value ? new Date(value).toLocaleDateString('fr-CA') : '-');
+
+  const rows = entries.map(entry => [
+    entry.phone,
+    entry.name || '-',
+    entry.refusalCount,
+    formatDate(entry.lastRefusalAt),
+    <Badge key={`source-${entry.id}`} tone={entry.source === 'auto' ? 'warning' : 'info'}>{t(`blacklist.sources.${entry.source}`)}</Badge>,
+    entry.note || '-',
+    <Button key={`remove-${entry.id}`} size="slim" tone="critical" onClick={() => submitAction("remove", { id: entry.id })} disabled={isSubmitting}>{t('blacklist.remove')}</Button>,
+  ]);
+
+  return (
+    <Frame>
+      <Page
+        title={t('blacklist.title')}
+        primaryAction={{ content: t('blacklist.rebuild'), onAction: () => submitAction("rebuild"), loading: isSubmitting && fetcher.formData?.get("_action") === "rebuild" }}
+      >
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="bodyMd" as="p" tone="subdued">{t('blacklist.description', { count: minRefusals })}</Text>
+                <Text variant="headingMd" as="h2">{t('blacklist.addTitle')}</Text>
+                <FormLayout>
+                  <FormLayout.Group>
+                    <TextField label={t('blacklist.phone')} type="tel" value={form.phone} onChange={(v) => setForm({ ...form, phone: v })} autoComplete="off" requiredIndicator />
+                    <TextField label={t('blacklist.name')} value={form.name} onChange={(v) => setForm({ ...form, name: v })} autoComplete="off" />
+                  </FormLayout.Group>
+                  <TextField label={t('blacklist.note')} value={form.note} onChange={(v) => setForm({ ...form, note: v })} autoComplete="off" />
+                  <InlineStack align="end">
+                    <Button variant="primary" onClick={() => submitAction("add", form)} disabled={!form.phone || isSubmitting}>{t('blacklist.add')}</Button>
+                  </InlineStack>
+                </FormLayout>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              {rows.length === 0 ? (
+                <Text variant="bodyMd" as="p" alignment="center">{t('blacklist.empty')}</Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={['text', 'text', 'numeric', 'text', 'text', 'text', 'text']}
+                  headings={[t('blacklist.phone'), t('blacklist.name'), t('blacklist.refusals'), t('blacklist.lastRefusal'), t('blacklist.source'), t('blacklist.note'), '']}
+                  rows={rows}
+                />
+              )}
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,217 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useSearchParams } from "@remix-run/react";
+import { useEffect, useMemo, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  TextField,
+  Button,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getPresetDates } from "../services/profitRules.server";
+import { recomputeCOGSForRange } from "../services/cogsRecompute.server";
+import { OrderCOGSService } from "../models/OrderCOGS.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency } from "../utils/formatters";
+
+const DATE_PRESETS_CONFIG = [
+  { value: "today", translationKey: "datePresets.today" },
+  { value: "last_7_days", translationKey: "datePresets.last7Days" },
+  { value: "last_30_days", translationKey: "datePresets.last30Days" },
+  { value: "this_month", translationKey: "datePresets.thisMonth" },
+  { value: "custom", translationKey: "cogsHistory.customRange" },
+];
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !isNaN(new Date(`${value}T00:00:00`).getTime());
+
+/**
+ * Orders range of a recompute request, a preset or custom start and end days
+ * @param {FormData} formData
+ * @returns {{start: Date, end: Date}|null} null when the custom days are missing or reversed
+ */
+const getRecomputeRange = (formData) => {
+  const preset = formData.get("preset") || "last_30_days";
+  if (preset !== "custom") return getPresetDates(preset);
+
+  const startDate = formData.get("startDate");
+  const endDate = formData.get("endDate");
+  if (!isDateKey(startDate) || !isDateKey(endDate) || endDate < startDate) return null;
+  return { start: new Date(`${startDate}T00:00:00`), end: new Date(`${endDate}T23:59:59.999`) };
+};
+
+const REASON_TONES = { created: "info", recompute: "attention", order_updated: "warning", order_created: "warning", shipment: "success" };
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const orderId = url.searchParams.get("order") || undefined;
+
+  try {
+    const revisions = await new OrderCOGSService().getRevisions(session.shop, { orderId, take: 100 });
+    return json({ revisions, error: null });
+  } catch (error) {
+    console.error("COGS history loader error:", error);
+    return json({ revisions: [], error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+
+  try {
+    if (_action === "recompute") {
+      const dateRange = getRecomputeRange(formData);
+      if (!dateRange) {
+        return json({ success: false, _action, error: "A valid start and end date are required." }, { status: 400 });
+      }
+      const result = await recomputeCOGSForRange(admin, session.shop, dateRange);
+      return json({ success: true, _action, result });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("COGS recompute error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+export default function COGSHistory() {
+  const { revisions, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t } = useLanguage();
+  const [preset, setPreset] = useState("last_30_days");
+  const [customRange, setCustomRange] = useState({ startDate: "", endDate: "" });
+  const [orderFilter, setOrderFilter] = useState(searchParams.get("order") || "");
+  const [toastMessage, setToastMessage] = useState(null);
+
+  const presetOptions = useMemo(() => DATE_PRESETS_CONFIG.map(item => ({ value: item.value, label: t(item.translationKey) })), [t]);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    if (!fetcher.data.success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    const { checked, changed, missing } = fetcher.data.result;
+    setToastMessage({ content: t('cogsHistory.recomputed', { checked, changed, missing }), error: false });
+  }, [fetcher.data, fetcher.state, t]);
+
+  const applyOrderFilter = () => {
+    const params = new URLSearchParams(searchParams);
+    if (orderFilter.trim()) params.set("order", orderFilter.trim());
+    else params.delete("order");
+    setSearchParams(params);
+  };
+
+  const isRecomputing = fetcher.state !== "idle";
+  const isCustomRangeValid = preset !== "custom" || (isDateKey(customRange.startDate) && isDateKey(customRange.endDate) && customRange.startDate <= customRange.endDate);
+  const lastResult = fetcher.state === "idle" && fetcher.data?.success ? fetcher.data.result : null;
+
+  const describeChange = (change) => {
+    if (change.field === 'landedCost') {
+      return t('cogsHistory.landedCostChanged', { before: formatCurrency(change.before), after: formatCurrency(change.after) });
+    }
+    if (change.field === 'item') {
+      return change.before === null
+        ? t('cogsHistory.itemAdded', { title: change.title, quantity: change.after })
+        : t('cogsHistory.itemRemoved', { title: change.title, quantity: change.before });
+    }
+    const format = change.field === 'quantity' ? (value) => value : (value) => formatCurrency(value);
+    return t('cogsHistory.fieldChanged', {
+      title: change.title,
+      field: t(`cogsHistory.fields.${change.field}`),
+      before: format(change.before),
+      after: format(change.after),
+    });
+  };
+
+  const rows = revisions.map(revision => {
+    const delta = revision.previousTotalCost === null ? null : revision.totalCost - revision.previousTotalCost;
+    return [
+      new Date(revision.createdAt).toLocaleString('fr-CA'),
+      <Button key={`order-${revision.id}`} variant="plain" onClick={() => { setOrderFilter(revision.orderId); setSearchParams({ order: revision.orderId }); }}>{revision.orderName}</Button>,
+      <Badge key="reason" tone={REASON_TONES[revision.reason]}>{t(`cogsHistory.reasons.${revision.reason}`)}</Badge>,
+      revision.previousTotalCost === null ? '-' : formatCurrency(revision.previousTotalCost),
+      formatCurrency(revision.totalCost),
+      delta === null || Math.abs(delta) < 0.01 ? '-' : <Text key="delta" as="span" tone={delta > 0 ? "critical" : "success"}>{`${delta > 0 ? '+' : '-'}${formatCurrency(Math.abs(delta))}`}</Text>,
+      revision.changes.length === 0
+        ? '-'
+        : <BlockStack key="changes" gap="100">{revision.changes.map((change, index) => <Text key={index} as="span" variant="bodySm">{describeChange(change)}</Text>)}</BlockStack>,
+    ];
+  });
+
+  return (
+    <Frame>
+      <Page title={t('cogsHistory.title')} subtitle={t('cogsHistory.description')} backAction={{ url: "/app/products" }}>
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">{t('cogsHistory.recomputeTitle')}</Text>
+                <Text as="p" tone="subdued">{t('cogsHistory.recomputeHelp')}</Text>
+                <InlineStack gap="300" blockAlign="end">
+                  <Select label={t('cogsHistory.period')} options={presetOptions} value={preset} onChange={setPreset} />
+                  {preset === "custom" && (
+                    <>
+                      <TextField label={t('cogsHistory.startDate')} type="date" value={customRange.startDate} onChange={(v) => setCustomRange({ ...customRange, startDate: v })} autoComplete="off" />
+                      <TextField label={t('cogsHistory.endDate')} type="date" value={customRange.endDate} onChange={(v) => setCustomRange({ ...customRange, endDate: v })} autoComplete="off" />
+                    </>
+                  )}
+                  <Button variant="primary" onClick={() => fetcher.submit({ _action: "recompute", preset, ...(preset === "custom" ? customRange : {}) }, { method: "post" })} loading={isRecomputing} disabled={isRecomputing || !isCustomRangeValid}>
+                    {t('cogsHistory.recompute')}
+                  </Button>
+                </InlineStack>
+                {lastResult && lastResult.changed > 0 && (
+                  <Banner tone="info">
+                    <p>{t('cogsHistory.costDelta', { amount: `${lastResult.costDelta >= 0 ? '+' : '-'}${formatCurrency(Math.abs(lastResult.costDelta))}` })}</p>
+                  </Banner>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="end">
+                  <Text variant="headingMd" as="h2">{t('cogsHistory.revisions')}</Text>
+                  <InlineStack gap="200" blockAlign="end">
+                    <TextField label={t('cogsHistory.orderId')} labelHidden placeholder={t('cogsHistory.orderId')} value={orderFilter} onChange={setOrderFilter} autoComplete="off" />
+                    <Button onClick={applyOrderFilter}>{t('cogsHistory.filter')}</Button>
+                  </InlineStack>
+                </InlineStack>
+                {rows.length === 0 ? (
+                  <Text as="p" tone="subdued">{t('cogsHistory.empty')}</Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'text', 'numeric', 'numeric', 'numeric', 'text']}
+                    headings={[t('cogsHistory.date'), t('cogsHistory.order'), t('cogsHistory.reason'), t('cogsHistory.before'), t('cogsHistory.after'), t('cogsHistory.delta'), t('cogsHistory.changes')]}
+                    rows={rows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,241 @@
+import { json } from "@remix-run/node";
+import { useFetcher } from "@remix-run/react";
+import { useEffect, useMemo, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Button,
+  Checkbox,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { fetchVariantCosts, exportCostSheet, previewCostImport, applyCostChanges } from "../services/costSpreadsheet.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency, formatNumber } from "../utils/formatters";
+
+const STATUS_TONES = { change: "attention", unchanged: undefined, skipped: undefined, invalid: "critical" };
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+  return json({});
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+
+  try {
+    if (_action === "export") {
+      const format = formData.get("format") === "csv" ? "csv" : "xlsx";
+      const file = exportCostSheet(await fetchVariantCosts(admin), format);
+      return json({ success: true, _action, file });
+    }
+
+    if (_action === "preview") {
+      const uploadedFile = formData.get("file");
+      if (!uploadedFile || !(uploadedFile instanceof Blob)) {
+        return json({ success: false, _action, error: "No valid file selected" }, { status: 400 });
+      }
+      const preview = previewCostImport(await uploadedFile.arrayBuffer(), await fetchVariantCosts(admin));
+      if (preview.error) {
+        return json({ success: false, _action, error: preview.error }, { status: 400 });
+      }
+      return json({ success: true, _action, ...preview });
+    }
+
+    if (_action === "apply") {
+      let changes;
+      try { changes = JSON.parse(formData.get("changes") || "[]"); } catch (err) { changes = null; }
+      const valid = Array.isArray(changes) && changes.every(change =>
+        typeof change.inventoryItemId === "string" && change.inventoryItemId.startsWith("gid://shopify/InventoryItem/")
+        && typeof change.newCost === "number" && change.newCost >= 0);
+      if (!valid || changes.length === 0) {
+        return json({ success: false, _action, error: "No valid cost changes to apply." }, { status: 400 });
+      }
+      const results = await applyCostChanges(admin, session.shop, changes);
+      return json({ success: true, _action, results });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Bulk costs action error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+const downloadFile = ({ fileName, mimeType, content }) => {
+  const bytes = Uint8Array.from(atob(content), char => char.charCodeAt(0));
+  const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function BulkCosts() {
+  const exportFetcher = useFetcher();
+  const fetcher = useFetcher();
+  const { t } = useLanguage();
+  const [preview, setPreview] = useState(null);
+  const [results, setResults] = useState(null);
+  const [changesOnly, setChangesOnly] = useState(true);
+  const [toastMessage, setToastMessage] = useState(null);
+
+  useEffect(() => {
+    if (!exportFetcher.data || exportFetcher.state !== "idle") return;
+    if (exportFetcher.data.success) downloadFile(exportFetcher.data.file);
+    else setToastMessage({ content: exportFetcher.data.error || "Unknown error", error: true });
+  }, [exportFetcher.data, exportFetcher.state]);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    const { success, _action } = fetcher.data;
+    if (!success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    if (_action === "preview") {
+      setPreview({ rows: fetcher.data.rows, counts: fetcher.data.counts });
+      setResults(null);
+    } else if (_action === "apply") {
+      const byRow = Object.fromEntries(fetcher.data.results.map(result => [result.row, result]));
+      const updated = fetcher.data.results.filter(result => result.success).length;
+      setResults(byRow);
+      setToastMessage({ content: t('costImport.applied', { updated, failed: fetcher.data.results.length - updated }), error: updated === 0 });
+    }
+  }, [fetcher.data, fetcher.state, t]);
+
+  const handleFileSelect = (event) => {
+    const selectedFile = event.target.files[0];
+    event.target.value = "";
+    if (!selectedFile) return;
+    if (!/\.(xlsx|xls|csv)$/i.test(selectedFile.name)) {
+      setToastMessage({ content: t('costImport.selectFile'), error: true });
+      return;
+    }
+    const formData = new FormData();
+    formData.append("_action", "preview");
+    formData.append("file", selectedFile);
+    fetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const changes = useMemo(() => (preview?.rows || []).filter(row => row.status === "change"), [preview]);
+  // After applying, only the rows that failed can be sent again
+  const pendingChanges = results ? changes.filter(row => !results[row.row]?.success) : changes;
+  const largeChangeCount = changes.filter(row => row.largeChange).length;
+
+  const handleApply = () => {
+    const payload = pendingChanges.map(({ row, variantId, productId, inventoryItemId, oldCost, newCost }) => ({ row, variantId, productId, inventoryItemId, oldCost, newCost }));
+    fetcher.submit({ _action: "apply", changes: JSON.stringify(payload) }, { method: "post" });
+  };
+
+  const isExporting = exportFetcher.state !== "idle";
+  const isSubmitting = fetcher.state !== "idle";
+  const submittingAction = fetcher.formData?.get("_action");
+
+  const statusCell = (row) => {
+    const result = results?.[row.row];
+    if (result) {
+      return result.success
+        ? <Badge key="status" tone="success">{t('costImport.updated')}</Badge>
+        : <Badge key="status" tone="critical">{`${t('costImport.failed')}: ${result.error}`}</Badge>;
+    }
+    return (
+      <Badge key="status" tone={STATUS_TONES[row.status]}>
+        {row.error ? t(`costImport.errors.${row.error}`) : t(`costImport.status.${row.status}`)}
+      </Badge>
+    );
+  };
+
+  const tableRows = (preview?.rows || [])
+    .filter(row => !changesOnly || row.status === "change" || row.status === "invalid")
+    .map(row => [
+      row.row,
+      row.sku || '-',
+      row.title || '-',
+      row.rawCost || '-',
+      row.oldCost === null ? '-' : formatCurrency(row.oldCost),
+      row.newCost === null ? '-' : <Text key={`cost-${row.row}`} as="span" tone={row.largeChange ? "critical" : undefined}>{formatCurrency(row.newCost)}</Text>,
+      statusCell(row),
+    ]);
+
+  return (
+    <Frame>
+      <Page title={t('costImport.title')} subtitle={t('costImport.description')} backAction={{ url: "/app/products" }}>
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('costImport.exportTitle')}</Text>
+                <Text as="p" tone="subdued">{t('costImport.exportHelp')}</Text>
+                <InlineStack gap="200">
+                  <Button onClick={() => exportFetcher.submit({ _action: "export", format: "xlsx" }, { method: "post" })} loading={isExporting && exportFetcher.formData?.get("format") === "xlsx"} disabled={isExporting}>
+                    {t('costImport.exportXlsx')}
+                  </Button>
+                  <Button onClick={() => exportFetcher.submit({ _action: "export", format: "csv" }, { method: "post" })} loading={isExporting && exportFetcher.formData?.get("format") === "csv"} disabled={isExporting}>
+                    {t('costImport.exportCsv')}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd" as="h2">{t('costImport.importTitle')}</Text>
+                  <Button onClick={() => document.getElementById("cost-file-upload").click()} loading={isSubmitting && submittingAction === "preview"} disabled={isSubmitting}>
+                    {t('costImport.upload')}
+                  </Button>
+                  <input id="cost-file-upload" type="file" accept=".xlsx,.xls,.csv" style={{ display: "none" }} onChange={handleFileSelect} />
+                </InlineStack>
+                <Text as="p" tone="subdued">{t('costImport.importHelp')}</Text>
+                {preview && (
+                  <>
+                    <InlineStack gap="200">
+                      {Object.entries(preview.counts).map(([status, count]) => (
+                        <Badge key={status} tone={STATUS_TONES[status]}>{`${t(`costImport.status.${status}`)}: ${formatNumber(count)}`}</Badge>
+                      ))}
+                    </InlineStack>
+                    {preview.counts.invalid > 0 && (
+                      <Banner tone="warning"><p>{t('costImport.invalidRows', { count: preview.counts.invalid })}</p></Banner>
+                    )}
+                    {largeChangeCount > 0 && (
+                      <Banner tone="warning"><p>{t('costImport.largeChanges', { count: largeChangeCount })}</p></Banner>
+                    )}
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Checkbox label={t('costImport.changesOnly')} checked={changesOnly} onChange={setChangesOnly} />
+                      <Button variant="primary" onClick={handleApply} disabled={pendingChanges.length === 0 || isSubmitting} loading={isSubmitting && submittingAction === "apply"}>
+                        {t('costImport.apply', { count: pendingChanges.length })}
+                      </Button>
+                    </InlineStack>
+                    {tableRows.length === 0 ? (
+                      <Text as="p" tone="subdued">{t('costImport.noChanges')}</Text>
+                    ) : (
+                      <DataTable
+                        columnContentTypes={['numeric', 'text', 'text', 'text', 'numeric', 'numeric', 'text']}
+                        headings={[t('costImport.row'), 'SKU', t('costImport.variant'), t('costImport.fileValue'), t('costImport.oldCost'), t('costImport.newCost'), t('costImport.result')]}
+                        rows={tableRows}
+                      />
+                    )}
+                  </>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
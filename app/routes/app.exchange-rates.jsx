@@ -0,0 +1,228 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useEffect, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  TextField,
+  Button,
+  FormLayout,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { listExchangeRates, saveExchangeRate, deleteExchangeRate, importExchangeRates } from "../services/exchangeRates.server";
+import { getShopSettings, updateShopSettings } from "../models/ShopSettings.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  try {
+    const [rates, settings, response] = await Promise.all([
+      listExchangeRates(session.shop),
+      getShopSettings(session.shop),
+      admin.graphql(`#graphql
+        query getShopCurrency {
+          shop { currencyCode }
+        }
+      `),
+    ]);
+    const responseJson = await response.json();
+    return json({ rates, defaultRate: settings.exchangeRate, shopCurrency: responseJson.data?.shop?.currencyCode || "DZD", error: null });
+  } catch (error) {
+    console.error("Exchange rates loader error:", error);
+    return json({ rates: [], defaultRate: 1, shopCurrency: "DZD", error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+
+  try {
+    if (_action === "save") {
+      const result = await saveExchangeRate(session.shop, {
+        currency: formData.get("currency"),
+        date: formData.get("date"),
+        rate: formData.get("rate"),
+      });
+      return json({ ...result, _action }, { status: result.success ? 200 : 400 });
+    }
+
+    if (_action === "import") {
+      const uploadedFile = formData.get("file");
+      if (!uploadedFile || !(uploadedFile instanceof Blob)) {
+        return json({ success: false, _action, error: "No valid file selected" }, { status: 400 });
+      }
+      const result = await importExchangeRates(session.shop, await uploadedFile.arrayBuffer(), formData.get("currency") || "USD");
+      if (result.error) {
+        return json({ success: false, _action, error: result.error }, { status: 400 });
+      }
+      return json({ success: true, _action, ...result });
+    }
+
+    if (_action === "default") {
+      const exchangeRate = parseFloat(formData.get("rate"));
+      if (isNaN(exchangeRate) || exchangeRate <= 0) {
+        return json({ success: false, _action, error: "Rate must be a positive number" }, { status: 400 });
+      }
+      await updateShopSettings(session.shop, { exchangeRate });
+      return json({ success: true, _action });
+    }
+
+    if (_action === "delete") {
+      const deleted = await deleteExchangeRate(session.shop, formData.get("id"));
+      return json({ success: deleted, _action, ...(deleted ? {} : { error: "Rate not found" }) }, { status: deleted ? 200 : 404 });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Exchange rates action error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+export default function ExchangeRates() {
+  const { rates, defaultRate, shopCurrency, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const { t } = useLanguage();
+  const [form, setForm] = useState({ currency: "USD", date: today(), rate: "" });
+  const [defaultValue, setDefaultValue] = useState(String(defaultRate));
+  const [importErrors, setImportErrors] = useState([]);
+  const [toastMessage, setToastMessage] = useState(null);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    const { success, _action } = fetcher.data;
+    if (!success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    if (_action === "save") {
+      setForm(current => ({ ...current, rate: "" }));
+      setToastMessage({ content: t('exchangeRates.saved'), error: false });
+    } else if (_action === "import") {
+      setImportErrors(fetcher.data.invalid);
+      setToastMessage({ content: t('exchangeRates.imported', { imported: fetcher.data.imported, invalid: fetcher.data.invalid.length }), error: fetcher.data.imported === 0 });
+    } else if (_action === "default") {
+      setToastMessage({ content: t('exchangeRates.defaultSaved'), error: false });
+    } else if (_action === "delete") {
+      setToastMessage({ content: t('exchangeRates.deleted'), error: false });
+    }
+  }, [fetcher.data, fetcher.state, t]);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const submittingAction = fetcher.formData?.get("_action");
+
+  const handleFileSelect = (event) => {
+    const selectedFile = event.target.files[0];
+    event.target.value = "";
+    if (!selectedFile) return;
+    if (!/\.(xlsx|xls|csv)$/i.test(selectedFile.name)) {
+      setToastMessage({ content: t('exchangeRates.selectFile'), error: true });
+      return;
+    }
+    const formData = new FormData();
+    formData.append("_action", "import");
+    formData.append("currency", form.currency);
+    formData.append("file", selectedFile);
+    fetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const rows = rates.map(rate => [
+    String(rate.date).slice(0, 10),
+    rate.currency,
+    `${rate.rate} ${shopCurrency}`,
+    <Badge key={`source-${rate.id}`} tone={rate.source === "import" ? "info" : undefined}>{t(`exchangeRates.sources.${rate.source}`)}</Badge>,
+    <Button key={`delete-${rate.id}`} size="slim" tone="critical" onClick={() => fetcher.submit({ _action: "delete", id: rate.id }, { method: "post" })} disabled={isSubmitting}>{t('exchangeRates.delete')}</Button>,
+  ]);
+
+  return (
+    <Frame>
+      <Page title={t('exchangeRates.title')} subtitle={t('exchangeRates.description', { currency: shopCurrency })} backAction={{ url: "/app" }}>
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">{t('exchangeRates.addTitle')}</Text>
+                <FormLayout>
+                  <FormLayout.Group>
+                    <TextField label={t('exchangeRates.date')} type="date" value={form.date} onChange={(v) => setForm({ ...form, date: v })} autoComplete="off" />
+                    <TextField label={t('exchangeRates.currency')} value={form.currency} onChange={(v) => setForm({ ...form, currency: v.toUpperCase() })} maxLength={3} autoComplete="off" />
+                    <TextField label={t('exchangeRates.rate')} type="number" min={0} value={form.rate} onChange={(v) => setForm({ ...form, rate: v })} suffix={shopCurrency} autoComplete="off" />
+                  </FormLayout.Group>
+                  <InlineStack align="space-between" blockAlign="center">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Button onClick={() => document.getElementById("rate-file-upload").click()} loading={isSubmitting && submittingAction === "import"} disabled={isSubmitting}>
+                        {t('exchangeRates.import')}
+                      </Button>
+                      <input id="rate-file-upload" type="file" accept=".xlsx,.xls,.csv" style={{ display: "none" }} onChange={handleFileSelect} />
+                      <Text as="span" tone="subdued">{t('exchangeRates.importHelp', { currency: form.currency })}</Text>
+                    </InlineStack>
+                    <Button variant="primary" onClick={() => fetcher.submit({ _action: "save", ...form }, { method: "post" })} disabled={!form.date || form.rate === "" || isSubmitting} loading={isSubmitting && submittingAction === "save"}>
+                      {t('exchangeRates.save')}
+                    </Button>
+                  </InlineStack>
+                </FormLayout>
+                {importErrors.length > 0 && (
+                  <Banner tone="warning">
+                    <BlockStack gap="100">
+                      {importErrors.slice(0, 10).map(item => <Text key={item.row} as="p">{t('exchangeRates.rowError', { row: item.row, error: item.error })}</Text>)}
+                    </BlockStack>
+                  </Banner>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('exchangeRates.defaultTitle')}</Text>
+                <Text as="p" tone="subdued">{t('exchangeRates.defaultHelp')}</Text>
+                <InlineStack gap="200" blockAlign="end">
+                  <TextField label={t('exchangeRates.rate')} labelHidden type="number" min={0} value={defaultValue} onChange={setDefaultValue} suffix={shopCurrency} autoComplete="off" />
+                  <Button onClick={() => fetcher.submit({ _action: "default", rate: defaultValue }, { method: "post" })} disabled={isSubmitting} loading={isSubmitting && submittingAction === "default"}>
+                    {t('exchangeRates.save')}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('exchangeRates.history')}</Text>
+                {rows.length === 0 ? (
+                  <Text as="p" tone="subdued">{t('exchangeRates.empty')}</Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'numeric', 'text', 'text']}
+                    headings={[t('exchangeRates.date'), t('exchangeRates.currency'), t('exchangeRates.rate'), t('exchangeRates.source'), '']}
+                    rows={rows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
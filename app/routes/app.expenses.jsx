@@ -0,0 +1,200 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useEffect, useMemo, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  TextField,
+  Button,
+  FormLayout,
+  BlockStack,
+  InlineStack,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  EXPENSE_CATEGORIES,
+  EXPENSE_RECURRENCES,
+  listOperatingExpenses,
+  createOperatingExpense,
+  endOperatingExpense,
+  deleteOperatingExpense,
+} from "../models/OperatingExpense.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency } from "../utils/formatters";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyForm = (currency) => ({ name: "", category: "rent", amount: "", currency, recurrence: "monthly", startDate: today(), endDate: "" });
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const base = { categories: EXPENSE_CATEGORIES, recurrences: EXPENSE_RECURRENCES };
+
+  try {
+    const [expenses, response] = await Promise.all([
+      listOperatingExpenses(session.shop),
+      admin.graphql(`#graphql
+        query getShopCurrency {
+          shop { currencyCode }
+        }
+      `),
+    ]);
+    const responseJson = await response.json();
+    return json({ ...base, expenses, shopCurrency: responseJson.data?.shop?.currencyCode || "DZD", error: null });
+  } catch (error) {
+    console.error("Expenses loader error:", error);
+    return json({ ...base, expenses: [], shopCurrency: "DZD", error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+
+  try {
+    if (_action === "create") {
+      const result = await createOperatingExpense(session.shop, {
+        name: formData.get("name"),
+        category: formData.get("category"),
+        amount: formData.get("amount"),
+        currency: formData.get("currency"),
+        recurrence: formData.get("recurrence"),
+        startDate: formData.get("startDate"),
+        endDate: formData.get("endDate"),
+      });
+      return json({ ...result, _action }, { status: result.success ? 200 : 400 });
+    }
+
+    if (_action === "end") {
+      const result = await endOperatingExpense(session.shop, formData.get("id"), formData.get("endDate"));
+      return json({ ...result, _action }, { status: result.success ? 200 : 404 });
+    }
+
+    if (_action === "delete") {
+      const deleted = await deleteOperatingExpense(session.shop, formData.get("id"));
+      return json({ success: deleted, _action, ...(deleted ? {} : { error: "Expense not found" }) }, { status: deleted ? 200 : 404 });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Expenses action error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+export default function Expenses() {
+  const { expenses, categories, recurrences, shopCurrency, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const { t } = useLanguage();
+  const [form, setForm] = useState(() => emptyForm(shopCurrency));
+  const [toastMessage, setToastMessage] = useState(null);
+
+  const categoryOptions = useMemo(() => categories.map(category => ({ value: category, label: t(`expenses.categories.${category}`) })), [categories, t]);
+  const recurrenceOptions = useMemo(() => recurrences.map(recurrence => ({ value: recurrence, label: t(`expenses.recurrences.${recurrence}`) })), [recurrences, t]);
+  const currencyOptions = useMemo(() => [...new Set([shopCurrency, "USD", "EUR"])].map(code => ({ value: code, label: code })), [shopCurrency]);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    const { success, _action } = fetcher.data;
+    if (!success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    if (_action === "create") {
+      setForm(emptyForm(shopCurrency));
+      setToastMessage({ content: t('expenses.created'), error: false });
+    } else if (_action === "end") {
+      setToastMessage({ content: t('expenses.ended'), error: false });
+    } else if (_action === "delete") {
+      setToastMessage({ content: t('expenses.deleted'), error: false });
+    }
+  }, [fetcher.data, fetcher.state, t, shopCurrency]);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const isOneOff = form.recurrence === "one_off";
+  const formatDay = (value) => (value ? String(value).slice(0, 10) : t('expenses.ongoing'));
+
+  const rows = expenses.map(expense => [
+    expense.name,
+    t(`expenses.categories.${expense.category}`),
+    formatCurrency(expense.amount, false, expense.currency),
+    t(`expenses.recurrences.${expense.recurrence}`),
+    formatDay(expense.startDate),
+    expense.recurrence === "one_off" ? '-' : formatDay(expense.endDate),
+    <InlineStack key={`actions-${expense.id}`} gap="200">
+      {expense.recurrence !== "one_off" && !expense.endDate && (
+        <Button size="slim" onClick={() => fetcher.submit({ _action: "end", id: expense.id, endDate: today() }, { method: "post" })} disabled={isSubmitting}>{t('expenses.endToday')}</Button>
+      )}
+      <Button size="slim" tone="critical" onClick={() => fetcher.submit({ _action: "delete", id: expense.id }, { method: "post" })} disabled={isSubmitting}>{t('expenses.delete')}</Button>
+    </InlineStack>,
+  ]);
+
+  return (
+    <Frame>
+      <Page title={t('expenses.title')} subtitle={t('expenses.description')} backAction={{ url: "/app" }}>
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">{t('expenses.addTitle')}</Text>
+                <FormLayout>
+                  <FormLayout.Group>
+                    <TextField label={t('expenses.name')} value={form.name} onChange={(v) => setForm({ ...form, name: v })} placeholder={t('expenses.namePlaceholder')} autoComplete="off" />
+                    <Select label={t('expenses.category')} options={categoryOptions} value={form.category} onChange={(v) => setForm({ ...form, category: v })} />
+                  </FormLayout.Group>
+                  <FormLayout.Group>
+                    <TextField label={t('expenses.amount')} type="number" min={0} value={form.amount} onChange={(v) => setForm({ ...form, amount: v })} autoComplete="off" />
+                    <Select label={t('expenses.currency')} options={currencyOptions} value={form.currency} onChange={(v) => setForm({ ...form, currency: v })} helpText={form.currency !== shopCurrency ? t('expenses.currencyHelp') : undefined} />
+                    <Select label={t('expenses.recurrence')} options={recurrenceOptions} value={form.recurrence} onChange={(v) => setForm({ ...form, recurrence: v })} />
+                  </FormLayout.Group>
+                  <FormLayout.Group>
+                    <TextField label={isOneOff ? t('expenses.date') : t('expenses.startDate')} type="date" value={form.startDate} onChange={(v) => setForm({ ...form, startDate: v })} autoComplete="off" />
+                    {!isOneOff && (
+                      <TextField label={t('expenses.endDate')} type="date" value={form.endDate} onChange={(v) => setForm({ ...form, endDate: v })} helpText={t('expenses.endDateHelp')} autoComplete="off" />
+                    )}
+                  </FormLayout.Group>
+                  <InlineStack align="end">
+                    <Button variant="primary" onClick={() => fetcher.submit({ _action: "create", ...form }, { method: "post" })} disabled={!form.name.trim() || form.amount === "" || !form.startDate || isSubmitting} loading={isSubmitting && fetcher.formData?.get("_action") === "create"}>
+                      {t('expenses.add')}
+                    </Button>
+                  </InlineStack>
+                </FormLayout>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('expenses.list')}</Text>
+                <Text as="p" tone="subdued">{t('expenses.prorationHint')}</Text>
+                {rows.length === 0 ? (
+                  <Text as="p" tone="subdued">{t('expenses.empty')}</Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'numeric', 'text', 'text', 'text', 'text']}
+                    headings={[t('expenses.name'), t('expenses.category'), t('expenses.amount'), t('expenses.recurrence'), t('expenses.startDate'), t('expenses.endDate'), '']}
+                    rows={rows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
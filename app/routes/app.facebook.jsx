@@ -13,6 +13,7 @@ import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
 import { authenticate } from "../shopify.server.js";
 import prisma from "../db.server.js";
 import { facebook } from "../services/facebook.server.js";
+import { syncFacebookInsights, getStoredCampaigns, getStoredCampaignInsights } from "../services/facebookSync.server.js";
 import { FACEBOOK_GRAPH_URL } from "../constants.js";
 function handlePageChange() {}
 
@@ -207,19 +208,22 @@ export const loader = async ({ request }) => {
     }
 
     try {
-      let timeRange = { since: '', until: '' };
-      if (dateRange === 'custom' && startDate && endDate) {
-        timeRange.since = startDate;
-        timeRange.until = endDate;
-      } else {
-        timeRange = dateRange;
-      }
+      // Insights come from the local store, the sync only fetches the days it is missing
+      const { since, until } = facebook.getDateRange(dateRange, startDate, endDate);
+      const { state } = await syncFacebookInsights(session.shop, fbCredentials.accessToken, validAccount, { since, until });
+      const storedInsights = await getStoredCampaignInsights(session.shop, accountIdToLoad, since, until);
 
-      const campaignData = await facebook.getCampaigns(
-        fbCredentials.accessToken,
-        accountIdToLoad,
-        timeRange
-      );
+      // Campaign names, statuses and budgets are stored by the sync, campaigns Facebook no longer lists keep their insight name
+      const storedCampaigns = await getStoredCampaigns(session.shop, accountIdToLoad);
+      const campaignIds = new Set(storedCampaigns.map(campaign => campaign.id));
+      const campaignData = {
+        ...facebook.combineCampaignInsights(
+          [...storedCampaigns, ...[...storedInsights].filter(([id]) => !campaignIds.has(id)).map(([id, insights]) => ({ id, name: insights.name, objective: '', status: 'DELETED' }))],
+          storedInsights
+        ),
+        currency: validAccount.currency || 'USD',
+        accountName: validAccount.name,
+      };
 
       const { campaigns, metrics, currency, accountName } = campaignData;
 
@@ -235,7 +239,12 @@ export const loader = async ({ request }) => {
         startDate,
         endDate,
         currency,
-        accountName
+        accountName,
+        sync: {
+          lastSyncedAt: state?.lastSyncedAt || null,
+          backoffUntil: state?.backoffUntil || null,
+          error: state?.lastError || null,
+        },
       });
 
     } catch (error) {
@@ -427,6 +436,7 @@ export default function FacebookAds() {
     endDate: initialEndDate,
     error: loaderError,
     redirect,
+    sync,
   } = loaderData;
 
   const actionData = useActionData();
@@ -664,6 +674,9 @@ export default function FacebookAds() {
           secondaryActions={isConnected ? [{
             content: t('facebookAds.actions.connectionSettings'),
             onAction: () => setIsConnectModalOpen(true)
+          }, {
+            content: t('adProfit.title'),
+            url: "/app/ad-profit"
           }] : []}
         >
           <Layout>
@@ -679,6 +692,11 @@ export default function FacebookAds() {
                     )}
                   </Banner>
                 )}
+                {sync?.backoffUntil && new Date(sync.backoffUntil) > new Date() && (
+                  <Banner tone="warning">
+                    <p>{t('facebook.syncBackoff', { date: new Date(sync.backoffUntil).toLocaleString('fr-CA') })}</p>
+                  </Banner>
+                )}
                 {actionData?.error && (
                   <Banner status="critical" title={t('facebookAds.errors.actionError')} onDismiss={() => navigate(".", { replace: true })}>
                     <p>{actionData.error}</p>
@@ -0,0 +1,154 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigation, useSearchParams } from "@remix-run/react";
+import { useMemo } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Spinner,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getPresetDates } from "../services/profitRules.server";
+import { getFeeReconciliation } from "../services/shipping.service";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency, formatNumber } from "../utils/formatters";
+
+const DATE_PRESETS_CONFIG = [
+  { value: "today", translationKey: "datePresets.today" },
+  { value: "last_7_days", translationKey: "datePresets.last7Days" },
+  { value: "last_30_days", translationKey: "datePresets.last30Days" },
+  { value: "this_month", translationKey: "datePresets.thisMonth" },
+];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const preset = url.searchParams.get("preset") || "last_30_days";
+
+  try {
+    const reconciliation = await getFeeReconciliation(session.shop, getPresetDates(preset));
+    return json({ ...reconciliation, preset, error: null });
+  } catch (error) {
+    console.error("Fee report loader error:", error);
+    return json({ rows: [], totals: null, preset, error: error.message }, { status: 500 });
+  }
+};
+
+export default function FeeReport() {
+  const { rows, totals, preset, error } = useLoaderData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t } = useLanguage();
+  const mismatchesOnly = searchParams.get("filter") === "mismatches";
+
+  const presetOptions = useMemo(() => DATE_PRESETS_CONFIG.map(item => ({ value: item.value, label: t(item.translationKey) })), [t]);
+  const filterOptions = useMemo(() => [
+    { value: "", label: t('feeReport.allShipments') },
+    { value: "mismatches", label: t('feeReport.mismatchesOnly') },
+  ], [t]);
+
+  const updateParam = (name, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) params.set(name, value);
+    else params.delete(name);
+    setSearchParams(params);
+  };
+
+  const differenceCell = (difference) => {
+    if (difference === null) return <Badge key="diff">{t('feeReport.notBilled')}</Badge>;
+    if (Math.abs(difference) < 1) return <Text key="diff" as="span" tone="success">{formatCurrency(0)}</Text>;
+    return (
+      <Text key="diff" as="span" tone={difference > 0 ? "critical" : "success"}>
+        {`${difference > 0 ? '+' : '-'}${formatCurrency(Math.abs(difference))}`}
+      </Text>
+    );
+  };
+
+  const tableRows = rows
+    .filter(row => !mismatchesOnly || (row.difference !== null && Math.abs(row.difference) >= 1))
+    .map(row => [
+      row.tracking,
+      `${row.wilayaId} - ${row.wilaya}`,
+      row.deliveryType === 1 ? t('feeReport.stopdesk') : t('feeReport.domicile'),
+      row.outcome === 'delivered'
+        ? <Badge key="outcome" tone="success">{t('feeReport.delivered')}</Badge>
+        : <Badge key="outcome" tone="warning">{t('feeReport.returned')}</Badge>,
+      formatCurrency(row.estimated),
+      row.actual === null ? '-' : formatCurrency(row.actual),
+      differenceCell(row.difference),
+    ]);
+
+  const isLoading = navigation.state === "loading";
+
+  return (
+    <Page
+      title={t('feeReport.title')}
+      subtitle={t('feeReport.description')}
+      backAction={{ url: "/app/tarification" }}
+      secondaryActions={[{ content: t('statements.title'), url: "/app/statements" }]}
+    >
+      <Layout>
+        {error && (
+          <Layout.Section>
+            <Banner tone="critical"><p>{error}</p></Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <InlineStack gap="400" align="space-between" blockAlign="end">
+              <InlineStack gap="400" blockAlign="end">
+                <Select label={t('geoAnalytics.period')} options={presetOptions} value={preset} onChange={(value) => updateParam("preset", value)} />
+                <Select label={t('feeReport.show')} options={filterOptions} value={mismatchesOnly ? "mismatches" : ""} onChange={(value) => updateParam("filter", value)} />
+              </InlineStack>
+              {isLoading && <Spinner size="small" />}
+            </InlineStack>
+          </Card>
+        </Layout.Section>
+        {totals && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="200">
+                <InlineStack gap="600">
+                  <Text as="p">{t('feeReport.billed')}: <strong>{formatNumber(totals.billed)} / {formatNumber(totals.shipments)}</strong></Text>
+                  <Text as="p">{t('feeReport.estimated')}: <strong>{formatCurrency(totals.estimated)}</strong></Text>
+                  <Text as="p">{t('feeReport.actual')}: <strong>{formatCurrency(totals.actual)}</strong></Text>
+                  <Text as="p">{t('feeReport.difference')}: <strong>{formatCurrency(totals.difference, totals.difference < 0)}</strong></Text>
+                  <Text as="p">{t('feeReport.mismatches')}: <strong>{formatNumber(totals.mismatches)}</strong></Text>
+                </InlineStack>
+                <Text as="p" variant="bodySm" tone="subdued">{t('feeReport.note')}</Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            {tableRows.length === 0 ? (
+              <Text as="p" tone="subdued">{t('feeReport.empty')}</Text>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'text', 'numeric', 'numeric', 'numeric']}
+                headings={[
+                  t('feeReport.tracking'),
+                  t('geoAnalytics.wilaya'),
+                  t('feeReport.deliveryType'),
+                  t('feeReport.outcome'),
+                  t('feeReport.estimated'),
+                  t('feeReport.actual'),
+                  t('feeReport.difference'),
+                ]}
+                rows={tableRows}
+              />
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
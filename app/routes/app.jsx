@@ -99,9 +99,13 @@ export default function App() {
           {t('navigation.home')}
         </Link>
         <Link to="/app/facebook">{t('navigation.facebook')}</Link>
+        <Link to="/app/ad-platforms">{t('navigation.adPlatforms')}</Link>
         <Link to="/app/products">{t('navigation.products')}</Link>
         <Link to="/app/orders">{t('navigation.orders')}</Link>
         <Link to="/app/zrexpress">{t('navigation.zrExpress')}</Link>
+        <Link to="/app/analytics">{t('navigation.analytics')}</Link>
+        <Link to="/app/expenses">{t('navigation.expenses')}</Link>
+        <Link to="/app/blacklist">{t('navigation.blacklist')}</Link>
       </NavMenu>
       <Suspense fallback={
         <Frame>
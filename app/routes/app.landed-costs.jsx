@@ -0,0 +1,177 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useEffect, useMemo, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  TextField,
+  Button,
+  Checkbox,
+  FormLayout,
+  BlockStack,
+  InlineStack,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  LANDED_COST_TYPES,
+  listLandedCostRules,
+  createLandedCostRule,
+  updateLandedCostRule,
+  deleteLandedCostRule,
+} from "../models/LandedCostRule.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency } from "../utils/formatters";
+
+const emptyForm = () => ({ name: "", type: "per_order", amount: "", tag: "" });
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const rules = await listLandedCostRules(session.shop);
+    return json({ rules, types: LANDED_COST_TYPES, error: null });
+  } catch (error) {
+    console.error("Landed costs loader error:", error);
+    return json({ rules: [], types: LANDED_COST_TYPES, error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+
+  try {
+    if (_action === "create") {
+      const result = await createLandedCostRule(session.shop, {
+        name: formData.get("name"),
+        type: formData.get("type"),
+        amount: formData.get("amount"),
+        tag: formData.get("tag"),
+      });
+      return json({ ...result, _action }, { status: result.success ? 200 : 400 });
+    }
+
+    if (_action === "toggle") {
+      const result = await updateLandedCostRule(session.shop, formData.get("id"), { active: formData.get("active") === "true" });
+      return json({ ...result, _action }, { status: result.success ? 200 : 404 });
+    }
+
+    if (_action === "delete") {
+      const deleted = await deleteLandedCostRule(session.shop, formData.get("id"));
+      return json({ success: deleted, _action, ...(deleted ? {} : { error: "Rule not found" }) }, { status: deleted ? 200 : 404 });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Landed costs action error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+export default function LandedCosts() {
+  const { rules, types, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const { t } = useLanguage();
+  const [form, setForm] = useState(emptyForm);
+  const [toastMessage, setToastMessage] = useState(null);
+
+  const typeOptions = useMemo(() => types.map(type => ({ value: type, label: t(`landedCosts.types.${type}`) })), [types, t]);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    const { success, _action } = fetcher.data;
+    if (!success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    if (_action === "create") {
+      setForm(emptyForm());
+      setToastMessage({ content: t('landedCosts.created'), error: false });
+    } else if (_action === "delete") {
+      setToastMessage({ content: t('landedCosts.deleted'), error: false });
+    }
+  }, [fetcher.data, fetcher.state, t]);
+
+  const isSubmitting = fetcher.state !== "idle";
+  const isPercent = form.type === "percent_revenue";
+
+  const formatAmount = (rule) => (rule.type === "percent_revenue" ? `${rule.amount}%` : formatCurrency(rule.amount));
+
+  const rows = rules.map(rule => [
+    rule.name,
+    t(`landedCosts.types.${rule.type}`),
+    formatAmount(rule),
+    rule.tag || t('landedCosts.allProducts'),
+    <Checkbox
+      key={`active-${rule.id}`}
+      label={t('landedCosts.active')}
+      labelHidden
+      checked={rule.active}
+      disabled={isSubmitting}
+      onChange={(checked) => fetcher.submit({ _action: "toggle", id: rule.id, active: String(checked) }, { method: "post" })}
+    />,
+    <Button key={`delete-${rule.id}`} size="slim" tone="critical" onClick={() => fetcher.submit({ _action: "delete", id: rule.id }, { method: "post" })} disabled={isSubmitting}>{t('landedCosts.delete')}</Button>,
+  ]);
+
+  return (
+    <Frame>
+      <Page title={t('landedCosts.title')} subtitle={t('landedCosts.description')} backAction={{ url: "/app/products" }}>
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">{t('landedCosts.addTitle')}</Text>
+                <FormLayout>
+                  <FormLayout.Group>
+                    <TextField label={t('landedCosts.name')} value={form.name} onChange={(v) => setForm({ ...form, name: v })} placeholder={t('landedCosts.namePlaceholder')} autoComplete="off" />
+                    <Select label={t('landedCosts.type')} options={typeOptions} value={form.type} onChange={(v) => setForm({ ...form, type: v })} />
+                  </FormLayout.Group>
+                  <FormLayout.Group>
+                    <TextField label={isPercent ? t('landedCosts.percentage') : t('landedCosts.amount')} type="number" min={0} suffix={isPercent ? "%" : undefined} value={form.amount} onChange={(v) => setForm({ ...form, amount: v })} autoComplete="off" />
+                    <TextField label={t('landedCosts.tag')} value={form.tag} onChange={(v) => setForm({ ...form, tag: v })} helpText={t('landedCosts.tagHelp')} autoComplete="off" />
+                  </FormLayout.Group>
+                  <InlineStack align="end">
+                    <Button variant="primary" onClick={() => fetcher.submit({ _action: "create", ...form }, { method: "post" })} disabled={!form.name.trim() || form.amount === "" || isSubmitting} loading={isSubmitting && fetcher.formData?.get("_action") === "create"}>
+                      {t('landedCosts.add')}
+                    </Button>
+                  </InlineStack>
+                </FormLayout>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('landedCosts.rules')}</Text>
+                <Text as="p" tone="subdued">{t('landedCosts.recomputeHint')}</Text>
+                {rows.length === 0 ? (
+                  <Text as="p" tone="subdued">{t('landedCosts.empty')}</Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'numeric', 'text', 'text', 'text']}
+                    headings={[t('landedCosts.name'), t('landedCosts.type'), t('landedCosts.amount'), t('landedCosts.tag'), t('landedCosts.active'), '']}
+                    rows={rows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
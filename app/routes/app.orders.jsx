@@ -4,10 +4,19 @@ import { useLoaderData,  useNavigation, useFetcher } from "@remix-run/react";
 import { 
   Page, Text, Card, Button, Modal, TextField, Select, 
   Toast, Frame, FormLayout, DataTable,  Banner, 
-  Badge,  DatePicker, Layout, Spinner, Box
+  Badge,  DatePicker, Layout, Spinner, Box, Checkbox
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
-import { ZRExpressService } from "../services/zrexpress.server";
+import { DEFAULT_CARRIER, getCarrier, getCarrierCredentials, getShopTarification } from "../services/carriers.server";
+import { matchOrderAddress } from "../services/addressNormalizer.server";
+import { findRecentShipmentsByPhone } from "../services/shipping.service";
+import { buildRiskModel, scoreShipment, riskInputFromShipment } from "../services/rtoRisk.server";
+import { getShopSettings, updateShopSettings } from "../models/ShopSettings.server";
+import { OrderCOGSService } from "../models/OrderCOGS.server";
+import { applyCostHistory } from "../services/variantCost.server";
+import { findBlacklistMatches } from "../services/blacklist.server";
+import { normalizeAlgerianPhone } from "../utils/phone";
+import { quoteShippingCost } from "../utils/shippingQuote";
 import prisma from "../db.server";
 import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
 import { formatCurrency, formatNumber } from "../utils/formatters";
@@ -28,23 +37,236 @@ if (!Layout.Section) {
   Layout.Section = ({ children, ...props }) => (<div style={{ marginBottom: '20px' }} {...props}>{children}</div>);
 }
 
+// Line items with unit cost and the order's total cost, as stored in OrderCOGS
+const getOrderCosts = (order) => {
+  let totalCost = 0;
+  const lineItems = [];
+  if (order?.lineItems?.edges) {
+    order.lineItems.edges.forEach(({ node }) => {
+      const quantity = node.quantity || 1;
+      const unitCost = parseFloat(node.variant?.inventoryItem?.unitCost?.amount || 0);
+      const price = parseFloat(node.originalUnitPriceSet?.shopMoney?.amount || 0);
+      const itemTotalCost = unitCost * quantity;
+      const itemTotalRevenue = price * quantity;
+      totalCost += itemTotalCost;
+      lineItems.push({
+        productId: node.product?.id?.split('/').pop() || '', variantId: node.variant?.id?.split('/').pop() || '', title: node.title,
+        quantity, unitCost, price, totalCost: itemTotalCost, totalRevenue: itemTotalRevenue, profit: itemTotalRevenue - itemTotalCost,
+        tags: node.product?.tags || []
+      });
+    });
+  }
+  return { totalCost, lineItems };
+};
+
+// Fields of a bulk preview row that still need fixing before it can be sent
+const validateShipmentRow = (values, communesData) => {
+  const errors = ['Client', 'MobileA', 'Adresse', 'IDWilaya', 'Commune', 'Total', 'TProduit']
+    .filter(field => !values[field] || values[field].toString().trim() === '' || values[field] === 'N/A');
+  if (values.MobileA && !errors.includes('MobileA') && !normalizeAlgerianPhone(values.MobileA).valid) errors.push('MobileA');
+  if (values.MobileB && !normalizeAlgerianPhone(values.MobileB).valid) errors.push('MobileB');
+  if (values.Commune && values.IDWilaya && communesData.length > 0) {
+    const wilayaCode = values.IDWilaya.toString().padStart(2, '0');
+    const known = communesData.some(item => item.wilaya_code === wilayaCode && item.commune_name_ascii === values.Commune);
+    if (!known && !errors.includes('Commune')) errors.push('Commune');
+  }
+  return errors;
+};
+
+// Customer phone of an order, normalized to 0XXXXXXXXX when possible
+const getOrderPrimaryPhone = (order) => {
+  const noteAttributes = Array.isArray(order.note_attributes) ? order.note_attributes : [];
+  const attribute = ['Phone number', 'Phone', 'MobileA']
+    .map(name => noteAttributes.find(attr => attr.name?.toLowerCase() === name.toLowerCase())?.value)
+    .find(Boolean);
+  const raw = attribute || order.shipping_address?.phone || '';
+  return normalizeAlgerianPhone(raw).phone || raw.replace(/\s+/g, "");
+};
+
+/**
+ * Map a Shopify order (shipping_address + note_attributes) to shipment form values
+ * @param {Object} order - Order node with note_attributes and shipping_address
+ * @param {Array} cities - Wilaya options from the carrier tarification
+ * @param {Array} communesData - Entries of /data/communes.json
+ * @param {{label: string, value: string}} defaultWilaya - Used when no wilaya matches
+ * @returns {Object} - Client, MobileA, MobileB, Adresse, IDWilaya, Wilaya, Commune, Total, TProduit, orderId and Note
+ */
+const mapOrderToShipment = (order, cities, communesData, defaultWilaya) => {
+  const shippingAddress = order.shipping_address || {};
+  const noteAttributes = Array.isArray(order.note_attributes) ? order.note_attributes : [];
+  const orderTotal = order.totalPriceSet?.shopMoney?.amount || "0";
+  
+  const findNoteAttribute = (names, defaultValue = "") => {
+    if (!Array.isArray(names)) names = [names];
+    for (const name of names) {
+      const attribute = noteAttributes.find(attr => attr.name.toLowerCase() === name.toLowerCase() || attr.name.toLowerCase().replace(/[()]/g, '') === name.toLowerCase());
+      if (attribute && attribute.value) return attribute.value;
+    }
+    return defaultValue;
+  };
+  
+  const firstName = findNoteAttribute(['First name', 'Name']) || shippingAddress.first_name || '';
+  const lastName = findNoteAttribute(['Last name']) || shippingAddress.last_name || '';
+  const customerName = `${firstName} ${lastName}`.trim();
+  
+  const primaryPhone = getOrderPrimaryPhone(order);
+  const rawSecondaryPhone = findNoteAttribute(['phone_2', 'secondary_phone', 'Phone number 2', 'MobileB']) || '';
+  const secondaryPhone = rawSecondaryPhone ? (normalizeAlgerianPhone(rawSecondaryPhone).phone || rawSecondaryPhone) : '';
+  const address1 = findNoteAttribute(['Address', 'Adresse']) || shippingAddress.address1 || '';
+  const address2 = findNoteAttribute(['Address 2', 'Adresse 2']) || shippingAddress.address2 || '';
+  const rawCity = findNoteAttribute(['city', 'Wilaya الولاية', 'Province (State)']) || shippingAddress.city || '';
+  const rawProvince = findNoteAttribute(['Province', 'Province (State)']) || shippingAddress.province || '';
+  const rawCommune = findNoteAttribute(['Commune', 'City']) || '';
+
+  let wilayaId = "";
+  let wilayaName = "";
+  let commune = "";
+
+  const normalizedCities = cities?.map(city => ({ ...city, normalizedValue: city.value.toString().padStart(2, '0') }));
+  const cityRegex = /^([\d]+)\s*-\s*(.+?)(?:\s+[\u0600-\u06FF]+)?$/;
+  const cityMatch = rawCity.match(cityRegex);
+
+  if (cityMatch) {
+    wilayaId = parseInt(cityMatch[1].trim()).toString();
+    wilayaName = cityMatch[2].trim();
+    commune = rawCommune || rawProvince || '';
+  } else {
+    const matchedCity = normalizedCities?.find(city => city.label.toLowerCase() === rawCity?.toLowerCase() || rawCity?.toLowerCase().includes(city.label.toLowerCase()));
+    if (matchedCity) {
+      wilayaId = parseInt(matchedCity.normalizedValue).toString();
+      wilayaName = matchedCity.label;
+      commune = rawCommune || rawProvince || rawCity || '';
+    } else {
+      const extractWilayaId = (str) => str?.match(/^([\d]+)/)?.[1] || null;
+      const cityWilayaId = extractWilayaId(rawCity);
+      const provinceWilayaId = extractWilayaId(rawProvince);
+      const paddedCityWilayaId = cityWilayaId ? cityWilayaId.padStart(2, '0') : null;
+      const paddedProvinceWilayaId = provinceWilayaId ? provinceWilayaId.padStart(2, '0') : null;
+      const matchById = normalizedCities?.find(city => city.normalizedValue === paddedCityWilayaId || city.normalizedValue === paddedProvinceWilayaId);
+      if (matchById) {
+        wilayaId = parseInt(matchById.normalizedValue).toString();
+        wilayaName = matchById.label;
+        commune = matchById.normalizedValue === paddedProvinceWilayaId ? rawCity : (rawCommune || rawProvince || '');
+      }
+    }
+  }
+
+  // Prioritize Region note attribute for commune selection
+  const paddedWilayaId = wilayaId ? wilayaId.padStart(2, '0') : '';
+  const availableCommunes = communesData?.filter(item => item?.wilaya_code === paddedWilayaId) || [];
+  const regionCommune = findNoteAttribute(['Region']);
+  if (regionCommune) {
+    // Try to match regionCommune to availableCommunes
+    let matchedCommune = availableCommunes.find(item =>
+      (item.commune_name_ascii && item.commune_name_ascii === regionCommune) ||
+      (item.commune_name && item.commune_name === regionCommune)
+    );
+    if (!matchedCommune) {
+      // Try case-insensitive match
+      matchedCommune = availableCommunes.find(item =>
+        (item.commune_name_ascii && item.commune_name_ascii.toLowerCase() === regionCommune.toLowerCase()) ||
+        (item.commune_name && item.commune_name.toLowerCase() === regionCommune.toLowerCase())
+      );
+    }
+    if (!matchedCommune) {
+      // Try partial match
+      matchedCommune = availableCommunes.find(item =>
+        (item.commune_name_ascii && item.commune_name_ascii.includes(regionCommune)) ||
+        (item.commune_name && item.commune_name.includes(regionCommune))
+      );
+    }
+    commune = matchedCommune ? (matchedCommune.commune_name_ascii || matchedCommune.commune_name) : regionCommune;
+  } else {
+    if (commune && commune.toLowerCase().includes(wilayaName.toLowerCase())) commune = '';
+    let matchedCommune = null;
+    // Normalize city if it matches pattern like '32- البيض'
+    let normalizedCity = rawCity;
+    const cityNumMatch = rawCity.match(/^([\d]+)[-\s]+(.+)$/);
+    if (cityNumMatch) {
+      normalizedCity = cityNumMatch[2].trim();
+    }
+    if (availableCommunes.length > 0) {
+      // Try exact match (ascii or arabic)
+      if (commune) {
+        matchedCommune = availableCommunes.find(item =>
+          (item.commune_name_ascii && item.commune_name_ascii.toLowerCase() === commune.toLowerCase()) ||
+          (item.commune_name && item.commune_name.toLowerCase() === commune.toLowerCase())
+        );
+      }
+      // Try partial/fuzzy match if not found or commune is empty
+      if (!matchedCommune && commune && commune.length > 1) {
+        const communeWords = commune.toLowerCase().split(/\s+/).filter(word => word.length > 1);
+        const scoredCommunes = availableCommunes.map(item => {
+          const ascii = item.commune_name_ascii ? item.commune_name_ascii.toLowerCase() : '';
+          const arabic = item.commune_name ? item.commune_name.toLowerCase() : '';
+          const matchCount = communeWords.filter(word => ascii.includes(word) || arabic.includes(word)).length;
+          return { item, matchCount };
+        });
+        scoredCommunes.sort((a, b) => b.matchCount - a.matchCount);
+        if (scoredCommunes.length > 0 && scoredCommunes[0].matchCount > 0) {
+          matchedCommune = scoredCommunes[0].item;
+        }
+      }
+      // If still not matched, try to match by city/province if commune is empty
+      if (!matchedCommune && (!commune || commune.trim() === '')) {
+        // Try to match by province/city, including normalized city
+        const possibleNames = [rawCommune, rawProvince, rawCity, normalizedCity].map(x => x && x.toLowerCase().trim()).filter(Boolean);
+        matchedCommune = availableCommunes.find(item =>
+          possibleNames.some(name =>
+            (item.commune_name_ascii && item.commune_name_ascii.toLowerCase() === name) ||
+            (item.commune_name && item.commune_name.toLowerCase() === name)
+          )
+        );
+      }
+      // If still not matched, try to match by partial city/province
+      if (!matchedCommune && (!commune || commune.trim() === '')) {
+        const possibleNames = [rawCommune, rawProvince, rawCity, normalizedCity].map(x => x && x.toLowerCase().trim()).filter(Boolean);
+        matchedCommune = availableCommunes.find(item =>
+          possibleNames.some(name =>
+            (item.commune_name_ascii && item.commune_name_ascii.toLowerCase().includes(name)) ||
+            (item.commune_name && item.commune_name.toLowerCase().includes(name))
+          )
+        );
+      }
+    }
+    // If no match, set commune to empty string (forces UI to show 'Select commune')
+    commune = matchedCommune ? (matchedCommune.commune_name_ascii || matchedCommune.commune_name) : '';
+  }
+
+  // The server-side normalizer result wins over the heuristics above when it is confident,
+  // the commune found above is kept if the normalizer found none in the same wilaya
+  const addressMatch = order.address_match;
+  if (addressMatch?.wilayaId && !addressMatch.lowConfidence) {
+    const matchedCity = cities?.find(city => parseInt(city.value).toString() === addressMatch.wilayaId);
+    commune = addressMatch.commune || (addressMatch.wilayaId === wilayaId ? commune : '');
+    wilayaId = addressMatch.wilayaId;
+    wilayaName = matchedCity?.label || addressMatch.wilayaName;
+  }
+  
+  let fullAddress = [address1, address2].filter(Boolean).join(", ");
+  if (!fullAddress && shippingAddress) fullAddress = [shippingAddress.address1, shippingAddress.address2].filter(Boolean).join(", ");
+  
+  const productDescription = order.lineItems?.edges?.length > 0 ? order.lineItems.edges.map(({ node }) => `${node.title} (x${node.quantity})`).join(", ") : 'N/A';
+  
+  return {
+    Client: customerName || 'N/A', MobileA: primaryPhone || 'N/A', MobileB: secondaryPhone || '',
+    Adresse: fullAddress || 'N/A', IDWilaya: wilayaId || defaultWilaya.value.toString(), Wilaya: wilayaName || defaultWilaya.label,
+    Commune: commune || '', Total: orderTotal, TProduit: productDescription || order.name || 'N/A',
+    orderId: order.id.split('/').pop(), Note: order.note || ''
+  };
+};
+
 export const loader = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
   try {
     let cities = [];
     try {
-      const credentials = await prisma.ZRExpressCredential.findUnique({ where: { shop: session.shop } });
-      if (credentials) {
-        const zrexpress = new ZRExpressService();
-        try {
-          const tarificationData = await zrexpress.getTarification(credentials.token, credentials.key);
-          cities = tarificationData
-            .filter(item => item.Domicile !== "0" || item.Stopdesk !== "0")
-            .map(item => ({ label: item.Wilaya, value: item.IDWilaya.toString() }))
-            .sort((a, b) => parseInt(a.value) - parseInt(b.value));
-        } catch (zrError) { console.error('ZRExpress Tarification Error:', zrError); }
-      }
-    } catch (dbError) { console.error('Database Error:', dbError); }
+      const tarificationData = await getShopTarification(session.shop, DEFAULT_CARRIER);
+      cities = tarificationData
+        .filter(item => item.Domicile !== "0" || item.Stopdesk !== "0")
+        .map(item => ({ label: item.Wilaya, value: item.IDWilaya.toString(), prices: { domicile: item.Domicile, stopdesk: item.Stopdesk, cancel: item.Annuler } }))
+        .sort((a, b) => parseInt(a.value) - parseInt(b.value));
+    } catch (zrError) { console.error('ZRExpress Tarification Error:', zrError); }
 
     let allOrders = [];
     let hasNextPage = true;
@@ -68,7 +290,7 @@ export const loader = async ({ request }) => {
                       title
                       quantity
                       variant { id inventoryItem { id unitCost { amount currencyCode } } }
-                      product { id title }
+                      product { id title tags }
                       originalUnitPriceSet { shopMoney { amount currencyCode } }
                       originalTotalSet { shopMoney { amount currencyCode } }
                     }
@@ -114,17 +336,54 @@ export const loader = async ({ request }) => {
           throw new Error(`HTTP error! status: ${orderResponse.status}`);
         }
         const orderData = await orderResponse.json();
-        return { ...node, note_attributes: orderData.order.note_attributes || [], shipping_address: orderData.order.shipping_address || {}, shipment_status: shipment ? shipment.status : null, tracking_info: shipment ? shipment.tracking : null };
+        return { ...node, note_attributes: orderData.order.note_attributes || [], shipping_address: orderData.order.shipping_address || {}, address_match: matchOrderAddress(orderData.order), shipment_status: shipment ? shipment.status : null, tracking_info: shipment ? shipment.tracking : null };
       } catch (error) {
         console.error(`Failed to fetch details for order ${node.name}:`, error);
         return node;
       }
     }));
 
+    // Phone validity and recent shipments to the same number, shown as warnings when shipping
+    const orderPhones = ordersWithDetails.map(getOrderPrimaryPhone);
+    const recentByPhone = await findRecentShipmentsByPhone(session.shop, orderPhones).catch(error => {
+      console.error('Duplicate phone check failed:', error);
+      return {};
+    });
+    ordersWithDetails.forEach((order, index) => {
+      const check = normalizeAlgerianPhone(orderPhones[index]);
+      const orderId = order.id.split('/').pop();
+      order.phone_check = {
+        ...check,
+        duplicates: (check.valid ? recentByPhone[check.phone] || [] : [])
+          .filter(shipment => shipment.orderId !== orderId)
+          .map(({ tracking, client, status, createdAt }) => ({ tracking, client, status, createdAt }))
+      };
+    });
+
+    // Return-to-origin risk learned from the shop's delivered and returned shipments
+    const [riskModel, settings] = await Promise.all([buildRiskModel(session.shop), getShopSettings(session.shop)]);
+    ordersWithDetails.forEach(order => {
+      order.rto_risk = scoreShipment(riskModel, {
+        phone: order.phone_check.phone,
+        wilayaId: order.address_match?.wilayaId,
+        commune: order.address_match?.commune,
+        productType: order.lineItems?.edges?.[0]?.node?.title,
+        total: order.totalPriceSet?.shopMoney?.amount
+      });
+    });
+
+    const blacklistMatches = await findBlacklistMatches(session.shop, ordersWithDetails.map((order, index) => ({
+      phone: orderPhones[index],
+      name: order.shipping_address?.name || [order.shipping_address?.first_name, order.shipping_address?.last_name].filter(Boolean).join(' '),
+      wilayaId: order.address_match?.wilayaId,
+      commune: order.address_match?.commune
+    })));
+    ordersWithDetails.forEach((order, index) => { order.blacklist_matches = blacklistMatches[index]; });
+
     return json({
       orders: { edges: ordersWithDetails.map(order => ({ node: order })) },
       totalCount: ordersWithDetails.length,
-      cities, error: null, shop: session.shop, timestamp: Date.now()
+      cities, rtoRiskThreshold: settings.rtoRiskThreshold, error: null, shop: session.shop, timestamp: Date.now()
     });
 
   } catch (error) {
@@ -133,60 +392,118 @@ export const loader = async ({ request }) => {
   }
 };
 
+const SHIPMENT_REQUIRED_FIELDS = ['Client', 'MobileA', 'Adresse', 'IDWilaya', 'Commune', 'Total', 'TProduit', 'Confrimee'];
+
+// Add the cost/revenue/profit fields the carrier service stores on the Shipment
+const withShipmentTotals = (shipmentValues) => {
+  const totalCost = parseFloat(shipmentValues.totalCost || "0");
+  const totalRevenue = parseFloat(shipmentValues.Total || "0");
+  return {
+    ...shipmentValues,
+    totalCost: totalCost.toString(),
+    totalRevenue: totalRevenue.toString(),
+    totalProfit: (totalRevenue - totalCost).toString()
+  };
+};
+
+// Shipment form values as a blacklist lookup, the address lets a name match count
+const blacklistCustomer = (values) => ({
+  phone: values.MobileA,
+  secondaryPhone: values.MobileB,
+  name: values.Client,
+  wilayaId: values.IDWilaya,
+  commune: values.Commune
+});
+
+// Rows at or above the shop's threshold are only shipped once the merchant confirmed them
+const findUnconfirmedRisks = async (shop, rows) => {
+  const pending = rows.filter(row => row.riskConfirmed !== true && row.riskConfirmed !== 'true');
+  if (pending.length === 0) return new Map();
+
+  const [riskModel, settings] = await Promise.all([buildRiskModel(shop), getShopSettings(shop)]);
+  const risky = new Map();
+  pending.forEach(row => {
+    const risk = scoreShipment(riskModel, riskInputFromShipment(row));
+    if (risk.score >= settings.rtoRiskThreshold) risky.set(row, risk);
+  });
+  return risky;
+};
+
+const saveShipmentCOGS = async (shop, shipmentValues) => {
+  try {
+    const orderId = shipmentValues.orderId;
+    const orderName = shipmentValues.TProduit;
+    const totalCost = parseFloat(shipmentValues.totalCost || 0);
+    const totalRevenue = parseFloat(shipmentValues.Total || 0);
+    const profit = totalRevenue - totalCost;
+    
+    let lineItems = [];
+    if (shipmentValues.lineItems) {
+      try { lineItems = JSON.parse(shipmentValues.lineItems); } catch (err) { console.error('Failed to parse line items:', err); }
+    }
+    
+    // With line items, changes to an existing order are diffed and kept as a revision
+    if (lineItems.length > 0) {
+      lineItems = await applyCostHistory(shop, lineItems, shipmentValues.orderCreatedAt);
+      await new OrderCOGSService().recalculateCOGS(shop, orderId, orderName, lineItems, totalRevenue, 'shipment');
+      return;
+    }
+
+    await prisma.OrderCOGS.upsert({
+      where: { shop_orderId: { shop, orderId } },
+      update: { totalCost, totalRevenue, profit },
+      create: { shop, orderId, orderName, totalCost, totalRevenue, profit }
+    });
+  } catch (cogsError) { console.error('Failed to save COGS information:', cogsError); }
+};
+
 export const action = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
   const formData = await request.formData();
-  const { _action, ...shipmentValues } = Object.fromEntries(formData);
+  const { _action, riskConfirmed, blacklistOverride, ...shipmentValues } = Object.fromEntries(formData);
+
+  if (_action === 'updateRiskThreshold') {
+    const threshold = parseFloat(shipmentValues.rtoRiskThreshold);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return json({ success: false, error: 'Threshold must be between 0 and 100%.' }, { status: 400 });
+    }
+    const settings = await updateShopSettings(session.shop, { rtoRiskThreshold: threshold });
+    return json({ success: true, rtoRiskThreshold: settings.rtoRiskThreshold });
+  }
 
   if (_action === 'createShipment') {
     try {
-      const requiredFields = ['Client', 'MobileA', 'Adresse', 'IDWilaya', 'Commune', 'Total', 'TProduit', 'Confrimee'];
-      const missingFields = requiredFields.filter(field => !shipmentValues[field]);
+      const missingFields = SHIPMENT_REQUIRED_FIELDS.filter(field => !shipmentValues[field]);
       if (missingFields.length > 0) {
         return json({ success: false, error: `Missing required fields: ${missingFields.join(', ')}` }, { status: 400 });
       }
 
-      const totalCost = parseFloat(shipmentValues.totalCost || "0");
-      const totalRevenue = parseFloat(shipmentValues.Total || "0");
-      const totalProfit = totalRevenue - totalCost;
-      
-      const enhancedShipmentValues = {
-        ...shipmentValues,
-        totalCost: totalCost.toString(),
-        totalRevenue: totalRevenue.toString(),
-        totalProfit: totalProfit.toString()
-      };
+      // Blacklisted customers are only shipped to when the merchant overrides
+      if (blacklistOverride !== 'true') {
+        const [blacklisted] = await findBlacklistMatches(session.shop, [blacklistCustomer(shipmentValues)]);
+        if (blacklisted.length > 0) {
+          return json({ success: false, blacklisted, error: 'Customer is on the blacklist.' }, { status: 409 });
+        }
+      }
+
+      const risk = (await findUnconfirmedRisks(session.shop, [{ ...shipmentValues, riskConfirmed }])).values().next().value;
+      if (risk) {
+        return json({ success: false, riskRequiresConfirmation: true, risk, error: 'High return risk: confirm the order with the customer first.' }, { status: 409 });
+      }
 
-      const credentials = await prisma.ZRExpressCredential.findUnique({ where: { shop: session.shop } });
+      const carrier = getCarrier(shipmentValues.DeliveryPartner || DEFAULT_CARRIER);
+      const credentials = await getCarrierCredentials(session.shop, carrier.code);
       if (!credentials) {
-        return json({ success: false, error: 'ZRExpress credentials not found.' }, { status: 400 });
+        return json({ success: false, error: `${carrier.name} credentials not found.` }, { status: 400 });
       }
 
-      const zrexpress = new ZRExpressService();
-      const result = await zrexpress.addColis(credentials.token, credentials.key, enhancedShipmentValues, session);
+      const result = await carrier.createParcel(credentials, withShipmentTotals(shipmentValues), session);
       if (!result.success) {
         return json({ success: false, error: result.error || 'Error creating shipment' }, { status: 500 });
       }
 
       if (result.shipment?.id && shipmentValues.orderId) {
-        try {
-          const orderId = shipmentValues.orderId;
-          const orderName = shipmentValues.TProduit;
-          const totalCost = parseFloat(shipmentValues.totalCost || 0);
-          const totalRevenue = parseFloat(shipmentValues.Total || 0);
-          const profit = totalRevenue - totalCost;
-          
-          let lineItems = [];
-          if (shipmentValues.lineItems) {
-            try { lineItems = JSON.parse(shipmentValues.lineItems); } catch (err) { console.error('Failed to parse line items:', err); }
-          }
-          
-          await prisma.OrderCOGS.upsert({
-            where: { shop_orderId: { shop: session.shop, orderId: orderId } },
-            update: { totalCost, totalRevenue, profit, ...(lineItems.length > 0 ? { items: { deleteMany: {}, create: lineItems } } : {}) },
-            create: { shop: session.shop, orderId, orderName, totalCost, totalRevenue, profit, ...(lineItems.length > 0 ? { items: { create: lineItems } } : {}) }
-          });
-        } catch (cogsError) { console.error('Failed to save COGS information:', cogsError); }
+        await saveShipmentCOGS(session.shop, shipmentValues);
       }
       return json({ success: true, shipmentId: result.shipment?.id, message: 'Shipment created successfully!' });
     } catch (error) {
@@ -194,6 +511,65 @@ export const action = async ({ request }) => {
       return json({ success: false, error: error.message }, { status: 500 });
     }
   }
+
+  if (_action === 'createShipmentsBulk') {
+    try {
+      let rows;
+      try { rows = JSON.parse(shipmentValues.shipments || '[]'); } catch (err) { rows = null; }
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return json({ success: false, error: 'No orders selected.' }, { status: 400 });
+      }
+
+      const carrier = getCarrier(shipmentValues.DeliveryPartner || DEFAULT_CARRIER);
+      const credentials = await getCarrierCredentials(session.shop, carrier.code);
+      if (!credentials) {
+        return json({ success: false, error: `${carrier.name} credentials not found.` }, { status: 400 });
+      }
+
+      // Rows failing validation are reported back and never sent to the carrier
+      const results = rows.map(row => ({ orderId: row.orderId, success: false }));
+      const risky = await findUnconfirmedRisks(session.shop, rows);
+      const blacklistMatches = await findBlacklistMatches(session.shop, rows.map(blacklistCustomer));
+      const validRows = [];
+      rows.forEach((row, index) => {
+        const missingFields = SHIPMENT_REQUIRED_FIELDS.filter(field => !row[field]);
+        if (missingFields.length > 0) {
+          results[index].error = `Missing required fields: ${missingFields.join(', ')}`;
+        } else if (blacklistMatches[index].length > 0 && row.blacklistOverride !== true) {
+          results[index] = { ...results[index], blacklisted: blacklistMatches[index], error: 'Customer is on the blacklist.' };
+        } else if (risky.has(row)) {
+          results[index] = { ...results[index], riskRequiresConfirmation: true, risk: risky.get(row), error: 'High return risk: confirm the order with the customer first.' };
+        } else {
+          validRows.push({ index, values: row });
+        }
+      });
+
+      if (validRows.length > 0) {
+        const batch = await carrier.createParcels(credentials, validRows.map(({ values }) => withShipmentTotals(values)), session);
+        if (!batch.success) {
+          validRows.forEach(({ index }) => { results[index].error = batch.error || 'Error creating shipment'; });
+        } else {
+          for (const parcel of batch.results) {
+            const { index, values } = validRows[parcel.index];
+            if (!parcel.success) {
+              results[index].error = parcel.error || 'Error creating shipment';
+              continue;
+            }
+            results[index] = { orderId: values.orderId, success: true, tracking: parcel.tracking, shipmentId: parcel.shipment?.id };
+            if (values.orderId) {
+              await saveShipmentCOGS(session.shop, values);
+            }
+          }
+        }
+      }
+
+      const created = results.filter(result => result.success).length;
+      return json({ success: created > 0, created, failed: results.length - created, results });
+    } catch (error) {
+      console.error("Bulk Create Shipments Action Error:", error);
+      return json({ success: false, error: error.message }, { status: 500 });
+    }
+  }
   return json({ success: false, error: 'Invalid action.' }, { status: 400 });
 };
 
@@ -203,6 +579,8 @@ const [data, setData] = useState(initialData);
   const navigation = useNavigation();
   const isLoading = navigation.state === "loading";
   const fetcher = useFetcher();
+  const bulkFetcher = useFetcher();
+  const settingsFetcher = useFetcher();
   const { language, isRTL, t } = useLanguage();
 
   // ✅ FIX: Dynamically determine the currency code from the loaded data.
@@ -219,6 +597,14 @@ const [data, setData] = useState(initialData);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [communesData, setCommunesData] = useState([]);
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [selectedOrderIds, setSelectedOrderIds] = useState([]);
+  const [bulkRows, setBulkRows] = useState([]);
+  const [isBulkModalOpen, setIsBulkModalOpen] = useState(false);
+  const [riskConfirmed, setRiskConfirmed] = useState(false);
+  const [serverRisk, setServerRisk] = useState(null);
+  const [blacklistOverride, setBlacklistOverride] = useState(false);
+  const [serverBlacklist, setServerBlacklist] = useState(null);
+  const [thresholdInput, setThresholdInput] = useState(Math.round((initialData.rtoRiskThreshold ?? 0.35) * 100).toString());
 
   useEffect(() => {
     const loadCommunes = async () => {
@@ -245,6 +631,16 @@ const [data, setData] = useState(initialData);
   });
 
   const isArabic = language === 'ar';
+  const phoneError = useCallback((value) => {
+    const check = normalizeAlgerianPhone(value);
+    return check.valid ? undefined : t(`orders.phoneErrors.${check.error}`);
+  }, [t]);
+
+  const riskThreshold = data.rtoRiskThreshold ?? 0.35;
+  const isHighRisk = useCallback((order) => Boolean(order?.rto_risk) && order.rto_risk.score >= riskThreshold, [riskThreshold]);
+  const riskReasons = useCallback((risk) => (risk?.reasons || []).map(reason => t('orders.rtoRisk.reason', {
+    factor: t(`orders.rtoRisk.factors.${reason.factor}`), rate: Math.round(reason.rate * 100), count: reason.count
+  })), [t]);
   const [toastMessage, setToastMessage] = useState(null);
   const [selectedDates, setSelectedDates] = useState({ start: new Date(), end: new Date() });
   const [datePickerActive, setDatePickerActive] = useState(false);
@@ -269,6 +665,11 @@ const [data, setData] = useState(initialData);
     { label: t('orders.confirmationStatus.notConfirmed'), value: "0" }
   ], [t]);
   
+  const shippingQuote = useMemo(() => {
+    const city = data.cities?.find(c => parseInt(c.value).toString() === shipmentForm.IDWilaya);
+    return quoteShippingCost(city?.prices, shipmentForm.TypeLivraison);
+  }, [data.cities, shipmentForm.IDWilaya, shipmentForm.TypeLivraison]);
+
   const filteredCommunes = useMemo(() => {
     if (shipmentForm.IDWilaya) {
       const wilayaCode = shipmentForm.IDWilaya.toString().padStart(2, '0');
@@ -402,165 +803,18 @@ const [data, setData] = useState(initialData);
 
   const handleOrderSelect = useCallback((order) => {
     setSelectedOrder(order);
-    const shippingAddress = order.shipping_address || {};
-    const noteAttributes = Array.isArray(order.note_attributes) ? order.note_attributes : [];
-    const orderTotal = order.totalPriceSet?.shopMoney?.amount || "0";
-    
-    const findNoteAttribute = (names, defaultValue = "") => {
-      if (!Array.isArray(names)) names = [names];
-      for (const name of names) {
-        const attribute = noteAttributes.find(attr => attr.name.toLowerCase() === name.toLowerCase() || attr.name.toLowerCase().replace(/[()]/g, '') === name.toLowerCase());
-        if (attribute && attribute.value) return attribute.value;
-      }
-      return defaultValue;
-    };
-    
-    const firstName = findNoteAttribute(['First name', 'Name']) || shippingAddress.first_name || '';
-    const lastName = findNoteAttribute(['Last name']) || shippingAddress.last_name || '';
-    const customerName = `${firstName} ${lastName}`.trim();
-    
-    let primaryPhone = findNoteAttribute(['Phone number', 'Phone', 'MobileA']) || shippingAddress.phone || '';
-    if (primaryPhone.startsWith("+213")) primaryPhone = primaryPhone.replace("+213", "0");
-    primaryPhone = primaryPhone.replace(/\s+/g, "");
-
-    const secondaryPhone = findNoteAttribute(['phone_2', 'secondary_phone', 'Phone number 2', 'MobileB']) || '';
-    const address1 = findNoteAttribute(['Address', 'Adresse']) || shippingAddress.address1 || '';
-    const address2 = findNoteAttribute(['Address 2', 'Adresse 2']) || shippingAddress.address2 || '';
-    const rawCity = findNoteAttribute(['city', 'Wilaya الولاية', 'Province (State)']) || shippingAddress.city || '';
-    const rawProvince = findNoteAttribute(['Province', 'Province (State)']) || shippingAddress.province || '';
-    const rawCommune = findNoteAttribute(['Commune', 'City']) || '';
-
-    let wilayaId = "";
-    let wilayaName = "";
-    let commune = "";
-
-    const normalizedCities = data.cities?.map(city => ({ ...city, normalizedValue: city.value.toString().padStart(2, '0') }));
-    const cityRegex = /^([\d]+)\s*-\s*(.+?)(?:\s+[\u0600-\u06FF]+)?$/;
-    const cityMatch = rawCity.match(cityRegex);
-
-    if (cityMatch) {
-      wilayaId = parseInt(cityMatch[1].trim()).toString();
-      wilayaName = cityMatch[2].trim();
-      commune = rawCommune || rawProvince || '';
-    } else {
-      const matchedCity = normalizedCities?.find(city => city.label.toLowerCase() === rawCity?.toLowerCase() || rawCity?.toLowerCase().includes(city.label.toLowerCase()));
-      if (matchedCity) {
-        wilayaId = parseInt(matchedCity.normalizedValue).toString();
-        wilayaName = matchedCity.label;
-        commune = rawCommune || rawProvince || rawCity || '';
-      } else {
-        const extractWilayaId = (str) => str?.match(/^([\d]+)/)?.[1] || null;
-        const cityWilayaId = extractWilayaId(rawCity);
-        const provinceWilayaId = extractWilayaId(rawProvince);
-        const paddedCityWilayaId = cityWilayaId ? cityWilayaId.padStart(2, '0') : null;
-        const paddedProvinceWilayaId = provinceWilayaId ? provinceWilayaId.padStart(2, '0') : null;
-        const matchById = normalizedCities?.find(city => city.normalizedValue === paddedCityWilayaId || city.normalizedValue === paddedProvinceWilayaId);
-        if (matchById) {
-          wilayaId = parseInt(matchById.normalizedValue).toString();
-          wilayaName = matchById.label;
-          commune = matchById.normalizedValue === paddedProvinceWilayaId ? rawCity : (rawCommune || rawProvince || '');
-        }
-      }
-    }
-
-    // Prioritize Region note attribute for commune selection
-    const paddedWilayaId = wilayaId ? wilayaId.padStart(2, '0') : '';
-    const availableCommunes = communesData?.filter(item => item?.wilaya_code === paddedWilayaId) || [];
-    const regionCommune = findNoteAttribute(['Region']);
-    if (regionCommune) {
-      // Try to match regionCommune to availableCommunes
-      let matchedCommune = availableCommunes.find(item =>
-        (item.commune_name_ascii && item.commune_name_ascii === regionCommune) ||
-        (item.commune_name && item.commune_name === regionCommune)
-      );
-      if (!matchedCommune) {
-        // Try case-insensitive match
-        matchedCommune = availableCommunes.find(item =>
-          (item.commune_name_ascii && item.commune_name_ascii.toLowerCase() === regionCommune.toLowerCase()) ||
-          (item.commune_name && item.commune_name.toLowerCase() === regionCommune.toLowerCase())
-        );
-      }
-      if (!matchedCommune) {
-        // Try partial match
-        matchedCommune = availableCommunes.find(item =>
-          (item.commune_name_ascii && item.commune_name_ascii.includes(regionCommune)) ||
-          (item.commune_name && item.commune_name.includes(regionCommune))
-        );
-      }
-      commune = matchedCommune ? (matchedCommune.commune_name_ascii || matchedCommune.commune_name) : regionCommune;
-    } else {
-      if (commune && commune.toLowerCase().includes(wilayaName.toLowerCase())) commune = '';
-      let matchedCommune = null;
-      // Normalize city if it matches pattern like '32- البيض'
-      let normalizedCity = rawCity;
-      const cityNumMatch = rawCity.match(/^([\d]+)[-\s]+(.+)$/);
-      if (cityNumMatch) {
-        normalizedCity = cityNumMatch[2].trim();
-      }
-      if (availableCommunes.length > 0) {
-        // Try exact match (ascii or arabic)
-        if (commune) {
-          matchedCommune = availableCommunes.find(item =>
-            (item.commune_name_ascii && item.commune_name_ascii.toLowerCase() === commune.toLowerCase()) ||
-            (item.commune_name && item.commune_name.toLowerCase() === commune.toLowerCase())
-          );
-        }
-        // Try partial/fuzzy match if not found or commune is empty
-        if (!matchedCommune && commune && commune.length > 1) {
-          const communeWords = commune.toLowerCase().split(/\s+/).filter(word => word.length > 1);
-          const scoredCommunes = availableCommunes.map(item => {
-            const ascii = item.commune_name_ascii ? item.commune_name_ascii.toLowerCase() : '';
-            const arabic = item.commune_name ? item.commune_name.toLowerCase() : '';
-            const matchCount = communeWords.filter(word => ascii.includes(word) || arabic.includes(word)).length;
-            return { item, matchCount };
-          });
-          scoredCommunes.sort((a, b) => b.matchCount - a.matchCount);
-          if (scoredCommunes.length > 0 && scoredCommunes[0].matchCount > 0) {
-            matchedCommune = scoredCommunes[0].item;
-          }
-        }
-        // If still not matched, try to match by city/province if commune is empty
-        if (!matchedCommune && (!commune || commune.trim() === '')) {
-          // Try to match by province/city, including normalized city
-          const possibleNames = [rawCommune, rawProvince, rawCity, normalizedCity].map(x => x && x.toLowerCase().trim()).filter(Boolean);
-          matchedCommune = availableCommunes.find(item =>
-            possibleNames.some(name =>
-              (item.commune_name_ascii && item.commune_name_ascii.toLowerCase() === name) ||
-              (item.commune_name && item.commune_name.toLowerCase() === name)
-            )
-          );
-        }
-        // If still not matched, try to match by partial city/province
-        if (!matchedCommune && (!commune || commune.trim() === '')) {
-          const possibleNames = [rawCommune, rawProvince, rawCity, normalizedCity].map(x => x && x.toLowerCase().trim()).filter(Boolean);
-          matchedCommune = availableCommunes.find(item =>
-            possibleNames.some(name =>
-              (item.commune_name_ascii && item.commune_name_ascii.toLowerCase().includes(name)) ||
-              (item.commune_name && item.commune_name.toLowerCase().includes(name))
-            )
-          );
-        }
-      }
-      // If no match, set commune to empty string (forces UI to show 'Select commune')
-      commune = matchedCommune ? (matchedCommune.commune_name_ascii || matchedCommune.commune_name) : '';
-    }
-    
-    let fullAddress = [address1, address2].filter(Boolean).join(", ");
-    if (!fullAddress && shippingAddress) fullAddress = [shippingAddress.address1, shippingAddress.address2].filter(Boolean).join(", ");
-    
-    const productDescription = order.lineItems?.edges?.length > 0 ? order.lineItems.edges.map(({ node }) => `${node.title} (x${node.quantity})`).join(", ") : 'N/A';
-    
-    const updatedForm = {
-      ...shipmentForm, Client: customerName || 'N/A', MobileA: primaryPhone || 'N/A', MobileB: secondaryPhone || '',
-      Adresse: fullAddress || 'N/A', IDWilaya: wilayaId || defaultWilaya.value.toString(), Wilaya: wilayaName || defaultWilaya.label,
-      Commune: commune || '', Total: orderTotal, TProduit: productDescription || order.name || 'N/A',
-      orderId: order.id.split('/').pop(), Note: order.note || ''
-    };
-    
-    setShipmentForm(updatedForm);
+    setRiskConfirmed(false);
+    setServerRisk(null);
+    setBlacklistOverride(false);
+    setServerBlacklist(null);
+    setShipmentForm({ ...shipmentForm, ...mapOrderToShipment(order, data.cities, communesData, defaultWilaya) });
     setIsModalOpen(true);
   }, [shipmentForm, defaultWilaya, communesData, data.cities]);
 
+  const modalBlacklist = useMemo(() => serverBlacklist || selectedOrder?.blacklist_matches || [], [serverBlacklist, selectedOrder]);
+  const blacklistLines = useCallback((matches) => matches.map(match => t('blacklist.match', { name: match.name || '-', phone: match.phone, count: match.refusalCount })
+    + (match.matchedBy === 'name' ? ` (${t('blacklist.matchedByName')})` : '')), [t]);
+
   const handleShipmentSubmit = useCallback(async (e) => {
     e.preventDefault();
     if (fetcher.state === "submitting") return;
@@ -571,23 +825,21 @@ const [data, setData] = useState(initialData);
       setToastMessage({ content: `Please fill in required fields: ${missingFields.join(', ')}`, error: true });
       return;
     }
-    
-    let totalCost = 0;
-    let lineItems = [];
-    if (selectedOrder?.lineItems?.edges) {
-      selectedOrder.lineItems.edges.forEach(({ node }) => {
-        const quantity = node.quantity || 1;
-        const unitCost = parseFloat(node.variant?.inventoryItem?.unitCost?.amount || 0);
-        const price = parseFloat(node.originalUnitPriceSet?.shopMoney?.amount || 0);
-        const itemTotalCost = unitCost * quantity;
-        const itemTotalRevenue = price * quantity;
-        totalCost += itemTotalCost;
-        lineItems.push({
-          productId: node.product?.id?.split('/').pop() || '', variantId: node.variant?.id?.split('/').pop() || '', title: node.title,
-          quantity, unitCost, price, totalCost: itemTotalCost, totalRevenue: itemTotalRevenue, profit: itemTotalRevenue - itemTotalCost
-        });
-      });
+    const invalidPhone = phoneError(shipmentForm.MobileA) || (shipmentForm.MobileB ? phoneError(shipmentForm.MobileB) : undefined);
+    if (invalidPhone) {
+      setToastMessage({ content: invalidPhone, error: true });
+      return;
+    }
+    if (modalBlacklist.length > 0 && !blacklistOverride) {
+      setToastMessage({ content: t('blacklist.warningTitle'), error: true });
+      return;
     }
+    if ((serverRisk || isHighRisk(selectedOrder)) && !riskConfirmed) {
+      setToastMessage({ content: t('orders.rtoRisk.needsConfirmation'), error: true });
+      return;
+    }
+    
+    const { totalCost, lineItems } = getOrderCosts(selectedOrder);
     
     const formData = new FormData();
     Object.entries(shipmentForm).forEach(([key, value]) => formData.append(key, value));
@@ -595,9 +847,12 @@ const [data, setData] = useState(initialData);
     formData.append("totalRevenue", parseFloat(shipmentForm.Total || 0).toString());
     formData.append("totalProfit", (parseFloat(shipmentForm.Total || 0) - totalCost).toString());
     formData.append("lineItems", JSON.stringify(lineItems));
+    formData.append("orderCreatedAt", selectedOrder.createdAt);
+    formData.append("riskConfirmed", riskConfirmed.toString());
+    formData.append("blacklistOverride", blacklistOverride.toString());
     formData.append("_action", "createShipment");
     fetcher.submit(formData, { method: "post" });
-  }, [fetcher, shipmentForm, selectedOrder]);
+  }, [fetcher, shipmentForm, selectedOrder, phoneError, serverRisk, isHighRisk, riskConfirmed, modalBlacklist, blacklistOverride, t]);
 
   useEffect(() => {
     if (fetcher.data && fetcher.state === "idle") {
@@ -618,15 +873,126 @@ const [data, setData] = useState(initialData);
           setSelectedOrder(null);
         }
       } else {
+        // The edited form can score higher than the order did in the loader
+        if (fetcher.data.riskRequiresConfirmation) {
+          setServerRisk(fetcher.data.risk);
+          setRiskConfirmed(false);
+        }
+        if (fetcher.data.blacklisted) {
+          setServerBlacklist(fetcher.data.blacklisted);
+          setBlacklistOverride(false);
+        }
         setToastMessage({ content: t('errors.shipmentCreation') + ': ' + (fetcher.data.error || 'Unknown error'), error: true });
       }
     }
   }, [fetcher.data, fetcher.state, t, selectedOrder]);
 
+  const handleThresholdSave = useCallback(() => {
+    const formData = new FormData();
+    formData.append("_action", "updateRiskThreshold");
+    formData.append("rtoRiskThreshold", ((parseFloat(thresholdInput) || 0) / 100).toString());
+    settingsFetcher.submit(formData, { method: "post" });
+  }, [settingsFetcher, thresholdInput]);
+
+  useEffect(() => {
+    if (!settingsFetcher.data || settingsFetcher.state !== "idle") return;
+    if (settingsFetcher.data.success) {
+      setData(prevData => ({ ...prevData, rtoRiskThreshold: settingsFetcher.data.rtoRiskThreshold }));
+      setToastMessage({ content: t('orders.rtoRisk.thresholdSaved'), error: false });
+    } else {
+      setToastMessage({ content: settingsFetcher.data.error, error: true });
+    }
+  }, [settingsFetcher.data, settingsFetcher.state, t]);
+
   const totalPages = Math.max(1, Math.ceil(filteredData.length / rowsPerPage));
   const safeCurrentPage = Math.min(Math.max(1, currentPage), totalPages);
   const currentPageData = useMemo(() => filteredData.slice((safeCurrentPage - 1) * rowsPerPage, safeCurrentPage * rowsPerPage), [filteredData, safeCurrentPage, rowsPerPage]);
 
+  // Bulk shipment creation: only orders without a shipment can be selected
+  const selectablePageIds = useMemo(() => currentPageData.filter(({ node }) => !node.shipment_status).map(({ node }) => node.id), [currentPageData]);
+  const isPageSelected = selectablePageIds.length > 0 && selectablePageIds.every(id => selectedOrderIds.includes(id));
+
+  const toggleOrderSelection = useCallback((orderId) => {
+    setSelectedOrderIds(prev => prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]);
+  }, []);
+
+  const togglePageSelection = useCallback(() => {
+    setSelectedOrderIds(prev => isPageSelected
+      ? prev.filter(id => !selectablePageIds.includes(id))
+      : [...new Set([...prev, ...selectablePageIds])]);
+  }, [isPageSelected, selectablePageIds]);
+
+  const openBulkPreview = useCallback(() => {
+    const orders = (data.orders?.edges || []).map(({ node }) => node).filter(node => selectedOrderIds.includes(node.id) && !node.shipment_status);
+    setBulkRows(orders.map(order => {
+      const values = mapOrderToShipment(order, data.cities, communesData, defaultWilaya);
+      return {
+        order,
+        // An unusable secondary phone blocks the row, its field is shown so it can be fixed or cleared
+        hasSecondaryPhone: Boolean(values.MobileB) && !normalizeAlgerianPhone(values.MobileB).valid,
+        values: { TypeLivraison: "0", TypeColis: "0", Confrimee: "1", DeliveryPartner: "zrexpress", deliveryFee: "0", cancelFee: "0", ...values },
+        result: null
+      };
+    }));
+    setIsBulkModalOpen(true);
+  }, [data.orders, data.cities, selectedOrderIds, communesData, defaultWilaya]);
+
+  const updateBulkRow = useCallback((index, changes) => {
+    setBulkRows(prev => prev.map((row, i) => i === index ? { ...row, values: { ...row.values, ...changes } } : row));
+  }, []);
+
+  const isBulkRowRisky = useCallback((row) => Boolean(row.result?.riskRequiresConfirmation) || isHighRisk(row.order), [isHighRisk]);
+  const bulkRowBlacklist = useCallback((row) => row.result?.blacklisted || row.order.blacklist_matches || [], []);
+  const pendingBulkRows = useMemo(() => bulkRows.filter(row => !row.result?.success && validateShipmentRow(row.values, communesData).length === 0
+    && (bulkRowBlacklist(row).length === 0 || row.values.blacklistOverride)
+    && (!isBulkRowRisky(row) || row.values.riskConfirmed)), [bulkRows, communesData, isBulkRowRisky, bulkRowBlacklist]);
+
+  const handleBulkSubmit = useCallback(() => {
+    if (bulkFetcher.state === "submitting" || pendingBulkRows.length === 0) return;
+    const shipments = pendingBulkRows.map(({ order, values }) => {
+      const { totalCost, lineItems } = getOrderCosts(order);
+      const totalRevenue = parseFloat(values.Total || 0);
+      return {
+        ...values,
+        totalCost: totalCost.toString(),
+        totalRevenue: totalRevenue.toString(),
+        totalProfit: (totalRevenue - totalCost).toString(),
+        lineItems: JSON.stringify(lineItems),
+        orderCreatedAt: order.createdAt
+      };
+    });
+    const formData = new FormData();
+    formData.append("_action", "createShipmentsBulk");
+    formData.append("DeliveryPartner", "zrexpress");
+    formData.append("shipments", JSON.stringify(shipments));
+    bulkFetcher.submit(formData, { method: "post" });
+  }, [bulkFetcher, pendingBulkRows]);
+
+  useEffect(() => {
+    if (!bulkFetcher.data || bulkFetcher.state !== "idle") return;
+    const { results, error, created = 0, failed = 0 } = bulkFetcher.data;
+    if (!Array.isArray(results)) {
+      setToastMessage({ content: t('errors.shipmentCreation') + ': ' + (error || 'Unknown error'), error: true });
+      return;
+    }
+
+    const resultsByOrder = results.reduce((acc, result) => { acc[result.orderId] = result; return acc; }, {});
+    setBulkRows(prev => prev.map(row => resultsByOrder[row.values.orderId] ? { ...row, result: resultsByOrder[row.values.orderId] } : row));
+    setData(prevData => {
+      if (!prevData.orders || !prevData.orders.edges) return prevData;
+      const updatedEdges = prevData.orders.edges.map(edge => {
+        const result = resultsByOrder[edge.node.id.split('/').pop()];
+        if (result?.success) {
+          return { ...edge, node: { ...edge.node, shipment_status: 'En Préparation', tracking_info: result.tracking } };
+        }
+        return edge;
+      });
+      return { ...prevData, orders: { ...prevData.orders, edges: updatedEdges } };
+    });
+    setSelectedOrderIds(prev => prev.filter(id => !results.some(result => result.success && id.split('/').pop() === result.orderId)));
+    setToastMessage({ content: t('orders.bulk.summary', { created, failed }), error: created === 0 });
+  }, [bulkFetcher.data, bulkFetcher.state, t]);
+
   const StatCard = ({ title, value, icon, color = "subdued" }) => (
     <Card padding="400">
       <BlockStack gap="200">
@@ -668,6 +1034,10 @@ const [data, setData] = useState(initialData);
               <BlockStack gap="200">
                 <Text variant="headingLg" as="h2">{t('orders.dashboardTitle')}</Text>
                 <InlineStack gap="300" align="start">{isLoading && <Badge tone="warning" size="large">{t('orders.updating')}</Badge>}</InlineStack>
+                <InlineStack gap="200" blockAlign="end" wrap={false}>
+                  <TextField label={t('orders.rtoRisk.threshold')} helpText={t('orders.rtoRisk.thresholdHelp')} type="number" min={0} max={100} suffix="%" value={thresholdInput} onChange={setThresholdInput} autoComplete="off" />
+                  <Button onClick={handleThresholdSave} loading={settingsFetcher.state === "submitting"}>{t('orders.rtoRisk.saveThreshold')}</Button>
+                </InlineStack>
               </BlockStack>
               <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', alignItems: isArabic ? 'flex-start' : 'flex-end', position: 'relative' }}>
                 <InlineStack gap="200" wrap={false}>{dateRangePresets.map(preset => (<Button key={preset.value} size="slim" onClick={() => handleDatePresetClick(preset.value)}>{preset.label}</Button>))}</InlineStack>
@@ -695,8 +1065,20 @@ const [data, setData] = useState(initialData);
             <Card>
               {isLoading ? (<div style={{ textAlign: 'center', padding: '2rem' }}><Spinner accessibilityLabel={t('orders.loadingOrders')} size="large" /></div>) : !currentPageData.length ? (<Box padding="400" style={{ textAlign: 'center' }}><Text variant="bodyMd" as="p">{t('orders.noOrdersInRange')}</Text></Box>) : (
                 <>
-                  <DataTable columnContentTypes={['text', 'text', 'numeric', 'text', 'text', 'text', 'text', 'text', 'text', 'text']}
-                    headings={[`📅 ${t('orders.table.date')}`, `🔢 ${t('orders.table.order')}`, `💰 ${t('orders.table.total')}`, `👤 ${t('orders.table.customer')}`, `📱 ${t('orders.phone')} 1`, `📱 ${t('orders.phone')} 2`, `🏙️ ${t('orders.state')}`, `🏢 ${t('orders.city')}`, `📍 ${t('orders.table.status')}`, `🚚 ${t('orders.shipmentDetails')}`]}
+                  <Box padding="300">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Checkbox label={t('orders.bulk.selectPage')} checked={isPageSelected} onChange={togglePageSelection} disabled={selectablePageIds.length === 0} />
+                      {selectedOrderIds.length > 0 && (
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text variant="bodyMd" as="span">{t('orders.bulk.selected', { count: selectedOrderIds.length })}</Text>
+                          <Button onClick={() => setSelectedOrderIds([])}>{t('orders.bulk.clearSelection')}</Button>
+                          <Button variant="primary" onClick={openBulkPreview}>{t('orders.bulk.preview')}</Button>
+                        </InlineStack>
+                      )}
+                    </InlineStack>
+                  </Box>
+                  <DataTable columnContentTypes={['text', 'text', 'text', 'numeric', 'text', 'text', 'text', 'text', 'text', 'text', 'text', 'text']}
+                    headings={['', `📅 ${t('orders.table.date')}`, `🔢 ${t('orders.table.order')}`, `💰 ${t('orders.table.total')}`, `👤 ${t('orders.table.customer')}`, `📱 ${t('orders.phone')} 1`, `📱 ${t('orders.phone')} 2`, `🏙️ ${t('orders.state')}`, `🏢 ${t('orders.city')}`, `⚠️ ${t('orders.rtoRisk.column')}`, `📍 ${t('orders.table.status')}`, `🚚 ${t('orders.shipmentDetails')}`]}
                     rows={currentPageData.map(({ node }) => {
                       const noteAttributes = node.note_attributes || [];
                       const findNoteAttribute = (names) => {
@@ -723,7 +1105,17 @@ const [data, setData] = useState(initialData);
                       // ✅ FIX: Use dynamic currency in data table.
                       const currency = node.totalPriceSet?.shopMoney?.currencyCode || currencyCode;
                       return [
-                        formatDate(node.createdAt), node.name, formatCurrency(amount, false, currency), customerName, phone1, phone2, wilaya, city,
+                        <Checkbox key={`select-${node.id}`} label={t('orders.bulk.selectOrder', { order: node.name })} labelHidden checked={selectedOrderIds.includes(node.id)} onChange={() => toggleOrderSelection(node.id)} disabled={Boolean(node.shipment_status)} />,
+                        formatDate(node.createdAt), node.name, formatCurrency(amount, false, currency), customerName, phone1, phone2, wilaya,
+                        node.address_match?.lowConfidence ? (
+                          <InlineStack key={`city-${node.id}`} gap="100">
+                            <span>{city}</span>
+                            <Badge tone="warning">{t('orders.addressToCheck', { confidence: Math.round(node.address_match.confidence * 100) })}</Badge>
+                          </InlineStack>
+                        ) : city,
+                        node.rto_risk && !node.shipment_status ? (
+                          <Badge key={`risk-${node.id}`} tone={isHighRisk(node) ? 'critical' : undefined}>{t('orders.rtoRisk.badge', { score: Math.round(node.rto_risk.score * 100) })}</Badge>
+                        ) : '-',
                         <Badge tone={node.displayFinancialStatus === 'PAID' ? 'success' : 'warning'}>{node.displayFinancialStatus}</Badge>,
                         node.shipment_status ? <Badge tone="success">📦 {node.shipment_status}</Badge> : <Button size="slim" onClick={() => handleOrderSelect(node)}>{t('orders.createShipmentButton')}</Button>
                       ];
@@ -741,11 +1133,39 @@ const [data, setData] = useState(initialData);
           </Layout.Section>
         </Layout>
         <Modal open={isModalOpen} onClose={() => {if (fetcher.state === "submitting") return; setIsModalOpen(false);}} title={t('orders.createShipment')}
-          primaryAction={{ content: t('orders.createShipmentButton'), onAction: handleShipmentSubmit, loading: fetcher.state === "submitting", disabled: fetcher.state === "submitting" }}
+          primaryAction={{ content: t('orders.createShipmentButton'), onAction: handleShipmentSubmit, loading: fetcher.state === "submitting", disabled: fetcher.state === "submitting" || (modalBlacklist.length > 0 && !blacklistOverride) || ((Boolean(serverRisk) || isHighRisk(selectedOrder)) && !riskConfirmed) }}
           secondaryActions={[{ content: t('general.cancel'), onAction: () => {if (fetcher.state === "submitting") return; setIsModalOpen(false);}, disabled: fetcher.state === "submitting" }]}>
           <Modal.Section>
             {fetcher.state === "submitting" && (<Banner tone="info"><InlineStack gap="200" align="center"><Spinner size="small" /><Text variant="bodyMd">Creating shipment, please wait...</Text></InlineStack></Banner>)}
             <FormLayout>
+              {modalBlacklist.length > 0 && (
+                <Banner tone="critical" title={t('blacklist.warningTitle')}>
+                  <BlockStack gap="200">
+                    <p>{t('blacklist.warningMessage')}</p>
+                    {blacklistLines(modalBlacklist).map(line => <p key={line}>• {line}</p>)}
+                    <Checkbox label={t('blacklist.override')} checked={blacklistOverride} onChange={setBlacklistOverride} />
+                  </BlockStack>
+                </Banner>
+              )}
+              {(serverRisk || isHighRisk(selectedOrder)) && (
+                <Banner tone="critical" title={t('orders.rtoRisk.highRiskTitle', { score: Math.round((serverRisk || selectedOrder.rto_risk).score * 100) })}>
+                  <BlockStack gap="200">
+                    <p>{t('orders.rtoRisk.highRiskMessage')}</p>
+                    {riskReasons(serverRisk || selectedOrder.rto_risk).map(reason => <p key={reason}>• {reason}</p>)}
+                    <Checkbox label={t('orders.rtoRisk.confirm')} checked={riskConfirmed} onChange={setRiskConfirmed} />
+                  </BlockStack>
+                </Banner>
+              )}
+              {selectedOrder?.phone_check?.duplicates?.length > 0 && (
+                <Banner tone="warning" title={t('orders.duplicatePhoneTitle')}>
+                  <p>{t('orders.duplicatePhoneMessage', { count: selectedOrder.phone_check.duplicates.length, trackings: selectedOrder.phone_check.duplicates.map(d => `${d.tracking} (${d.status})`).join(', ') })}</p>
+                </Banner>
+              )}
+              {selectedOrder?.address_match?.lowConfidence && (
+                <Banner tone="warning" title={t('orders.lowConfidenceTitle')}>
+                  <p>{t('orders.lowConfidenceMessage', { confidence: Math.round(selectedOrder.address_match.confidence * 100) })}</p>
+                </Banner>
+              )}
               {selectedOrder && (<Card><Box padding="300" background="bg-surface-secondary"><BlockStack gap="300">
                 <Text variant="headingMd" as="h3">{t('orders.stats.totalCost')}</Text>
                 <BlockStack gap="200">
@@ -774,10 +1194,10 @@ const [data, setData] = useState(initialData);
               
               <FormLayout.Group>
                 <TextField label={t('orders.customer')} value={shipmentForm.Client} onChange={(v) => setShipmentForm({...shipmentForm, Client: v})} autoComplete="off" requiredIndicator/>
-                <TextField label={t('orders.phone')} value={shipmentForm.MobileA} onChange={(v) => setShipmentForm({...shipmentForm, MobileA: v})} type="tel" autoComplete="off" requiredIndicator/>
+                <TextField label={t('orders.phone')} value={shipmentForm.MobileA} onChange={(v) => setShipmentForm({...shipmentForm, MobileA: v})} type="tel" autoComplete="off" requiredIndicator error={phoneError(shipmentForm.MobileA)}/>
               </FormLayout.Group>
               <FormLayout.Group>
-                <TextField label={t('orders.secondaryPhone')} value={shipmentForm.MobileB} onChange={(v) => setShipmentForm({...shipmentForm, MobileB: v})} type="tel" autoComplete="off"/>
+                <TextField label={t('orders.secondaryPhone')} value={shipmentForm.MobileB} onChange={(v) => setShipmentForm({...shipmentForm, MobileB: v})} type="tel" autoComplete="off" error={shipmentForm.MobileB ? phoneError(shipmentForm.MobileB) : undefined}/>
                 {/* ✅ FIX: Use dynamic currency prefix in modal form field. */}
                 <TextField label={t('orders.total')} value={shipmentForm.Total} onChange={(v) => setShipmentForm({...shipmentForm, Total: v})} type="number" autoComplete="off" requiredIndicator prefix={currencyCode}/>
               </FormLayout.Group>
@@ -808,6 +1228,9 @@ const [data, setData] = useState(initialData);
                 <Select label={t('orders.deliveryType')} options={deliveryTypes} value={shipmentForm.TypeLivraison} onChange={(v) => setShipmentForm({...shipmentForm, TypeLivraison: v})}/>
                 <Select label={t('orders.packageType')} options={packageTypes} value={shipmentForm.TypeColis} onChange={(v) => setShipmentForm({...shipmentForm, TypeColis: v})}/>
               </FormLayout.Group>
+              {shippingQuote && (
+                <Text variant="bodyMd" as="p" tone="subdued">{t('orders.shippingQuote', { delivery: formatCurrency(shippingQuote.deliveryFee, false, 'DZD'), cancel: formatCurrency(shippingQuote.cancelFee, false, 'DZD') })}</Text>
+              )}
               <FormLayout.Group>
                 <TextField label={t('orders.productDescription')} value={shipmentForm.TProduit} onChange={(v) => setShipmentForm({...shipmentForm, TProduit: v})} autoComplete="off" requiredIndicator/>
                 <Select label={t('orders.confirmationStatus.label')} options={confirmedStatusOptions} value={shipmentForm.Confrimee} onChange={(v) => setShipmentForm({...shipmentForm, Confrimee: v})} requiredIndicator/>
@@ -816,6 +1239,72 @@ const [data, setData] = useState(initialData);
             </FormLayout>
           </Modal.Section>
         </Modal>
+        <Modal open={isBulkModalOpen} size="large" onClose={() => {if (bulkFetcher.state === "submitting") return; setIsBulkModalOpen(false);}} title={t('orders.bulk.previewTitle')}
+          primaryAction={{ content: t('orders.bulk.createButton', { count: pendingBulkRows.length }), onAction: handleBulkSubmit, loading: bulkFetcher.state === "submitting", disabled: bulkFetcher.state === "submitting" || pendingBulkRows.length === 0 }}
+          secondaryActions={[{ content: t('general.cancel'), onAction: () => {if (bulkFetcher.state === "submitting") return; setIsBulkModalOpen(false);}, disabled: bulkFetcher.state === "submitting" }]}>
+          <Modal.Section>
+            <BlockStack gap="300">
+              {bulkFetcher.state === "submitting" ? (
+                <Banner tone="info"><InlineStack gap="200" align="center"><Spinner size="small" /><Text variant="bodyMd">{t('orders.bulk.creating')}</Text></InlineStack></Banner>
+              ) : (
+                <Banner tone="info"><Text variant="bodyMd">{t('orders.bulk.readyRows', { ready: pendingBulkRows.length, total: bulkRows.length })} · {t('orders.bulk.invalidRowsInfo')}</Text></Banner>
+              )}
+              <DataTable columnContentTypes={['text', 'text', 'text', 'text', 'text', 'numeric', 'text']}
+                headings={[t('orders.table.order'), t('orders.customer'), t('orders.phone'), t('orders.wilaya'), t('orders.commune'), t('orders.total'), t('orders.bulk.result')]}
+                rows={bulkRows.map((row, index) => {
+                  const { values, result } = row;
+                  const locked = Boolean(result?.success) || bulkFetcher.state === "submitting";
+                  const errors = validateShipmentRow(values, communesData);
+                  const wilayaCode = values.IDWilaya ? values.IDWilaya.toString().padStart(2, '0') : '';
+                  const communeOptions = communesData.filter(c => c.wilaya_code === wilayaCode).map(c => ({ label: c.commune_name_ascii, value: c.commune_name_ascii }));
+                  let status;
+                  if (result?.success) status = <Badge tone="success">📦 {result.tracking}</Badge>;
+                  else if (errors.length > 0) status = <Badge tone="critical">{t('orders.bulk.missingFields', { fields: errors.join(', ') })}</Badge>;
+                  else if (bulkRowBlacklist(row).length > 0) status = (
+                    <BlockStack key={`blacklist-${index}`} gap="100">
+                      <Badge tone="critical">{t('blacklist.badge')}</Badge>
+                      {blacklistLines(bulkRowBlacklist(row)).map(line => <Text key={line} variant="bodySm" as="span">{line}</Text>)}
+                      <Checkbox label={t('blacklist.override')} checked={Boolean(values.blacklistOverride)} onChange={(checked) => updateBulkRow(index, { blacklistOverride: checked })} disabled={locked} />
+                      {values.blacklistOverride && isBulkRowRisky(row) && (
+                        <Checkbox label={t('orders.rtoRisk.confirm')} checked={Boolean(values.riskConfirmed)} onChange={(checked) => updateBulkRow(index, { riskConfirmed: checked })} disabled={locked} />
+                      )}
+                    </BlockStack>
+                  );
+                  else if (isBulkRowRisky(row)) status = (
+                    <BlockStack key={`risk-${index}`} gap="100">
+                      <Badge tone="critical">{t('orders.rtoRisk.highRiskTitle', { score: Math.round((result?.risk || row.order.rto_risk).score * 100) })}</Badge>
+                      <Checkbox label={t('orders.rtoRisk.confirm')} checked={Boolean(values.riskConfirmed)} onChange={(checked) => updateBulkRow(index, { riskConfirmed: checked })} disabled={locked} />
+                    </BlockStack>
+                  );
+                  else if (result?.error) status = <Badge tone="critical">{result.error}</Badge>;
+                  else if (row.order.phone_check?.duplicates?.length > 0) status = <Badge tone="warning">{t('orders.duplicatePhone', { count: row.order.phone_check.duplicates.length })}</Badge>;
+                  else if (row.order.address_match?.lowConfidence) status = <Badge tone="warning">{t('orders.addressToCheck', { confidence: Math.round(row.order.address_match.confidence * 100) })}</Badge>;
+                  else status = <Badge tone="info">{t('orders.bulk.ready')}</Badge>;
+                  return [
+                    row.order.name,
+                    <TextField key={`client-${index}`} label={t('orders.customer')} labelHidden value={values.Client} onChange={(v) => updateBulkRow(index, { Client: v })} autoComplete="off" disabled={locked} error={errors.includes('Client')} />,
+                    <BlockStack key={`phone-${index}`} gap="100">
+                      <TextField label={t('orders.phone')} labelHidden value={values.MobileA} onChange={(v) => updateBulkRow(index, { MobileA: v })} type="tel" autoComplete="off" disabled={locked} error={errors.includes('MobileA')} />
+                      {row.hasSecondaryPhone && (
+                        <TextField label={t('orders.secondaryPhone')} labelHidden placeholder={t('orders.secondaryPhone')} value={values.MobileB} onChange={(v) => updateBulkRow(index, { MobileB: v })} type="tel" autoComplete="off" disabled={locked} error={errors.includes('MobileB')} />
+                      )}
+                    </BlockStack>,
+                    <Select key={`wilaya-${index}`} label={t('orders.wilaya')} labelHidden options={data.cities} value={values.IDWilaya} disabled={locked}
+                      onChange={v => {
+                        const normV = v ? parseInt(v).toString() : "";
+                        const selCity = data.cities.find(c => parseInt(c.value).toString() === normV);
+                        updateBulkRow(index, { IDWilaya: normV, Wilaya: selCity ? selCity.label : "", Commune: "" });
+                      }} />,
+                    <Select key={`commune-${index}`} label={t('orders.commune')} labelHidden options={communeOptions} value={values.Commune} onChange={(v) => updateBulkRow(index, { Commune: v })}
+                      placeholder={communeOptions.length === 0 ? t('orders.selectWilayaFirst') : t('orders.selectCommune')} disabled={locked || communeOptions.length === 0} error={errors.includes('Commune')} />,
+                    formatCurrency(parseFloat(values.Total || 0), false, currencyCode),
+                    status
+                  ];
+                })}
+              />
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
         {toastMarkup}
       </Page>
     </Frame>
@@ -1,7 +1,7 @@
 import { json } from "@remix-run/node";
 import { useLoaderData, useNavigation, useFetcher } from "@remix-run/react";
 import { authenticate } from "../shopify.server";
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useState, useCallback, useMemo } from "react";
 import {
   Card,
   Layout,
@@ -21,19 +21,91 @@ import {
   Badge,
   DatePicker,
 } from "@shopify/polaris";
+import { checkVariantCost, getCostHistory, recordVariantCost, toVariantKey } from "../services/variantCost.server";
 import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
 import { formatCurrency, formatNumber, formatPercentage, formatDate as formatDateUtil } from "../utils/formatters";
 
+// Products × variants per page stays under the 1000 points query cost limit
+const PRODUCTS_PER_PAGE = 20;
+const VARIANTS_PER_PRODUCT = 40;
+
+// Variants after the first VARIANTS_PER_PRODUCT are loaded per product, in pages of this size
+const MORE_VARIANTS_PER_PAGE = 100;
+
+const VARIANT_FIELDS = `
+  id
+  title
+  price
+  inventoryQuantity
+  inventoryItem {
+    id
+    unitCost {
+      amount
+      currencyCode
+    }
+  }
+`;
+
+/**
+ * Remaining variants of a product with more than VARIANTS_PER_PRODUCT variants
+ * @param {Object} admin - Shopify admin API context
+ * @param {string} productId - Product GID
+ * @param {string} cursor - End cursor of the variants already loaded
+ * @returns {Promise<Array<Object>>} Variant edges
+ */
+const fetchRemainingVariants = async (admin, productId, cursor) => {
+  const edges = [];
+  let after = cursor;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(`#graphql
+      query getProductVariants($id: ID!, $first: Int!, $after: String) {
+        product(id: $id) {
+          variants(first: $first, after: $after) {
+            edges {
+              node {${VARIANT_FIELDS}}
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `, { variables: { id: productId, first: MORE_VARIANTS_PER_PAGE, after } });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      throw new Error(responseJson.errors[0].message);
+    }
+
+    const variants = responseJson.data?.product?.variants;
+    if (!variants) break;
+    edges.push(...variants.edges);
+    hasNextPage = variants.pageInfo.hasNextPage;
+    after = variants.pageInfo.endCursor;
+  }
+
+  return edges;
+};
+
+// Shopify names the only variant of a product without options "Default Title"
+const DEFAULT_VARIANT_TITLE = "Default Title";
+
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const formData = await request.formData();
   const productId = formData.get("productId");
   const variantId = formData.get("variantId");
   const cost = formData.get("cost");
+  const effectiveFrom = formData.get("effectiveFrom");
 
   if (!productId || !variantId || !cost) {
     return json({ success: false, error: "Missing required fields" }, { status: 400 });
   }
+  if (isNaN(parseFloat(cost)) || parseFloat(cost) < 0) {
+    return json({ success: false, variantId, error: "Cost must be a positive number" }, { status: 400 });
+  }
 
   try {
     const variantQuery = await admin.graphql(
@@ -43,6 +115,10 @@ export const action = async ({ request }) => {
           id
           inventoryItem {
             id
+            unitCost {
+              amount
+              currencyCode
+            }
           }
         }
       }`,
@@ -53,7 +129,38 @@ export const action = async ({ request }) => {
     if (!variantResponse.data?.productVariant?.inventoryItem?.id) {
       throw new Error("Could not find inventory item for variant");
     }
-    const inventoryItemId = variantResponse.data.productVariant.inventoryItem.id;
+    const currentItem = variantResponse.data.productVariant.inventoryItem;
+    const inventoryItemId = currentItem.id;
+
+    // A backdated edit older than the latest version only changes history, not the current cost
+    const checked = await checkVariantCost(session.shop, { variantId, cost, effectiveFrom });
+    if (!checked.success) {
+      return json({ success: false, error: checked.error }, { status: 400 });
+    }
+
+    // Every edit is kept with its effective date so past orders keep the cost they were bought at,
+    // a current cost only once Shopify accepted it
+    const recordCost = async () => {
+      const recorded = await recordVariantCost(session.shop, {
+        productId,
+        variantId,
+        cost,
+        effectiveFrom,
+        previousCost: currentItem.unitCost?.amount,
+      });
+      if (!recorded.success) throw new Error(recorded.error);
+      return (await getCostHistory(session.shop, [variantId]))[toVariantKey(variantId)] || [];
+    };
+
+    if (!checked.isLatest) {
+      return json({
+        success: true,
+        inventoryItem: currentItem,
+        variantId,
+        costHistory: await recordCost(),
+        message: "Cost history updated"
+      });
+    }
 
     const updateResponse = await admin.graphql(
       `#graphql
@@ -100,6 +207,7 @@ export const action = async ({ request }) => {
       success: true,
       inventoryItem,
       variantId,
+      costHistory: await recordCost(),
       message: "Cost updated successfully"
     });
 
@@ -139,7 +247,7 @@ export const loader = async ({ request }) => {
   try {
     while (hasNextPage) {
       const query = `#graphql
-        query getProducts($first: Int!, $after: String) {
+        query getProducts($first: Int!, $variantsFirst: Int!, $after: String) {
           products(first: $first, after: $after) {
             edges {
               node {
@@ -149,20 +257,13 @@ export const loader = async ({ request }) => {
                 totalInventory
                 productType
                 createdAt
-                variants(first: 1) {
+                variants(first: $variantsFirst) {
                   edges {
-                    node {
-                      id
-                      price
-                      inventoryQuantity
-                      inventoryItem {
-                        id
-                        unitCost {
-                          amount
-                          currencyCode
-                        }
-                      }
-                    }
+                    node {${VARIANT_FIELDS}}
+                  }
+                  pageInfo {
+                    hasNextPage
+                    endCursor
                   }
                 }
                 priceRangeV2 {
@@ -184,7 +285,8 @@ export const loader = async ({ request }) => {
 
       const response = await admin.graphql(query, {
         variables: {
-          first: 50,
+          first: PRODUCTS_PER_PAGE,
+          variantsFirst: VARIANTS_PER_PRODUCT,
           after: cursor
         }
       });
@@ -196,6 +298,11 @@ export const loader = async ({ request }) => {
       }
 
       const products = responseJson.data.products;
+      for (const { node } of products.edges) {
+        if (node.variants.pageInfo.hasNextPage) {
+          node.variants.edges.push(...await fetchRemainingVariants(admin, node.id, node.variants.pageInfo.endCursor));
+        }
+      }
       allProducts = [...allProducts, ...products.edges];
 
       hasNextPage = products.pageInfo.hasNextPage;
@@ -206,9 +313,12 @@ export const loader = async ({ request }) => {
       }
     }
 
+    const costHistory = await getCostHistory(session.shop);
+
     return json({
       products: { edges: allProducts },
       totalCount: allProducts.length,
+      costHistory,
       error: null,
       shop: session.shop,
       currencyCode: shopCurrency,
@@ -219,6 +329,7 @@ export const loader = async ({ request }) => {
     console.error("Products Query Error:", error);
     return json({
       products: { edges: [] },
+      costHistory: {},
       error: error.message,
       shop: session.shop,
       currencyCode: shopCurrency,
@@ -233,9 +344,10 @@ export default function Products() {
   const { currencyCode } = initialData;
   const [data, setData] = useState(initialData);
   const navigation = useNavigation();
-  const [selectedProduct, setSelectedProduct] = useState(null);
+  const [selectedRow, setSelectedRow] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [costValue, setCostValue] = useState("");
+  const [effectiveFrom, setEffectiveFrom] = useState(() => new Date().toISOString().slice(0, 10));
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState("");
   const [toastError, setToastError] = useState(false);
@@ -315,25 +427,26 @@ export default function Products() {
   useEffect(() => {
     const filtered = filterProductsByDateRange(selectedDates.start, selectedDates.end);
     setFilteredProducts(filtered);
-    setCurrentPage(1);
 
     let totalInventory = 0;
     let totalCost = 0;
     let totalRevenue = 0;
     
     filtered.forEach(({ node }) => {
-      const inventory = node.totalInventory || 0;
-      totalInventory += inventory;
-
-      const variant = node.variants.edges[0]?.node;
-      const sellingPrice = parseFloat(variant?.price || node.priceRangeV2.minVariantPrice.amount || 0);
-      const costPerItem = parseFloat(variant?.inventoryItem?.unitCost?.amount || 0);
-      
-      if (!isNaN(sellingPrice) && !isNaN(costPerItem)) {
+      totalInventory += node.totalInventory || 0;
+
+      // Each variant has its own price, cost and stock
+      node.variants.edges.forEach(({ node: variant }) => {
+        const inventory = Math.max(0, variant.inventoryQuantity || 0);
+        const sellingPrice = parseFloat(variant.price || node.priceRangeV2.minVariantPrice.amount || 0);
+        const costPerItem = parseFloat(variant.inventoryItem?.unitCost?.amount || 0);
+
+        if (!isNaN(sellingPrice) && !isNaN(costPerItem)) {
           // Calculate totals based on inventory value
           totalRevenue += sellingPrice * inventory;
           totalCost += costPerItem * inventory;
-      }
+        }
+      });
     });
     
     // Total profit is simply total revenue minus total cost
@@ -359,26 +472,35 @@ export default function Products() {
   const handleDatePresetClick = useCallback((preset) => {
     setSelectedDates(getPresetDates(preset));
     setDatePickerActive(false);
+    setCurrentPage(1);
   }, [getPresetDates]);
 
   const handleDateChange = useCallback(({ start, end }) => {
     setSelectedDates({ start, end });
     setDatePickerActive(false);
+    setCurrentPage(1);
   }, []);
 
-  const displayProducts = filteredProducts;
+  // One row per variant; the page stays put when a cost is saved
+  const displayProducts = useMemo(
+    () => filteredProducts.flatMap(({ node }) => node.variants.edges.map(({ node: variant }) => ({ product: node, variant }))),
+    [filteredProducts]
+  );
   const totalPages = Math.max(1, Math.ceil(displayProducts.length / rowsPerPage));
   const safeCurrentPage = Math.min(Math.max(1, currentPage), totalPages);
   const currentPageData = displayProducts.slice((safeCurrentPage - 1) * rowsPerPage, safeCurrentPage * rowsPerPage);
   const formatDate = (date) => date.toLocaleDateString('fr-CA');
 
-  const getDisplayCurrency = (product) => {
-    const variant = product.variants.edges[0]?.node;
+  const getDisplayCurrency = (product, variant) => {
     const productCurrency = product.priceRangeV2.minVariantPrice.currencyCode;
     const costCurrency = variant?.inventoryItem?.unitCost?.currencyCode;
     return productCurrency || costCurrency || currencyCode;
   };
 
+  // Unsaved inline costs and their validation errors, by variant GID
+  const [costDrafts, setCostDrafts] = useState({});
+  const [costErrors, setCostErrors] = useState({});
+
   useEffect(() => {
     if (costUpdateFetcher.state === "idle" && costUpdateFetcher.data) {
       const result = costUpdateFetcher.data;
@@ -386,18 +508,26 @@ export default function Products() {
       setToastError(!result.success);
       setShowToast(true);
 
+      if (!result.success && result.variantId) {
+        setCostErrors(current => ({ ...current, [result.variantId]: result.error }));
+      }
+
       if (result.success) {
+        setCostDrafts(current => {
+          const next = { ...current };
+          delete next[result.variantId];
+          return next;
+        });
         setData(currentData => {
           const newEdges = currentData.products.edges.map(edge => {
-            const variant = edge.node.variants.edges[0]?.node;
-            if (variant && variant.id === result.variantId) {
-              const newEdge = JSON.parse(JSON.stringify(edge));
-              newEdge.node.variants.edges[0].node.inventoryItem.unitCost = result.inventoryItem.unitCost;
-              return newEdge;
-            }
-            return edge;
+            const variantIndex = edge.node.variants.edges.findIndex(({ node }) => node.id === result.variantId);
+            if (variantIndex === -1) return edge;
+            const newEdge = JSON.parse(JSON.stringify(edge));
+            newEdge.node.variants.edges[variantIndex].node.inventoryItem.unitCost = result.inventoryItem.unitCost;
+            return newEdge;
           });
-          return { ...currentData, products: { ...currentData.products, edges: newEdges } };
+          const costHistory = { ...currentData.costHistory, [result.variantId.split('/').pop()]: result.costHistory };
+          return { ...currentData, costHistory, products: { ...currentData.products, edges: newEdges } };
         });
       }
     }
@@ -415,27 +545,53 @@ export default function Products() {
     </Card>
   );
 
-  const handleCostUpdateClick = useCallback((productId) => {
-    const product = data.products.edges.find(({ node }) => node.id === productId);
-    if (product) {
-      setSelectedProduct(product.node);
-      const variant = product.node.variants.edges[0]?.node;
-      setCostValue(variant?.inventoryItem?.unitCost?.amount || "");
-      setShowModal(true);
+  const validateCost = useCallback((value) => {
+    const cost = parseFloat(value);
+    return value === "" || isNaN(cost) || cost < 0 ? t('products.errors.invalidCost') : null;
+  }, [t]);
+
+  const submitCost = useCallback((product, variant, value, fromDate) => {
+    const formData = new FormData();
+    formData.append("productId", product.id);
+    formData.append("variantId", variant.id);
+    formData.append("cost", parseFloat(value).toString());
+    formData.append("effectiveFrom", fromDate);
+
+    costUpdateFetcher.submit(formData, { method: "post" });
+  }, [costUpdateFetcher]);
+
+  const handleCostDraftChange = useCallback((variantId, value) => {
+    setCostDrafts(current => ({ ...current, [variantId]: value }));
+    setCostErrors(current => ({ ...current, [variantId]: validateCost(value) }));
+  }, [validateCost]);
+
+  // Inline edits apply from today; the modal sets another effective date
+  const handleInlineSave = useCallback((product, variant) => {
+    const value = costDrafts[variant.id];
+    const error = validateCost(value ?? "");
+    if (error) {
+      setCostErrors(current => ({ ...current, [variant.id]: error }));
+      return;
     }
-  }, [data.products]);
+    submitCost(product, variant, value, new Date().toISOString().slice(0, 10));
+  }, [costDrafts, validateCost, submitCost]);
+
+  const handleCostUpdateClick = useCallback((product, variant) => {
+    setSelectedRow({ product, variant });
+    setCostValue(costDrafts[variant.id] ?? variant.inventoryItem?.unitCost?.amount ?? "");
+    setEffectiveFrom(new Date().toISOString().slice(0, 10));
+    setShowModal(true);
+  }, [costDrafts]);
 
   const handleSaveCost = useCallback(() => {
-    const variant = selectedProduct.variants.edges[0]?.node;
-    if (!variant) {
+    if (!selectedRow?.variant) {
       setToastMessage(t('products.errors.variantNotFound'));
       setToastError(true);
       setShowToast(true);
       return;
     }
 
-    const cost = parseFloat(costValue);
-    if (isNaN(cost) || cost < 0) {
+    if (validateCost(costValue)) {
       setToastMessage(t('products.errors.invalidCost'));
       setToastError(true);
       setShowToast(true);
@@ -443,14 +599,8 @@ export default function Products() {
     }
 
     setShowModal(false);
-
-    const formData = new FormData();
-    formData.append("productId", selectedProduct.id);
-    formData.append("variantId", variant.id);
-    formData.append("cost", cost.toString());
-
-    costUpdateFetcher.submit(formData, { method: "post" });
-  }, [selectedProduct, costValue, costUpdateFetcher, t]);
+    submitCost(selectedRow.product, selectedRow.variant, costValue, effectiveFrom);
+  }, [selectedRow, costValue, effectiveFrom, validateCost, submitCost, t]);
 
   if (data.error) {
     return (
@@ -467,6 +617,12 @@ export default function Products() {
     );
   }
 
+  const savingVariantId = isUpdating ? costUpdateFetcher.formData?.get("variantId") : null;
+  const selectedVariantId = selectedRow?.variant.id.split('/').pop();
+  const selectedCostHistory = (selectedVariantId && data.costHistory?.[selectedVariantId]) || [];
+  const selectedCurrency = selectedRow ? getDisplayCurrency(selectedRow.product, selectedRow.variant) : currencyCode;
+  const variantLabel = (product, variant) => (variant.title && variant.title !== DEFAULT_VARIANT_TITLE ? `${product.title} - ${variant.title}` : product.title);
+
   const toastMarkup = showToast ? (
     <Toast content={toastMessage} onDismiss={() => setShowToast(false)} error={toastError} duration={4000} />
   ) : null;
@@ -481,6 +637,11 @@ export default function Products() {
             <Text variant="headingXl" as="h1">{t('products.management')}</Text>
           </div>
         }
+        secondaryActions={[
+          { content: t('costImport.title'), url: "/app/costs" },
+          { content: t('landedCosts.title'), url: "/app/landed-costs" },
+          { content: t('cogsHistory.title'), url: "/app/cogs" },
+        ]}
       >
         <Layout>
           <Layout.Section>
@@ -566,35 +727,58 @@ export default function Products() {
                       `📈 ${t('products.table.margin')}`,
                       `📦 ${t('products.table.inventory')}`
                     ]}
-                    rows={currentPageData.map((edge) => {
-                      const { node } = edge;
-                      const variant = node.variants.edges[0]?.node;
-                      const sellingPrice = parseFloat(variant?.price || node.priceRangeV2.minVariantPrice.amount);
-                      const costPerItem = parseFloat(variant?.inventoryItem?.unitCost?.amount || 0);
+                    rows={currentPageData.map(({ product: node, variant }) => {
+                      const sellingPrice = parseFloat(variant.price || node.priceRangeV2.minVariantPrice.amount);
+                      const storedCost = parseFloat(variant.inventoryItem?.unitCost?.amount || 0);
+                      const draft = costDrafts[variant.id];
+                      const isDirty = draft !== undefined && parseFloat(draft) !== storedCost;
+                      const costError = costErrors[variant.id];
+                      // Profit and margin follow the cost being typed
+                      const costPerItem = isDirty && !costError ? parseFloat(draft) : storedCost;
                       const profit = sellingPrice - costPerItem;
                       const margin = sellingPrice > 0 ? ((profit / sellingPrice) * 100) : 0;
                       const createdAt = getCreatedAt(node);
-                      const displayCurrency = getDisplayCurrency(node);
+                      const displayCurrency = getDisplayCurrency(node, variant);
                       
                       return [
                         formatDate(createdAt),
-                        node.title,
+                        variantLabel(node, variant),
                         node.productType || t('products.table.uncategorized'),
                         <Badge tone={node.status === 'ACTIVE' ? 'success' : 'critical'}>{node.status}</Badge>,
                         formatCurrency(sellingPrice, false, displayCurrency),
-                        costPerItem > 0
-                          ? formatCurrency(costPerItem, false, displayCurrency)
-                          : <Button size="slim" onClick={() => handleCostUpdateClick(node.id)} loading={isUpdating && selectedProduct?.id === node.id} disabled={isUpdating}>
-                            {t('products.setCost')}
-                          </Button>,
+                        <InlineStack key={`cost-${variant.id}`} gap="100" blockAlign="start" wrap={false}>
+                          <div style={{ width: '110px' }}>
+                            <TextField
+                              label={t('products.cost')}
+                              labelHidden
+                              type="number"
+                              min={0}
+                              size="slim"
+                              value={draft ?? (storedCost > 0 ? variant.inventoryItem.unitCost.amount : "")}
+                              placeholder={t('products.setCost')}
+                              onChange={(value) => handleCostDraftChange(variant.id, value)}
+                              error={costError || undefined}
+                              autoComplete="off"
+                              disabled={isUpdating}
+                            />
+                          </div>
+                          {isDirty && (
+                            <Button size="slim" variant="primary" onClick={() => handleInlineSave(node, variant)} loading={savingVariantId === variant.id} disabled={isUpdating || Boolean(costError)}>
+                              {t('products.save')}
+                            </Button>
+                          )}
+                          <Button size="slim" variant="plain" onClick={() => handleCostUpdateClick(node, variant)} disabled={isUpdating}>
+                            {t('products.costHistory')}
+                          </Button>
+                        </InlineStack>,
                         <Text color={profit >= 0 ? "success" : "critical"}>{formatCurrency(profit, false, displayCurrency)}</Text>,
                         <Text color={margin >= 0 ? "success" : "critical"}>{formatPercentage(margin)}</Text>,
-                        node.totalInventory?.toString() || '0'
+                        (variant.inventoryQuantity ?? 0).toString()
                       ];
                     })}
                     footerContent={
                       <div style={{ padding: '16px', background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', color: 'white', fontWeight: 'bold', textAlign: 'center' }}>
-                        {`📊 ${t('products.pagination.totalProducts')}: ${displayProducts.length} | ${t('products.pagination.page')} ${safeCurrentPage} ${t('products.pagination.of')} ${totalPages}`}
+                        {`📊 ${t('products.pagination.totalVariants')}: ${displayProducts.length} | ${t('products.pagination.page')} ${safeCurrentPage} ${t('products.pagination.of')} ${totalPages}`}
                       </div>
                     }
                   />
@@ -635,7 +819,7 @@ export default function Products() {
           <Modal.Section>
             <BlockStack gap="400">
               <Text variant="bodyMd" as="p">
-                {t('products.enterCostFor', { title: selectedProduct?.title })}
+                {t('products.enterCostFor', { title: selectedRow ? variantLabel(selectedRow.product, selectedRow.variant) : '' })}
               </Text>
               <TextField
                 label={t('products.cost')}
@@ -643,9 +827,30 @@ export default function Products() {
                 value={costValue}
                 onChange={setCostValue}
                 autoComplete="off"
-                prefix={selectedProduct ? getDisplayCurrency(selectedProduct) : currencyCode}
+                prefix={selectedCurrency}
                 placeholder="0.00"
               />
+              <TextField
+                label={t('products.effectiveFrom')}
+                type="date"
+                value={effectiveFrom}
+                onChange={setEffectiveFrom}
+                autoComplete="off"
+                helpText={t('products.effectiveFromHelp')}
+              />
+              {selectedCostHistory.length > 0 && (
+                <BlockStack gap="100">
+                  <Text variant="headingSm" as="h3">{t('products.costHistory')}</Text>
+                  {selectedCostHistory.map(version => (
+                    <InlineStack key={version.id} align="space-between">
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {new Date(version.effectiveFrom).getTime() === 0 ? t('products.costBeforeHistory') : t('products.costFrom', { date: new Date(version.effectiveFrom).toISOString().slice(0, 10) })}
+                      </Text>
+                      <Text as="span" variant="bodySm">{formatCurrency(version.cost, false, selectedCurrency)}</Text>
+                    </InlineStack>
+                  ))}
+                </BlockStack>
+              )}
             </BlockStack>
           </Modal.Section>
         </Modal>
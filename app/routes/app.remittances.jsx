@@ -0,0 +1,261 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useNavigate } from "@remix-run/react";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  TextField,
+  Button,
+  Checkbox,
+  FormLayout,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Badge,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { DEFAULT_CARRIER, getCarrier, listCarriers } from "../services/carriers.server";
+import {
+  getPendingCollections,
+  summarizeOutstanding,
+  listRemittances,
+  recordRemittance,
+  deleteRemittance,
+} from "../services/codRemittance.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency, formatNumber } from "../utils/formatters";
+
+const BUCKET_TONES = { '0_7': "success", '8_15': "info", '16_30': "warning", over_30: "critical" };
+
+const today = () => new Date().toISOString().slice(0, 10);
+const emptyForm = () => ({ paidAt: today(), amount: "", reference: "", note: "", trackings: "" });
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const carrier = getCarrier(url.searchParams.get("carrier") || DEFAULT_CARRIER);
+
+  try {
+    const [pending, remittances] = await Promise.all([
+      getPendingCollections(session.shop, carrier.code),
+      listRemittances(session.shop, carrier.code),
+    ]);
+    return json({ carrier: carrier.code, carriers: listCarriers(), pending, summary: summarizeOutstanding(pending), remittances, error: null });
+  } catch (error) {
+    console.error("Remittances loader error:", error);
+    return json({ carrier: carrier.code, carriers: listCarriers(), pending: [], summary: summarizeOutstanding([]), remittances: [], error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+  const carrier = getCarrier(formData.get("carrier") || DEFAULT_CARRIER);
+
+  try {
+    if (_action === "record") {
+      const result = await recordRemittance(session.shop, {
+        carrier: carrier.code,
+        paidAt: formData.get("paidAt"),
+        amount: formData.get("amount"),
+        reference: formData.get("reference"),
+        note: formData.get("note"),
+        trackings: String(formData.get("trackings") || "").split(/[\s,;]+/),
+      });
+      return json({ ...result, _action }, { status: result.success ? 200 : 400 });
+    }
+
+    if (_action === "delete") {
+      const deleted = await deleteRemittance(session.shop, formData.get("id"));
+      return json({ success: deleted, _action, ...(deleted ? {} : { error: "Remittance not found" }) }, { status: deleted ? 200 : 404 });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Remittances action error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+export default function Remittances() {
+  const { carrier, carriers, pending, summary, remittances, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigate = useNavigate();
+  const { t } = useLanguage();
+  const [form, setForm] = useState(emptyForm);
+  const [selected, setSelected] = useState([]);
+  const [skipped, setSkipped] = useState(null);
+  const [toastMessage, setToastMessage] = useState(null);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    const { success, _action } = fetcher.data;
+    setSkipped(_action === "record" ? fetcher.data.skipped || null : null);
+    if (!success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    if (_action === "record") {
+      setForm(emptyForm());
+      setSelected([]);
+      setToastMessage({ content: t('remittances.recorded'), error: false });
+    } else if (_action === "delete") {
+      setToastMessage({ content: t('remittances.deleted'), error: false });
+    }
+  }, [fetcher.data, fetcher.state, t]);
+
+  const toggleSelected = useCallback((tracking) => {
+    setSelected(previous => previous.includes(tracking) ? previous.filter(item => item !== tracking) : [...previous, tracking]);
+  }, []);
+
+  const selectedOwed = useMemo(
+    () => pending.filter(shipment => selected.includes(shipment.tracking)).reduce((sum, shipment) => sum + shipment.owed, 0),
+    [pending, selected]
+  );
+
+  const handleRecord = () => {
+    fetcher.submit({
+      _action: "record",
+      carrier,
+      ...form,
+      trackings: [...selected, form.trackings].join("\n"),
+    }, { method: "post" });
+  };
+
+  const isSubmitting = fetcher.state !== "idle";
+  const formatDate = (value) => new Date(value).toLocaleDateString('fr-CA');
+  const hasTrackings = selected.length > 0 || form.trackings.trim() !== "";
+
+  const pendingRows = pending.map(shipment => [
+    <Checkbox key={`select-${shipment.id}`} label={shipment.tracking} labelHidden checked={selected.includes(shipment.tracking)} onChange={() => toggleSelected(shipment.tracking)} />,
+    shipment.tracking,
+    shipment.client,
+    shipment.wilaya,
+    formatDate(shipment.deliveredAt),
+    <Badge key="age" tone={BUCKET_TONES[shipment.bucket]}>{t('remittances.days', { count: shipment.ageDays })}</Badge>,
+    formatCurrency(shipment.owed),
+  ]);
+
+  const remittanceRows = remittances.map(remittance => {
+    const gap = remittance.amount - remittance.expectedAmount;
+    return [
+      formatDate(remittance.paidAt),
+      remittance.reference || '-',
+      formatNumber(remittance._count.items),
+      formatCurrency(remittance.expectedAmount),
+      formatCurrency(remittance.amount),
+      Math.abs(gap) < 1 ? '-' : <Text key="gap" as="span" tone={gap < 0 ? "critical" : "success"}>{formatCurrency(gap, gap < 0)}</Text>,
+      <Button key={`delete-${remittance.id}`} size="slim" tone="critical" onClick={() => fetcher.submit({ _action: "delete", id: remittance.id }, { method: "post" })} disabled={isSubmitting}>{t('remittances.delete')}</Button>,
+    ];
+  });
+
+  return (
+    <Frame>
+      <Page title={t('remittances.title')} subtitle={t('remittances.description')} backAction={{ url: "/app/zrexpress" }}>
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="end">
+                  <Select label={t('zrExpress.carrier')} options={carriers} value={carrier} onChange={(value) => navigate(`?carrier=${value}`)} />
+                  <BlockStack gap="100" inlineAlign="end">
+                    <Text as="p" tone="subdued">{t('remittances.outstanding')}</Text>
+                    <Text variant="headingLg" as="p">{formatCurrency(summary.amount)}</Text>
+                  </BlockStack>
+                </InlineStack>
+                <InlineGrid columns={{ xs: 2, sm: 4 }} gap="400">
+                  {summary.buckets.map(bucket => (
+                    <BlockStack key={bucket.key} gap="100">
+                      <Badge tone={BUCKET_TONES[bucket.key]}>{t(`remittances.buckets.${bucket.key}`)}</Badge>
+                      <Text variant="headingMd" as="p">{formatCurrency(bucket.amount)}</Text>
+                      <Text as="p" variant="bodySm" tone="subdued">{t('remittances.parcels', { count: bucket.count })}</Text>
+                    </BlockStack>
+                  ))}
+                </InlineGrid>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">{t('remittances.recordTitle')}</Text>
+                {skipped && (skipped.unknown.length + skipped.notDelivered.length + skipped.alreadyRemitted.length) > 0 && (
+                  <Banner tone="warning" onDismiss={() => setSkipped(null)}>
+                    {skipped.unknown.length > 0 && <p>{t('remittances.skippedUnknown', { trackings: skipped.unknown.join(', ') })}</p>}
+                    {skipped.notDelivered.length > 0 && <p>{t('remittances.skippedNotDelivered', { trackings: skipped.notDelivered.join(', ') })}</p>}
+                    {skipped.alreadyRemitted.length > 0 && <p>{t('remittances.skippedRemitted', { trackings: skipped.alreadyRemitted.join(', ') })}</p>}
+                  </Banner>
+                )}
+                <FormLayout>
+                  <FormLayout.Group>
+                    <TextField label={t('remittances.paidAt')} type="date" value={form.paidAt} onChange={(v) => setForm({ ...form, paidAt: v })} autoComplete="off" />
+                    <TextField label={t('remittances.amount')} type="number" value={form.amount} onChange={(v) => setForm({ ...form, amount: v })} autoComplete="off" helpText={selected.length > 0 ? t('remittances.selectedExpected', { count: selected.length, amount: formatCurrency(selectedOwed) }) : undefined} />
+                    <TextField label={t('remittances.reference')} value={form.reference} onChange={(v) => setForm({ ...form, reference: v })} autoComplete="off" />
+                  </FormLayout.Group>
+                  <TextField label={t('remittances.trackings')} value={form.trackings} onChange={(v) => setForm({ ...form, trackings: v })} multiline={3} autoComplete="off" helpText={t('remittances.trackingsHelp')} />
+                  <TextField label={t('remittances.note')} value={form.note} onChange={(v) => setForm({ ...form, note: v })} autoComplete="off" />
+                  <InlineStack align="end">
+                    <Button variant="primary" onClick={handleRecord} disabled={!form.amount || !hasTrackings || isSubmitting} loading={isSubmitting && fetcher.formData?.get("_action") === "record"}>{t('remittances.record')}</Button>
+                  </InlineStack>
+                </FormLayout>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd" as="h2">{t('remittances.pendingTitle', { count: pending.length })}</Text>
+                  {pending.length > 0 && (
+                    <Button variant="plain" onClick={() => setSelected(selected.length === pending.length ? [] : pending.map(shipment => shipment.tracking))}>
+                      {selected.length === pending.length ? t('remittances.clearSelection') : t('remittances.selectAll')}
+                    </Button>
+                  )}
+                </InlineStack>
+                {pendingRows.length === 0 ? (
+                  <Text as="p" tone="subdued">{t('remittances.noPending')}</Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text', 'numeric']}
+                    headings={['', t('feeReport.tracking'), t('remittances.client'), t('geoAnalytics.wilaya'), t('remittances.deliveredAt'), t('remittances.age'), t('remittances.owed')]}
+                    rows={pendingRows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('remittances.history')}</Text>
+                {remittanceRows.length === 0 ? (
+                  <Text as="p" tone="subdued">{t('remittances.empty')}</Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'numeric', 'numeric', 'numeric', 'numeric', 'text']}
+                    headings={[t('remittances.paidAt'), t('remittances.reference'), t('remittances.parcelCount'), t('remittances.expected'), t('remittances.amount'), t('remittances.gap'), '']}
+                    rows={remittanceRows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,15 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getShipmentTimeline } from "../services/shipping.service";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const timeline = await getShipmentTimeline(params.tracking, session.shop);
+    return json({ success: true, tracking: params.tracking, ...timeline });
+  } catch (error) {
+    console.error('Shipment timeline error:', error);
+    return json({ success: false, tracking: params.tracking, events: [], error: error.message }, { status: 500 });
+  }
+};
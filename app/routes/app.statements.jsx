@@ -0,0 +1,266 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useSearchParams } from "@remix-run/react";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  Button,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { DEFAULT_CARRIER, getCarrier, listCarriers } from "../services/carriers.server";
+import {
+  readStatementFile,
+  reconcileStatement,
+  listStatements,
+  getStatement,
+  deleteStatement,
+} from "../services/carrierStatement.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency, formatNumber } from "../utils/formatters";
+
+const RESULT_TONES = { matched: "success", mismatch: "critical", missing: "warning", duplicate: "critical" };
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const carrier = getCarrier(url.searchParams.get("carrier") || DEFAULT_CARRIER);
+  const statementId = url.searchParams.get("id");
+
+  try {
+    const [statements, statement] = await Promise.all([
+      listStatements(session.shop, carrier.code),
+      statementId ? getStatement(session.shop, statementId) : null,
+    ]);
+    return json({ carrier: carrier.code, carriers: listCarriers(), statements, statement, error: null });
+  } catch (error) {
+    console.error("Statements loader error:", error);
+    return json({ carrier: carrier.code, carriers: listCarriers(), statements: [], statement: null, error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const _action = formData.get("_action");
+  const carrier = getCarrier(formData.get("carrier") || DEFAULT_CARRIER);
+
+  try {
+    if (_action === "import") {
+      const uploadedFile = formData.get("file");
+      if (!uploadedFile || !(uploadedFile instanceof Blob)) {
+        return json({ success: false, _action, error: "No valid file selected" }, { status: 400 });
+      }
+
+      const { lines, error } = readStatementFile(await uploadedFile.arrayBuffer());
+      if (error) {
+        return json({ success: false, _action, error }, { status: 400 });
+      }
+
+      const statement = await reconcileStatement(session.shop, carrier.code, { fileName: uploadedFile.name || "statement", lines });
+      return json({ success: true, _action, statement });
+    }
+
+    if (_action === "delete") {
+      const deleted = await deleteStatement(session.shop, formData.get("id"));
+      return json({ success: deleted, _action, ...(deleted ? {} : { error: "Statement not found" }) }, { status: deleted ? 200 : 404 });
+    }
+
+    return json({ success: false, error: "Invalid action." }, { status: 400 });
+  } catch (error) {
+    console.error("Statements action error:", error);
+    return json({ success: false, _action, error: error.message }, { status: 500 });
+  }
+};
+
+export default function Statements() {
+  const { carrier, carriers, statements, statement, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t } = useLanguage();
+  const [toastMessage, setToastMessage] = useState(null);
+  const resultFilter = searchParams.get("result") || "";
+
+  const updateParams = useCallback((values) => {
+    setSearchParams(previous => {
+      const params = new URLSearchParams(previous);
+      Object.entries(values).forEach(([name, value]) => {
+        if (value) params.set(name, value);
+        else params.delete(name);
+      });
+      return params;
+    });
+  }, [setSearchParams]);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    const { success, _action } = fetcher.data;
+    if (!success) {
+      setToastMessage({ content: fetcher.data.error || "Unknown error", error: true });
+      return;
+    }
+    if (_action === "import") {
+      setToastMessage({ content: t('statements.imported', { count: fetcher.data.statement.lineCount }), error: false });
+      updateParams({ id: fetcher.data.statement.id, result: "" });
+    } else if (_action === "delete") {
+      setToastMessage({ content: t('statements.deleted'), error: false });
+      updateParams({ id: "", result: "" });
+    }
+  }, [fetcher.data, fetcher.state, t, updateParams]);
+
+  const handleFileSelect = (event) => {
+    const selectedFile = event.target.files[0];
+    event.target.value = "";
+    if (!selectedFile) return;
+    if (!/\.(xlsx|xls|csv)$/i.test(selectedFile.name)) {
+      setToastMessage({ content: t('statements.selectFile'), error: true });
+      return;
+    }
+    const formData = new FormData();
+    formData.append("_action", "import");
+    formData.append("carrier", carrier);
+    formData.append("file", selectedFile);
+    fetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const isSubmitting = fetcher.state !== "idle";
+  const formatDateTime = (value) => new Date(value).toLocaleString('fr-CA');
+  const formatFee = (value) => (value === null || value === undefined ? '-' : formatCurrency(value));
+
+  const resultOptions = useMemo(() => [
+    { value: "", label: t('statements.allLines') },
+    ...['mismatch', 'duplicate', 'missing', 'matched'].map(result => ({ value: result, label: t(`statements.results.${result}`) })),
+  ], [t]);
+
+  const statementRows = statements.map(item => [
+    <Button key={`open-${item.id}`} variant="plain" onClick={() => updateParams({ id: item.id, result: "" })}>{item.fileName}</Button>,
+    formatDateTime(item.createdAt),
+    formatNumber(item.lineCount),
+    item.mismatchCount > 0 ? <Badge key="mismatch" tone="critical">{formatNumber(item.mismatchCount)}</Badge> : '0',
+    item.duplicateCount > 0 ? <Badge key="duplicate" tone="critical">{formatNumber(item.duplicateCount)}</Badge> : '0',
+    item.missingCount > 0 ? <Badge key="missing" tone="warning">{formatNumber(item.missingCount)}</Badge> : '0',
+    formatCurrency(item.totalBilled),
+    formatCurrency(item.totalExpected),
+  ]);
+
+  const lineRows = (statement?.lines || [])
+    .filter(line => !resultFilter || line.result === resultFilter)
+    .map(line => [
+      line.row,
+      line.tracking,
+      line.shipmentStatus || '-',
+      formatFee(line.billedDeliveryFee),
+      formatFee(line.expectedDeliveryFee),
+      formatFee(line.billedCancelFee),
+      formatFee(line.expectedCancelFee),
+      <Badge key="result" tone={RESULT_TONES[line.result]}>{t(`statements.results.${line.result}`)}</Badge>,
+    ]);
+
+  return (
+    <Frame>
+      <Page
+        title={t('statements.title')}
+        subtitle={t('statements.description')}
+        backAction={{ url: "/app/zrexpress" }}
+        primaryAction={{
+          content: t('statements.import'),
+          loading: isSubmitting && fetcher.formData?.get("_action") === "import",
+          onAction: () => document.getElementById('statement-upload').click(),
+        }}
+      >
+        <input type="file" id="statement-upload" accept=".xlsx,.xls,.csv" style={{ display: 'none' }} onChange={handleFileSelect} />
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Select label={t('zrExpress.carrier')} options={carriers} value={carrier} onChange={(value) => updateParams({ carrier: value, id: "", result: "" })} />
+                <Text as="p" variant="bodySm" tone="subdued">{t('statements.formatHelp')}</Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          {statement && (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="headingMd" as="h2">{statement.fileName}</Text>
+                    <InlineStack gap="200">
+                      <Button onClick={() => updateParams({ id: "", result: "" })}>{t('general.close')}</Button>
+                      <Button tone="critical" onClick={() => fetcher.submit({ _action: "delete", id: statement.id }, { method: "post" })} disabled={isSubmitting}>{t('statements.delete')}</Button>
+                    </InlineStack>
+                  </InlineStack>
+                  <InlineStack gap="600">
+                    <Text as="p">{t('statements.results.matched')}: <strong>{formatNumber(statement.matchedCount)}</strong></Text>
+                    <Text as="p">{t('statements.results.mismatch')}: <strong>{formatNumber(statement.mismatchCount)}</strong></Text>
+                    <Text as="p">{t('statements.results.duplicate')}: <strong>{formatNumber(statement.duplicateCount)}</strong></Text>
+                    <Text as="p">{t('statements.results.missing')}: <strong>{formatNumber(statement.missingCount)}</strong></Text>
+                    <Text as="p">{t('statements.overbilled')}: <strong>{formatCurrency(statement.totalBilled - statement.totalExpected, statement.totalBilled < statement.totalExpected)}</strong></Text>
+                  </InlineStack>
+                  <Select label={t('statements.show')} options={resultOptions} value={resultFilter} onChange={(value) => updateParams({ result: value })} />
+                  {lineRows.length === 0 ? (
+                    <Text as="p" tone="subdued">{t('statements.noLines')}</Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={['numeric', 'text', 'text', 'numeric', 'numeric', 'numeric', 'numeric', 'text']}
+                      headings={[
+                        t('statements.row'),
+                        t('feeReport.tracking'),
+                        t('statements.shipmentStatus'),
+                        t('statements.billedDelivery'),
+                        t('statements.expectedDelivery'),
+                        t('statements.billedCancel'),
+                        t('statements.expectedCancel'),
+                        t('statements.result'),
+                      ]}
+                      rows={lineRows}
+                    />
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('statements.history')}</Text>
+                {statementRows.length === 0 ? (
+                  <Text as="p" tone="subdued">{t('statements.empty')}</Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+                    headings={[
+                      t('statements.file'),
+                      t('statements.importedAt'),
+                      t('statements.lines'),
+                      t('statements.results.mismatch'),
+                      t('statements.results.duplicate'),
+                      t('statements.results.missing'),
+                      t('statements.totalBilled'),
+                      t('statements.totalExpected'),
+                    ]}
+                    rows={statementRows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,155 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useNavigate } from "@remix-run/react";
+import { useEffect, useState } from "react";
+import {
+  Card,
+  Layout,
+  Page,
+  DataTable,
+  Text,
+  Banner,
+  Select,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { DEFAULT_CARRIER, getCarrier, getShopTarification, listCarriers } from "../services/carriers.server";
+import { getTarificationChanges, getTarificationFetchedAt } from "../services/tarificationCache.server";
+import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
+import { formatCurrency } from "../utils/formatters";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const carrier = getCarrier(url.searchParams.get("carrier") || DEFAULT_CARRIER);
+
+  try {
+    const tarification = await getShopTarification(session.shop, carrier.code);
+    const [fetchedAt, changes] = await Promise.all([
+      getTarificationFetchedAt(session.shop, carrier.code),
+      getTarificationChanges(session.shop, carrier.code),
+    ]);
+    return json({ carrier: carrier.code, carriers: listCarriers(), tarification, fetchedAt, changes, error: null });
+  } catch (error) {
+    console.error("Tarification loader error:", error);
+    return json({ carrier: carrier.code, carriers: listCarriers(), tarification: [], fetchedAt: null, changes: [], error: error.message }, { status: 500 });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const carrier = getCarrier(formData.get("carrier") || DEFAULT_CARRIER);
+
+  try {
+    const tarification = await getShopTarification(session.shop, carrier.code, { refresh: true });
+    return json({ success: tarification.length > 0, count: tarification.length });
+  } catch (error) {
+    console.error("Tarification refresh error:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export default function Tarification() {
+  const { carrier, carriers, tarification, fetchedAt, changes, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigate = useNavigate();
+  const { t } = useLanguage();
+  const [toastMessage, setToastMessage] = useState(null);
+
+  useEffect(() => {
+    if (!fetcher.data || fetcher.state !== "idle") return;
+    setToastMessage(fetcher.data.success
+      ? { content: t('tarification.refreshed'), error: false }
+      : { content: fetcher.data.error || t('tarification.refreshFailed'), error: true });
+  }, [fetcher.data, fetcher.state, t]);
+
+  const formatDateTime = (value) => (value ? new Date(value).toLocaleString('fr-CA') : '-');
+  const formatPrice = (value) => (value === null || value === undefined ? '-' : formatCurrency(parseFloat(value) || 0));
+
+  const changeCell = (change) => {
+    if (change.field === 'wilaya') {
+      return change.after
+        ? <Badge key="state" tone="success">{t('tarification.wilayaAdded')}</Badge>
+        : <Badge key="state" tone="critical">{t('tarification.wilayaRemoved')}</Badge>;
+    }
+    const delta = (parseFloat(change.after) || 0) - (parseFloat(change.before) || 0);
+    return (
+      <Text key="delta" as="span" tone={delta > 0 ? "critical" : "success"}>
+        {`${delta > 0 ? '+' : '-'}${formatCurrency(Math.abs(delta))}`}
+      </Text>
+    );
+  };
+
+  return (
+    <Frame>
+      <Page
+        title={t('tarification.title')}
+        backAction={{ url: "/app/zrexpress" }}
+        primaryAction={{
+          content: t('tarification.refresh'),
+          loading: fetcher.state !== "idle",
+          onAction: () => fetcher.submit({ carrier }, { method: "post" }),
+        }}
+        secondaryActions={[{ content: t('feeReport.title'), onAction: () => navigate("/app/fees") }]}
+      >
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical"><p>{error}</p></Banner>
+            </Layout.Section>
+          )}
+          <Layout.Section>
+            <Card>
+              <InlineStack gap="400" align="space-between" blockAlign="end">
+                <Select label={t('zrExpress.carrier')} options={carriers} value={carrier} onChange={(value) => navigate(`?carrier=${value}`)} />
+                <Text as="p" tone="subdued">{t('tarification.fetchedAt', { date: formatDateTime(fetchedAt) })}</Text>
+              </InlineStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('tarification.priceChanges')}</Text>
+                {changes.length === 0 ? (
+                  <Text as="p" tone="subdued">{t('tarification.noChanges')}</Text>
+                ) : changes.map(snapshot => (
+                  <BlockStack key={snapshot.changedAt} gap="200">
+                    <Text variant="headingSm" as="h3">{t('tarification.changedBetween', { from: formatDateTime(snapshot.previousAt), to: formatDateTime(snapshot.changedAt) })}</Text>
+                    <DataTable
+                      columnContentTypes={['text', 'text', 'numeric', 'numeric', 'numeric']}
+                      headings={[t('geoAnalytics.wilaya'), t('tarification.field'), t('tarification.before'), t('tarification.after'), t('tarification.change')]}
+                      rows={snapshot.changes.map(change => [
+                        `${change.wilayaId} - ${change.wilaya}`,
+                        t(`tarification.fields.${change.field}`),
+                        change.field === 'wilaya' ? (change.before || '-') : formatPrice(change.before),
+                        change.field === 'wilaya' ? (change.after || '-') : formatPrice(change.after),
+                        changeCell(change),
+                      ])}
+                    />
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">{t('tarification.currentPrices')}</Text>
+                <DataTable
+                  columnContentTypes={['text', 'numeric', 'numeric', 'numeric']}
+                  headings={[t('geoAnalytics.wilaya'), t('tarification.fields.Domicile'), t('tarification.fields.Stopdesk'), t('tarification.fields.Annuler')]}
+                  rows={tarification.map(item => [`${item.IDWilaya} - ${item.Wilaya}`, formatPrice(item.Domicile), formatPrice(item.Stopdesk), formatPrice(item.Annuler)])}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+        {toastMessage && <Toast content={toastMessage.content} error={toastMessage.error} onDismiss={() => setToastMessage(null)} duration={4000} />}
+      </Page>
+    </Frame>
+  );
+}
@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback, lazy, Suspense, useMemo } from "react";
 import { json } from "@remix-run/node";
-import { useLoaderData, useSubmit, useActionData, useNavigate } from "@remix-run/react";
+import { useLoaderData, useSubmit, useActionData, useNavigate, useFetcher } from "@remix-run/react";
 import { 
   Card, 
   Layout, 
@@ -25,12 +25,17 @@ import {
   DatePicker,
   Spinner,
   Divider,
+  Checkbox,
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
 import XLSX from "xlsx";
 import prisma from "../db.server";
-import { zrexpress } from "../services/zrexpress.server.js";
+import { DEFAULT_CARRIER, getCarrier, getCarrierCredentials, getShopTarification, listCarriers, saveCarrierCredentials } from "../services/carriers.server.js";
+import { getSyncState, syncShopShipments } from "../services/shipmentSync.server.js";
+import { findBlacklistMatches } from "../services/blacklist.server.js";
 import { formatCurrency, formatNumber } from "../utils/formatters";
+import { normalizeAlgerianPhone } from "../utils/phone";
+import { quoteShippingCost } from "../utils/shippingQuote";
 import { useLanguage } from "../utils/i18n/LanguageContext.jsx";
 
 // Lazy load heavy dependencies for client-side only
@@ -113,14 +118,19 @@ export const meta = () => {
 export const loader = async ({ request }) => {
   try {
     const { session } = await authenticate.admin(request);
+    const url = new URL(request.url);
+    const carrier = getCarrier(url.searchParams.get("carrier") || DEFAULT_CARRIER);
     
     // Create initial response structure
     const initialResponse = {
+      carrier: carrier.code,
+      carriers: listCarriers(),
       isConnected: false,
       connectionError: null,
       shippingData: [],
       cities: [],
       hasCredentials: false,
+      syncState: null,
       stats: {
         grossAmount: 0,
         totalShippingAndCancel: 0,
@@ -133,11 +143,8 @@ export const loader = async ({ request }) => {
       timestamp: Date.now() // Add timestamp for cache invalidation
     };
 
-    // Check if credentials exist in a single query
-    const credentials = await prisma.ZRExpressCredential.findUnique({
-      where: { shop: session.shop },
-      select: { token: true, key: true }
-    });
+    // Check if credentials exist for the selected carrier
+    const credentials = await getCarrierCredentials(session.shop, carrier.code);
 
     if (!credentials) {
       return json(initialResponse, {
@@ -149,10 +156,11 @@ export const loader = async ({ request }) => {
 
     initialResponse.hasCredentials = true;
     initialResponse.isConnected = true;
+    initialResponse.syncState = await getSyncState(session.shop, carrier.code);
 
     // Fetch cities/tarification from API (optional, can be cached)
     try {
-      const tarificationData = await zrexpress.getTarification(credentials.token, credentials.key).catch(() => []);
+      const tarificationData = await getShopTarification(session.shop, carrier.code).catch(() => []);
       if (Array.isArray(tarificationData) && tarificationData.length > 0) {
         initialResponse.cities = tarificationData
           .filter(item => item.Domicile !== "0" || item.Stopdesk !== "0")
@@ -174,7 +182,7 @@ export const loader = async ({ request }) => {
 
     // Fetch recent tracking numbers from DB for this shop
     const recentShipments = await prisma.Shipment.findMany({
-      where: { shop: session.shop },
+      where: { shop: session.shop, carrier: carrier.code },
       orderBy: { updatedAt: 'desc' },
       take: 50 // Limit to last 50 shipments for performance
     });
@@ -193,9 +201,8 @@ export const loader = async ({ request }) => {
     // Fetch shipment statuses from ZRExpress API
     let shipments = [];
     try {
-      shipments = await zrexpress.getShipmentStatuses(
-        credentials.token,
-        credentials.key,
+      shipments = await carrier.getStatuses(
+        credentials,
         trackingNumbers,
         session.shop,
         trackingDates
@@ -275,6 +282,8 @@ export const loader = async ({ request }) => {
     console.error("ZRExpress loader error:", error);
     return json({ 
       error: "Server error", 
+      carrier: DEFAULT_CARRIER,
+      carriers: listCarriers(),
       isConnected: false, 
       hasCredentials: false,
       shippingData: [],
@@ -292,6 +301,9 @@ export const loader = async ({ request }) => {
   }
 };
 
+// The new shipment form sends "domicile"/"stopdesk", the carrier expects "0"/"1"
+const DELIVERY_TYPE_CODES = { domicile: "0", stopdesk: "1" };
+
 export const action = async ({ request }) => {
   try {
     const { admin, session } = await authenticate.admin(request);
@@ -305,6 +317,7 @@ export const action = async ({ request }) => {
     }
 
     const action = formData.get("action");
+    const carrier = getCarrier(formData.get("carrier") || DEFAULT_CARRIER);
 
     if (!session?.shop) {
       return json({ success: false, error: 'No shop found' }, { status: 401 }, {
@@ -327,38 +340,17 @@ export const action = async ({ request }) => {
       }
 
       try {
-        const validationResult = await zrexpress.validateCredentials(token, key);
+        const saveResult = await saveCarrierCredentials(session.shop, carrier.code, { token, key });
         
-        if (!validationResult.success) {
-          console.error('Validation failed:', validationResult.error);
+        if (!saveResult.success) {
+          console.error('Validation failed:', saveResult.error);
           return json({ 
             success: false, 
-            error: validationResult.error || 'بيانات الاعتماد غير صالحة - يرجى التحقق من الرمز والمفتاح' 
+            error: saveResult.error || 'بيانات الاعتماد غير صالحة - يرجى التحقق من الرمز والمفتاح' 
           });
         }
 
-        try {
-          await prisma.ZRExpressCredential.upsert({
-            where: { shop: session.shop },
-            update: { 
-              token, 
-              key, 
-              updatedAt: new Date() 
-            },
-            create: { 
-              shop: session.shop, 
-              token, 
-              key, 
-              createdAt: new Date(),
-              updatedAt: new Date() 
-            },
-          });
-
-          return json({ success: true }, { headers: { "Set-Cookie": await admin.session.commit() } });
-        } catch (dbError) {
-          console.error('Database error:', dbError);
-          return json({ success: false, error: 'حدث خطأ أثناء حفظ بيانات الاعتماد في قاعدة البيانات' });
-        }
+        return json({ success: true }, { headers: { "Set-Cookie": await admin.session.commit() } });
       } catch (error) {
         console.error('Operation error:', error);
         return json({ 
@@ -369,9 +361,7 @@ export const action = async ({ request }) => {
     }
 
     if (action === "createShipment") {
-      const credentials = await prisma.ZRExpressCredential.findUnique({
-        where: { shop: session.shop },
-      });
+      const credentials = await getCarrierCredentials(session.shop, carrier.code);
 
       if (!credentials) {
         return json({ success: false, error: 'No credentials found' }, {
@@ -391,7 +381,7 @@ export const action = async ({ request }) => {
         Total: formData.get("Total"),
         Note: formData.get("Note"),
         TProduit: formData.get("TProduit"),
-        TypeLivraison: formData.get("TypeLivraison") || "0",
+        TypeLivraison: DELIVERY_TYPE_CODES[formData.get("TypeLivraison")] || formData.get("TypeLivraison") || "0",
         TypeColis: formData.get("TypeColis") || "0",
         Confrimee: formData.get("Confrimee") || "",
         orderId: formData.get("orderId") || null, // Add orderId field to track COGS
@@ -408,7 +398,29 @@ export const action = async ({ request }) => {
         }
       }
 
-      const result = await zrexpress.addColis(credentials.token, credentials.key, shipmentData, session);
+      // Blacklisted customers are only shipped to when the merchant overrides
+      if (formData.get("blacklistOverride") !== "true") {
+        const [matches] = await findBlacklistMatches(session.shop, [{ phone: shipmentData.MobileA, secondaryPhone: shipmentData.MobileB, name: shipmentData.Client, wilayaId: shipmentData.IDWilaya, commune: shipmentData.Commune }]);
+        if (matches.length > 0) {
+          return json({ success: false, blacklisted: matches, error: 'Customer is on the blacklist.' }, {
+    status: 409,
+    headers: {
+      "Cache-Control": "private, max-age=30"
+    }
+  });
+        }
+      }
+
+      const result = await carrier.createParcel(credentials, shipmentData, session);
+      return json(result, {
+    headers: {
+      "Cache-Control": "private, max-age=30"
+    }
+  });
+    }
+
+    if (action === "syncStatuses") {
+      const result = await syncShopShipments(session.shop, carrier.code);
       return json(result, {
     headers: {
       "Cache-Control": "private, max-age=30"
@@ -417,9 +429,7 @@ export const action = async ({ request }) => {
     }
 
     if (action === "uploadExcel") {
-      const credentials = await prisma.ZRExpressCredential.findUnique({
-        where: { shop: session.shop },
-      });
+      const credentials = await getCarrierCredentials(session.shop, carrier.code);
 
       if (!credentials) {
         return json({ success: false, error: 'No credentials found' }, {
@@ -485,9 +495,8 @@ export const action = async ({ request }) => {
   });
         }
 
-        const result = await zrexpress.getShipmentStatuses(
-          credentials.token,
-          credentials.key,
+        const result = await carrier.getStatuses(
+          credentials,
           trackingNumbers,
           session.shop,
           trackingDates
@@ -508,6 +517,7 @@ export const action = async ({ request }) => {
               where: { tracking: shipment.tracking },
               update: {
                 shop: session.shop,
+                carrier: carrier.code,
                 client: shipment.client,
                 mobileA: shipment.mobileA,
                 mobileB: shipment.mobileB,
@@ -530,6 +540,7 @@ export const action = async ({ request }) => {
               },
               create: {
                 shop: session.shop,
+                carrier: carrier.code,
                 tracking: shipment.tracking,
                 client: shipment.client,
                 mobileA: shipment.mobileA,
@@ -612,6 +623,9 @@ export default function ZRExpressManagement() {
   const actionData = useActionData();
   const submit = useSubmit();
   const navigate = useNavigate();
+  const timelineFetcher = useFetcher();
+  const carrier = loaderData?.carrier || "zrexpress";
+  const carrierOptions = loaderData?.carriers || [];
   
   // Initial state from loader data
   const [isConnected, setIsConnected] = useState(loaderData?.isConnected || false);
@@ -643,6 +657,9 @@ export default function ZRExpressManagement() {
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [currentPage, setCurrentPage] = useState(1);
   const [communesData, setCommunesData] = useState([]);
+  const [timelineTracking, setTimelineTracking] = useState(null);
+  const [blacklistMatches, setBlacklistMatches] = useState(null);
+  const [blacklistOverride, setBlacklistOverride] = useState(false);
   
   // Shipment form state
   const [selectedDates, setSelectedDates] = useState({
@@ -750,11 +767,9 @@ export default function ZRExpressManagement() {
     return city ? city.prices : { domicile: 0, stopdesk: 0 };
   }, [newShipment.IDWilaya, cities]);
 
-  // Calculate selected delivery price
-  const deliveryPrice = useMemo(() => {
-    return newShipment.TypeLivraison === "domicile" 
-      ? shippingPrice.domicile 
-      : shippingPrice.stopdesk;
+  // Expected delivery and cancel fee for the selected delivery type
+  const shippingQuote = useMemo(() => {
+    return quoteShippingCost(shippingPrice, newShipment.TypeLivraison === "stopdesk" ? "1" : "0") || { deliveryFee: 0, cancelFee: 0 };
   }, [newShipment.TypeLivraison, shippingPrice]);
 
   // =====================
@@ -833,6 +848,15 @@ export default function ZRExpressManagement() {
         setToken("");
         setKey("");
         navigate(".", { replace: true });
+      } else if (actionData.blacklisted) {
+        // Reopen the form with the blacklist warning instead of losing the entered shipment
+        setBlacklistMatches(actionData.blacklisted);
+        setBlacklistOverride(false);
+        setShowNewShipment(true);
+        setToastMessage({
+          content: t('blacklist.warningTitle'),
+          error: true
+        });
       } else if (actionData.error) {
         setToastMessage({
           content: actionData.error,
@@ -857,6 +881,7 @@ export default function ZRExpressManagement() {
     setIsLoading(true);
     const formData = new FormData();
     formData.append("action", "saveCredentials");
+    formData.append("carrier", carrier);
     formData.append("token", token);
     formData.append("key", key);
     submit(formData, { method: "post" });
@@ -867,6 +892,7 @@ export default function ZRExpressManagement() {
     setIsLoading(true);
     const formData = new FormData();
     formData.append("action", "createShipment");
+    formData.append("carrier", carrier);
     Object.entries(newShipment).forEach(([key, value]) => formData.append(key, value || ""));
     submit(formData, { method: "post" });
     setShowNewShipment(false);
@@ -944,6 +970,14 @@ export default function ZRExpressManagement() {
     }
   }, [actionData, navigate]);
 
+  const handleSyncNow = useCallback(() => {
+    setIsLoading(true);
+    const formData = new FormData();
+    formData.append("action", "syncStatuses");
+    formData.append("carrier", carrier);
+    submit(formData, { method: "post" });
+  }, [carrier, submit]);
+
   // Handle optimized date preset change
   const handleDatePresetChange = useCallback((value) => {
     setDatePreset(value);
@@ -997,12 +1031,19 @@ export default function ZRExpressManagement() {
     
     const formData = new FormData();
     formData.append("action", "saveCredentials");
+    formData.append("carrier", carrier);
     formData.append("token", token);
     formData.append("key", key);
     
     setIsLoading(true);
     submit(formData, { method: "post" });
-  }, [token, key, t, submit]);
+  }, [token, key, carrier, t, submit]);
+
+  const [mobileAError, mobileBError] = useMemo(() => [newShipment.MobileA, newShipment.MobileB].map(value => {
+    if (!value) return undefined;
+    const check = normalizeAlgerianPhone(value);
+    return check.valid ? undefined : t(`orders.phoneErrors.${check.error}`);
+  }), [newShipment.MobileA, newShipment.MobileB, t]);
 
   const handleShipmentSubmit = useCallback(() => {
     // Form validation
@@ -1012,6 +1053,8 @@ export default function ZRExpressManagement() {
     if (!newShipment.IDWilaya) errors.wilaya = t('zrExpress.wilayaRequired');
     if (!newShipment.Commune) errors.commune = t('zrExpress.communeRequired');
     if (!newShipment.MobileA) errors.mobileA = t('zrExpress.phoneRequired');
+    else if (mobileAError) errors.mobileA = mobileAError;
+    if (mobileBError) errors.mobileB = mobileBError;
     if (!newShipment.Total) errors.total = t('zrExpress.amountRequired');
     if (!newShipment.Produit) errors.product = t('zrExpress.productDetailsRequired');
     
@@ -1025,15 +1068,17 @@ export default function ZRExpressManagement() {
     setIsLoading(true);
     const formData = new FormData();
     formData.append("action", "createShipment");
+    formData.append("carrier", carrier);
     
     // Add all shipment data to form
     Object.entries(newShipment).forEach(([key, value]) => {
       formData.append(key, value || "");
     });
+    formData.append("blacklistOverride", blacklistOverride.toString());
     
     submit(formData, { method: "post" });
     setShowNewShipment(false);
-  }, [newShipment, t, submit]);
+  }, [newShipment, carrier, mobileAError, mobileBError, blacklistOverride, t, submit]);
 
   const handleCityChange = useCallback((value) => {
 
@@ -1110,6 +1155,7 @@ export default function ZRExpressManagement() {
         
         const formData = new FormData();
         formData.append("action", "uploadExcel");
+        formData.append("carrier", carrier);
         formData.append("file", file);
         submit(formData, { method: "post", encType: "multipart/form-data" });
       } catch (error) {
@@ -1131,7 +1177,7 @@ export default function ZRExpressManagement() {
     };
     
     reader.readAsArrayBuffer(file);
-  }, [file, t, submit]);
+  }, [file, carrier, t, submit]);
 
   // Optimize rendering with memoization
   const renderStats = useMemo(() => {
@@ -1181,6 +1227,12 @@ export default function ZRExpressManagement() {
     );
   }, [filteredStats, t]);
 
+  const loadTimeline = timelineFetcher.load;
+  const openTimeline = useCallback((tracking) => {
+    setTimelineTracking(tracking);
+    loadTimeline(`/app/shipments/${encodeURIComponent(tracking)}/timeline`);
+  }, [loadTimeline]);
+
   // Optimized table rendering
   const renderShippingTable = useMemo(() => {
     if (currentPageData.length === 0) {
@@ -1205,6 +1257,10 @@ export default function ZRExpressManagement() {
     // Replace status column with badge in each row
     const rowsWithStatusBadge = currentPageData.map(row => {
       const newRow = [...row];
+      // Tracking is column 1, opens the status timeline
+      newRow[1] = (
+        <Button variant="plain" onClick={() => openTimeline(row[1])}>{row[1]}</Button>
+      );
       // Status is column 7
       newRow[7] = getStatusBadge(row[7]);
       return newRow;
@@ -1239,7 +1295,7 @@ export default function ZRExpressManagement() {
         </div>
       </div>
     );
-  }, [currentPageData, tableHeaders, currentPage, totalPages, filteredData.length, t, isRTL]);
+  }, [currentPageData, tableHeaders, currentPage, totalPages, filteredData.length, t, isRTL, openTimeline]);
 
   // Optimized modal forms with memoization
   const renderCredentialsModal = useMemo(() => (
@@ -1287,6 +1343,50 @@ export default function ZRExpressManagement() {
     </Modal>
   ), [showCredentialsModal, t, token, key, connectionError, isLoading, handleCredentialsSubmit]);
 
+  const renderTimelineModal = useMemo(() => {
+    const timeline = timelineFetcher.data?.tracking === timelineTracking ? timelineFetcher.data : null;
+    const formatDate = (date) => new Date(date).toLocaleString(language === 'ar' ? 'ar-DZ' : 'en-US');
+
+    return (
+      <Modal
+        open={Boolean(timelineTracking)}
+        onClose={() => setTimelineTracking(null)}
+        title={t('zrExpress.timelineTitle', { tracking: timelineTracking || '' })}
+      >
+        <Modal.Section>
+          {!timeline || timelineFetcher.state === 'loading' ? (
+            <InlineStack align="center">
+              <Spinner size="small" />
+            </InlineStack>
+          ) : timeline.events.length === 0 ? (
+            <Text variant="bodyMd" as="p" tone="subdued">{t('zrExpress.noTimelineEvents')}</Text>
+          ) : (
+            <BlockStack gap="300">
+              {timeline.leadTimeHours !== null && timeline.leadTimeHours !== undefined && (
+                <Text variant="headingSm" as="p">
+                  {t('zrExpress.deliveryLeadTime', { hours: formatNumber(timeline.leadTimeHours, 1) })}
+                </Text>
+              )}
+              {timeline.events.map((event) => (
+                <InlineStack key={event.id} align="space-between" blockAlign="center">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Badge>{event.status}</Badge>
+                    <Text variant="bodySm" as="span">{formatDate(event.occurredAt)}</Text>
+                  </InlineStack>
+                  {event.durationHours !== null && (
+                    <Text variant="bodySm" as="span" tone="subdued">
+                      {t('zrExpress.timeInStatus', { hours: formatNumber(event.durationHours, 1) })}
+                    </Text>
+                  )}
+                </InlineStack>
+              ))}
+            </BlockStack>
+          )}
+        </Modal.Section>
+      </Modal>
+    );
+  }, [timelineTracking, timelineFetcher.data, timelineFetcher.state, language, t]);
+
   // Toast message component
   const toastMarkup = useMemo(() => {
     if (!toastMessage) return null;
@@ -1317,7 +1417,11 @@ export default function ZRExpressManagement() {
         }
         primaryAction={hasCredentials ? { 
           content: t('zrExpress.createNewShipment'), 
-          onAction: () => setShowNewShipment(true), 
+          onAction: () => {
+            setBlacklistMatches(null);
+            setBlacklistOverride(false);
+            setShowNewShipment(true);
+          }, 
           variant: "primary", 
           size: "large",
           disabled: isLoading
@@ -1328,6 +1432,26 @@ export default function ZRExpressManagement() {
             onAction: () => setShowCredentialsModal(true),
             disabled: isLoading
           },
+          hasCredentials && {
+            content: t('zrExpress.syncNow'),
+            onAction: handleSyncNow,
+            disabled: isLoading || isUploading
+          },
+          hasCredentials && {
+            content: t('tarification.title'),
+            onAction: () => navigate(`/app/tarification?carrier=${carrier}`),
+            disabled: isLoading
+          },
+          hasCredentials && {
+            content: t('statements.title'),
+            onAction: () => navigate(`/app/statements?carrier=${carrier}`),
+            disabled: isLoading
+          },
+          hasCredentials && {
+            content: t('remittances.title'),
+            onAction: () => navigate(`/app/remittances?carrier=${carrier}`),
+            disabled: isLoading
+          },
           hasCredentials && {
             content: t('zrExpress.uploadExcel'),
             onAction: () => document.getElementById('file-upload').click(),
@@ -1460,8 +1584,33 @@ export default function ZRExpressManagement() {
                         {isLoading && <Badge tone="warning" size="large">{t('general.loading')}</Badge>}
                         {isUploading && <Badge tone="info" size="large">{t('general.uploading')}</Badge>}
                       </InlineStack>
+                      {hasCredentials && (
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text variant="bodySm" as="p" tone="subdued">
+                            {loaderData?.syncState?.lastSyncAt
+                              ? t('zrExpress.lastSync', {
+                                  date: new Date(loaderData.syncState.lastSyncAt).toLocaleString(language === 'ar' ? 'ar-DZ' : 'en-US'),
+                                  count: loaderData.syncState.syncedCount
+                                })
+                              : t('zrExpress.neverSynced')}
+                          </Text>
+                          {loaderData?.syncState?.lastStatus === 'error' && (
+                            <Badge tone="critical">{t('zrExpress.syncFailed')}</Badge>
+                          )}
+                        </InlineStack>
+                      )}
                     </BlockStack>
-                    <Text variant="headingMd" as="h3">{loaderData?.shop}</Text>
+                    <InlineStack gap="300" blockAlign="center">
+                      <Select
+                        label={t('zrExpress.carrier')}
+                        labelInline
+                        options={carrierOptions}
+                        value={carrier}
+                        onChange={(value) => navigate(`?carrier=${value}`)}
+                        disabled={isLoading || carrierOptions.length < 2}
+                      />
+                      <Text variant="headingMd" as="h3">{loaderData?.shop}</Text>
+                    </InlineStack>
                   </InlineStack>
                 </BlockStack>
               </Box>
@@ -1549,6 +1698,7 @@ export default function ZRExpressManagement() {
 
         {/* Modals */}
         {renderCredentialsModal}
+        {renderTimelineModal}
 
         {/* New Shipment Modal */}
         <Modal
@@ -1559,7 +1709,7 @@ export default function ZRExpressManagement() {
             content: t('general.create'),
             onAction: handleShipmentSubmit,
             loading: isLoading,
-            disabled: isLoading
+            disabled: isLoading || (blacklistMatches?.length > 0 && !blacklistOverride)
           }}
           secondaryActions={[
             {
@@ -1572,6 +1722,20 @@ export default function ZRExpressManagement() {
           <Modal.Section>
             <Form>
               <FormLayout>
+                {blacklistMatches?.length > 0 && (
+                  <Banner tone="critical" title={t('blacklist.warningTitle')}>
+                    <BlockStack gap="200">
+                      <p>{t('blacklist.warningMessage')}</p>
+                      {blacklistMatches.map(match => (
+                        <p key={match.id}>
+                          • {t('blacklist.match', { name: match.name || '-', phone: match.phone, count: match.refusalCount })}
+                          {match.matchedBy === 'name' ? ` (${t('blacklist.matchedByName')})` : ''}
+                        </p>
+                      ))}
+                      <Checkbox label={t('blacklist.override')} checked={blacklistOverride} onChange={setBlacklistOverride} />
+                    </BlockStack>
+                  </Banner>
+                )}
                 <TextField
                   label={t('zrExpress.clientName')}
                   value={newShipment.Client}
@@ -1587,6 +1751,7 @@ export default function ZRExpressManagement() {
                   onChange={(v) => setNewShipment({ ...newShipment, MobileA: v })}
                   type="tel"
                   autoComplete="tel"
+                  error={mobileAError}
                   required
                   disabled={isLoading}
                 />
@@ -1597,6 +1762,7 @@ export default function ZRExpressManagement() {
                   onChange={(v) => setNewShipment({ ...newShipment, MobileB: v })}
                   type="tel"
                   autoComplete="tel"
+                  error={mobileBError}
                   disabled={isLoading}
                 />
                 
@@ -1659,7 +1825,10 @@ export default function ZRExpressManagement() {
                   disabled={isLoading}
                 />
                 
-                <Banner>{t('zrExpress.deliveryPrice', { price: deliveryPrice })}</Banner>
+                <Banner>
+                  <p>{t('zrExpress.deliveryPrice', { price: shippingQuote.deliveryFee })}</p>
+                  <p>{t('zrExpress.expectedCancelFee', { price: shippingQuote.cancelFee })}</p>
+                </Banner>
                 
                 <ChoiceList
                   title={t('zrExpress.packageType')}
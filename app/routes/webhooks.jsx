@@ -2,6 +2,9 @@ import { authenticate } from "../shopify.server";
 import db from "../db.server";
 import { createSubscriptionMetafield } from "../models/Subscription.server";
 import { OrderCOGSService } from "../models/OrderCOGS.server";
+import { applyCostHistory } from "../services/variantCost.server";
+import { withProductTags } from "../services/landedCost.server";
+import { recordOrderAttribution } from "../services/adAttribution.server";
 import { json } from "@remix-run/node";
 
 export const action = async ({ request }) => {
@@ -38,17 +41,19 @@ export const action = async ({ request }) => {
           if (payload && payload.id && payload.line_items) {
             const orderId = payload.id.toString();
             const orderName = payload.name || `#${payload.order_number || orderId}`;
-            const totalRevenue = parseFloat(payload.total_price || 0);
+            // Revenue stays as recorded once the order is stored: orders saved from a shipment carry the COD amount
+            const storedCOGS = await orderCOGSService.getOrderCOGS(shop, orderId);
+            const totalRevenue = storedCOGS ? storedCOGS.totalRevenue : parseFloat(payload.total_price || 0);
             
-            // Extract line items with required data
+            // Extract line items with required data, using the quantity left after edits and refunds
             const lineItems = payload.line_items.map(item => ({
               productId: item.product_id?.toString() || '',
               variantId: item.variant_id?.toString() || '',
               title: item.title || '',
-              quantity: parseInt(item.quantity || 0),
+              quantity: parseInt(item.current_quantity ?? item.quantity ?? 0),
               price: parseFloat(item.price || 0),
               unitCost: 0 // Default to 0, will be fetched from Shopify if available
-            }));
+            })).filter(item => item.quantity > 0);
             
             // Try to get cost data from Shopify for each variant
             for (const item of lineItems) {
@@ -81,12 +86,17 @@ export const action = async ({ request }) => {
               }
             }
             
+            // Variants with a recorded cost history use the cost effective when the order was placed,
+            // and product tags are only loaded when a landed cost rule needs them
+            const costedLineItems = await withProductTags(admin, shop, await applyCostHistory(shop, lineItems, payload.created_at));
+
             await orderCOGSService.calculateAndStoreCOGS(
               shop,
               orderId,
               orderName,
-              lineItems,
-              totalRevenue
+              costedLineItems,
+              totalRevenue,
+              topic === "orders/updated" ? "order_updated" : "order_created"
             );
             
             console.log(`✅ COGS calculated for order ${orderName}`);
@@ -94,6 +104,21 @@ export const action = async ({ request }) => {
         } catch (cogsError) {
           console.error(`Error calculating COGS for order:`, cogsError);
         }
+
+        // Keep the ad source of the order for the campaign profit report
+        try {
+          if (payload?.id) {
+            await recordOrderAttribution(shop, {
+              orderId: payload.id.toString(),
+              orderName: payload.name || `#${payload.order_number || payload.id}`,
+              createdAt: payload.created_at,
+              landingUrl: payload.landing_site,
+              attributes: (payload.note_attributes || []).map(attribute => ({ key: attribute.name, value: attribute.value })),
+            });
+          }
+        } catch (attributionError) {
+          console.error(`Error recording order attribution:`, attributionError);
+        }
         break;
 
       case "orders/cancelled":
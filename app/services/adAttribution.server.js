@@ -0,0 +1,346 @@
+/**
+ * Facebook ad profit attribution for TrackProfit
+ * Facebook only reports the purchases its pixel saw, before returns and without costs. Here
+ * ad-level daily insights are stored locally and joined to Shopify orders through the UTM
+ * parameters of their landing page or the note attributes left by COD order forms, so each
+ * campaign, ad set and ad gets its delivered revenue, COGS, shipping fees and net profit.
+ */
+import prisma from "../db.server";
+import { getAdInsights } from "./facebook.server.js";
+import { isDeliveredShipment, isCancelledShipment } from "./profitRules.server.js";
+
+export const ATTRIBUTION_LEVELS = ["campaign", "adset", "ad"];
+
+// Orders fetched per page when backfilling attributions
+const ORDERS_PAGE_SIZE = 100;
+
+// Note attribute and query parameter names read for each field, first match wins
+const ATTRIBUTION_KEYS = {
+  utmSource: ["utm_source"],
+  utmMedium: ["utm_medium"],
+  utmCampaign: ["utm_campaign"],
+  utmTerm: ["utm_term"],
+  utmContent: ["utm_content"],
+  campaignId: ["campaign_id", "fb_campaign_id", "utm_id"],
+  adsetId: ["adset_id", "fb_adset_id"],
+  adId: ["ad_id", "fb_ad_id"],
+};
+
+const readQueryParams = (landingUrl) => {
+  if (!landingUrl) return {};
+  try {
+    const url = new URL(landingUrl, "https://shop.invalid");
+    return Object.fromEntries([...url.searchParams].map(([key, value]) => [key.toLowerCase(), value]));
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Ad source of an order
+ * Note attributes win over the landing page, they are captured at checkout by the order form.
+ * @param {Object} order
+ * @param {string} [order.landingUrl] - Landing page, with its query string
+ * @param {Array<{key: string, value: string}>} [order.attributes] - Note attributes
+ * @returns {Object|null} Attribution fields with their source, null without any tracking value
+ */
+export function extractAttribution({ landingUrl, attributes }) {
+  const noteValues = Object.fromEntries((attributes || [])
+    .filter(attribute => attribute?.key && attribute.value)
+    .map(attribute => [String(attribute.key).trim().toLowerCase(), String(attribute.value).trim()]));
+  const queryValues = readQueryParams(landingUrl);
+
+  const fields = {};
+  let fromNotes = false;
+  Object.entries(ATTRIBUTION_KEYS).forEach(([field, keys]) => {
+    const noteKey = keys.find(key => noteValues[key]);
+    const queryKey = keys.find(key => queryValues[key]);
+    if (noteKey) {
+      fields[field] = noteValues[noteKey];
+      fromNotes = true;
+    } else if (queryKey) {
+      fields[field] = queryValues[queryKey];
+    }
+  });
+
+  if (Object.keys(fields).length === 0) return null;
+  return { ...fields, source: fromNotes ? "note_attributes" : "utm" };
+}
+
+/**
+ * Store the ad source of an order, when it has one
+ * @param {string} shop - Shop domain
+ * @param {Object} order
+ * @param {string} order.orderId - Numeric or GID order ID
+ * @param {string} order.orderName
+ * @param {string|Date} order.createdAt
+ * @param {string} [order.landingUrl]
+ * @param {Array<{key: string, value: string}>} [order.attributes]
+ * @returns {Promise<Object|null>} The OrderAttribution record, null when the order has no tracking
+ */
+export async function recordOrderAttribution(shop, { orderId, orderName, createdAt, landingUrl, attributes }) {
+  const fields = extractAttribution({ landingUrl, attributes });
+  if (!fields) return null;
+
+  const orderKey = String(orderId).split("/").pop();
+  const data = { orderName, orderCreatedAt: new Date(createdAt), ...fields };
+  return prisma.orderAttribution.upsert({
+    where: { shop_orderId: { shop, orderId: orderKey } },
+    update: data,
+    create: { shop, orderId: orderKey, ...data },
+  });
+}
+
+/**
+ * Read the ad source of the orders of a period from Shopify
+ * Orders created before the webhook recorded attributions are covered this way.
+ * @param {Object} admin - Shopify admin API context
+ * @param {string} shop - Shop domain
+ * @param {{start: Date, end: Date}} dateRange
+ * @returns {Promise<{checked: number, attributed: number}>}
+ */
+export async function backfillOrderAttributions(admin, shop, { start, end }) {
+  let checked = 0;
+  let attributed = 0;
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(`#graphql
+      query getOrderAttributions($query: String!, $after: String) {
+        orders(first: ${ORDERS_PAGE_SIZE}, after: $after, query: $query) {
+          edges {
+            node {
+              id
+              name
+              createdAt
+              customAttributes { key value }
+              customerJourneySummary {
+                lastVisit { landingPage }
+              }
+            }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { variables: { query: `created_at:>=${start.toISOString()} AND created_at:<=${end.toISOString()}`, after: cursor } });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      throw new Error(responseJson.errors[0].message);
+    }
+
+    const { edges, pageInfo } = responseJson.data.orders;
+    for (const { node } of edges) {
+      checked++;
+      const attribution = await recordOrderAttribution(shop, {
+        orderId: node.id,
+        orderName: node.name,
+        createdAt: node.createdAt,
+        landingUrl: node.customerJourneySummary?.lastVisit?.landingPage,
+        attributes: node.customAttributes,
+      });
+      if (attribution) attributed++;
+    }
+    hasNextPage = pageInfo.hasNextPage;
+    cursor = pageInfo.endCursor;
+  }
+
+  return { checked, attributed };
+}
+
+/**
+ * Replace the stored ad insights of an account over a period with fresh ones from Facebook
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Facebook access token
+ * @param {{id: string, currency: string}} account - Ad account
+ * @param {{since: string, until: string}} range - YYYY-MM-DD days
+ * @returns {Promise<{rows: number}>}
+ */
+export async function syncAdInsights(shop, accessToken, account, { since, until }) {
+  const insights = await getAdInsights(accessToken, account.id, since, until);
+  const syncedAt = new Date();
+
+  await prisma.$transaction([
+    prisma.facebookAdInsight.deleteMany({
+      where: { shop, adAccountId: account.id, date: { gte: new Date(`${since}T00:00:00Z`), lte: new Date(`${until}T00:00:00Z`) } },
+    }),
+    prisma.facebookAdInsight.createMany({
+      data: insights.map(insight => ({
+        shop,
+        adAccountId: account.id,
+        currency: account.currency || "USD",
+        syncedAt,
+        ...insight,
+        date: new Date(`${insight.date}T00:00:00Z`),
+      })),
+      skipDuplicates: true,
+    }),
+  ]);
+
+  return { rows: insights.length };
+}
+
+/**
+ * Campaign, ad set and ad of an order
+ * Explicit IDs are used first, then the UTM values are compared with the IDs and names of the
+ * stored insights: utm_campaign with campaigns, utm_term with ad sets and utm_content with ads.
+ * @param {Object} attribution - OrderAttribution record
+ * @param {Object} catalog - Result of buildCatalog
+ * @returns {{campaignId: string|null, adsetId: string|null, adId: string|null}}
+ */
+export function resolveAttribution(attribution, catalog) {
+  const find = (entities, values) => {
+    for (const value of values) {
+      if (!value) continue;
+      const key = String(value).trim().toLowerCase();
+      const match = entities.byId.get(key) || entities.byName.get(key);
+      if (match) return match;
+    }
+    return null;
+  };
+
+  const ad = find(catalog.ads, [attribution.adId, attribution.utmContent]);
+  const adset = ad ? catalog.adsets.byId.get(ad.parentId) : find(catalog.adsets, [attribution.adsetId, attribution.utmTerm]);
+  const campaign = adset
+    ? catalog.campaigns.byId.get(adset.parentId)
+    : find(catalog.campaigns, [attribution.campaignId, attribution.utmCampaign]);
+
+  return { campaignId: campaign?.id || null, adsetId: adset?.id || null, adId: ad?.id || null };
+}
+
+/**
+ * Campaigns, ad sets and ads of stored insights, reachable by ID or lowercase name
+ * @param {Array<Object>} insights - FacebookAdInsight records
+ * @returns {{campaigns: Object, adsets: Object, ads: Object}}
+ */
+function buildCatalog(insights) {
+  const entities = () => ({ byId: new Map(), byName: new Map() });
+  const catalog = { campaigns: entities(), adsets: entities(), ads: entities() };
+  const add = (entity, id, name, parentId) => {
+    if (!id || entity.byId.has(String(id).toLowerCase())) return;
+    const item = { id, name, parentId };
+    entity.byId.set(String(id).toLowerCase(), item);
+    if (name && !entity.byName.has(name.trim().toLowerCase())) entity.byName.set(name.trim().toLowerCase(), item);
+  };
+
+  insights.forEach(insight => {
+    add(catalog.campaigns, insight.campaignId, insight.campaignName, null);
+    add(catalog.adsets, insight.adsetId, insight.adsetName, insight.campaignId);
+    add(catalog.ads, insight.adId, insight.adName, insight.adsetId);
+  });
+  return catalog;
+}
+
+const emptyRow = (id, name) => ({
+  id, name, spend: 0, impressions: 0, clicks: 0, fbPurchases: 0, fbRevenue: 0,
+  orders: 0, deliveredOrders: 0, returnedOrders: 0, pendingOrders: 0,
+  deliveredRevenue: 0, cogs: 0, shippingFees: 0, netProfit: 0, trueRoas: 0, fbRoas: 0, deliveryRate: 0,
+});
+
+/**
+ * Profit of the campaigns, ad sets or ads of an account over a period
+ * Orders created in the period are joined to their ad; revenue and COGS only count once the
+ * shipment is delivered, and returned shipments cost their cancel fee, so trueRoas is the
+ * delivered revenue over the spend.
+ * @param {string} shop - Shop domain
+ * @param {Object} options
+ * @param {string} options.adAccountId
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {"campaign"|"adset"|"ad"} [options.level="campaign"]
+ * @param {Function} [options.rateFor] - (currency, dateKey) => rate to the shop currency
+ * @returns {Promise<{rows: Array<Object>, totals: Object, unattributedOrders: number, lastSyncedAt: Date|null}>}
+ */
+export async function getAdProfitReport(shop, { adAccountId, start, end, level = "campaign", rateFor = () => 1 }) {
+  const dayStart = new Date(Date.UTC(start.getFullYear(), start.getMonth(), start.getDate()));
+  const dayEnd = new Date(Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()));
+  const [insights, attributions] = await Promise.all([
+    prisma.facebookAdInsight.findMany({ where: { shop, adAccountId, date: { gte: dayStart, lte: dayEnd } } }),
+    prisma.orderAttribution.findMany({ where: { shop, orderCreatedAt: { gte: start, lte: end } } }),
+  ]);
+
+  const idField = `${level}Id`;
+  const nameField = `${level}Name`;
+  const rows = new Map();
+  const rowFor = (id, name) => {
+    if (!rows.has(id)) rows.set(id, emptyRow(id, name));
+    return rows.get(id);
+  };
+
+  insights.forEach(insight => {
+    const rate = rateFor(insight.currency, insight.date.toISOString().slice(0, 10));
+    const row = rowFor(insight[idField], insight[nameField]);
+    row.spend += insight.spend * rate;
+    row.fbRevenue += insight.revenue * rate;
+    row.fbPurchases += insight.purchases;
+    row.impressions += insight.impressions;
+    row.clicks += insight.clicks;
+  });
+
+  // Orders go to the row of their campaign, ad set or ad at the requested level
+  const catalog = buildCatalog(insights);
+  const orderRows = new Map();
+  let unattributedOrders = 0;
+  attributions.forEach(attribution => {
+    const id = resolveAttribution(attribution, catalog)[idField];
+    if (!id) {
+      unattributedOrders++;
+      return;
+    }
+    orderRows.set(attribution.orderId, rows.get(id));
+  });
+
+  const orderIds = [...orderRows.keys()];
+  const [shipments, orderCOGS] = orderIds.length === 0 ? [[], []] : await Promise.all([
+    prisma.shipment.findMany({
+      where: { shop, orderId: { in: orderIds } },
+      select: { orderId: true, status: true, total: true, deliveryFee: true, cancelFee: true },
+    }),
+    prisma.orderCOGS.findMany({
+      where: { shop, orderId: { in: orderIds } },
+      select: { orderId: true, totalCost: true, landedCost: true },
+    }),
+  ]);
+  const shipmentsByOrder = new Map();
+  shipments.forEach(shipment => shipmentsByOrder.set(shipment.orderId, [...(shipmentsByOrder.get(shipment.orderId) || []), shipment]));
+  const costByOrder = new Map(orderCOGS.map(order => [order.orderId, (order.totalCost || 0) + (order.landedCost || 0)]));
+
+  orderRows.forEach((row, orderId) => {
+    const orderShipments = shipmentsByOrder.get(orderId) || [];
+    const delivered = orderShipments.find(isDeliveredShipment);
+    const returned = orderShipments.filter(isCancelledShipment);
+    row.orders++;
+    if (delivered) {
+      row.deliveredOrders++;
+      row.deliveredRevenue += parseFloat(delivered.total || 0);
+      row.cogs += costByOrder.get(orderId) || 0;
+      row.shippingFees += parseFloat(delivered.deliveryFee || 0);
+    } else if (returned.length > 0) {
+      row.returnedOrders++;
+    } else {
+      row.pendingOrders++;
+    }
+    row.shippingFees += returned.reduce((sum, shipment) => sum + parseFloat(shipment.cancelFee || 0), 0);
+  });
+
+  const finish = (row) => {
+    row.netProfit = row.deliveredRevenue - row.cogs - row.shippingFees - row.spend;
+    row.trueRoas = row.spend > 0 ? Number((row.deliveredRevenue / row.spend).toFixed(2)) : 0;
+    row.fbRoas = row.spend > 0 ? Number((row.fbRevenue / row.spend).toFixed(2)) : 0;
+    const settled = row.deliveredOrders + row.returnedOrders;
+    row.deliveryRate = settled > 0 ? Number((row.deliveredOrders / settled * 100).toFixed(1)) : 0;
+    return row;
+  };
+
+  const totals = emptyRow(null, null);
+  const reportRows = [...rows.values()].map(finish).sort((a, b) => b.spend - a.spend);
+  reportRows.forEach(row => {
+    Object.keys(totals).forEach(key => {
+      if (typeof row[key] === "number" && !["trueRoas", "fbRoas", "deliveryRate"].includes(key)) totals[key] += row[key];
+    });
+  });
+  finish(totals);
+
+  const lastSyncedAt = insights.reduce((latest, insight) => (!latest || insight.syncedAt > latest ? insight.syncedAt : latest), null);
+  return { rows: reportRows, totals, unattributedOrders, lastSyncedAt };
+}
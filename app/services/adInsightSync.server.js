@@ -0,0 +1,141 @@
+/**
+ * Incremental ad insight sync for TrackProfit
+ * Every ad platform keeps its daily insights in the database and syncs them the same way: a day
+ * is fetched once, except the last few stored days which the platforms keep revising with late
+ * conversions, and a rate limit pauses the account with a growing backoff. Each platform brings
+ * its own tables and API calls, this module holds the windows, the timing and the bookkeeping.
+ */
+import prisma from "../db.server";
+
+// Stored days fetched again on each sync, their conversions are not final yet
+const REFETCH_DAYS = 3;
+
+// Minimum time between two syncs of the same recent days
+const SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+// Backoff after a rate limit doubles with each failure in a row, up to 6 hours
+const BACKOFF_BASE_MS = 5 * 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+export const toDay = (dateKey) => new Date(`${dateKey}T00:00:00Z`);
+export const toDateKey = (date) => date.toISOString().slice(0, 10);
+export const addDays = (dateKey, days) => {
+  const date = toDay(dateKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+};
+
+/**
+ * Day ranges to fetch so the stored days cover a requested range
+ * Days before the stored ones are fetched once. The tail is fetched again from REFETCH_DAYS
+ * before the last stored day, which also fills any gap up to the requested end.
+ * @param {Object|null} state - Sync state record, with syncedFrom and syncedUntil
+ * @param {string} since - YYYY-MM-DD
+ * @param {string} until - YYYY-MM-DD
+ * @returns {Array<{since: string, until: string}>}
+ */
+export function getFetchWindows(state, since, until) {
+  if (!state?.syncedFrom || !state?.syncedUntil) return [{ since, until }];
+
+  const syncedFrom = toDateKey(state.syncedFrom);
+  const syncedUntil = toDateKey(state.syncedUntil);
+  const windows = [];
+  if (since < syncedFrom) {
+    windows.push({ since, until: addDays(syncedFrom, -1) });
+  }
+  const refetchFrom = addDays(syncedUntil, -REFETCH_DAYS);
+  if (until > refetchFrom) {
+    windows.push({ since: refetchFrom < syncedFrom ? syncedFrom : refetchFrom, until: until > syncedUntil ? until : syncedUntil });
+  }
+  return windows;
+}
+
+/**
+ * Windows a sync would fetch now, none while the account is backing off from a rate limit
+ * The recent days are fetched again at most every SYNC_INTERVAL_MS unless the sync is forced.
+ * @param {Object|null} state - Sync state record
+ * @param {{since: string, until: string}} range - YYYY-MM-DD days
+ * @param {boolean} [force] - Ignore SYNC_INTERVAL_MS, not the backoff
+ * @returns {Array<{since: string, until: string}>}
+ */
+function getDueWindows(state, { since, until }, force = false) {
+  const now = new Date();
+  if (state?.backoffUntil && state.backoffUntil > now) return [];
+
+  const recentlySynced = state?.lastSyncedAt && now - state.lastSyncedAt < SYNC_INTERVAL_MS;
+  return getFetchWindows(state, since, until)
+    .filter(window => force || !recentlySynced || window.until < toDateKey(state.syncedFrom));
+}
+
+/**
+ * Check whether an account has days to fetch for a range, so pages can ask for a sync
+ * @param {Object|null} state - Sync state record
+ * @param {{since: string, until: string}} range - YYYY-MM-DD days
+ * @returns {boolean}
+ */
+export const isSyncDue = (state, range) => getDueWindows(state, range).length > 0;
+
+/**
+ * Replace the stored daily rows of an account over a period
+ * @param {Object} model - Prisma delegate of the daily table
+ * @param {Object} where - Filter of the account rows
+ * @param {{since: string, until: string}} range - YYYY-MM-DD days
+ * @param {Array<Object>} rows - New rows, their date already a UTC midnight
+ */
+export async function replaceStoredDays(model, where, { since, until }, rows) {
+  await prisma.$transaction([
+    model.deleteMany({ where: { ...where, date: { gte: toDay(since), lte: toDay(until) } } }),
+    model.createMany({ data: rows, skipDuplicates: true }),
+  ]);
+}
+
+/**
+ * Bring the stored insights of an account up to date for a period
+ * Only the windows of getDueWindows are fetched. Errors are recorded on the sync state and
+ * returned, the stored rows stay readable.
+ * @param {Object|null} state - Current sync state record of the account
+ * @param {{since: string, until: string}} range - YYYY-MM-DD days
+ * @param {Object} sync
+ * @param {string} sync.label - Account name used in logs
+ * @param {Function} sync.syncWindow - ({since, until}) => number of rows stored
+ * @param {Function} [sync.afterSync] - Called once every window is stored
+ * @param {Function} sync.saveState - (data) => upserted sync state record
+ * @param {Function} sync.isRateLimitError - (error) => boolean
+ * @param {boolean} [sync.force] - Ignore SYNC_INTERVAL_MS, not the backoff
+ * @returns {Promise<{synced: boolean, rows: number, state: Object|null, error: string|null}>}
+ */
+export async function runIncrementalSync(state, range, { label, syncWindow, afterSync, saveState, isRateLimitError, force = false }) {
+  const now = new Date();
+
+  if (state?.backoffUntil && state.backoffUntil > now) {
+    return { synced: false, rows: 0, state, error: state.lastError };
+  }
+
+  const windows = getDueWindows(state, range, force);
+  if (windows.length === 0) {
+    return { synced: false, rows: 0, state, error: null };
+  }
+
+  let rows = 0;
+  try {
+    for (const window of windows) {
+      rows += await syncWindow(window);
+    }
+    if (afterSync) await afterSync();
+
+    const syncedFrom = windows.map(window => window.since).concat(state?.syncedFrom ? [toDateKey(state.syncedFrom)] : []).sort()[0];
+    const syncedUntil = windows.map(window => window.until).concat(state?.syncedUntil ? [toDateKey(state.syncedUntil)] : []).sort().pop();
+    const updated = await saveState({ syncedFrom: toDay(syncedFrom), syncedUntil: toDay(syncedUntil), lastSyncedAt: now, failures: 0, backoffUntil: null, lastError: null });
+    return { synced: true, rows, state: updated, error: null };
+  } catch (error) {
+    console.error(`Insight sync failed for ${label}:`, error);
+    const rateLimited = isRateLimitError(error);
+    const failures = rateLimited ? (state?.failures || 0) + 1 : 0;
+    const updated = await saveState({
+      failures,
+      backoffUntil: rateLimited ? new Date(now.getTime() + Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS)) : null,
+      lastError: error.message,
+    });
+    return { synced: false, rows, state: updated, error: error.message };
+  }
+}
@@ -0,0 +1,400 @@
+/**
+ * Ad spend sources for TrackProfit
+ * Every ad platform feeding the dashboard is described by the same source: which accounts a shop
+ * spends from, how to sync their daily spend, impressions, purchases and platform-reported
+ * revenue into the database and how to read them back. The dashboard sums every source through
+ * getPlatformAdSpend, which only reads the database: the scheduled sync and the dashboard sync
+ * action fill it with syncPlatformAdSpend. Facebook is connected from its own page and stored by
+ * facebookSync.server.js, the other platforms are connected from the ad platforms page and
+ * stored here; all of them sync with adInsightSync.server.js.
+ */
+import prisma from "../db.server";
+import { tiktok, TIKTOK_RATE_LIMIT_CODE } from "./tiktok.server.js";
+import { snapchat, SNAPCHAT_RATE_LIMIT_STATUS } from "./snapchat.server.js";
+import { getCachedAdAccounts, getSyncState, syncFacebookInsights, getStoredDailyInsights } from "./facebookSync.server.js";
+import { toDay, toDateKey, replaceStoredDays, runIncrementalSync, isSyncDue } from "./adInsightSync.server";
+import { getPresetDates } from "./profitRules.server.js";
+import { getShopSettings } from "../models/ShopSettings.server";
+
+// Snapchat tokens are refreshed when they expire within this delay
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Period kept up to date by the scheduled sync, longer ones are synced when the dashboard shows them
+const SCHEDULED_SYNC_PRESET = "last_30_days";
+
+// The accounts Json column holds the array saved on connect
+const parseAccounts = (accounts) => (Array.isArray(accounts) ? accounts : []);
+
+/**
+ * Source of a platform connected from the ad platforms page
+ * Its token is kept in AdPlatformCredential and its insights in AdPlatformInsightDaily.
+ * @param {string} platform - Key of AD_SPEND_SOURCES
+ * @param {Object} api - label, requiresAccountIds, requiresRefreshToken, connect, authorize,
+ * fetchDailyInsights and isRateLimitError of the platform
+ * @returns {Object} Ad spend source
+ */
+function credentialSource(platform, api) {
+  const getAccountSyncState = (shop, account) => prisma.adPlatformSyncState.findUnique({
+    where: { shop_platform_accountId: { shop, platform, accountId: account.id } },
+  });
+
+  return {
+    ...api,
+    connectable: true,
+    async getConnection(shop) {
+      const credential = await prisma.adPlatformCredential.findUnique({ where: { shop_platform: { shop, platform } } });
+      return credential ? { credential, accounts: parseAccounts(credential.accounts) } : null;
+    },
+    getSyncState: getAccountSyncState,
+    async syncAccount(shop, getCredential, account, range) {
+      return runIncrementalSync(await getAccountSyncState(shop, account), range, {
+        label: `${api.label} ${account.id}`,
+        isRateLimitError: api.isRateLimitError,
+        async syncWindow(window) {
+          const days = await api.fetchDailyInsights(await getCredential(), account, window.since, window.until);
+          const syncedAt = new Date();
+          await replaceStoredDays(prisma.adPlatformInsightDaily, { shop, platform, accountId: account.id }, window, days.map(day => ({
+            shop,
+            platform,
+            accountId: account.id,
+            currency: account.currency || "USD",
+            date: toDay(day.date),
+            spend: day.spend,
+            impressions: day.impressions,
+            conversions: day.conversions,
+            revenue: day.revenue,
+            syncedAt,
+          })));
+          return days.length;
+        },
+        saveState: (data) => prisma.adPlatformSyncState.upsert({
+          where: { shop_platform_accountId: { shop, platform, accountId: account.id } },
+          update: data,
+          create: { shop, platform, accountId: account.id, ...data },
+        }),
+      });
+    },
+    async getStoredDailyInsights(shop, account, since, until) {
+      const days = await prisma.adPlatformInsightDaily.findMany({
+        where: { shop, platform, accountId: account.id, date: { gte: toDay(since), lte: toDay(until) } },
+        orderBy: { date: "asc" },
+      });
+      return days.map(day => ({ date: toDateKey(day.date), spend: day.spend, impressions: day.impressions, purchases: day.conversions, revenue: day.revenue }));
+    },
+  };
+}
+
+/**
+ * Every source has the same shape:
+ * - getConnection(shop, {facebookAdAccountIds}) resolves {credential, accounts} with the
+ *   accounts to sum, or null when the shop has not connected the platform
+ * - authorize(credential) resolves the credential to call the API with
+ * - getSyncState(shop, account) resolves the sync state record of an account
+ * - syncAccount(shop, getCredential, account, range, options) syncs the stored insights
+ * - getStoredDailyInsights(shop, account, since, until) reads them back
+ * Sources with connectable set are connected from the ad platforms page with connect().
+ */
+export const AD_SPEND_SOURCES = {
+  facebook: {
+    label: "Facebook Ads",
+    // Connected from the Facebook page, the dashboard picks which of its ad accounts are summed
+    connectable: false,
+    async getConnection(shop, { facebookAdAccountIds = [] } = {}) {
+      const credential = await prisma.FacebookCredential.findUnique({ where: { shop } });
+      if (!credential?.accessToken || facebookAdAccountIds.length === 0) return null;
+      const accounts = (await getCachedAdAccounts(credential)).filter(account => facebookAdAccountIds.includes(account.id));
+      return { credential, accounts };
+    },
+    async authorize(credential) {
+      return credential;
+    },
+    getSyncState(shop, account) {
+      return getSyncState(shop, account.id);
+    },
+    async syncAccount(shop, getCredential, account, range, options) {
+      const credential = await getCredential();
+      return syncFacebookInsights(shop, credential.accessToken, account, range, options);
+    },
+    getStoredDailyInsights(shop, account, since, until) {
+      return getStoredDailyInsights(shop, account.id, since, until);
+    },
+  },
+  tiktok: credentialSource("tiktok", {
+    label: "TikTok Ads",
+    // Advertisers of a token can only be listed with the app secret, the shop enters their IDs
+    requiresAccountIds: true,
+    // Long-term access tokens do not expire
+    requiresRefreshToken: false,
+    async connect({ accessToken, accountIds }) {
+      const accounts = await tiktok.getAdvertisers(accessToken, accountIds);
+      return { accessToken, refreshToken: null, expiresAt: null, accounts };
+    },
+    async authorize(credential) {
+      return credential;
+    },
+    fetchDailyInsights(credential, account, since, until) {
+      return tiktok.getDailyInsights(credential.accessToken, account.id, since, until);
+    },
+    isRateLimitError(error) {
+      return Number(error?.code) === TIKTOK_RATE_LIMIT_CODE;
+    },
+  }),
+  snapchat: credentialSource("snapchat", {
+    label: "Snapchat Ads",
+    requiresAccountIds: false,
+    // Access tokens last 30 minutes, the refresh token renews them before each read
+    requiresRefreshToken: true,
+    async connect({ refreshToken, accountIds }) {
+      const tokens = await snapchat.refreshAccessToken(refreshToken);
+      const accounts = (await snapchat.getAdAccounts(tokens.accessToken))
+        .filter(account => accountIds.length === 0 || accountIds.includes(account.id));
+      return { ...tokens, accounts };
+    },
+    async authorize(credential) {
+      if (!credential.refreshToken) {
+        throw new Error("Snapchat must be reconnected with a refresh token.");
+      }
+      const expiring = !credential.expiresAt || new Date(credential.expiresAt).getTime() - Date.now() < TOKEN_REFRESH_MARGIN_MS;
+      if (!expiring) return credential;
+      const tokens = await snapchat.refreshAccessToken(credential.refreshToken);
+      return prisma.adPlatformCredential.update({ where: { id: credential.id }, data: tokens });
+    },
+    fetchDailyInsights(credential, account, since, until) {
+      return snapchat.getDailyInsights(credential.accessToken, account.id, since, until, account.timezone);
+    },
+    isRateLimitError(error) {
+      return Number(error?.code) === SNAPCHAT_RATE_LIMIT_STATUS;
+    },
+  }),
+};
+
+export const AD_PLATFORMS = Object.keys(AD_SPEND_SOURCES);
+
+/**
+ * Connected ad platforms of a shop, without their tokens
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array<{platform: string, label: string, accounts: Array<Object>, expiresAt: Date|null, needsReconnect: boolean, updatedAt: Date}>>}
+ * needsReconnect is true when the platform needs a refresh token the connection does not have
+ */
+export async function listAdPlatformConnections(shop) {
+  const credentials = await prisma.adPlatformCredential.findMany({ where: { shop }, orderBy: { platform: "asc" } });
+  return credentials
+    .filter(credential => AD_SPEND_SOURCES[credential.platform]?.connectable)
+    .map(credential => ({
+      platform: credential.platform,
+      label: AD_SPEND_SOURCES[credential.platform].label,
+      accounts: parseAccounts(credential.accounts),
+      expiresAt: credential.expiresAt,
+      needsReconnect: AD_SPEND_SOURCES[credential.platform].requiresRefreshToken && !credential.refreshToken,
+      updatedAt: credential.updatedAt,
+    }));
+}
+
+/**
+ * Connect a shop to an ad platform, checking the token by reading its accounts
+ * @param {string} shop - Shop domain
+ * @param {string} platform - Key of a connectable AD_SPEND_SOURCES entry
+ * @param {{accessToken?: string, refreshToken?: string, accountIds?: string}} input - Refresh token for platforms that require one,
+ * access token otherwise; account IDs comma or line separated
+ * @returns {Promise<{success: boolean, accounts?: Array<Object>, error?: string}>}
+ */
+export async function connectAdPlatform(shop, platform, { accessToken, refreshToken, accountIds }) {
+  const source = AD_SPEND_SOURCES[platform];
+  if (!source?.connectable) return { success: false, error: "Unknown ad platform." };
+
+  const token = String(accessToken || "").trim();
+  const refresh = String(refreshToken || "").trim();
+  const ids = String(accountIds || "").split(/[\s,]+/).filter(Boolean);
+  if (source.requiresRefreshToken && !refresh) return { success: false, error: "Refresh token is required." };
+  if (!source.requiresRefreshToken && !token) return { success: false, error: "Access token is required." };
+  if (source.requiresAccountIds && ids.length === 0) return { success: false, error: "At least one account ID is required." };
+
+  try {
+    const { accounts, ...tokens } = await source.connect({ accessToken: token, refreshToken: refresh, accountIds: ids });
+    if (accounts.length === 0) return { success: false, error: "No ad accounts found for this token." };
+
+    const data = { ...tokens, accounts };
+    await prisma.adPlatformCredential.upsert({
+      where: { shop_platform: { shop, platform } },
+      update: data,
+      create: { shop, platform, ...data },
+    });
+    return { success: true, accounts };
+  } catch (error) {
+    console.error(`Failed to connect ${platform}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Disconnect a shop from an ad platform, with its stored insights
+ * @param {string} shop - Shop domain
+ * @param {string} platform
+ * @returns {Promise<boolean>} False when the platform was not connected
+ */
+export async function disconnectAdPlatform(shop, platform) {
+  const [{ count }] = await prisma.$transaction([
+    prisma.adPlatformCredential.deleteMany({ where: { shop, platform } }),
+    prisma.adPlatformInsightDaily.deleteMany({ where: { shop, platform } }),
+    prisma.adPlatformSyncState.deleteMany({ where: { shop, platform } }),
+  ]);
+  return count > 0;
+}
+
+const toRange = ({ start, end }) => ({ since: toDateKey(start), until: toDateKey(end) });
+
+/**
+ * Sync the stored insights of every connected ad account of a shop
+ * Platforms are independent and synced side by side. Each account keeps its own sync state, so
+ * a failing or rate-limited account does not stop the others.
+ * @param {string} shop - Shop domain
+ * @param {{start: Date, end: Date}} dateRange
+ * @param {{facebookAdAccountIds?: Array<string>, force?: boolean}} [options] - Facebook accounts to sync,
+ * force ignores the sync interval
+ * @returns {Promise<Array<{platform: string, accounts: number, rows: number, error: string|null}>>}
+ */
+export async function syncPlatformAdSpend(shop, dateRange, { facebookAdAccountIds = [], force = false } = {}) {
+  const range = toRange(dateRange);
+
+  const results = await Promise.all(Object.entries(AD_SPEND_SOURCES).map(async ([platform, source]) => {
+    const result = { platform, accounts: 0, rows: 0, error: null };
+    try {
+      const connection = await source.getConnection(shop, { facebookAdAccountIds });
+      if (!connection) return null;
+
+      // Tokens are only refreshed when an account actually has days to fetch, once per platform
+      let authorized = null;
+      const getCredential = () => {
+        if (!authorized) authorized = source.authorize(connection.credential);
+        return authorized;
+      };
+      for (const account of connection.accounts) {
+        const sync = await source.syncAccount(shop, getCredential, account, range, { force });
+        result.accounts++;
+        result.rows += sync.rows;
+        if (sync.error && !result.error) result.error = sync.error;
+      }
+    } catch (error) {
+      console.error(`Failed to sync ${platform} ad spend:`, error);
+      result.error = error.message;
+    }
+    return result;
+  }));
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Daily ad spend of every connected platform, in shop currency, from the stored insights
+ * Each account is converted from its own currency with the rate of each day. A platform whose
+ * last sync failed keeps its stored days with the error, so the days already stored still count.
+ * @param {string} shop - Shop domain
+ * @param {{start: Date, end: Date}} dateRange
+ * @param {Function} rateFor - (currency, dateKey) => rate to shop currency
+ * @param {{facebookAdAccountIds?: Array<string>}} [options] - Facebook accounts to sum
+ * @returns {Promise<Array<{platform: string, label: string, spend: number, revenue: number, conversions: number, impressions: number, dailyMetrics: Array<Object>, accounts: Array<Object>, sync: Object, syncDue: boolean, error: string|null}>>}
+ * accounts holds the totals of each ad account, accountSpend in the account currency; sync the
+ * oldest sync, the longest backoff and the first error of the platform accounts; syncDue is true
+ * when an account has days to fetch for the period
+ */
+export async function getPlatformAdSpend(shop, dateRange, rateFor, { facebookAdAccountIds = [] } = {}) {
+  const { since, until } = toRange(dateRange);
+
+  const results = await Promise.all(Object.entries(AD_SPEND_SOURCES).map(async ([platform, source]) => {
+    const result = { platform, label: source.label, spend: 0, revenue: 0, conversions: 0, impressions: 0, dailyMetrics: [], accounts: [], sync: null, syncDue: false, error: null };
+    try {
+      const connection = await source.getConnection(shop, { facebookAdAccountIds });
+      if (!connection || connection.accounts.length === 0) return null;
+
+      const days = [];
+      const states = [];
+      for (const account of connection.accounts) {
+        const state = await source.getSyncState(shop, account);
+        if (state) states.push(state);
+        if (isSyncDue(state, { since, until })) result.syncDue = true;
+
+        const currency = account.currency || "USD";
+        const breakdown = { id: account.id, label: account.name || account.id, currency, accountSpend: 0, spend: 0, revenue: 0, purchases: 0, impressions: 0, roas: 0 };
+        (await source.getStoredDailyInsights(shop, account, since, until)).forEach(day => {
+          const rate = rateFor(currency, day.date);
+          days.push({ date: day.date, spend: day.spend * rate, revenue: day.revenue * rate, purchases: day.purchases, impressions: day.impressions });
+          breakdown.accountSpend += day.spend;
+          breakdown.spend += day.spend * rate;
+          breakdown.revenue += day.revenue * rate;
+          breakdown.purchases += day.purchases;
+          breakdown.impressions += day.impressions;
+        });
+        breakdown.roas = breakdown.spend > 0 ? Number((breakdown.revenue / breakdown.spend).toFixed(2)) : 0;
+        result.accounts.push(breakdown);
+      }
+
+      const backoffs = states.map(state => state.backoffUntil).filter(date => date && date > new Date());
+      result.sync = {
+        lastSyncedAt: states.map(state => state.lastSyncedAt).filter(Boolean).sort((a, b) => a - b)[0] || null,
+        backoffUntil: backoffs.sort((a, b) => b - a)[0] || null,
+        error: states.map(state => state.lastError).find(Boolean) || null,
+      };
+      result.error = result.sync.error;
+
+      result.dailyMetrics = mergeDailyAdMetrics([days]);
+      result.spend = result.dailyMetrics.reduce((sum, day) => sum + day.spend, 0);
+      result.revenue = result.dailyMetrics.reduce((sum, day) => sum + day.revenue, 0);
+      result.conversions = result.dailyMetrics.reduce((sum, day) => sum + day.purchases, 0);
+      result.impressions = result.dailyMetrics.reduce((sum, day) => sum + day.impressions, 0);
+    } catch (error) {
+      console.error(`Failed to read ${platform} ad spend:`, error);
+      result.error = error.message;
+    }
+    return result;
+  }));
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Run the ad insight sync for every shop with a connected ad platform
+ * Each shop syncs the SCHEDULED_SYNC_PRESET period of its other platforms and of the Facebook
+ * accounts selected by default on its dashboard.
+ * @returns {Promise<Array<{shop: string, success: boolean, platforms: Array<Object>, error?: string}>>}
+ */
+export async function syncAllShopsAdSpend() {
+  const [facebookShops, platformShops] = await Promise.all([
+    prisma.FacebookCredential.findMany({ select: { shop: true } }),
+    prisma.adPlatformCredential.findMany({ select: { shop: true } }),
+  ]);
+  const shops = [...new Set([...facebookShops, ...platformShops].map(credential => credential.shop))];
+  const dateRange = getPresetDates(SCHEDULED_SYNC_PRESET);
+
+  const results = [];
+  for (const shop of shops) {
+    try {
+      const { facebookAdAccountIds } = await getShopSettings(shop);
+      const platforms = await syncPlatformAdSpend(shop, dateRange, { facebookAdAccountIds: facebookAdAccountIds || [] });
+      results.push({ shop, success: platforms.every(platform => !platform.error), platforms });
+    } catch (error) {
+      console.error(`Ad spend sync failed for ${shop}:`, error);
+      results.push({ shop, success: false, platforms: [], error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Sum daily ad metrics of several sources by day
+ * @param {Array<Array<{date: string, spend: number, revenue: number, purchases: number, impressions: number}>>} sources
+ * @returns {Array<{date: string, spend: number, revenue: number, purchases: number, impressions: number}>} Sorted by day
+ */
+export function mergeDailyAdMetrics(sources) {
+  const byDate = new Map();
+  sources.flat().forEach(day => {
+    const dateKey = String(day.date).slice(0, 10);
+    const merged = byDate.get(dateKey) || { date: dateKey, spend: 0, revenue: 0, purchases: 0, impressions: 0 };
+    merged.spend += day.spend || 0;
+    merged.revenue += day.revenue || 0;
+    merged.purchases += day.purchases || 0;
+    merged.impressions += day.impressions || 0;
+    byDate.set(dateKey, merged);
+  });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,226 @@
+/**
+ * Address normalizer for TrackProfit
+ * Fuzzy-matches free-text Shopify addresses (Arabic, French, typos) against
+ * public/data/communes.json to find the wilaya ID and commune of an order.
+ */
+import communesData from "../../public/data/communes.json";
+
+// Below this score the match is shown to the merchant as "to be checked"
+export const LOW_CONFIDENCE_THRESHOLD = 0.75;
+
+// Minimum similarity for a name to be considered a match at all
+const MIN_SIMILARITY = 0.6;
+
+const NOISE_WORDS = new Set([
+  'wilaya', 'commune', 'daira', 'ville', 'city', 'province', 'state', 'de', 'el', 'al',
+  'ولاية', 'الولاية', 'بلدية', 'البلدية', 'دائرة', 'الدائرة', 'مدينة',
+]);
+
+/**
+ * Lowercase, strip accents/harakat and unify Arabic letter variants
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeText(value) {
+  return (value || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u064B-\u0652\u0640]/g, '') // Harakat and tatweel
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0600-\u06FF]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !NOISE_WORDS.has(word))
+    .join(' ');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity between two normalized strings, 1 for identical
+ * @returns {number} - Score between 0 and 1
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  // "bab ezzouar centre" still clearly names "bab ezzouar"
+  if (` ${a} `.includes(` ${b} `) || ` ${b} `.includes(` ${a} `)) return 0.9;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+const COMMUNES = communesData.map(item => ({
+  wilayaCode: item.wilaya_code,
+  commune: item.commune_name_ascii,
+  names: [item.commune_name_ascii, item.commune_name].map(normalizeText).filter(Boolean),
+  dairaNames: [item.daira_name_ascii, item.daira_name].map(normalizeText).filter(Boolean),
+}));
+
+const WILAYAS = Object.values(communesData.reduce((acc, item) => {
+  if (!acc[item.wilaya_code]) {
+    acc[item.wilaya_code] = {
+      code: item.wilaya_code,
+      name: item.wilaya_name_ascii,
+      names: [item.wilaya_name_ascii, item.wilaya_name].map(normalizeText).filter(Boolean),
+    };
+  }
+  return acc;
+}, {}));
+
+// Best score of any of `names` against any of the candidate texts
+function bestScore(names, candidates) {
+  let best = 0;
+  for (const candidate of candidates) {
+    for (const name of names) {
+      const score = similarity(candidate, name);
+      if (score > best) best = score;
+    }
+  }
+  return best;
+}
+
+// Word windows of 1 to 3 words, so a commune can be found inside a full address line
+function addressWindows(address) {
+  const words = normalizeText(address).split(' ').filter(Boolean);
+  const windows = [];
+  for (let size = 1; size <= 3; size++) {
+    for (let i = 0; i + size <= words.length; i++) {
+      windows.push(words.slice(i, i + size).join(' '));
+    }
+  }
+  return windows;
+}
+
+function findWilaya(texts) {
+  // "16 - Alger", "DZ-16" or a bare wilaya number are exact
+  for (const text of texts) {
+    const codeMatch = (text || '').toString().match(/^(?:dz-)?(\d{1,2})(?:\s*[-\s]|$)/i);
+    if (codeMatch) {
+      const code = codeMatch[1].padStart(2, '0');
+      const wilaya = WILAYAS.find(w => w.code === code);
+      if (wilaya) return { wilaya, score: 1 };
+    }
+  }
+
+  const candidates = texts.map(normalizeText).filter(Boolean);
+  let best = { wilaya: null, score: 0 };
+  for (const wilaya of WILAYAS) {
+    const score = bestScore(wilaya.names, candidates);
+    if (score > best.score) best = { wilaya, score };
+  }
+  return best.score >= MIN_SIMILARITY ? best : { wilaya: null, score: 0 };
+}
+
+function findCommune(texts, address, wilayaCode) {
+  const pool = wilayaCode ? COMMUNES.filter(c => c.wilayaCode === wilayaCode) : COMMUNES;
+  const candidates = texts.map(normalizeText).filter(Boolean);
+
+  let best = { commune: null, score: 0 };
+  const scorePool = (candidateTexts, weight) => {
+    for (const commune of pool) {
+      const score = bestScore(commune.names, candidateTexts) * weight;
+      if (score > best.score) best = { commune, score };
+    }
+  };
+
+  scorePool(candidates, 1);
+  // Only scan the free-text address when the dedicated fields gave nothing usable,
+  // and only inside the known wilaya to keep it cheap
+  if (best.score < LOW_CONFIDENCE_THRESHOLD && wilayaCode && address) {
+    scorePool(addressWindows(address), 0.9);
+  }
+  // A daira name is usually also the name of its chef-lieu commune
+  if (best.score < MIN_SIMILARITY) {
+    for (const commune of pool) {
+      const score = bestScore(commune.dairaNames, candidates) * 0.8;
+      if (score > best.score && commune.names.some(name => commune.dairaNames.includes(name))) {
+        best = { commune, score };
+      }
+    }
+  }
+
+  return best.score >= MIN_SIMILARITY ? best : { commune: null, score: 0 };
+}
+
+/**
+ * Match raw address fields to a wilaya and commune
+ * @param {Object} fields
+ * @param {Array<string>} [fields.wilaya] - Texts that may name the wilaya, most reliable first
+ * @param {Array<string>} [fields.commune] - Texts that may name the commune, most reliable first
+ * @param {string} [fields.address] - Free-text street address
+ * @returns {{wilayaId: string|null, wilayaName: string|null, commune: string|null, confidence: number, lowConfidence: boolean}}
+ */
+export function matchAddress({ wilaya = [], commune = [], address = '' } = {}) {
+  const wilayaTexts = wilaya.filter(Boolean);
+  const communeTexts = commune.filter(Boolean);
+
+  let wilayaMatch = findWilaya(wilayaTexts);
+  let communeMatch = findCommune(communeTexts, address, wilayaMatch.wilaya?.code);
+
+  // No wilaya found: a confident commune tells us the wilaya too
+  if (!wilayaMatch.wilaya) {
+    communeMatch = findCommune([...communeTexts, ...wilayaTexts], address, null);
+    if (communeMatch.commune) {
+      const inferred = WILAYAS.find(w => w.code === communeMatch.commune.wilayaCode);
+      wilayaMatch = { wilaya: inferred, score: communeMatch.score * 0.9 };
+    }
+  }
+
+  const confidence = wilayaMatch.wilaya
+    ? Math.round((wilayaMatch.score * 0.4 + communeMatch.score * 0.6) * 100) / 100
+    : 0;
+
+  return {
+    wilayaId: wilayaMatch.wilaya ? parseInt(wilayaMatch.wilaya.code, 10).toString() : null,
+    wilayaName: wilayaMatch.wilaya?.name || null,
+    commune: communeMatch.commune?.commune || null,
+    confidence,
+    lowConfidence: confidence < LOW_CONFIDENCE_THRESHOLD,
+  };
+}
+
+/**
+ * Match the address of a Shopify order using its shipping_address and note_attributes
+ * @param {Object} order - Order with note_attributes and shipping_address (REST shape)
+ * @returns {ReturnType<typeof matchAddress>}
+ */
+export function matchOrderAddress(order) {
+  const shippingAddress = order?.shipping_address || {};
+  const noteAttributes = Array.isArray(order?.note_attributes) ? order.note_attributes : [];
+  const attribute = (...names) => {
+    const found = noteAttributes.find(attr => names.some(name => attr.name?.toLowerCase().replace(/[()]/g, '') === name.toLowerCase()));
+    return found?.value || '';
+  };
+
+  return matchAddress({
+    wilaya: [
+      attribute('Wilaya الولاية', 'Wilaya', 'Province State', 'Province'),
+      shippingAddress.province_code,
+      shippingAddress.province,
+      shippingAddress.city,
+    ],
+    commune: [
+      attribute('Region', 'Commune', 'City'),
+      shippingAddress.city,
+      shippingAddress.address2,
+    ],
+    address: [attribute('Address', 'Adresse'), shippingAddress.address1, shippingAddress.address2].filter(Boolean).join(' '),
+  });
+}
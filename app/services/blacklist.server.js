@@ -0,0 +1,178 @@
+/**
+ * Customer blacklist for TrackProfit
+ * Tracks customers who refused parcels, keyed by normalized phone number and
+ * name, so shipments to repeat refusers are blocked until the merchant overrides.
+ */
+import prisma from "../db.server";
+import { normalizeAlgerianPhone, phoneVariants } from "../utils/phone";
+
+// Refused parcels needed before a customer is blacklisted automatically
+export const AUTO_BLACKLIST_MIN_REFUSALS = 2;
+
+// Statuses of parcels the customer never took
+const REFUSAL_STATUS_FILTER = [
+  { status: { startsWith: 'Retour' } },
+  { status: 'Annulé' },
+  { status: 'Annuler' },
+];
+
+/**
+ * Name key used to match a customer whatever the spelling order or accents
+ * @param {string} name - Customer name as typed, e.g. "Benali Mohamed"
+ * @returns {string|null} Sorted lowercase words, null when fewer than two words remain
+ */
+export function normalizeCustomerName(name) {
+  const words = (name || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f\u064B-\u0652\u0640]/g, '') // Accents, harakat and tatweel
+    .toLowerCase()
+    .replace(/[^a-z\u0600-\u06FF]+/g, ' ')
+    .split(' ')
+    .filter(word => word.length > 1);
+
+  // A single first name would match far too many customers
+  return words.length >= 2 ? words.sort().join(' ') : null;
+}
+
+/**
+ * List the active blacklist entries of a shop, repeat refusers first
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listBlacklist(shop) {
+  return prisma.customerBlacklist.findMany({
+    where: { shop, active: true },
+    orderBy: [{ refusalCount: 'desc' }, { updatedAt: 'desc' }],
+  });
+}
+
+/**
+ * Blacklist a customer by hand, or re-activate a removed entry
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - { phone, name, note }
+ * @returns {Promise<{success: boolean, entry?: Object, error?: string}>}
+ */
+export async function addBlacklistEntry(shop, { phone, name, note }) {
+  const check = normalizeAlgerianPhone(phone);
+  if (!check.valid) {
+    return { success: false, error: 'A valid phone number is required.' };
+  }
+
+  const entry = await prisma.customerBlacklist.upsert({
+    where: { shop_phone: { shop, phone: check.phone } },
+    update: { name: name || '', nameKey: normalizeCustomerName(name), note: note || null, active: true },
+    create: { shop, phone: check.phone, name: name || '', nameKey: normalizeCustomerName(name), note: note || null, source: 'manual' },
+  });
+
+  return { success: true, entry };
+}
+
+/**
+ * Remove a customer from the blacklist
+ * Automatic entries are only deactivated so the next rebuild keeps them out.
+ * @param {string} shop - Shop domain
+ * @param {string} id - Entry ID
+ * @returns {Promise<boolean>} Whether an entry was removed
+ */
+export async function removeBlacklistEntry(shop, id) {
+  const entry = await prisma.customerBlacklist.findFirst({ where: { id, shop } });
+  if (!entry) return false;
+
+  if (entry.source === 'auto') {
+    await prisma.customerBlacklist.update({ where: { id }, data: { active: false } });
+  } else {
+    await prisma.customerBlacklist.delete({ where: { id } });
+  }
+  return true;
+}
+
+/**
+ * Add or refresh the automatic entries from the shop's returned and cancelled shipments
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{refusers: number}>} Number of customers at or above the refusal threshold
+ */
+export async function refreshAutoBlacklist(shop) {
+  const refusals = await prisma.shipment.findMany({
+    where: { shop, OR: REFUSAL_STATUS_FILTER },
+    select: { mobileA: true, client: true, tracking: true, updatedAt: true },
+    orderBy: { updatedAt: 'asc' },
+  });
+
+  const byPhone = new Map();
+  for (const shipment of refusals) {
+    const check = normalizeAlgerianPhone(shipment.mobileA);
+    if (!check.valid) continue;
+    const entry = byPhone.get(check.phone) || { count: 0 };
+    // Rows are sorted oldest first, so the last one seen is the latest refusal
+    byPhone.set(check.phone, { count: entry.count + 1, name: shipment.client, tracking: shipment.tracking, at: shipment.updatedAt });
+  }
+
+  let refusers = 0;
+  for (const [phone, { count, name, tracking, at }] of byPhone) {
+    if (count < AUTO_BLACKLIST_MIN_REFUSALS) continue;
+    refusers++;
+    await prisma.customerBlacklist.upsert({
+      where: { shop_phone: { shop, phone } },
+      update: { refusalCount: count, lastRefusalAt: at, lastTracking: tracking },
+      create: { shop, phone, name: name || '', nameKey: normalizeCustomerName(name), refusalCount: count, lastRefusalAt: at, lastTracking: tracking },
+    });
+  }
+
+  return { refusers };
+}
+
+// Wilaya and commune of a shipment or order, to compare addresses across spellings
+const addressKey = (wilayaId, commune) => {
+  const wilaya = parseInt(wilayaId, 10);
+  const communeKey = (commune || '').toString().trim().toLowerCase();
+  return wilaya && communeKey ? `${wilaya}:${communeKey}` : null;
+};
+
+/**
+ * Find the blacklist entries matching each customer
+ * A name alone is shared by too many customers: a name match also needs the customer's address
+ * (wilaya and commune) to be one a refused parcel of the entry was sent to.
+ * @param {string} shop - Shop domain
+ * @param {Array<{phone: string, secondaryPhone?: string, name: string, wilayaId?: string, commune?: string}>} customers
+ * @returns {Promise<Array<Array<Object>>>} Matches per customer, in input order; each match has matchedBy 'phone' or 'name'
+ */
+export async function findBlacklistMatches(shop, customers) {
+  const keys = customers.map(({ phone, secondaryPhone, name, wilayaId, commune }) => ({
+    phones: [phone, secondaryPhone].map(value => normalizeAlgerianPhone(value).phone).filter(Boolean),
+    nameKey: normalizeCustomerName(name),
+    addressKey: addressKey(wilayaId, commune),
+  }));
+
+  const phones = [...new Set(keys.flatMap(key => key.phones))];
+  const nameKeys = [...new Set(keys.filter(key => key.addressKey).map(key => key.nameKey).filter(Boolean))];
+  if (phones.length === 0 && nameKeys.length === 0) {
+    return customers.map(() => []);
+  }
+
+  const entries = await prisma.customerBlacklist.findMany({
+    where: { shop, active: true, OR: [{ phone: { in: phones } }, { nameKey: { in: nameKeys } }] },
+    select: { id: true, phone: true, name: true, nameKey: true, refusalCount: true, note: true, source: true },
+  });
+
+  // Addresses the refused parcels of name-matched entries were sent to
+  const nameEntryPhones = entries.filter(entry => nameKeys.includes(entry.nameKey)).map(entry => entry.phone);
+  const refusedAddresses = new Map();
+  if (nameEntryPhones.length > 0) {
+    const refusals = await prisma.shipment.findMany({
+      where: { shop, mobileA: { in: nameEntryPhones.flatMap(phoneVariants) }, OR: REFUSAL_STATUS_FILTER },
+      select: { mobileA: true, wilayaId: true, commune: true },
+    });
+    refusals.forEach(shipment => {
+      const phone = normalizeAlgerianPhone(shipment.mobileA).phone;
+      const addresses = refusedAddresses.get(phone) || new Set();
+      addresses.add(addressKey(shipment.wilayaId, shipment.commune));
+      refusedAddresses.set(phone, addresses);
+    });
+  }
+
+  return keys.map(({ phones: customerPhones, nameKey, addressKey: customerAddress }) => entries
+    .filter(entry => customerPhones.includes(entry.phone)
+      || (nameKey && customerAddress && entry.nameKey === nameKey && refusedAddresses.get(entry.phone)?.has(customerAddress)))
+    .map(entry => ({ ...entry, matchedBy: customerPhones.includes(entry.phone) ? 'phone' : 'name' })));
+}
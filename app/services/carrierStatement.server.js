@@ -0,0 +1,195 @@
+/**
+ * Carrier statement reconciliation for TrackProfit
+ * Reads the invoices/statements a carrier sends (XLSX or CSV), matches each line
+ * to a shipment by tracking and records which fees do not add up.
+ */
+import prisma from "../db.server";
+import { normalizeHeader, readSheetRows, toAmount } from "../utils/spreadsheet.server";
+
+// Fee differences below this amount (DA) are rounding, not a mismatch
+const FEE_TOLERANCE = 1;
+
+// Accepted column titles, compared without case and accents
+const COLUMN_ALIASES = {
+  tracking: ['tracking', 'n tracking', 'n° tracking', 'no tracking', 'code tracking', 'رقم التتبع'],
+  deliveryFee: ['tarif livraison', 'frais de livraison', 'frais livraison', 'livraison', 'delivery fee', 'رسوم التوصيل'],
+  cancelFee: ['tarif retour', 'frais de retour', 'frais retour', 'frais annulation', 'annulation', 'retour', 'cancel fee', 'رسوم الإلغاء'],
+};
+
+/**
+ * Statement lines from the rows of the first sheet
+ * The header row is the first one holding a tracking column, so title rows above it are skipped.
+ * @param {Array<Array>} rows - Sheet rows (sheet_to_json with header: 1)
+ * @returns {{lines: Array<{row: number, tracking: string, deliveryFee: number, cancelFee: number}>, error: string|null}}
+ */
+export function parseStatementRows(rows) {
+  const findColumn = (headers, field) => headers.findIndex(header => COLUMN_ALIASES[field].includes(header));
+
+  const headerIndex = (rows || []).findIndex(row => findColumn((row || []).map(normalizeHeader), 'tracking') !== -1);
+  if (headerIndex === -1) {
+    return { lines: [], error: 'Could not find Tracking column.' };
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const columns = {
+    tracking: findColumn(headers, 'tracking'),
+    deliveryFee: findColumn(headers, 'deliveryFee'),
+    cancelFee: findColumn(headers, 'cancelFee'),
+  };
+  if (columns.deliveryFee === -1 && columns.cancelFee === -1) {
+    return { lines: [], error: 'Could not find a delivery or return fee column.' };
+  }
+
+  const lines = [];
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    const tracking = String(row?.[columns.tracking] ?? '').trim();
+    if (!tracking) return;
+    lines.push({
+      row: headerIndex + index + 2,
+      tracking,
+      deliveryFee: columns.deliveryFee === -1 ? 0 : toAmount(row[columns.deliveryFee]),
+      cancelFee: columns.cancelFee === -1 ? 0 : toAmount(row[columns.cancelFee]),
+    });
+  });
+
+  return { lines, error: lines.length === 0 ? 'No valid tracking numbers found in file' : null };
+}
+
+/**
+ * Read a statement file
+ * @param {ArrayBuffer} arrayBuffer - XLSX, XLS or CSV content
+ * @returns {{lines: Array<Object>, error: string|null}}
+ */
+export function readStatementFile(arrayBuffer) {
+  return parseStatementRows(readSheetRows(arrayBuffer));
+}
+
+// Fee we expect for a shipment: the fee read from the carrier, or the estimate made at creation
+const expectedFee = (actual, estimate) => (actual > 0 ? actual : estimate ?? 0);
+
+/**
+ * Check statement lines against the shop's shipments and store the result
+ * A line is a duplicate when its tracking was already billed earlier in the file or in a
+ * previous statement, missing when no shipment has that tracking, and a mismatch when a
+ * billed fee differs from the expected one.
+ * @param {string} shop - Shop domain
+ * @param {string} carrier - Carrier code
+ * @param {{fileName: string, lines: Array<Object>}} statement - Parsed statement
+ * @returns {Promise<Object>} The saved CarrierStatement
+ */
+export async function reconcileStatement(shop, carrier, { fileName, lines }) {
+  const trackings = [...new Set(lines.map(line => line.tracking))];
+  const [shipments, previousLines] = await Promise.all([
+    prisma.shipment.findMany({
+      where: { shop, tracking: { in: trackings } },
+      select: { tracking: true, status: true, deliveryFee: true, cancelFee: true, estimatedDeliveryFee: true, estimatedCancelFee: true },
+    }),
+    prisma.carrierStatementLine.findMany({
+      where: { shop, tracking: { in: trackings }, statement: { carrier } },
+      select: { tracking: true },
+    }),
+  ]);
+  const shipmentsByTracking = new Map(shipments.map(shipment => [shipment.tracking, shipment]));
+  const billed = new Set(previousLines.map(line => line.tracking));
+
+  const counts = { matched: 0, mismatch: 0, missing: 0, duplicate: 0 };
+  let totalBilled = 0;
+  let totalExpected = 0;
+
+  const results = lines.map(line => {
+    const shipment = shipmentsByTracking.get(line.tracking);
+    const expectedDeliveryFee = shipment ? expectedFee(shipment.deliveryFee, shipment.estimatedDeliveryFee) : null;
+    const expectedCancelFee = shipment ? expectedFee(shipment.cancelFee, shipment.estimatedCancelFee) : null;
+    const deliveryCharged = line.deliveryFee > 0;
+    const cancelCharged = line.cancelFee > 0;
+
+    let result;
+    if (billed.has(line.tracking)) {
+      result = 'duplicate';
+    } else if (!shipment) {
+      result = 'missing';
+    } else {
+      // Only the fee actually charged is compared: a delivered parcel has no cancel fee and vice versa
+      const deliveryOff = deliveryCharged && Math.abs(line.deliveryFee - expectedDeliveryFee) >= FEE_TOLERANCE;
+      const cancelOff = cancelCharged && Math.abs(line.cancelFee - expectedCancelFee) >= FEE_TOLERANCE;
+      result = deliveryOff || cancelOff ? 'mismatch' : 'matched';
+    }
+    billed.add(line.tracking);
+
+    counts[result]++;
+    totalBilled += line.deliveryFee + line.cancelFee;
+    if (shipment) {
+      totalExpected += (deliveryCharged ? expectedDeliveryFee : 0) + (cancelCharged ? expectedCancelFee : 0);
+    }
+
+    return {
+      shop,
+      row: line.row,
+      tracking: line.tracking,
+      billedDeliveryFee: line.deliveryFee,
+      billedCancelFee: line.cancelFee,
+      expectedDeliveryFee,
+      expectedCancelFee,
+      result,
+      shipmentStatus: shipment?.status || null,
+    };
+  });
+
+  return prisma.carrierStatement.create({
+    data: {
+      shop,
+      carrier,
+      fileName,
+      lineCount: lines.length,
+      matchedCount: counts.matched,
+      mismatchCount: counts.mismatch,
+      missingCount: counts.missing,
+      duplicateCount: counts.duplicate,
+      totalBilled,
+      totalExpected,
+      lines: { create: results },
+    },
+  });
+}
+
+/**
+ * Imported statements of a shop, newest first
+ * @param {string} shop - Shop domain
+ * @param {string} carrier - Carrier code
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listStatements(shop, carrier) {
+  return prisma.carrierStatement.findMany({
+    where: { shop, carrier },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * One statement with its lines, problems first
+ * @param {string} shop - Shop domain
+ * @param {string} id - Statement id
+ * @returns {Promise<Object|null>}
+ */
+export async function getStatement(shop, id) {
+  const statement = await prisma.carrierStatement.findFirst({
+    where: { id, shop },
+    include: { lines: { orderBy: { row: 'asc' } } },
+  });
+  if (!statement) return null;
+
+  const order = { mismatch: 0, duplicate: 1, missing: 2, matched: 3 };
+  statement.lines.sort((a, b) => order[a.result] - order[b.result] || a.row - b.row);
+  return statement;
+}
+
+/**
+ * Delete an imported statement, e.g. one imported by mistake, so its parcels are no longer seen as billed
+ * @param {string} shop - Shop domain
+ * @param {string} id - Statement id
+ * @returns {Promise<boolean>} false when the statement does not exist
+ */
+export async function deleteStatement(shop, id) {
+  const { count } = await prisma.carrierStatement.deleteMany({ where: { id, shop } });
+  return count > 0;
+}
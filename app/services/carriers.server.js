@@ -0,0 +1,125 @@
+/**
+ * Carrier adapter layer for TrackProfit
+ * Every delivery company is exposed through the same adapter shape so routes,
+ * stats and stored shipments do not depend on a specific carrier API.
+ */
+import prisma from "../db.server";
+import { zrexpress } from "./zrexpress.server";
+import { getCachedTarification } from "./tarificationCache.server";
+
+export const DEFAULT_CARRIER = 'zrexpress';
+
+/**
+ * @typedef {Object} CarrierAdapter
+ * @property {string} code - Stable identifier stored on Shipment.carrier
+ * @property {string} name - Display name
+ * @property {Array<{name: string, label: string}>} credentialFields - Fields the shop has to provide
+ * @property {(credentials: Object) => Promise<{success: boolean, error?: string}>} validateCredentials
+ * @property {(credentials: Object, parcel: Object, session: Object) => Promise<{success: boolean, shipment?: Object, error?: string}>} createParcel
+ * @property {(credentials: Object, parcels: Array<Object>, session: Object) => Promise<{success: boolean, results?: Array<{index: number, success: boolean, tracking?: string, shipment?: Object, error?: string}>, error?: string}>} createParcels
+ * @property {(credentials: Object, trackingNumbers: Array<string>, shop: string, trackingDates?: Map, dateRange?: Object) => Promise<Array>} getStatuses
+ * @property {(credentials: Object) => Promise<Array>} getTarification
+ */
+
+/** @type {CarrierAdapter} */
+const zrexpressAdapter = {
+  code: 'zrexpress',
+  name: 'ZR Express',
+  credentialFields: [
+    { name: 'token', label: 'Token' },
+    { name: 'key', label: 'Key' },
+  ],
+  validateCredentials: ({ token, key }) => zrexpress.validateCredentials(token, key),
+  createParcel: ({ token, key }, parcel, session) => zrexpress.addColis(token, key, parcel, session),
+  createParcels: ({ token, key }, parcels, session) => zrexpress.addColisBatch(token, key, parcels, session),
+  getStatuses: ({ token, key }, trackingNumbers, shop, trackingDates, dateRange) =>
+    zrexpress.getShipmentStatuses(token, key, trackingNumbers, shop, trackingDates, dateRange),
+  getTarification: ({ token, key }) => zrexpress.getTarification(token, key),
+};
+
+const CARRIERS = {
+  [zrexpressAdapter.code]: zrexpressAdapter,
+};
+
+/**
+ * Get the adapter for a carrier code
+ * @param {string} [code] - Carrier code, defaults to ZR Express
+ * @returns {CarrierAdapter}
+ */
+export function getCarrier(code = DEFAULT_CARRIER) {
+  const carrier = CARRIERS[code || DEFAULT_CARRIER];
+  if (!carrier) {
+    throw new Error(`Unsupported carrier: ${code}`);
+  }
+  return carrier;
+}
+
+/**
+ * List registered carriers as Select options
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function listCarriers() {
+  return Object.values(CARRIERS).map(carrier => ({ label: carrier.name, value: carrier.code }));
+}
+
+/**
+ * Get the stored credentials of a shop for one carrier
+ * @param {string} shop - Shop domain
+ * @param {string} [carrier] - Carrier code
+ * @returns {Promise<Object|null>} - Carrier-specific credential fields, or null when not connected
+ */
+export async function getCarrierCredentials(shop, carrier = DEFAULT_CARRIER) {
+  const record = await prisma.carrierCredential.findUnique({
+    where: { shop_carrier: { shop, carrier } },
+  });
+  return record ? record.credentials : null;
+}
+
+/**
+ * Validate and store the credentials of a shop for one carrier
+ * @param {string} shop - Shop domain
+ * @param {string} carrier - Carrier code
+ * @param {Object} credentials - Carrier-specific credential fields
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function saveCarrierCredentials(shop, carrier, credentials) {
+  const adapter = getCarrier(carrier);
+
+  const cleaned = {};
+  for (const field of adapter.credentialFields) {
+    const value = credentials[field.name]?.toString().trim();
+    if (!value) {
+      return { success: false, error: `${field.label} is required` };
+    }
+    cleaned[field.name] = value;
+  }
+
+  const validation = await adapter.validateCredentials(cleaned);
+  if (!validation.success) {
+    return validation;
+  }
+
+  await prisma.carrierCredential.upsert({
+    where: { shop_carrier: { shop, carrier: adapter.code } },
+    update: { credentials: cleaned },
+    create: { shop, carrier: adapter.code, credentials: cleaned },
+  });
+
+  return { success: true };
+}
+
+/**
+ * Get the tarification of a shop for one carrier, served from AppCache while fresh
+ * @param {string} shop - Shop domain
+ * @param {string} [carrierCode] - Carrier code
+ * @param {Object} [options] - { refresh } to bypass the cache
+ * @returns {Promise<Array>} - Empty when the shop is not connected to the carrier
+ */
+export async function getShopTarification(shop, carrierCode = DEFAULT_CARRIER, options = {}) {
+  const carrier = getCarrier(carrierCode);
+  const credentials = await getCarrierCredentials(shop, carrier.code);
+  if (!credentials) {
+    return [];
+  }
+  return getCachedTarification(shop, carrier.code, () => carrier.getTarification(credentials), options);
+}
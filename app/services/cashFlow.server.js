@@ -0,0 +1,97 @@
+/**
+ * Cash-basis view of the dashboard for TrackProfit
+ * Counts money on the day it actually moves: carrier payouts and prepaid Shopify orders in,
+ * ad spend, carrier deductions and goods out. The accrual view in app._index.jsx stays the
+ * reference for profit; this one explains the bank balance.
+ */
+import prisma from "../db.server";
+import { toUTCDateKey } from "./profitRules.server";
+
+const emptyDay = () => ({ remittances: 0, shopifyPayments: 0, adSpend: 0, carrierFees: 0, cogsPurchases: 0 });
+
+/**
+ * Daily cash in and cash out of a period
+ * - Remittances count the COD collected by the carrier on the payout date, and what the carrier
+ *   kept out of it (delivery, return fees, discrepancies) as carrier fees, so their net is the amount received.
+ * - Paid Shopify orders count on their creation date, unless a shipment carries them: their cash comes with a remittance.
+ * - Ad spend counts on the day its ad platform reports it, goods and landed costs on the day the order cost was confirmed.
+ * @param {string} shop - Shop domain
+ * @param {{start: Date, end: Date}} dateRange
+ * @param {Object} sources - Data the dashboard loader already fetched
+ * @param {Array<Object>} sources.shopifyOrdersList - Paid orders with id, createdAt, totalPrice
+ * @param {Array<{date: string, spend: number}>} sources.adDailyMetrics - Daily spend of all ad platforms in shop currency
+ * @returns {Promise<{dailyCash: Array<Object>, totals: Object}>}
+ */
+export async function getCashFlow(shop, { start, end }, { shopifyOrdersList = [], adDailyMetrics = [] } = {}) {
+  const days = {};
+  const cursor = new Date(Date.UTC(start.getFullYear(), start.getMonth(), start.getDate()));
+  const endDay = new Date(Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()));
+  while (cursor <= endDay) {
+    days[cursor.toISOString().slice(0, 10)] = emptyDay();
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  const dayOf = (value) => days[toUTCDateKey(value)];
+
+  const paidOrderIds = shopifyOrdersList.map(order => order.id.split('/').pop());
+  const [remittances, shippedOrders, confirmedCOGS] = await Promise.all([
+    prisma.codRemittance.findMany({
+      where: { shop, paidAt: { gte: start, lte: end } },
+      select: { paidAt: true, amount: true, items: { select: { shipmentId: true } } },
+    }),
+    paidOrderIds.length > 0
+      ? prisma.shipment.findMany({
+          where: { shop, OR: [{ orderId: { in: paidOrderIds } }, { orderId: { in: shopifyOrdersList.map(order => order.id) } }] },
+          select: { orderId: true },
+        })
+      : [],
+    prisma.orderCOGS.findMany({
+      where: { shop, confirmedAt: { gte: start, lte: end } },
+      select: { confirmedAt: true, totalCost: true, landedCost: true },
+    }),
+  ]);
+
+  const remittedIds = remittances.flatMap(remittance => remittance.items.map(item => item.shipmentId));
+  const remittedShipments = remittedIds.length > 0
+    ? await prisma.shipment.findMany({ where: { id: { in: remittedIds } }, select: { id: true, total: true } })
+    : [];
+  const totalById = new Map(remittedShipments.map(shipment => [shipment.id, parseFloat(shipment.total || 0)]));
+
+  for (const remittance of remittances) {
+    const day = dayOf(remittance.paidAt);
+    if (!day) continue;
+    const collected = remittance.items.reduce((sum, item) => sum + (totalById.get(item.shipmentId) || 0), 0);
+    day.remittances += collected;
+    day.carrierFees += collected - remittance.amount;
+  }
+
+  const shippedOrderIds = new Set(shippedOrders.map(shipment => shipment.orderId.split('/').pop()));
+  for (const order of shopifyOrdersList) {
+    const day = dayOf(order.createdAt);
+    if (day && !shippedOrderIds.has(order.id.split('/').pop())) {
+      day.shopifyPayments += parseFloat(order.totalPrice || 0);
+    }
+  }
+
+  for (const metric of adDailyMetrics) {
+    const day = typeof metric.date === 'string' ? days[metric.date.slice(0, 10)] : null;
+    if (day) day.adSpend += metric.spend || 0;
+  }
+
+  for (const order of confirmedCOGS) {
+    const day = dayOf(order.confirmedAt);
+    if (day) day.cogsPurchases += parseFloat(order.totalCost || 0) + parseFloat(order.landedCost || 0);
+  }
+
+  const totals = { ...emptyDay(), cashIn: 0, cashOut: 0, net: 0 };
+  const dailyCash = Object.entries(days).map(([date, day]) => {
+    const cashIn = day.remittances + day.shopifyPayments;
+    const cashOut = day.adSpend + day.carrierFees + day.cogsPurchases;
+    Object.keys(day).forEach(key => { totals[key] += day[key]; });
+    return { date, ...day, cashIn, cashOut, net: cashIn - cashOut };
+  });
+  totals.cashIn = totals.remittances + totals.shopifyPayments;
+  totals.cashOut = totals.adSpend + totals.carrierFees + totals.cogsPurchases;
+  totals.net = totals.cashIn - totals.cashOut;
+
+  return { dailyCash, totals };
+}
@@ -0,0 +1,190 @@
+/**
+ * COD remittance tracking for TrackProfit
+ * The carrier collects cash on delivery and pays it out in batches. A delivered parcel
+ * is pending collection until a recorded remittance includes it.
+ */
+import prisma from "../db.server";
+import { isDeliveredShipment } from "./profitRules.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since delivery, upper bound included; money owed longer than 30 days needs chasing
+export const AGING_BUCKETS = [
+  { key: '0_7', maxDays: 7 },
+  { key: '8_15', maxDays: 15 },
+  { key: '16_30', maxDays: 30 },
+  { key: 'over_30', maxDays: Infinity },
+];
+
+// What the carrier owes for a parcel: the COD total less its delivery fee
+export const owedAmount = (shipment) => Math.max(0, parseFloat(shipment.total || 0) - parseFloat(shipment.deliveryFee || 0));
+
+const agingBucket = (ageDays) => AGING_BUCKETS.find(bucket => ageDays <= bucket.maxDays).key;
+
+/**
+ * Delivered parcels whose cash has not been remitted yet, oldest delivery first
+ * The delivery date is the first "Livrée" event of the shipment timeline, or its last update.
+ * @param {string} shop - Shop domain
+ * @param {string} [carrier] - Only this carrier's parcels
+ * @returns {Promise<Array<Object>>} Shipments with owed, deliveredAt, ageDays and bucket
+ */
+export async function getPendingCollections(shop, carrier) {
+  const shipments = await prisma.shipment.findMany({
+    where: {
+      shop,
+      ...(carrier ? { carrier } : {}),
+      OR: [{ status: 'Livrée' }, { status: { contains: 'livrée', mode: 'insensitive' } }],
+    },
+    select: { id: true, tracking: true, carrier: true, client: true, wilaya: true, total: true, deliveryFee: true, status: true, updatedAt: true },
+  });
+  const delivered = shipments.filter(isDeliveredShipment);
+  if (delivered.length === 0) return [];
+
+  const ids = delivered.map(s => s.id);
+  const [items, events] = await Promise.all([
+    prisma.codRemittanceItem.findMany({ where: { shipmentId: { in: ids } }, select: { shipmentId: true } }),
+    prisma.shipmentEvent.findMany({
+      where: { shipmentId: { in: ids } },
+      select: { shipmentId: true, status: true, occurredAt: true },
+      orderBy: { occurredAt: 'asc' },
+    }),
+  ]);
+  const remitted = new Set(items.map(item => item.shipmentId));
+  const deliveredAt = new Map();
+  for (const event of events) {
+    if (!deliveredAt.has(event.shipmentId) && isDeliveredShipment(event)) {
+      deliveredAt.set(event.shipmentId, event.occurredAt);
+    }
+  }
+
+  const now = Date.now();
+  return delivered
+    .filter(shipment => !remitted.has(shipment.id))
+    .map(shipment => {
+      const date = deliveredAt.get(shipment.id) || shipment.updatedAt;
+      const ageDays = Math.max(0, Math.floor((now - new Date(date).getTime()) / DAY_MS));
+      return { ...shipment, owed: owedAmount(shipment), deliveredAt: date, ageDays, bucket: agingBucket(ageDays) };
+    })
+    .sort((a, b) => b.ageDays - a.ageDays);
+}
+
+/**
+ * Totals of pending parcels per aging bucket
+ * @param {Array<Object>} pending - Result of getPendingCollections
+ * @returns {{count: number, amount: number, oldestDays: number, buckets: Array<{key: string, count: number, amount: number}>}}
+ */
+export function summarizeOutstanding(pending) {
+  const buckets = AGING_BUCKETS.map(bucket => ({ key: bucket.key, count: 0, amount: 0 }));
+
+  for (const shipment of pending) {
+    const bucket = buckets.find(b => b.key === shipment.bucket);
+    bucket.count++;
+    bucket.amount += shipment.owed;
+  }
+
+  return {
+    count: pending.length,
+    amount: buckets.reduce((sum, bucket) => sum + bucket.amount, 0),
+    oldestDays: pending.reduce((oldest, shipment) => Math.max(oldest, shipment.ageDays), 0),
+    buckets,
+  };
+}
+
+/**
+ * Cash the carrier still owes, split into aging buckets
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} See summarizeOutstanding
+ */
+export async function getOutstandingCash(shop) {
+  return summarizeOutstanding(await getPendingCollections(shop));
+}
+
+/**
+ * Record a payout and mark its parcels as collected
+ * Trackings that are unknown, not delivered or already paid are skipped and reported.
+ * @param {string} shop - Shop domain
+ * @param {Object} data
+ * @param {string} data.carrier - Carrier code
+ * @param {string|Date} data.paidAt - Date the money was received
+ * @param {number|string} data.amount - Amount received
+ * @param {Array<string>} data.trackings - Parcels covered by the payout
+ * @param {string} [data.reference] - Carrier payment reference
+ * @param {string} [data.note]
+ * @returns {Promise<{success: boolean, remittance?: Object, skipped?: Object, error?: string}>}
+ */
+export async function recordRemittance(shop, { carrier, paidAt, amount, trackings, reference, note }) {
+  const paidDate = new Date(paidAt);
+  const received = parseFloat(amount);
+  if (isNaN(paidDate.getTime())) return { success: false, error: 'Invalid payment date' };
+  if (isNaN(received) || received < 0) return { success: false, error: 'Invalid amount' };
+
+  const uniqueTrackings = [...new Set((trackings || []).map(tracking => String(tracking).trim()).filter(Boolean))];
+  if (uniqueTrackings.length === 0) return { success: false, error: 'No tracking numbers given' };
+
+  const shipments = await prisma.shipment.findMany({
+    where: { shop, carrier, tracking: { in: uniqueTrackings } },
+    select: { id: true, tracking: true, total: true, deliveryFee: true, status: true },
+  });
+  const items = await prisma.codRemittanceItem.findMany({
+    where: { shipmentId: { in: shipments.map(s => s.id) } },
+    select: { shipmentId: true },
+  });
+  const remitted = new Set(items.map(item => item.shipmentId));
+  const byTracking = new Map(shipments.map(s => [s.tracking, s]));
+
+  const skipped = { unknown: [], notDelivered: [], alreadyRemitted: [] };
+  const paid = [];
+  for (const tracking of uniqueTrackings) {
+    const shipment = byTracking.get(tracking);
+    if (!shipment) skipped.unknown.push(tracking);
+    else if (!isDeliveredShipment(shipment)) skipped.notDelivered.push(tracking);
+    else if (remitted.has(shipment.id)) skipped.alreadyRemitted.push(tracking);
+    else paid.push(shipment);
+  }
+
+  if (paid.length === 0) {
+    return { success: false, error: 'None of the parcels can be marked as collected', skipped };
+  }
+
+  const remittance = await prisma.codRemittance.create({
+    data: {
+      shop,
+      carrier,
+      paidAt: paidDate,
+      amount: received,
+      expectedAmount: paid.reduce((sum, shipment) => sum + owedAmount(shipment), 0),
+      reference: reference?.trim() || null,
+      note: note?.trim() || null,
+      items: {
+        create: paid.map(shipment => ({ shop, shipmentId: shipment.id, tracking: shipment.tracking, amount: owedAmount(shipment) })),
+      },
+    },
+  });
+
+  return { success: true, remittance, skipped };
+}
+
+/**
+ * Recorded payouts of a shop, newest first
+ * @param {string} shop - Shop domain
+ * @param {string} carrier - Carrier code
+ * @returns {Promise<Array<Object>>} Remittances with their parcel count
+ */
+export async function listRemittances(shop, carrier) {
+  return prisma.codRemittance.findMany({
+    where: { shop, carrier },
+    include: { _count: { select: { items: true } } },
+    orderBy: { paidAt: 'desc' },
+  });
+}
+
+/**
+ * Delete a payout recorded by mistake; its parcels become pending again
+ * @param {string} shop - Shop domain
+ * @param {string} id - Remittance id
+ * @returns {Promise<boolean>} false when the remittance does not exist
+ */
+export async function deleteRemittance(shop, id) {
+  const { count } = await prisma.codRemittance.deleteMany({ where: { id, shop } });
+  return count > 0;
+}
@@ -0,0 +1,105 @@
+/**
+ * Bulk COGS recomputation for TrackProfit
+ * Reloads the line items of stored orders from Shopify, prices them with the cost effective
+ * on the order date and recalculates their OrderCOGS, e.g. after a unit cost was fixed on the products page.
+ */
+import prisma from "../db.server";
+import { OrderCOGSService } from "../models/OrderCOGS.server";
+import { applyCostHistory } from "./variantCost.server";
+
+// Orders loaded per GraphQL call
+const BATCH_SIZE = 50;
+
+const toOrderGid = (orderId) => (orderId.includes('gid://') ? orderId : `gid://shopify/Order/${orderId}`);
+
+/**
+ * Creation date and line items with current quantity and unit cost of several orders
+ * @param {Object} admin - Shopify admin API context
+ * @param {Array<string>} orderIds - Numeric IDs or GIDs
+ * @returns {Promise<Map<string, {createdAt: string, lineItems: Array<Object>}>>} Orders by GID; deleted orders are missing
+ */
+async function fetchOrderLineItems(admin, orderIds) {
+  const ordersById = new Map();
+
+  for (let i = 0; i < orderIds.length; i += BATCH_SIZE) {
+    const ids = orderIds.slice(i, i + BATCH_SIZE).map(toOrderGid);
+    const response = await admin.graphql(`#graphql
+      query getOrdersLineItems($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Order {
+            id
+            createdAt
+            lineItems(first: 50) {
+              edges {
+                node {
+                  title
+                  currentQuantity
+                  variant { id inventoryItem { unitCost { amount } } }
+                  product { id tags }
+                  originalUnitPriceSet { shopMoney { amount } }
+                }
+              }
+            }
+          }
+        }
+      }
+    `, { variables: { ids } });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      throw new Error(responseJson.errors[0].message);
+    }
+
+    (responseJson.data?.nodes || []).filter(node => node?.id).forEach(order => {
+      // Removed and fully refunded lines have no current quantity left and cost nothing
+      const lineItems = order.lineItems.edges.filter(({ node }) => node.currentQuantity > 0).map(({ node }) => ({
+        productId: node.product?.id?.split('/').pop() || '',
+        variantId: node.variant?.id?.split('/').pop() || '',
+        title: node.title,
+        quantity: node.currentQuantity,
+        price: parseFloat(node.originalUnitPriceSet?.shopMoney?.amount || 0),
+        unitCost: parseFloat(node.variant?.inventoryItem?.unitCost?.amount || 0),
+        tags: node.product?.tags || [],
+      }));
+      ordersById.set(order.id, { createdAt: order.createdAt, lineItems });
+    });
+  }
+
+  return ordersById;
+}
+
+/**
+ * Recompute the COGS of every order stored in a date range
+ * Revenue stays as recorded: orders saved from a shipment carry the COD amount.
+ * @param {Object} admin - Shopify admin API context
+ * @param {string} shop - Shop domain
+ * @param {{start: Date, end: Date}} dateRange - OrderCOGS created in this range
+ * @returns {Promise<{checked: number, changed: number, missing: number, costDelta: number}>}
+ * missing counts orders Shopify no longer returns, costDelta the change of total COGS
+ */
+export async function recomputeCOGSForRange(admin, shop, { start, end }) {
+  const orders = await prisma.orderCOGS.findMany({
+    where: { shop, createdAt: { gte: start, lte: end } },
+    select: { orderId: true, orderName: true, totalCost: true, totalRevenue: true },
+  });
+  const result = { checked: orders.length, changed: 0, missing: 0, costDelta: 0 };
+  if (orders.length === 0) return result;
+
+  const ordersById = await fetchOrderLineItems(admin, orders.map(order => order.orderId));
+  const service = new OrderCOGSService();
+
+  for (const order of orders) {
+    const shopifyOrder = ordersById.get(toOrderGid(order.orderId));
+    if (!shopifyOrder) {
+      result.missing++;
+      continue;
+    }
+    const lineItems = await applyCostHistory(shop, shopifyOrder.lineItems, shopifyOrder.createdAt);
+    const { orderCOGS, changed } = await service.recalculateCOGS(shop, order.orderId, order.orderName, lineItems, order.totalRevenue, "recompute");
+    if (changed) {
+      result.changed++;
+      result.costDelta += orderCOGS.totalCost - order.totalCost;
+    }
+  }
+
+  return result;
+}
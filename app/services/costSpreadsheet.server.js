@@ -0,0 +1,214 @@
+/**
+ * Bulk unit cost import/export for TrackProfit
+ * Exports every variant with its current cost, reads the edited file back, previews the
+ * cost changes and applies them through batched inventoryItemUpdate mutations.
+ */
+import { normalizeHeader, readSheetRows, toAmount, writeSheet } from "../utils/spreadsheet.server";
+import { recordVariantCost } from "./variantCost.server";
+
+// inventoryItemUpdate calls sent in one GraphQL request
+const UPDATE_BATCH_SIZE = 10;
+
+// Costs closer than this are the same cost
+const COST_TOLERANCE = 0.005;
+
+// A new cost this many times higher or lower than the current one is flagged in the preview,
+// it usually means the separators of the file were not read as intended
+const LARGE_CHANGE_RATIO = 10;
+
+const EXPORT_HEADERS = ['Variant ID', 'SKU', 'Product', 'Variant', 'Price', 'Cost'];
+
+// Accepted column titles, compared without case and accents
+const COLUMN_ALIASES = {
+  variantId: ['variant id', 'id variante', 'معرف المتغير'],
+  sku: ['sku', 'reference', 'ref', 'رمز المنتج'],
+  cost: ['cost', 'new cost', 'unit cost', 'cout', 'cout unitaire', 'prix d\'achat', 'التكلفة'],
+};
+
+/**
+ * Every variant of the shop with its current cost
+ * @param {Object} admin - Shopify admin API context
+ * @returns {Promise<Array<{variantId: string, productId: string, inventoryItemId: string, sku: string, product: string, title: string, price: number, cost: number}>>}
+ * variantId and productId are numeric IDs
+ */
+export async function fetchVariantCosts(admin) {
+  const variants = [];
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(`#graphql
+      query getVariantCosts($after: String) {
+        productVariants(first: 250, after: $after) {
+          edges {
+            node {
+              id
+              sku
+              title
+              price
+              product { id title }
+              inventoryItem { id unitCost { amount } }
+            }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { variables: { after: cursor } });
+    const responseJson = await response.json();
+    if (responseJson.errors) {
+      throw new Error(responseJson.errors[0].message);
+    }
+
+    const { edges, pageInfo } = responseJson.data.productVariants;
+    edges.forEach(({ node }) => variants.push({
+      variantId: node.id.split('/').pop(),
+      productId: node.product.id.split('/').pop(),
+      inventoryItemId: node.inventoryItem?.id || null,
+      sku: node.sku || '',
+      product: node.product.title,
+      title: node.title,
+      price: parseFloat(node.price || 0),
+      cost: parseFloat(node.inventoryItem?.unitCost?.amount || 0),
+    }));
+    hasNextPage = pageInfo.hasNextPage;
+    cursor = pageInfo.endCursor;
+  }
+
+  return variants.sort((a, b) => a.product.localeCompare(b.product) || a.title.localeCompare(b.title));
+}
+
+/**
+ * Spreadsheet of all variants and their cost, to edit and import back
+ * @param {Array<Object>} variants - Result of fetchVariantCosts
+ * @param {"xlsx"|"csv"} format
+ * @returns {{fileName: string, mimeType: string, content: string}} Base64 content
+ */
+export function exportCostSheet(variants, format) {
+  const rows = variants.map(variant => [variant.variantId, variant.sku, variant.product, variant.title, variant.price, variant.cost]);
+  return writeSheet([EXPORT_HEADERS, ...rows], format, `costs-${new Date().toISOString().slice(0, 10)}`);
+}
+
+/**
+ * Compare an imported file with the current costs
+ * Rows are matched by variant ID, or by SKU when the ID column is missing or empty.
+ * A row is "change" when its cost differs, "unchanged", "skipped" without a cost, or "invalid" with the reason in error.
+ * rawCost keeps the cell as typed next to the parsed newCost, largeChange flags costs far from the current one.
+ * @param {ArrayBuffer} arrayBuffer - XLSX, XLS or CSV content
+ * @param {Array<Object>} variants - Result of fetchVariantCosts
+ * @returns {{rows: Array<Object>, counts: Object, error: string|null}}
+ */
+export function previewCostImport(arrayBuffer, variants) {
+  const counts = { change: 0, unchanged: 0, skipped: 0, invalid: 0 };
+  const rows = readSheetRows(arrayBuffer);
+  const findColumn = (headers, field) => headers.findIndex(header => COLUMN_ALIASES[field].includes(header));
+
+  const headerIndex = rows.findIndex(row => findColumn((row || []).map(normalizeHeader), 'cost') !== -1);
+  if (headerIndex === -1) {
+    return { rows: [], counts, error: 'Could not find a Cost column.' };
+  }
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const columns = { variantId: findColumn(headers, 'variantId'), sku: findColumn(headers, 'sku'), cost: findColumn(headers, 'cost') };
+  if (columns.variantId === -1 && columns.sku === -1) {
+    return { rows: [], counts, error: 'Could not find a Variant ID or SKU column.' };
+  }
+
+  const byId = new Map(variants.map(variant => [variant.variantId, variant]));
+  const bySku = new Map();
+  variants.filter(variant => variant.sku).forEach(variant => {
+    bySku.set(variant.sku, bySku.has(variant.sku) ? null : variant); // null marks a SKU shared by several variants
+  });
+  const seen = new Set();
+
+  const preview = [];
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    const cell = (column) => (column === -1 ? '' : String(row?.[column] ?? '').trim());
+    const variantId = cell(columns.variantId).split('/').pop();
+    const sku = cell(columns.sku);
+    const rawCost = cell(columns.cost);
+    if (!variantId && !sku && !rawCost) return;
+
+    const line = { row: headerIndex + index + 2, sku, title: '', rawCost, oldCost: null, newCost: null, largeChange: false, status: 'invalid', error: null };
+    preview.push(line);
+
+    const variant = variantId ? byId.get(variantId) : bySku.get(sku);
+    if (!variant) {
+      line.error = !variantId && bySku.get(sku) === null ? 'sharedSku' : 'unknownVariant';
+    } else if (seen.has(variant.variantId)) {
+      line.error = 'duplicate';
+    } else {
+      seen.add(variant.variantId);
+      const cost = toAmount(rawCost);
+      Object.assign(line, {
+        variantId: variant.variantId,
+        productId: variant.productId,
+        inventoryItemId: variant.inventoryItemId,
+        sku: variant.sku,
+        title: variant.title === 'Default Title' ? variant.product : `${variant.product} - ${variant.title}`,
+        oldCost: variant.cost,
+      });
+      if (rawCost === '') line.status = 'skipped';
+      else if (!/\d/.test(rawCost) || cost < 0) line.error = 'invalidCost';
+      else if (!variant.inventoryItemId) line.error = 'noInventoryItem';
+      else {
+        line.newCost = cost;
+        line.status = Math.abs(cost - variant.cost) < COST_TOLERANCE ? 'unchanged' : 'change';
+        line.largeChange = line.status === 'change' && variant.cost > 0
+          && (cost >= variant.cost * LARGE_CHANGE_RATIO || cost <= variant.cost / LARGE_CHANGE_RATIO);
+      }
+    }
+    counts[line.status]++;
+  });
+
+  return { rows: preview, counts, error: preview.length === 0 ? 'No rows found in file' : null };
+}
+
+/**
+ * Write new costs to Shopify and record them in the variant cost history
+ * @param {Object} admin - Shopify admin API context
+ * @param {string} shop - Shop domain
+ * @param {Array<{row: number, variantId: string, productId: string, inventoryItemId: string, oldCost: number, newCost: number}>} changes
+ * @returns {Promise<Array<{row: number, variantId: string, success: boolean, error?: string}>>} One result per change
+ */
+export async function applyCostChanges(admin, shop, changes) {
+  const results = [];
+
+  for (let i = 0; i < changes.length; i += UPDATE_BATCH_SIZE) {
+    const batch = changes.slice(i, i + UPDATE_BATCH_SIZE);
+    const definitions = batch.map((_, index) => `$id${index}: ID!, $cost${index}: Decimal`).join(', ');
+    const fields = batch.map((_, index) => `
+        update${index}: inventoryItemUpdate(id: $id${index}, input: { cost: $cost${index} }) {
+          inventoryItem { id }
+          userErrors { message }
+        }`).join('');
+    const variables = {};
+    batch.forEach((change, index) => {
+      variables[`id${index}`] = change.inventoryItemId;
+      variables[`cost${index}`] = change.newCost;
+    });
+
+    let data = null;
+    let batchError = null;
+    try {
+      const response = await admin.graphql(`#graphql
+        mutation updateCosts(${definitions}) {${fields}
+        }
+      `, { variables });
+      const responseJson = await response.json();
+      data = responseJson.data;
+      batchError = responseJson.errors?.[0]?.message || null;
+    } catch (error) {
+      batchError = error.message;
+    }
+
+    for (const [index, change] of batch.entries()) {
+      const update = data?.[`update${index}`];
+      const error = update?.userErrors?.[0]?.message || (update?.inventoryItem ? null : batchError || 'Update failed');
+      if (!error) {
+        await recordVariantCost(shop, { variantId: change.variantId, productId: change.productId, cost: change.newCost, previousCost: change.oldCost });
+      }
+      results.push({ row: change.row, variantId: change.variantId, success: !error, ...(error ? { error } : {}) });
+    }
+  }
+
+  return results;
+}
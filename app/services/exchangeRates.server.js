@@ -0,0 +1,186 @@
+/**
+ * Exchange rates for TrackProfit
+ * Ad spend and some expenses are paid in a foreign currency at a rate that moves every day
+ * (often the parallel-market rate). Each shop stores its own daily rates, entered by hand or
+ * imported from a CSV/XLSX file; days without a rate use the latest earlier rate, then the
+ * currency's first stored rate, then the shop's default rate from ShopSettings.
+ */
+import prisma from "../db.server";
+import { getShopSettings } from "../models/ShopSettings.server";
+import { normalizeHeader, readSheetRows, toAmount } from "../utils/spreadsheet.server";
+
+// Accepted column titles, compared without case and accents
+const COLUMN_ALIASES = {
+  date: ['date', 'day', 'jour', 'التاريخ'],
+  rate: ['rate', 'exchange rate', 'taux', 'cours', 'سعر الصرف'],
+  currency: ['currency', 'devise', 'العملة'],
+};
+
+/**
+ * A day as UTC midnight
+ * Accepts "YYYY-MM-DD", "DD/MM/YYYY", dates and spreadsheet serial day numbers.
+ * @param {string|number|Date} value
+ * @returns {Date|null}
+ */
+export function toRateDate(value) {
+  let date = null;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'number') {
+    // Spreadsheet serial days count from 1899-12-30
+    date = new Date(Math.round((value - 25569) * 86400000));
+  } else {
+    const text = String(value ?? '').trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const dmy = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    const [year, month, day] = iso ? [+iso[1], +iso[2], +iso[3]] : dmy ? [+dmy[3], +dmy[2], +dmy[1]] : [];
+    if (year) {
+      date = new Date(Date.UTC(year, month - 1, day));
+      // Date.UTC rolls "10/19/2026" (a month-first date) over to 2027-07-10, such days are rejected
+      if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    }
+  }
+  if (!date || isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+const cleanCurrency = (value) => String(value || '').trim().toUpperCase();
+
+/**
+ * Latest stored rates of a shop, most recent day first
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {number} [options.take=90]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listExchangeRates(shop, { take = 90 } = {}) {
+  return prisma.exchangeRate.findMany({
+    where: { shop },
+    orderBy: [{ date: 'desc' }, { currency: 'asc' }],
+    take,
+  });
+}
+
+/**
+ * Store the rate of one day, replacing the rate already stored for that day
+ * @param {string} shop - Shop domain
+ * @param {Object} data
+ * @param {string} data.currency - Foreign currency code
+ * @param {string|Date} data.date - Day of the rate
+ * @param {number|string} data.rate - Units of shop currency for one unit of the currency
+ * @param {"manual"|"import"} [data.source="manual"]
+ * @returns {Promise<{success: boolean, exchangeRate?: Object, error?: string}>}
+ */
+export async function saveExchangeRate(shop, { currency, date, rate, source = 'manual' }) {
+  const code = cleanCurrency(currency);
+  const day = toRateDate(date);
+  const value = typeof rate === 'number' ? rate : toAmount(rate, { groupedThousands: false });
+  if (!/^[A-Z]{3}$/.test(code)) return { success: false, error: 'Invalid currency' };
+  if (!day) return { success: false, error: 'Invalid date' };
+  if (!(value > 0)) return { success: false, error: 'Rate must be a positive number' };
+
+  const exchangeRate = await prisma.exchangeRate.upsert({
+    where: { shop_currency_date: { shop, currency: code, date: day } },
+    update: { rate: value, source },
+    create: { shop, currency: code, date: day, rate: value, source },
+  });
+  return { success: true, exchangeRate };
+}
+
+/**
+ * Delete a stored rate
+ * @param {string} shop - Shop domain
+ * @param {string} id - ExchangeRate id
+ * @returns {Promise<boolean>} false when the rate does not exist
+ */
+export async function deleteExchangeRate(shop, id) {
+  const { count } = await prisma.exchangeRate.deleteMany({ where: { id, shop } });
+  return count > 0;
+}
+
+/**
+ * Import daily rates from a CSV or XLSX file
+ * The file needs a Date and a Rate column; a Currency column is optional.
+ * @param {string} shop - Shop domain
+ * @param {ArrayBuffer} arrayBuffer - File content
+ * @param {string} defaultCurrency - Currency of rows without a Currency column or value
+ * @returns {Promise<{imported: number, invalid: Array<{row: number, error: string}>, error: string|null}>}
+ */
+export async function importExchangeRates(shop, arrayBuffer, defaultCurrency) {
+  const rows = readSheetRows(arrayBuffer);
+  const findColumn = (headers, field) => headers.findIndex(header => COLUMN_ALIASES[field].includes(header));
+
+  const headerIndex = rows.findIndex(row => {
+    const headers = (row || []).map(normalizeHeader);
+    return findColumn(headers, 'date') !== -1 && findColumn(headers, 'rate') !== -1;
+  });
+  if (headerIndex === -1) {
+    return { imported: 0, invalid: [], error: 'Could not find Date and Rate columns.' };
+  }
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const columns = { date: findColumn(headers, 'date'), rate: findColumn(headers, 'rate'), currency: findColumn(headers, 'currency') };
+
+  let imported = 0;
+  const invalid = [];
+  for (const [index, row] of rows.slice(headerIndex + 1).entries()) {
+    const date = row?.[columns.date];
+    const rate = row?.[columns.rate];
+    if ((date ?? '') === '' && (rate ?? '') === '') continue;
+
+    const currency = (columns.currency !== -1 && row?.[columns.currency]) || defaultCurrency;
+    const result = await saveExchangeRate(shop, { currency, date, rate, source: 'import' });
+    if (result.success) imported++;
+    else invalid.push({ row: headerIndex + index + 2, error: result.error });
+  }
+
+  return { imported, invalid, error: imported === 0 && invalid.length === 0 ? 'No rows found in file' : null };
+}
+
+/**
+ * Converter from foreign currencies to the shop currency, with the rate of each day
+ * @param {string} shop - Shop domain
+ * @param {string} shopCurrency - Currency amounts are converted to
+ * @param {Date} end - Last day that will be converted
+ * @returns {Promise<{defaultRate: number, rateFor: Function, convert: Function, getMissingRates: Function}>}
+ * rateFor(currency, dateKey) gives the rate of a "YYYY-MM-DD" day; convert(amount, currency, dateKey) applies it.
+ * Days before the first stored rate of a currency use that rate. The default rate is only used for
+ * currencies without any stored rate, getMissingRates() lists the ones converted so far.
+ */
+export async function getCurrencyConverter(shop, shopCurrency, end) {
+  const [settings, rates] = await Promise.all([
+    getShopSettings(shop),
+    prisma.exchangeRate.findMany({
+      where: { shop, date: { lte: end } },
+      select: { currency: true, date: true, rate: true },
+      orderBy: { date: 'asc' },
+    }),
+  ]);
+
+  const byCurrency = {};
+  rates.forEach(({ currency, date, rate }) => {
+    (byCurrency[currency] = byCurrency[currency] || []).push({ dateKey: date.toISOString().slice(0, 10), rate });
+  });
+
+  const missingRates = new Set();
+  const rateFor = (currency, dateKey) => {
+    if (!currency || currency === shopCurrency) return 1;
+    const history = byCurrency[currency];
+    if (!history) {
+      missingRates.add(currency);
+      return settings.exchangeRate;
+    }
+    let rate = history[0].rate;
+    for (const entry of history) {
+      if (entry.dateKey > dateKey) break;
+      rate = entry.rate;
+    }
+    return rate;
+  };
+
+  return {
+    defaultRate: settings.exchangeRate,
+    rateFor,
+    convert: (amount, currency, dateKey) => amount * rateFor(currency, dateKey),
+    getMissingRates: () => [...missingRates].sort(),
+  };
+}
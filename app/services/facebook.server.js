@@ -1,62 +1,122 @@
+// Graph API error with its numeric code, so callers can tell rate limits apart
+const toGraphError = (body, fallbackMessage) => {
+  const error = new Error(body?.error?.message || fallbackMessage);
+  error.code = body?.error?.code;
+  return error;
+};
+
 /**
- * Fetches real daily spend for an ad account using Facebook Ads Insights API.
+ * Fetches daily account-level insights, throwing Graph API errors with their code.
  * @param {string} accessToken - Facebook access token
  * @param {string} adAccountId - Ad account ID (e.g. 'act_123456789')
  * @param {string} since - Start date (YYYY-MM-DD)
  * @param {string} until - End date (YYYY-MM-DD)
- * @returns {Promise<Array<{date: string, spend: number}>>}
+ * @returns {Promise<Array<{date: string, spend: number, impressions: number, purchases: number, revenue: number}>>}
  */
-export async function getDailySpend(accessToken, adAccountId, since, until) {
-  try {
-    const url = `${FACEBOOK_GRAPH_URL}/${adAccountId}/insights?` + new URLSearchParams({
-      access_token: accessToken,
-      level: 'account',
-      fields: 'date_start,spend,impressions,actions,action_values',
-      time_range: JSON.stringify({ since, until }),
-      time_increment: '1',
-      limit: '100',
-    });
+export async function fetchDailyInsights(accessToken, adAccountId, since, until) {
+  const days = [];
+  let url = `${FACEBOOK_GRAPH_URL}/${adAccountId}/insights?` + new URLSearchParams({
+    access_token: accessToken,
+    level: 'account',
+    fields: 'date_start,spend,impressions,actions,action_values',
+    time_range: JSON.stringify({ since, until }),
+    time_increment: '1',
+    limit: '100',
+  });
+
+  while (url) {
     const response = await fetch(url);
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'Failed to fetch daily insights');
+      throw toGraphError(await response.json(), 'Failed to fetch daily insights');
     }
     const data = await response.json();
     if (!data.data || !Array.isArray(data.data)) {
       console.warn('Facebook API response missing data:', data);
-      return [];
+      break;
     }
-    // Debug: print raw API response
-    // Map to [{ date, spend, impressions, purchases, revenue }]
-    const parsed = data.data.map(day => {
-      // Find purchase actions and values
-      let purchases = 0;
-      let revenue = 0;
-      if (Array.isArray(day.actions)) {
-        const purchaseAction = day.actions.find(a => a.action_type === 'purchase');
-        purchases = purchaseAction ? parseInt(purchaseAction.value || '0', 10) : 0;
-      }
-      if (Array.isArray(day.action_values)) {
-        const purchaseValue = day.action_values.find(a => a.action_type === 'purchase');
-        revenue = purchaseValue ? parseFloat(purchaseValue.value || '0') : 0;
-      }
-      const result = {
+    data.data.forEach(day => {
+      const purchaseAction = (day.actions || []).find(a => a.action_type === 'purchase');
+      const purchaseValue = (day.action_values || []).find(a => a.action_type === 'purchase');
+      days.push({
         date: day.date_start,
         spend: parseFloat(day.spend || 0),
         impressions: parseInt(day.impressions || '0', 10),
-        purchases,
-        revenue
-      };
-      // Debug: print parsed metrics for each day
-      console.log('Parsed Facebook metrics:', result);
-      return result;
+        purchases: purchaseAction ? parseInt(purchaseAction.value || '0', 10) : 0,
+        revenue: purchaseValue ? parseFloat(purchaseValue.value || '0') : 0,
+      });
     });
-    return parsed;
+    url = data.paging?.next || null;
+  }
+
+  return days;
+}
+
+/**
+ * Fetches real daily spend for an ad account using Facebook Ads Insights API.
+ * @param {string} accessToken - Facebook access token
+ * @param {string} adAccountId - Ad account ID (e.g. 'act_123456789')
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Array<{date: string, spend: number}>>} Empty when the API call fails
+ */
+export async function getDailySpend(accessToken, adAccountId, since, until) {
+  try {
+    return await fetchDailyInsights(accessToken, adAccountId, since, until);
   } catch (error) {
     console.error('Error fetching Facebook daily spend:', error);
     return [];
   }
 }
+
+/**
+ * Fetches daily insights of every ad of an account, with its ad set and campaign.
+ * @param {string} accessToken - Facebook access token
+ * @param {string} adAccountId - Ad account ID (e.g. 'act_123456789')
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @returns {Promise<Array<{date: string, campaignId: string, campaignName: string, adsetId: string, adsetName: string, adId: string, adName: string, spend: number, impressions: number, clicks: number, purchases: number, revenue: number}>>}
+ */
+export async function getAdInsights(accessToken, adAccountId, since, until) {
+  const insights = [];
+  let url = `${FACEBOOK_GRAPH_URL}/${adAccountId}/insights?` + new URLSearchParams({
+    access_token: accessToken,
+    level: 'ad',
+    fields: 'date_start,campaign_id,campaign_name,adset_id,adset_name,ad_id,ad_name,spend,impressions,clicks,actions,action_values',
+    time_range: JSON.stringify({ since, until }),
+    time_increment: '1',
+    limit: '500',
+  });
+
+  // Ad-level daily rows are paginated, follow paging.next until the last page
+  while (url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw toGraphError(await response.json(), 'Failed to fetch ad insights');
+    }
+    const data = await response.json();
+    (data.data || []).forEach(row => {
+      const purchaseAction = (row.actions || []).find(a => a.action_type === 'purchase');
+      const purchaseValue = (row.action_values || []).find(a => a.action_type === 'purchase');
+      insights.push({
+        date: row.date_start,
+        campaignId: row.campaign_id,
+        campaignName: row.campaign_name || '',
+        adsetId: row.adset_id,
+        adsetName: row.adset_name || '',
+        adId: row.ad_id,
+        adName: row.ad_name || '',
+        spend: parseFloat(row.spend || 0),
+        impressions: parseInt(row.impressions || '0', 10),
+        clicks: parseInt(row.clicks || '0', 10),
+        purchases: purchaseAction ? parseInt(purchaseAction.value || '0', 10) : 0,
+        revenue: purchaseValue ? parseFloat(purchaseValue.value || '0') : 0,
+      });
+    });
+    url = data.paging?.next || null;
+  }
+
+  return insights;
+}
 const FACEBOOK_API_VERSION = 'v18.0';
 const FACEBOOK_GRAPH_URL = `https://graph.facebook.com/${FACEBOOK_API_VERSION}`;
 
@@ -210,152 +270,123 @@ export const facebook = {
     }
   },
 
-  async getCampaigns(accessToken, adAccountId, dateRange = 'last_30_days', startDate, endDate) {
-    try {
-      // First, fetch ad account details to get currency
-      const adAccountResponse = await fetch(
-        `${FACEBOOK_GRAPH_URL}/${adAccountId}?fields=currency,name&access_token=${accessToken}`
-      );
-      
-      if (!adAccountResponse.ok) {
-        const error = await adAccountResponse.json();
-        throw new Error(error?.error?.message || 'Failed to fetch ad account data');
-      }
-      
-      const adAccountData = await adAccountResponse.json();
-      const currency = adAccountData.currency || 'USD';
-      
-      // Next, fetch basic campaign data
-      const campaignsResponse = await fetch(
-        `${FACEBOOK_GRAPH_URL}/${adAccountId}/campaigns?fields=name,objective,status,lifetime_budget,daily_budget,start_time,end_time&access_token=${accessToken}`
-      );
-      
-      if (!campaignsResponse.ok) {
-        const error = await campaignsResponse.json();
-        throw new Error(error?.error?.message || 'Failed to fetch campaigns');
-      }
-
-      const campaignsData = await campaignsResponse.json();
-      
-      // Get the date range for insights
-      const { since, until } = this.getDateRange(dateRange, startDate, endDate);
-      
-      // Then, fetch insights for all campaigns with proper date formatting
-      const insightsResponse = await fetch(
-        `${FACEBOOK_GRAPH_URL}/${adAccountId}/insights?` + new URLSearchParams({
-          access_token: accessToken,
-          level: 'campaign',
-          fields: 'campaign_id,spend,impressions,actions,action_values,cost_per_action_type',
-          time_range: JSON.stringify({
-            since,
-            until
-          }),
-          limit: 500 // Add a higher limit to ensure we get all data
-        })
-      );
-
-      if (!insightsResponse.ok) {
-        const error = await insightsResponse.json();
-        throw new Error(error?.error?.message || 'Failed to fetch insights');
-      }
-
-      const insightsData = await insightsResponse.json();
-      
-      // If no insights data, return empty array to prevent showing stale data
-      if (!insightsData || !insightsData.data) {
-        return { 
-          campaigns: [], 
-          currency, 
-          accountName: adAccountData.name || 'Unknown Account',
-          metrics: {
-            totalSpend: 0,
-            totalRevenue: 0,
-            totalPurchases: 0,
-            totalImpressions: 0,
-            roas: 0
-          }
-        };
-      }
+  /**
+   * Campaigns of an account without their insights, with the account currency and name
+   * @param {string} accessToken
+   * @param {string} adAccountId
+   * @returns {Promise<{campaigns: Array<Object>, currency: string, accountName: string}>}
+   */
+  async getCampaignList(accessToken, adAccountId) {
+    const adAccountResponse = await fetch(
+      `${FACEBOOK_GRAPH_URL}/${adAccountId}?fields=currency,name&access_token=${accessToken}`
+    );
+    if (!adAccountResponse.ok) {
+      throw toGraphError(await adAccountResponse.json(), 'Failed to fetch ad account data');
+    }
+    const adAccountData = await adAccountResponse.json();
 
-      const insightsMap = new Map();
-      let totalSpend = 0;
-      let totalRevenue = 0;
-      let totalPurchases = 0;
-      let totalImpressions = 0;
+    const campaignsResponse = await fetch(
+      `${FACEBOOK_GRAPH_URL}/${adAccountId}/campaigns?fields=name,objective,status,lifetime_budget,daily_budget,start_time,end_time&access_token=${accessToken}`
+    );
+    if (!campaignsResponse.ok) {
+      throw toGraphError(await campaignsResponse.json(), 'Failed to fetch campaigns');
+    }
+    const campaignsData = await campaignsResponse.json();
+
+    return {
+      campaigns: (campaignsData.data || []).map(campaign => ({
+        id: campaign.id,
+        name: campaign.name,
+        objective: campaign.objective,
+        status: campaign.status,
+        budget: campaign.lifetime_budget || campaign.daily_budget,
+        budgetType: campaign.lifetime_budget ? 'LIFETIME' : 'DAILY',
+        startTime: campaign.start_time,
+        endTime: campaign.end_time,
+      })),
+      currency: adAccountData.currency || 'USD',
+      accountName: adAccountData.name || 'Unknown Account',
+    };
+  },
 
-      // Process insights data with validation
-      insightsData.data.forEach(insight => {
-        if (!insight) return; // Skip invalid entries
-        
-        const purchases = insight.actions?.find(action => action.action_type === 'purchase') || { value: '0' };
-        const revenue = insight.action_values?.find(value => value.action_type === 'purchase') || { value: '0' };
-        const costPerPurchase = insight.cost_per_action_type?.find(cost => cost.action_type === 'purchase') || { value: '0' };
-        
-        const spendValue = parseFloat(insight.spend || '0');
-        const revenueValue = parseFloat(revenue.value || '0');
-        const purchasesValue = parseInt(purchases.value || '0', 10);
-        const impressionsValue = parseInt(insight.impressions || '0', 10);
-        
-        totalSpend += spendValue;
-        totalRevenue += revenueValue;
-        totalPurchases += purchasesValue;
-        totalImpressions += impressionsValue;
-
-        insightsMap.set(insight.campaign_id, {
-          spend: spendValue,
-          impressions: impressionsValue,
-          purchases: purchasesValue,
-          revenue: revenueValue,
-          costPerPurchase: parseFloat(costPerPurchase.value || '0')
-        });
-      });
-      
-      // Calculate overall ROAS
-      const overallROAS = totalSpend > 0 ? Number((totalRevenue / totalSpend).toFixed(2)) : 0;
-
-      // Combine campaign data with insights
-      const campaigns = campaignsData.data.map(campaign => {
-        const insights = insightsMap.get(campaign.id) || {
-          spend: 0,
-          impressions: 0,
-          purchases: 0,
-          revenue: 0,
-          costPerPurchase: 0
-        };
+  /**
+   * Campaigns with their insights and the account totals
+   * @param {Array<Object>} campaigns - Campaigns of getCampaignList
+   * @param {Map<string, {spend: number, impressions: number, purchases: number, revenue: number, costPerPurchase?: number}>} insightsMap - Insights by campaign ID
+   * @returns {{campaigns: Array<Object>, metrics: Object}}
+   */
+  combineCampaignInsights(campaigns, insightsMap) {
+    const metrics = { totalSpend: 0, totalRevenue: 0, totalPurchases: 0, totalImpressions: 0, roas: 0 };
+    insightsMap.forEach(insights => {
+      metrics.totalSpend += insights.spend;
+      metrics.totalRevenue += insights.revenue;
+      metrics.totalPurchases += insights.purchases;
+      metrics.totalImpressions += insights.impressions;
+    });
+    metrics.roas = metrics.totalSpend > 0 ? Number((metrics.totalRevenue / metrics.totalSpend).toFixed(2)) : 0;
 
+    return {
+      campaigns: campaigns.map(campaign => {
+        const insights = insightsMap.get(campaign.id) || { spend: 0, impressions: 0, purchases: 0, revenue: 0 };
+        const costPerPurchase = insights.costPerPurchase ?? (insights.purchases > 0 ? insights.spend / insights.purchases : 0);
         return {
-          id: campaign.id,
-          name: campaign.name,
-          objective: campaign.objective,
-          status: campaign.status,
-          budget: campaign.lifetime_budget || campaign.daily_budget,
-          budgetType: campaign.lifetime_budget ? 'LIFETIME' : 'DAILY',
-          startTime: campaign.start_time,
-          endTime: campaign.end_time,
+          ...campaign,
           spend: insights.spend,
           impressions: insights.impressions,
           purchases: insights.purchases,
           revenue: insights.revenue,
-          costPerPurchase: insights.costPerPurchase,
+          costPerPurchase,
           roas: insights.spend > 0 ? Number((insights.revenue / insights.spend).toFixed(2)) : 0
         };
-      });
-      
-      return {
-        campaigns,
-        currency,
-        accountName: adAccountData.name || 'Unknown Account',
-        metrics: {
-          totalSpend,
-          totalRevenue,
-          totalPurchases,
-          totalImpressions,
-          roas: overallROAS
-        }
-      };
-    } catch (error) {
-      throw error;
+      }),
+      metrics,
+    };
+  },
+
+  async getCampaigns(accessToken, adAccountId, dateRange = 'last_30_days', startDate, endDate) {
+    const { campaigns: campaignList, currency, accountName } = await this.getCampaignList(accessToken, adAccountId);
+
+    // Get the date range for insights
+    const { since, until } = this.getDateRange(dateRange, startDate, endDate);
+
+    const insightsResponse = await fetch(
+      `${FACEBOOK_GRAPH_URL}/${adAccountId}/insights?` + new URLSearchParams({
+        access_token: accessToken,
+        level: 'campaign',
+        fields: 'campaign_id,spend,impressions,actions,action_values,cost_per_action_type',
+        time_range: JSON.stringify({
+          since,
+          until
+        }),
+        limit: 500 // Add a higher limit to ensure we get all data
+      })
+    );
+
+    if (!insightsResponse.ok) {
+      throw toGraphError(await insightsResponse.json(), 'Failed to fetch insights');
     }
+
+    const insightsData = await insightsResponse.json();
+    const insightsMap = new Map();
+
+    // Process insights data with validation
+    (insightsData?.data || []).forEach(insight => {
+      if (!insight) return; // Skip invalid entries
+
+      const purchases = insight.actions?.find(action => action.action_type === 'purchase') || { value: '0' };
+      const revenue = insight.action_values?.find(value => value.action_type === 'purchase') || { value: '0' };
+      const costPerPurchase = insight.cost_per_action_type?.find(cost => cost.action_type === 'purchase') || { value: '0' };
+
+      insightsMap.set(insight.campaign_id, {
+        spend: parseFloat(insight.spend || '0'),
+        impressions: parseInt(insight.impressions || '0', 10),
+        purchases: parseInt(purchases.value || '0', 10),
+        revenue: parseFloat(revenue.value || '0'),
+        costPerPurchase: parseFloat(costPerPurchase.value || '0')
+      });
+    });
+
+    return { ...this.combineCampaignInsights(campaignList, insightsMap), currency, accountName };
   },
 
   getAccountStatus(status) {
@@ -0,0 +1,197 @@
+/**
+ * Facebook insight store for TrackProfit
+ * Reading insights live from the Graph API on every page load is slow and runs into the ad
+ * account rate limits. Daily account insights and ad-level insights are kept in the database
+ * and synced incrementally with adInsightSync.server.js, like the other ad platforms. Campaign
+ * names, statuses and budgets are stored on each sync too. Pages read the stored rows.
+ */
+import prisma from "../db.server";
+import { facebook, fetchDailyInsights, RATE_LIMIT_ERROR_CODE } from "./facebook.server.js";
+import { syncAdInsights } from "./adAttribution.server";
+import { toDay, toDateKey, replaceStoredDays, runIncrementalSync } from "./adInsightSync.server";
+
+// Graph API codes of the application, user and ad account rate limits
+const RATE_LIMIT_CODES = [RATE_LIMIT_ERROR_CODE, 17, 32, 613, 80004];
+
+export const isRateLimitError = (error) => RATE_LIMIT_CODES.includes(Number(error?.code));
+
+/**
+ * Ad accounts of the connected Facebook user, from the cache kept by the Facebook page
+ * @param {Object} fbCredentials - FacebookCredential record
+ * @returns {Promise<Array<{id: string, name: string, currency: string}>>}
+ */
+export async function getCachedAdAccounts(fbCredentials) {
+  let accounts = [];
+  try {
+    accounts = typeof fbCredentials.adAccounts === "string" ? JSON.parse(fbCredentials.adAccounts) : (fbCredentials.adAccounts || []);
+  } catch (error) {
+    console.error("Error parsing adAccounts:", error);
+  }
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    accounts = await facebook.getAdAccounts(fbCredentials.accessToken);
+  }
+  return accounts.map(account => ({ id: account.id, name: account.name, currency: account.currency || "USD" }));
+}
+
+/**
+ * Sync progress of an ad account
+ * @param {string} shop - Shop domain
+ * @param {string} adAccountId
+ * @returns {Promise<Object|null>} FacebookSyncState record
+ */
+export async function getSyncState(shop, adAccountId) {
+  return prisma.facebookSyncState.findUnique({ where: { shop_adAccountId: { shop, adAccountId } } });
+}
+
+/**
+ * Replace the stored daily insights of an account over a period
+ * @param {string} shop - Shop domain
+ * @param {{id: string, currency: string}} account - Ad account
+ * @param {{since: string, until: string}} range - YYYY-MM-DD days
+ * @param {Array<Object>} days - Result of fetchDailyInsights
+ */
+async function storeDailyInsights(shop, account, range, days) {
+  const syncedAt = new Date();
+  await replaceStoredDays(prisma.facebookInsightDaily, { shop, adAccountId: account.id }, range, days.map(day => ({
+    shop,
+    adAccountId: account.id,
+    currency: account.currency || "USD",
+    date: toDay(day.date),
+    spend: day.spend,
+    impressions: day.impressions,
+    purchases: day.purchases,
+    revenue: day.revenue,
+    syncedAt,
+  })));
+}
+
+/**
+ * Replace the stored campaigns of an account
+ * @param {string} shop - Shop domain
+ * @param {{id: string}} account - Ad account
+ * @param {Array<Object>} campaigns - Campaigns of facebook.getCampaignList
+ */
+async function storeCampaigns(shop, account, campaigns) {
+  const syncedAt = new Date();
+  const toDate = (value) => (value && !isNaN(new Date(value)) ? new Date(value) : null);
+  await prisma.$transaction([
+    prisma.facebookCampaign.deleteMany({ where: { shop, adAccountId: account.id } }),
+    prisma.facebookCampaign.createMany({
+      data: campaigns.map(campaign => ({
+        shop,
+        adAccountId: account.id,
+        campaignId: campaign.id,
+        name: campaign.name || campaign.id,
+        objective: campaign.objective || null,
+        status: campaign.status || null,
+        budget: campaign.budget ? parseFloat(campaign.budget) : null,
+        budgetType: campaign.budgetType,
+        startTime: toDate(campaign.startTime),
+        endTime: toDate(campaign.endTime),
+        syncedAt,
+      })),
+      skipDuplicates: true,
+    }),
+  ]);
+}
+
+/**
+ * Bring the stored insights and campaigns of an account up to date for a period
+ * See runIncrementalSync for the refetched days, the sync interval and the rate-limit backoff.
+ * @param {string} shop - Shop domain
+ * @param {string} accessToken - Facebook access token
+ * @param {{id: string, currency: string}} account - Ad account
+ * @param {{since: string, until: string}} range - YYYY-MM-DD days
+ * @param {{force?: boolean}} [options] - force ignores the sync interval, not the backoff
+ * @returns {Promise<{synced: boolean, rows: number, state: Object|null, error: string|null}>}
+ */
+export async function syncFacebookInsights(shop, accessToken, account, range, { force = false } = {}) {
+  const where = { shop_adAccountId: { shop, adAccountId: account.id } };
+  return runIncrementalSync(await getSyncState(shop, account.id), range, {
+    label: `Facebook ${account.id}`,
+    force,
+    isRateLimitError,
+    async syncWindow(window) {
+      const days = await fetchDailyInsights(accessToken, account.id, window.since, window.until);
+      await storeDailyInsights(shop, account, window, days);
+      return (await syncAdInsights(shop, accessToken, account, window)).rows;
+    },
+    async afterSync() {
+      const { campaigns } = await facebook.getCampaignList(accessToken, account.id);
+      await storeCampaigns(shop, account, campaigns);
+    },
+    saveState: (data) => prisma.facebookSyncState.upsert({
+      where,
+      update: data,
+      create: { shop, adAccountId: account.id, ...data },
+    }),
+  });
+}
+
+/**
+ * Stored daily insights of an account
+ * @param {string} shop - Shop domain
+ * @param {string} adAccountId
+ * @param {string} since - YYYY-MM-DD
+ * @param {string} until - YYYY-MM-DD
+ * @returns {Promise<Array<{date: string, spend: number, impressions: number, purchases: number, revenue: number}>>}
+ */
+export async function getStoredDailyInsights(shop, adAccountId, since, until) {
+  const days = await prisma.facebookInsightDaily.findMany({
+    where: { shop, adAccountId, date: { gte: toDay(since), lte: toDay(until) } },
+    orderBy: { date: "asc" },
+  });
+  return days.map(day => ({
+    date: toDateKey(day.date),
+    spend: day.spend,
+    impressions: day.impressions,
+    purchases: day.purchases,
+    revenue: day.revenue,
+  }));
+}
+
+/**
+ * Stored campaigns of an account, in the shape of facebook.getCampaignList
+ * @param {string} shop - Shop domain
+ * @param {string} adAccountId
+ * @returns {Promise<Array<{id: string, name: string, objective: string|null, status: string|null, budget: number|null, budgetType: string, startTime: Date|null, endTime: Date|null}>>}
+ */
+export async function getStoredCampaigns(shop, adAccountId) {
+  const campaigns = await prisma.facebookCampaign.findMany({ where: { shop, adAccountId }, orderBy: { name: "asc" } });
+  return campaigns.map(campaign => ({
+    id: campaign.campaignId,
+    name: campaign.name,
+    objective: campaign.objective,
+    status: campaign.status,
+    budget: campaign.budget,
+    budgetType: campaign.budgetType,
+    startTime: campaign.startTime,
+    endTime: campaign.endTime,
+  }));
+}
+
+/**
+ * Stored insights of an account summed by campaign, from the ad-level rows
+ * @param {string} shop - Shop domain
+ * @param {string} adAccountId
+ * @param {string} since - YYYY-MM-DD
+ * @param {string} until - YYYY-MM-DD
+ * @returns {Promise<Map<string, {name: string, spend: number, impressions: number, purchases: number, revenue: number}>>}
+ */
+export async function getStoredCampaignInsights(shop, adAccountId, since, until) {
+  const insights = await prisma.facebookAdInsight.findMany({
+    where: { shop, adAccountId, date: { gte: toDay(since), lte: toDay(until) } },
+    select: { campaignId: true, campaignName: true, spend: true, impressions: true, purchases: true, revenue: true },
+  });
+
+  const campaigns = new Map();
+  insights.forEach(insight => {
+    const campaign = campaigns.get(insight.campaignId) || { name: insight.campaignName, spend: 0, impressions: 0, purchases: 0, revenue: 0 };
+    campaign.spend += insight.spend;
+    campaign.impressions += insight.impressions;
+    campaign.purchases += insight.purchases;
+    campaign.revenue += insight.revenue;
+    campaigns.set(insight.campaignId, campaign);
+  });
+  return campaigns;
+}
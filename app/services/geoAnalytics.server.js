@@ -0,0 +1,97 @@
+/**
+ * Wilaya and commune profitability for TrackProfit
+ * Aggregates the shipments of a period by destination with the same recognition
+ * rules as the dashboard, to see where COD deliveries make or lose money.
+ */
+import prisma from "../db.server";
+import { isDeliveredShipment, isCancelledShipment, buildCOGSMap } from "./profitRules.server";
+
+const emptyGroup = (fields) => ({
+  ...fields,
+  shipments: 0,
+  delivered: 0,
+  returned: 0,
+  revenue: 0,
+  cogs: 0,
+  deliveryFees: 0,
+  cancelFees: 0,
+});
+
+// Derived figures once all shipments of a group are counted
+const finalizeGroup = (group) => {
+  const finished = group.delivered + group.returned;
+  const fees = group.deliveryFees + group.cancelFees;
+  const netProfit = group.revenue - group.cogs - fees;
+  return {
+    ...group,
+    fees,
+    netProfit,
+    returnRate: finished > 0 ? group.returned / finished : 0,
+    avgDeliveryFee: group.delivered > 0 ? group.deliveryFees / group.delivered : 0,
+    margin: group.revenue > 0 ? netProfit / group.revenue : 0,
+  };
+};
+
+/**
+ * Profitability and delivery rate per wilaya and per commune
+ * Ad spend is not included since it cannot be split by destination.
+ * @param {string} shop - Shop domain
+ * @param {{start: Date, end: Date}} dateRange - Shipments updated in this range are counted, like on the dashboard
+ * @returns {Promise<{wilayas: Array<Object>, communes: Array<Object>, totals: Object}>}
+ * Rows are sorted by net profit, lowest first, so losing areas come up top
+ */
+export async function getGeoProfitability(shop, { start, end }) {
+  const shipments = await prisma.shipment.findMany({
+    where: { shop, updatedAt: { gte: start, lte: end } },
+    select: { id: true, orderId: true, wilayaId: true, wilaya: true, commune: true, total: true, deliveryFee: true, cancelFee: true, status: true },
+  });
+
+  const orderIds = [...new Set(shipments.map(s => s.orderId).filter(Boolean))];
+  const orderCOGSData = orderIds.length > 0
+    ? await prisma.orderCOGS.findMany({ where: { shop, orderId: { in: orderIds } }, select: { orderId: true, totalCost: true } })
+    : [];
+  const cogsMap = buildCOGSMap(orderCOGSData);
+
+  const wilayas = new Map();
+  const communes = new Map();
+  const totals = emptyGroup({});
+  const processedOrderIdsForRevenue = new Set();
+
+  for (const shipment of shipments) {
+    const wilayaKey = shipment.wilayaId;
+    const communeKey = `${shipment.wilayaId}:${(shipment.commune || '').toLowerCase()}`;
+    if (!wilayas.has(wilayaKey)) {
+      wilayas.set(wilayaKey, emptyGroup({ wilayaId: shipment.wilayaId, wilaya: shipment.wilaya }));
+    }
+    if (!communes.has(communeKey)) {
+      communes.set(communeKey, emptyGroup({ wilayaId: shipment.wilayaId, wilaya: shipment.wilaya, commune: shipment.commune }));
+    }
+
+    const groups = [wilayas.get(wilayaKey), communes.get(communeKey), totals];
+    const isDelivered = isDeliveredShipment(shipment);
+    const isCancelled = isCancelledShipment(shipment);
+    // An order shipped twice is only recognized once, as on the dashboard
+    const revenueKey = shipment.orderId || shipment.id;
+
+    for (const group of groups) {
+      group.shipments++;
+      if (isDelivered && !processedOrderIdsForRevenue.has(revenueKey)) {
+        group.delivered++;
+        group.revenue += parseFloat(shipment.total || 0);
+        group.cogs += cogsMap.get(shipment.orderId) || 0;
+        group.deliveryFees += parseFloat(shipment.deliveryFee || 0);
+      } else if (isCancelled) {
+        group.returned++;
+        group.cancelFees += parseFloat(shipment.cancelFee || 0);
+      }
+    }
+    if (isDelivered) processedOrderIdsForRevenue.add(revenueKey);
+  }
+
+  const byProfit = (a, b) => a.netProfit - b.netProfit;
+  return {
+    wilayas: [...wilayas.values()].map(finalizeGroup).sort(byProfit),
+    communes: [...communes.values()].map(finalizeGroup).sort(byProfit),
+    totals: finalizeGroup(totals),
+  };
+}
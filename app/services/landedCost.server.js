@@ -0,0 +1,81 @@
+/**
+ * Landed costs for TrackProfit
+ * The real cost of an order includes more than the unit cost of its items: packaging, COD
+ * handling, confirmation calls, customs and freight per item. Each shop describes them as
+ * LandedCostRule rows, applied here to the line items of an order.
+ */
+import { listLandedCostRules } from "../models/LandedCostRule.server";
+
+const hasTag = (item, tag) => (item.tags || []).some(itemTag => itemTag.toLowerCase() === tag.toLowerCase());
+
+/**
+ * Landed cost of one order
+ * A rule with a tag only counts the items of products carrying that tag: per_order applies
+ * once when the order has such an item, percent_revenue takes the revenue of those items.
+ * @param {Array<Object>} rules - Active LandedCostRule rows
+ * @param {Array<{quantity: number, price: number, tags?: Array<string>}>} lineItems
+ * @param {number} totalRevenue - Order revenue, used by untagged percentage rules
+ * @returns {{total: number, details: Array<{ruleId: string, name: string, amount: number}>}}
+ */
+export function computeLandedCost(rules, lineItems, totalRevenue) {
+  const details = [];
+
+  for (const rule of rules) {
+    const items = rule.tag ? (lineItems || []).filter(item => hasTag(item, rule.tag)) : (lineItems || []);
+    const quantity = items.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
+    let amount = 0;
+
+    if (rule.type === 'per_order') {
+      amount = !rule.tag || items.length > 0 ? rule.amount : 0;
+    } else if (rule.type === 'per_item') {
+      amount = rule.amount * quantity;
+    } else if (rule.type === 'percent_revenue') {
+      const revenue = rule.tag
+        ? items.reduce((sum, item) => sum + parseFloat(item.price || 0) * (parseInt(item.quantity) || 0), 0)
+        : parseFloat(totalRevenue || 0);
+      amount = revenue * rule.amount / 100;
+    }
+
+    if (amount > 0) details.push({ ruleId: rule.id, name: rule.name, amount });
+  }
+
+  return { total: details.reduce((sum, detail) => sum + detail.amount, 0), details };
+}
+
+/**
+ * Landed cost of an order with the shop's active rules
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} lineItems - Items with quantity, price and, for tag rules, tags
+ * @param {number} totalRevenue
+ * @returns {Promise<{total: number, details: Array<Object>}>}
+ */
+export async function getOrderLandedCost(shop, lineItems, totalRevenue) {
+  const rules = await listLandedCostRules(shop, { activeOnly: true });
+  return computeLandedCost(rules, lineItems, totalRevenue);
+}
+
+/**
+ * Add product tags to line items when a rule of the shop filters on a tag
+ * Webhook payloads carry product IDs but not tags.
+ * @param {Object} admin - Shopify admin API context
+ * @param {string} shop - Shop domain
+ * @param {Array<{productId: string}>} lineItems
+ * @returns {Promise<Array<Object>>} The line items, with tags when they were needed
+ */
+export async function withProductTags(admin, shop, lineItems) {
+  const rules = await listLandedCostRules(shop, { activeOnly: true });
+  const productIds = [...new Set((lineItems || []).map(item => item.productId).filter(Boolean))];
+  if (!admin || productIds.length === 0 || !rules.some(rule => rule.tag)) return lineItems;
+
+  const response = await admin.graphql(`#graphql
+    query getProductTags($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product { id tags }
+      }
+    }
+  `, { variables: { ids: productIds.map(id => (String(id).includes('gid://') ? id : `gid://shopify/Product/${id}`)) } });
+  const responseJson = await response.json();
+  const tagsById = new Map((responseJson.data?.nodes || []).filter(node => node?.id).map(node => [node.id.split('/').pop(), node.tags]));
+
+  return lineItems.map(item => ({ ...item, tags: tagsById.get(String(item.productId).split('/').pop()) || [] }));
+}
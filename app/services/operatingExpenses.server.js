@@ -0,0 +1,77 @@
+/**
+ * Operating expenses for TrackProfit
+ * Rent, salaries, the Shopify plan and app subscriptions are not tied to orders. Each expense is
+ * spread over the days it covers so the dashboard can take a share of it out of every day's profit.
+ */
+import { listOperatingExpenses } from "../models/OperatingExpense.server";
+
+const daysInMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+const daysInYear = (date) => (new Date(Date.UTC(date.getUTCFullYear(), 1, 29)).getUTCMonth() === 1 ? 366 : 365);
+
+/**
+ * Share of an expense falling on one day, in the expense currency
+ * One-off expenses count in full on their start date; monthly and yearly ones are divided by the
+ * length of the month or year the day is in, so each full period adds up to the amount.
+ * @param {Object} expense - OperatingExpense row
+ * @param {string} dateKey - UTC day, "YYYY-MM-DD"
+ * @returns {number}
+ */
+export function expenseShareForDay(expense, dateKey) {
+  const day = new Date(`${dateKey}T00:00:00Z`);
+  const start = new Date(expense.startDate);
+  const end = expense.endDate ? new Date(expense.endDate) : null;
+
+  if (expense.recurrence === 'one_off') {
+    return start.toISOString().slice(0, 10) === dateKey ? expense.amount : 0;
+  }
+  if (day < start || (end && day > end)) return 0;
+
+  switch (expense.recurrence) {
+    case 'daily': return expense.amount;
+    case 'weekly': return expense.amount / 7;
+    case 'monthly': return expense.amount / daysInMonth(day);
+    case 'yearly': return expense.amount / daysInYear(day);
+    default: return 0;
+  }
+}
+
+/**
+ * Spread expenses over a list of days
+ * @param {Array<Object>} expenses - OperatingExpense rows
+ * @param {Array<string>} dateKeys - UTC days, "YYYY-MM-DD"
+ * @param {Function} [convert] - (amount, currency, dateKey) => amount in the shop currency
+ * @returns {{byDay: Object<string, number>, byCategory: Object<string, number>}}
+ */
+export function prorateExpenses(expenses, dateKeys, convert = (amount) => amount) {
+  const byDay = {};
+  const byCategory = {};
+
+  dateKeys.forEach(dateKey => {
+    byDay[dateKey] = 0;
+    expenses.forEach(expense => {
+      const share = expenseShareForDay(expense, dateKey);
+      if (share === 0) return;
+      const amount = convert(share, expense.currency, dateKey);
+      byDay[dateKey] += amount;
+      byCategory[expense.category] = (byCategory[expense.category] || 0) + amount;
+    });
+  });
+
+  return { byDay, byCategory };
+}
+
+/**
+ * Daily operating expenses of a shop over a period
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} dateKeys - UTC days of the period, in order
+ * @param {Function} [convert] - (amount, currency, dateKey) => amount in the shop currency
+ * @returns {Promise<{byDay: Object<string, number>, byCategory: Object<string, number>}>}
+ */
+export async function getDailyOperatingExpenses(shop, dateKeys, convert) {
+  if (dateKeys.length === 0) return { byDay: {}, byCategory: {} };
+  const expenses = await listOperatingExpenses(shop, {
+    start: new Date(`${dateKeys[0]}T00:00:00Z`),
+    end: new Date(`${dateKeys[dateKeys.length - 1]}T00:00:00Z`),
+  });
+  return prorateExpenses(expenses, dateKeys, convert);
+}
@@ -0,0 +1,68 @@
+/**
+ * Revenue and cost recognition rules shared by the dashboard and the analytics views
+ * Revenue and COGS are recognized when a shipment is delivered, delivery fees on
+ * delivered shipments and cancel fees on returned ones.
+ */
+
+/**
+ * Date range of a dashboard preset, from the start of the first day to the end of today
+ * @param {string} [preset="last_30_days"] - today, last_7_days, last_30_days or this_month
+ * @returns {{start: Date, end: Date}}
+ */
+export const getPresetDates = (preset = "last_30_days") => {
+  const end = new Date();
+  end.setHours(23, 59, 59, 999);
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  switch (preset) {
+    case "today": break;
+    case "last_7_days": start.setDate(start.getDate() - 6); break;
+    case "this_month": start.setDate(1); break;
+    case "last_30_days": default: start.setDate(start.getDate() - 29); break;
+  }
+  return { start, end };
+};
+
+// Revenue is recognized ONLY on delivered shipments ("Livrée")
+export const isDeliveredShipment = (shipment) => Boolean(shipment.status) && (shipment.status === "Livrée" || shipment.status.toLowerCase().includes("livrée"));
+
+// Returned or cancelled shipments only cost their cancel fee
+export const isCancelledShipment = (shipment) => Boolean(shipment.status?.includes("Retour")) || shipment.status === "Annuler";
+
+/**
+ * UTC day key (YYYY-MM-DD) of a local date, used to bucket daily stats
+ * @param {Date|string} value
+ * @returns {string}
+ */
+export const toUTCDateKey = (value) => {
+  const d = new Date(value);
+  return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString().slice(0, 10);
+};
+
+/**
+ * Map of order ID to total COGS, reachable by both the GID and the numeric ID
+ * @param {Array<{orderId: string, totalCost: number}>} orderCOGSData
+ * @param {Function} [valueOf] - Value stored per order, the unit cost total by default
+ * @returns {Map<string, *>}
+ */
+export const buildCOGSMap = (orderCOGSData, valueOf = (order) => parseFloat(order.totalCost || 0)) => {
+  const cogsMap = new Map();
+  orderCOGSData.forEach(order => {
+    cogsMap.set(order.orderId, valueOf(order));
+    if (order.orderId.includes('gid://')) {
+      cogsMap.set(order.orderId.split('/').pop(), valueOf(order));
+    }
+  });
+  return cogsMap;
+};
+
+/**
+ * Landed cost of an order and its split per rule, as stored on OrderCOGS
+ * @param {{landedCost?: number, landedCostDetails?: string}} order
+ * @returns {{total: number, details: Array<{ruleId: string, name: string, amount: number}>}}
+ */
+export const parseLandedCost = (order) => {
+  let details = [];
+  try { details = JSON.parse(order.landedCostDetails || '[]'); } catch (error) { details = []; }
+  return { total: parseFloat(order.landedCost || 0), details };
+};
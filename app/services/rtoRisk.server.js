@@ -0,0 +1,169 @@
+/**
+ * Return-to-origin (RTO) risk scoring for TrackProfit
+ * Learns return rates from the shop's recent finished shipments and scores a new
+ * order by how much its phone number, wilaya, commune, product and order value
+ * raise its return rate above the shop's usual one.
+ */
+import prisma from "../db.server";
+import { normalizeAlgerianPhone } from "../utils/phone";
+
+// Pseudo-count pulling small samples towards the shop-wide return rate
+const SMOOTHING = 2;
+
+// Weight of each signal in the final score; the customer's own history matters most
+const FACTOR_WEIGHTS = {
+  phone: 0.35,
+  commune: 0.2,
+  wilaya: 0.15,
+  product: 0.15,
+  value: 0.15,
+};
+
+// Order value buckets in DZD
+const VALUE_BUCKETS = [3000, 6000, 10000];
+
+// Only shipments of this period are learned from, older habits no longer say much
+const MODEL_WINDOW_DAYS = 180;
+
+// A built model is kept in AppCache and reused by the orders page for this long
+const MODEL_TTL_MS = 30 * 60 * 1000;
+
+const modelCacheKey = (shop) => `rto-model:${shop}`;
+
+const isDelivered = (status) => status === 'Livrée' || status?.toLowerCase().includes('livrée');
+const isReturned = (status) => Boolean(status) && (status.includes('Retour') || status.startsWith('Annul'));
+
+// "Robe (x1), Sac (x2)" and "Robe - Rouge" both become "robe"
+export const productKey = (value) => (value || '').split(/ - | \(x\d+\)|,/)[0].trim().toLowerCase();
+
+const valueBucket = (total) => {
+  const amount = parseFloat(total) || 0;
+  const index = VALUE_BUCKETS.findIndex(limit => amount < limit);
+  return index === -1 ? VALUE_BUCKETS.length : index;
+};
+
+const keysOf = ({ phone, wilayaId, commune, productType, total }) => ({
+  phone: normalizeAlgerianPhone(phone).phone || null,
+  wilaya: wilayaId ? parseInt(wilayaId, 10).toString() : null,
+  commune: wilayaId && commune ? `${parseInt(wilayaId, 10)}:${commune.toLowerCase()}` : null,
+  product: productKey(productType) || null,
+  value: valueBucket(total).toString(),
+});
+
+const readCachedModel = async (shop) => {
+  const entry = await prisma.appCache.findUnique({ where: { key: modelCacheKey(shop) } });
+  if (!entry) return null;
+  try {
+    const cached = JSON.parse(entry.value);
+    if (Date.now() - new Date(cached.builtAt).getTime() >= MODEL_TTL_MS) return null;
+    const tables = Object.fromEntries(Object.entries(cached.tables).map(([factor, entries]) => [factor, new Map(entries)]));
+    return { ...cached, tables };
+  } catch (error) {
+    console.error(`Invalid cache entry ${entry.key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Build return-rate tables from the finished shipments of a shop over the last MODEL_WINDOW_DAYS
+ * The model is cached for MODEL_TTL_MS so page loads and shipment creation do not read every shipment.
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore the cached model
+ * @returns {Promise<Object>} Model to pass to scoreShipment
+ */
+export async function buildRiskModel(shop, { refresh = false } = {}) {
+  const cached = refresh ? null : await readCachedModel(shop);
+  if (cached) return cached;
+
+  const since = new Date(Date.now() - MODEL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const shipments = await prisma.shipment.findMany({
+    where: { shop, createdAt: { gte: since } },
+    select: { mobileA: true, wilayaId: true, commune: true, productType: true, total: true, status: true },
+  });
+
+  const tables = Object.fromEntries(Object.keys(FACTOR_WEIGHTS).map(factor => [factor, new Map()]));
+  let finished = 0;
+  let returned = 0;
+
+  for (const shipment of shipments) {
+    const wasReturned = isReturned(shipment.status);
+    if (!wasReturned && !isDelivered(shipment.status)) continue;
+
+    finished++;
+    if (wasReturned) returned++;
+
+    const keys = keysOf({ ...shipment, phone: shipment.mobileA });
+    for (const [factor, key] of Object.entries(keys)) {
+      if (!key) continue;
+      const entry = tables[factor].get(key) || { total: 0, returned: 0 };
+      entry.total++;
+      if (wasReturned) entry.returned++;
+      tables[factor].set(key, entry);
+    }
+  }
+
+  const model = { tables, finished, baseRate: finished > 0 ? returned / finished : 0, builtAt: new Date().toISOString() };
+  const value = JSON.stringify({ ...model, tables: Object.fromEntries(Object.entries(tables).map(([factor, table]) => [factor, [...table]])) });
+  await prisma.appCache.upsert({
+    where: { key: modelCacheKey(shop) },
+    update: { value },
+    create: { key: modelCacheKey(shop), value },
+  });
+  return model;
+}
+
+/**
+ * Score the RTO risk of a shipment about to be created
+ * The score measures the expected return rate against the shop baseline: 0 when the order
+ * looks like the shop's average order, 1 when it is certain to come back. A shop that gets
+ * many returns therefore does not see every order flagged.
+ * @param {Object} model - Result of buildRiskModel
+ * @param {Object} values - { phone, wilayaId, commune, productType, total }
+ * @returns {{score: number, expectedRate: number, baseRate: number, reasons: Array<{factor: string, rate: number, count: number}>}}
+ * score is between 0 and 1; reasons lists the factors well above the shop average
+ */
+export function scoreShipment(model, values) {
+  const { tables, baseRate, finished } = model;
+  if (finished === 0) {
+    return { score: 0, expectedRate: 0, baseRate: 0, reasons: [] };
+  }
+
+  const keys = keysOf(values);
+  // Halfway to certain return when the shop baseline is already high
+  const reasonRate = Math.min(baseRate * 1.5, (1 + baseRate) / 2);
+  let expectedRate = 0;
+  const reasons = [];
+
+  for (const [factor, weight] of Object.entries(FACTOR_WEIGHTS)) {
+    const entry = keys[factor] ? tables[factor].get(keys[factor]) : null;
+    const count = entry?.total || 0;
+    const rate = ((entry?.returned || 0) + baseRate * SMOOTHING) / (count + SMOOTHING);
+    expectedRate += rate * weight;
+
+    if (count > 0 && rate > reasonRate) {
+      reasons.push({ factor, rate: Math.round(rate * 100) / 100, count });
+    }
+  }
+
+  const score = baseRate < 1 ? Math.max(0, (expectedRate - baseRate) / (1 - baseRate)) : 0;
+  return {
+    score: Math.round(score * 100) / 100,
+    expectedRate: Math.round(expectedRate * 100) / 100,
+    baseRate: Math.round(baseRate * 100) / 100,
+    reasons,
+  };
+}
+
+/**
+ * Shipment form values (MobileA, IDWilaya, Commune, TProduit, Total) as scoring input
+ * @param {Object} shipmentValues
+ * @returns {Object}
+ */
+export const riskInputFromShipment = (shipmentValues) => ({
+  phone: shipmentValues.MobileA,
+  wilayaId: shipmentValues.IDWilaya,
+  commune: shipmentValues.Commune,
+  productType: shipmentValues.TProduit,
+  total: shipmentValues.Total,
+});
@@ -0,0 +1,138 @@
+/**
+ * Background shipment status sync for TrackProfit
+ * Walks the non-terminal shipments of every connected shop, asks the carrier
+ * for fresh statuses in batches and records the outcome per shop and carrier.
+ */
+import prisma from "../db.server";
+import { getCarrier, getCarrierCredentials } from "./carriers.server";
+import { refreshAutoBlacklist } from "./blacklist.server";
+
+// Number of tracking numbers sent per status request
+export const SYNC_BATCH_SIZE = 100;
+
+// Shipments in these statuses will not change anymore
+const TERMINAL_STATUS_FILTER = [
+  { status: 'Livrée' },
+  { status: 'Annulé' },
+  { status: 'Annuler' },
+  { status: { startsWith: 'Retour' } },
+];
+
+/**
+ * Check whether a shipment status is final
+ * @param {string} status - Carrier status label
+ * @returns {boolean}
+ */
+export function isTerminalStatus(status) {
+  const value = (status || '').trim();
+  return value === 'Livrée' || value === 'Annulé' || value === 'Annuler' || value.startsWith('Retour');
+}
+
+/**
+ * Get the last sync outcome of a shop for one carrier
+ * @param {string} shop - Shop domain
+ * @param {string} carrier - Carrier code
+ * @returns {Promise<Object|null>}
+ */
+export async function getSyncState(shop, carrier) {
+  return prisma.shipmentSyncState.findUnique({
+    where: { shop_carrier: { shop, carrier } },
+  });
+}
+
+async function saveSyncState(shop, carrier, data) {
+  return prisma.shipmentSyncState.upsert({
+    where: { shop_carrier: { shop, carrier } },
+    update: data,
+    create: { shop, carrier, ...data },
+  });
+}
+
+/**
+ * Refresh the statuses of all non-terminal shipments of a shop
+ * @param {string} shop - Shop domain
+ * @param {string} [carrierCode] - Carrier code, defaults to ZR Express
+ * @returns {Promise<{success: boolean, checked: number, synced: number, error?: string}>}
+ */
+export async function syncShopShipments(shop, carrierCode) {
+  const carrier = getCarrier(carrierCode);
+  const credentials = await getCarrierCredentials(shop, carrier.code);
+
+  if (!credentials) {
+    return { success: false, checked: 0, synced: 0, error: 'No credentials found' };
+  }
+
+  const pending = await prisma.shipment.findMany({
+    where: { shop, carrier: carrier.code, NOT: TERMINAL_STATUS_FILTER },
+    select: { tracking: true, createdAt: true },
+  });
+
+  // Keep the stored creation dates when the carrier does not return one
+  const trackingDates = new Map(pending.map(s => [s.tracking, s.createdAt]));
+  const trackingNumbers = pending.map(s => s.tracking);
+
+  let synced = 0;
+  const errors = [];
+
+  for (let i = 0; i < trackingNumbers.length; i += SYNC_BATCH_SIZE) {
+    const batch = trackingNumbers.slice(i, i + SYNC_BATCH_SIZE);
+    try {
+      const updated = await carrier.getStatuses(credentials, batch, shop, trackingDates);
+      synced += Array.isArray(updated) ? updated.length : 0;
+    } catch (error) {
+      console.error(`Shipment sync batch failed for ${shop}:`, error);
+      errors.push(error.message);
+    }
+  }
+
+  // New returns may turn a customer into a repeat refuser
+  if (synced > 0) {
+    await refreshAutoBlacklist(shop).catch(error => {
+      console.error(`Blacklist refresh failed for ${shop}:`, error);
+    });
+  }
+
+  const lastError = errors.length > 0 ? errors[0] : null;
+  await saveSyncState(shop, carrier.code, {
+    lastSyncAt: new Date(),
+    lastStatus: lastError ? 'error' : 'success',
+    lastError,
+    syncedCount: synced,
+  });
+
+  return {
+    success: !lastError,
+    checked: trackingNumbers.length,
+    synced,
+    ...(lastError ? { error: lastError } : {}),
+  };
+}
+
+/**
+ * Run the status sync for every shop with stored carrier credentials
+ * @returns {Promise<Array<{shop: string, carrier: string, success: boolean, checked: number, synced: number, error?: string}>>}
+ */
+export async function syncAllShops() {
+  const connections = await prisma.carrierCredential.findMany({
+    select: { shop: true, carrier: true },
+  });
+
+  const results = [];
+  for (const { shop, carrier } of connections) {
+    try {
+      const result = await syncShopShipments(shop, carrier);
+      results.push({ shop, carrier, ...result });
+    } catch (error) {
+      console.error(`Shipment sync failed for ${shop}:`, error);
+      await saveSyncState(shop, carrier, {
+        lastSyncAt: new Date(),
+        lastStatus: 'error',
+        lastError: error.message,
+        syncedCount: 0,
+      }).catch(() => {});
+      results.push({ shop, carrier, success: false, checked: 0, synced: 0, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -4,15 +4,19 @@
  */
 import { db } from '../db.server';
 import { zrexpress } from '../services/zrexpress.server';
+import { DEFAULT_CARRIER, getCarrier, getCarrierCredentials, saveCarrierCredentials } from './carriers.server';
+import { normalizeAlgerianPhone, phoneVariants } from '../utils/phone';
+import { isDeliveredShipment, isCancelledShipment } from './profitRules.server';
 
 /**
  * Create a new shipment from order data
  * @param {Object} shipmentData - Shipment data from form
  * @param {Object} session - User session
- * @param {Object} credentials - ZRExpress API credentials
+ * @param {Object} credentials - Carrier API credentials
+ * @param {string} [carrier] - Carrier code
  * @returns {Promise<Object>} - Shipment creation result
  */
-export async function createShipment(shipmentData, session, credentials) {
+export async function createShipment(shipmentData, session, credentials, carrier = DEFAULT_CARRIER) {
   try {
     // Validate required fields
     const requiredFields = ['Client', 'MobileA', 'Adresse', 'IDWilaya', 'Wilaya', 'Commune', 'Total', 'TProduit'];
@@ -22,13 +26,8 @@ export async function createShipment(shipmentData, session, credentials) {
       }
     }
     
-    // Create the shipment via ZRExpress API
-    const result = await zrexpress.addColis(
-      credentials.token,
-      credentials.key,
-      shipmentData,
-      session
-    );
+    // Create the shipment via the carrier API
+    const result = await getCarrier(carrier).createParcel(credentials, shipmentData, session);
     
     if (!result.success) {
       throw new Error(result.error || 'Failed to create shipment');
@@ -63,7 +62,7 @@ export async function createShipment(shipmentData, session, credentials) {
  */
 export async function getShipments(shop, filters = {}) {
   try {
-    const { status, dateRange, limit, offset } = filters;
+    const { status, carrier, dateRange, limit, offset } = filters;
     
     const where = { shop };
     
@@ -71,6 +70,11 @@ export async function getShipments(shop, filters = {}) {
     if (status) {
       where.status = status;
     }
+
+    // Apply carrier filter if provided
+    if (carrier) {
+      where.carrier = carrier;
+    }
     
     // Apply date range filter if provided
     if (dateRange?.start && dateRange?.end) {
@@ -152,6 +156,141 @@ export async function getShipmentByTracking(tracking, shop) {
   }
 }
 
+/**
+ * Find recent shipments sent to the same phone numbers, to warn about duplicate orders
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} phones - Normalized phone numbers (0XXXXXXXXX)
+ * @param {number} [days=30] - How far back to look
+ * @returns {Promise<Object>} - Map of normalized phone to its recent shipments
+ */
+export async function findRecentShipmentsByPhone(shop, phones, days = 30) {
+  try {
+    const uniquePhones = [...new Set(phones.filter(Boolean))];
+    if (uniquePhones.length === 0) return {};
+
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const variants = uniquePhones.flatMap(phoneVariants);
+    const shipments = await db.shipment.findMany({
+      where: {
+        shop,
+        createdAt: { gte: since },
+        OR: [{ mobileA: { in: variants } }, { mobileB: { in: variants } }]
+      },
+      select: { tracking: true, client: true, mobileA: true, mobileB: true, status: true, orderId: true, createdAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return uniquePhones.reduce((acc, phone) => {
+      const matches = shipments.filter(shipment =>
+        normalizeAlgerianPhone(shipment.mobileA).phone === phone || normalizeAlgerianPhone(shipment.mobileB).phone === phone
+      );
+      if (matches.length > 0) acc[phone] = matches;
+      return acc;
+    }, {});
+  } catch (error) {
+    console.error('Error finding shipments by phone:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the status history of a shipment with the time spent in each status
+ * @param {string} tracking - Tracking number
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} - { events, leadTimeHours } where leadTimeHours is
+ * the time from the first event to delivery, null while not delivered
+ */
+export async function getShipmentTimeline(tracking, shop) {
+  try {
+    const events = await db.shipmentEvent.findMany({
+      where: { tracking, shop },
+      orderBy: { occurredAt: 'asc' }
+    });
+
+    const hoursBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 36e5 * 10) / 10;
+
+    const timeline = events.map((event, index) => ({
+      ...event,
+      durationHours: index < events.length - 1 ? hoursBetween(event.occurredAt, events[index + 1].occurredAt) : null
+    }));
+
+    const delivered = events.find(event => event.status === 'Livrée');
+    const leadTimeHours = delivered && events.length > 0 ? hoursBetween(events[0].occurredAt, delivered.occurredAt) : null;
+
+    return { events: timeline, leadTimeHours };
+  } catch (error) {
+    console.error('Error getting shipment timeline:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compare the fees quoted at creation with the fees the carrier billed
+ * Delivered shipments are checked on the delivery fee, returned ones on the cancel fee.
+ * @param {string} shop - Shop domain
+ * @param {{start: Date, end: Date}} dateRange - Shipments updated in this range
+ * @returns {Promise<Object>} - { rows, totals } where rows without a billed fee yet have actual null
+ */
+export async function getFeeReconciliation(shop, { start, end }) {
+  try {
+    const shipments = await db.shipment.findMany({
+      where: {
+        shop,
+        updatedAt: { gte: start, lte: end },
+        OR: [{ estimatedDeliveryFee: { not: null } }, { estimatedCancelFee: { not: null } }]
+      },
+      select: {
+        tracking: true, client: true, wilayaId: true, wilaya: true, deliveryType: true, status: true, updatedAt: true,
+        deliveryFee: true, cancelFee: true, estimatedDeliveryFee: true, estimatedCancelFee: true
+      },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    const totals = { shipments: 0, billed: 0, estimated: 0, actual: 0, difference: 0, mismatches: 0 };
+    const rows = [];
+
+    for (const shipment of shipments) {
+      const delivered = isDeliveredShipment(shipment);
+      if (!delivered && !isCancelledShipment(shipment)) continue;
+
+      const estimated = (delivered ? shipment.estimatedDeliveryFee : shipment.estimatedCancelFee) || 0;
+      const billed = delivered ? shipment.deliveryFee : shipment.cancelFee;
+      // The carrier reports 0 until the fee is billed
+      const actual = billed > 0 ? billed : null;
+      const difference = actual === null ? null : actual - estimated;
+
+      totals.shipments++;
+      if (actual !== null) {
+        totals.billed++;
+        totals.estimated += estimated;
+        totals.actual += actual;
+        totals.difference += difference;
+        if (Math.abs(difference) >= 1) totals.mismatches++;
+      }
+
+      rows.push({
+        tracking: shipment.tracking,
+        client: shipment.client,
+        wilayaId: shipment.wilayaId,
+        wilaya: shipment.wilaya,
+        deliveryType: shipment.deliveryType,
+        status: shipment.status,
+        outcome: delivered ? 'delivered' : 'returned',
+        estimated,
+        actual,
+        difference
+      });
+    }
+
+    return { rows, totals };
+  } catch (error) {
+    console.error('Error reconciling shipping fees:', error);
+    throw error;
+  }
+}
+
 /**
  * Get ZRExpress credentials for a shop
  * @param {string} shop - Shop domain
@@ -159,11 +298,7 @@ export async function getShipmentByTracking(tracking, shop) {
  */
 export async function getZRExpressCredentials(shop) {
   try {
-    const credentials = await db.zRExpressCredential.findFirst({
-      where: { shop }
-    });
-    
-    return credentials;
+    return await getCarrierCredentials(shop, zrexpress.code);
   } catch (error) {
     console.error('Error getting ZRExpress credentials:', error);
     throw error;
@@ -194,20 +329,12 @@ export async function validateZRExpressCredentials(token, key) {
  */
 export async function updateZRExpressCredentials(shop, token, key) {
   try {
-    // Validate the credentials first
-    const validation = await validateZRExpressCredentials(token, key);
-    if (!validation.success) {
-      throw new Error(validation.error || 'Invalid credentials');
+    const result = await saveCarrierCredentials(shop, zrexpress.code, { token, key });
+    if (!result.success) {
+      throw new Error(result.error || 'Invalid credentials');
     }
     
-    // Update or create credentials
-    const credentials = await db.zRExpressCredential.upsert({
-      where: { shop },
-      update: { token, key },
-      create: { shop, token, key }
-    });
-    
-    return { success: true, credentials };
+    return { success: true, credentials: { token, key } };
   } catch (error) {
     console.error('Error updating ZRExpress credentials:', error);
     throw error;
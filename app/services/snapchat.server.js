@@ -0,0 +1,145 @@
+const SNAPCHAT_API_URL = 'https://adsapi.snapchat.com/v1';
+const SNAPCHAT_TOKEN_URL = 'https://accounts.snapchat.com/login/oauth2/access_token';
+
+// Snapchat reports amounts in micro-currency units
+const MICRO = 1000000;
+
+// HTTP status of the request rate limit
+export const SNAPCHAT_RATE_LIMIT_STATUS = 429;
+
+// A request still pending after this delay is aborted
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Calls a GET endpoint of the Snapchat Marketing API.
+ * @param {string} accessToken - OAuth access token
+ * @param {string} path - Endpoint path, e.g. '/me/organizations'
+ * @param {Object} [params] - Query parameters
+ * @returns {Promise<Object>} The response body
+ */
+async function snapchatGet(accessToken, path, params = {}) {
+  const response = await fetch(`${SNAPCHAT_API_URL}${path}?${new URLSearchParams(params)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || body?.request_status === 'ERROR') {
+    const error = new Error(body?.debug_message || body?.display_message || `Snapchat API request failed (${response.status})`);
+    error.code = response.status;
+    throw error;
+  }
+  return body || {};
+}
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Minutes a time zone is ahead of UTC at an instant
+const getOffsetMinutes = (timeZone, date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((local - date.getTime()) / 60000);
+};
+
+/**
+ * Midnight of a day in a time zone, with its UTC offset
+ * Snapchat only accepts stats ranges starting and ending at midnight of the ad account time zone.
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. 2026-10-19T00:00:00.000-07:00
+ */
+const toLocalMidnight = (dateKey, timeZone) => {
+  const utcMidnight = new Date(`${dateKey}T00:00:00Z`);
+  // The offset at the local midnight, which differs from the one at UTC midnight around DST changes
+  const offset = getOffsetMinutes(timeZone, new Date(utcMidnight.getTime() - getOffsetMinutes(timeZone, utcMidnight) * 60000));
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${dateKey}T00:00:00.000${sign}${hours}:${minutes}`;
+};
+
+export const snapchat = {
+  /**
+   * New access token from a refresh token, with the app credentials of the environment
+   * @param {string} refreshToken
+   * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: Date}>}
+   */
+  async refreshAccessToken(refreshToken) {
+    if (!process.env.SNAPCHAT_CLIENT_ID || !process.env.SNAPCHAT_CLIENT_SECRET) {
+      throw new Error('SNAPCHAT_CLIENT_ID and SNAPCHAT_CLIENT_SECRET are required to refresh Snapchat tokens');
+    }
+    const response = await fetch(SNAPCHAT_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: process.env.SNAPCHAT_CLIENT_ID,
+        client_secret: process.env.SNAPCHAT_CLIENT_SECRET,
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body?.access_token) {
+      throw new Error(body?.error_description || 'Failed to refresh the Snapchat access token');
+    }
+    return {
+      accessToken: body.access_token,
+      refreshToken: body.refresh_token || refreshToken,
+      expiresAt: new Date(Date.now() + (body.expires_in || 1800) * 1000),
+    };
+  },
+
+  /**
+   * Ad accounts of every organization the token can read
+   * @param {string} accessToken
+   * @returns {Promise<Array<{id: string, name: string, currency: string, timezone: string}>>}
+   */
+  async getAdAccounts(accessToken) {
+    const body = await snapchatGet(accessToken, '/me/organizations', { with_ad_accounts: 'true' });
+    return (body.organizations || []).flatMap(({ organization }) => (organization?.ad_accounts || []).map(account => ({
+      id: account.id,
+      name: account.name || `Ad account ${account.id}`,
+      currency: account.currency || 'USD',
+      timezone: account.timezone || 'UTC',
+    })));
+  },
+
+  /**
+   * Daily spend, impressions, purchases and purchase value of an ad account
+   * @param {string} accessToken
+   * @param {string} adAccountId
+   * @param {string} since - Start date (YYYY-MM-DD)
+   * @param {string} until - End date (YYYY-MM-DD)
+   * @param {string} [timezone] - Time zone of the ad account, its days are reported
+   * @returns {Promise<Array<{date: string, spend: number, impressions: number, conversions: number, revenue: number}>>}
+   */
+  async getDailyInsights(accessToken, adAccountId, since, until, timezone = 'UTC') {
+    const body = await snapchatGet(accessToken, `/adaccounts/${adAccountId}/stats`, {
+      granularity: 'DAY',
+      fields: 'spend,impressions,conversion_purchases,conversion_purchases_value',
+      start_time: toLocalMidnight(since, timezone),
+      end_time: toLocalMidnight(addDays(until, 1), timezone),
+    });
+    const timeseries = body.timeseries_stats?.[0]?.timeseries_stat?.timeseries || [];
+    return timeseries.map(({ start_time: startTime, stats = {} }) => ({
+      date: String(startTime).slice(0, 10),
+      spend: (stats.spend || 0) / MICRO,
+      impressions: stats.impressions || 0,
+      conversions: stats.conversion_purchases || 0,
+      revenue: (stats.conversion_purchases_value || 0) / MICRO,
+    }));
+  },
+};
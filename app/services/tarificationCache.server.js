@@ -0,0 +1,164 @@
+/**
+ * Carrier tarification cache for TrackProfit
+ * Keeps the latest price list of each shop in AppCache for a few hours and
+ * stores a dated snapshot every time the carrier changes a price.
+ */
+import prisma from "../db.server";
+
+// How long a cached price list is served before the carrier is asked again
+export const TARIFICATION_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Prices compared between two snapshots
+const PRICE_FIELDS = ['Domicile', 'Stopdesk', 'Annuler'];
+
+const cacheKey = (shop, carrier) => `tarification:${carrier}:${shop}`;
+const historyPrefix = (shop, carrier) => `tarification-history:${carrier}:${shop}:`;
+
+const parseEntry = (entry) => {
+  try {
+    return JSON.parse(entry.value);
+  } catch (error) {
+    console.error(`Invalid cache entry ${entry.key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Price differences between two tarification lists
+ * @param {Array<Object>} previous - Older list of {IDWilaya, Wilaya, Domicile, Stopdesk, Annuler}
+ * @param {Array<Object>} next - Newer list
+ * @returns {Array<{wilayaId: string, wilaya: string, field: string, before: string|null, after: string|null}>}
+ * field is one of PRICE_FIELDS, or "wilaya" when a wilaya was added or removed
+ */
+export function diffTarification(previous, next) {
+  const byId = (list) => new Map((list || []).map(item => [item.IDWilaya?.toString(), item]));
+  const before = byId(previous);
+  const after = byId(next);
+  const changes = [];
+
+  for (const [wilayaId, item] of after) {
+    const old = before.get(wilayaId);
+    if (!old) {
+      changes.push({ wilayaId, wilaya: item.Wilaya, field: 'wilaya', before: null, after: item.Wilaya });
+      continue;
+    }
+    for (const field of PRICE_FIELDS) {
+      if (String(old[field] ?? '') !== String(item[field] ?? '')) {
+        changes.push({ wilayaId, wilaya: item.Wilaya, field, before: old[field] ?? null, after: item[field] ?? null });
+      }
+    }
+  }
+  for (const [wilayaId, item] of before) {
+    if (!after.has(wilayaId)) {
+      changes.push({ wilayaId, wilaya: item.Wilaya, field: 'wilaya', before: item.Wilaya, after: null });
+    }
+  }
+
+  return changes.sort((a, b) => parseInt(a.wilayaId) - parseInt(b.wilayaId));
+}
+
+async function getLatestSnapshot(shop, carrier) {
+  const entry = await prisma.appCache.findFirst({
+    where: { key: { startsWith: historyPrefix(shop, carrier) } },
+    orderBy: { createdAt: 'desc' },
+  });
+  return entry ? parseEntry(entry) : null;
+}
+
+// Store a snapshot only when the list differs from the last one
+async function recordSnapshot(shop, carrier, data, takenAt) {
+  const latest = await getLatestSnapshot(shop, carrier);
+  if (latest && diffTarification(latest.data, data).length === 0) {
+    return false;
+  }
+
+  await prisma.appCache.create({
+    data: {
+      key: `${historyPrefix(shop, carrier)}${takenAt.toISOString()}`,
+      value: JSON.stringify({ takenAt: takenAt.toISOString(), data }),
+    },
+  });
+  return true;
+}
+
+/**
+ * Get the tarification of a shop, from cache while it is fresh
+ * Falls back to the stale cached list when the carrier cannot be reached.
+ * @param {string} shop - Shop domain
+ * @param {string} carrier - Carrier code
+ * @param {() => Promise<Array>} fetchTarification - Loads the list from the carrier API
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore the cached list
+ * @returns {Promise<Array>} List of {IDWilaya, Wilaya, Domicile, Stopdesk, Annuler}
+ */
+export async function getCachedTarification(shop, carrier, fetchTarification, { refresh = false } = {}) {
+  const key = cacheKey(shop, carrier);
+  const entry = await prisma.appCache.findUnique({ where: { key } });
+  const cached = entry ? parseEntry(entry) : null;
+
+  if (!refresh && cached && Date.now() - new Date(cached.fetchedAt).getTime() < TARIFICATION_TTL_MS) {
+    return cached.data;
+  }
+
+  let data;
+  try {
+    data = await fetchTarification();
+  } catch (error) {
+    if (cached) {
+      console.error(`Tarification refresh failed for ${shop}, serving cached list:`, error);
+      return cached.data;
+    }
+    throw error;
+  }
+
+  // An empty answer is an API hiccup rather than a price list
+  if (!Array.isArray(data) || data.length === 0) {
+    return cached?.data || [];
+  }
+
+  const fetchedAt = new Date();
+  const value = JSON.stringify({ fetchedAt: fetchedAt.toISOString(), data });
+  await prisma.appCache.upsert({
+    where: { key },
+    update: { value },
+    create: { key, value },
+  });
+  await recordSnapshot(shop, carrier, data, fetchedAt);
+
+  return data;
+}
+
+/**
+ * When the cached list of a shop was last fetched from the carrier
+ * @param {string} shop - Shop domain
+ * @param {string} carrier - Carrier code
+ * @returns {Promise<string|null>} ISO date
+ */
+export async function getTarificationFetchedAt(shop, carrier) {
+  const entry = await prisma.appCache.findUnique({ where: { key: cacheKey(shop, carrier) } });
+  return entry ? parseEntry(entry)?.fetchedAt || null : null;
+}
+
+/**
+ * Price changes between consecutive snapshots, newest first
+ * @param {string} shop - Shop domain
+ * @param {string} carrier - Carrier code
+ * @returns {Promise<Array<{changedAt: string, previousAt: string, changes: Array<Object>}>>}
+ */
+export async function getTarificationChanges(shop, carrier) {
+  const entries = await prisma.appCache.findMany({
+    where: { key: { startsWith: historyPrefix(shop, carrier) } },
+    orderBy: { createdAt: 'asc' },
+  });
+  const snapshots = entries.map(parseEntry).filter(Boolean);
+
+  const changes = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    changes.push({
+      changedAt: snapshots[i].takenAt,
+      previousAt: snapshots[i - 1].takenAt,
+      changes: diffTarification(snapshots[i - 1].data, snapshots[i].data),
+    });
+  }
+  return changes.reverse();
+}
@@ -0,0 +1,96 @@
+const TIKTOK_API_VERSION = 'v1.3';
+const TIKTOK_API_URL = `https://business-api.tiktok.com/open_api/${TIKTOK_API_VERSION}`;
+
+// TikTok answers HTTP 200 with a non-zero code on errors, 40100 is the request rate limit
+export const TIKTOK_RATE_LIMIT_CODE = 40100;
+
+// A request still pending after this delay is aborted
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Calls a GET endpoint of the TikTok Business API.
+ * @param {string} accessToken - Long-term access token of the TikTok for Business app
+ * @param {string} path - Endpoint path, e.g. '/advertiser/info/'
+ * @param {Object} params - Query parameters, arrays and objects are sent as JSON
+ * @returns {Promise<Object>} The data field of the response
+ */
+async function tiktokGet(accessToken, path, params) {
+  const query = new URLSearchParams(
+    Object.entries(params).map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : String(value)])
+  );
+  const response = await fetch(`${TIKTOK_API_URL}${path}?${query}`, {
+    headers: { 'Access-Token': accessToken },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body || body.code !== 0) {
+    const error = new Error(body?.message || `TikTok API request failed (${response.status})`);
+    error.code = body?.code;
+    throw error;
+  }
+  return body.data || {};
+}
+
+export const tiktok = {
+  /**
+   * Names and currencies of advertiser accounts the token can read
+   * @param {string} accessToken
+   * @param {Array<string>} advertiserIds
+   * @returns {Promise<Array<{id: string, name: string, currency: string}>>}
+   */
+  async getAdvertisers(accessToken, advertiserIds) {
+    const data = await tiktokGet(accessToken, '/advertiser/info/', {
+      advertiser_ids: advertiserIds,
+      fields: ['advertiser_id', 'name', 'currency'],
+    });
+    return (data.list || []).map(advertiser => ({
+      id: String(advertiser.advertiser_id),
+      name: advertiser.name || `Advertiser ${advertiser.advertiser_id}`,
+      currency: advertiser.currency || 'USD',
+    }));
+  },
+
+  /**
+   * Daily spend, impressions, conversions and purchase value of an advertiser
+   * Revenue is derived from the complete payment ROAS reported by the TikTok pixel.
+   * @param {string} accessToken
+   * @param {string} advertiserId
+   * @param {string} since - Start date (YYYY-MM-DD)
+   * @param {string} until - End date (YYYY-MM-DD)
+   * @returns {Promise<Array<{date: string, spend: number, impressions: number, conversions: number, revenue: number}>>}
+   */
+  async getDailyInsights(accessToken, advertiserId, since, until) {
+    const days = [];
+    let page = 1;
+    let totalPages = 1;
+
+    // Report rows are paginated, follow page_info until the last page
+    while (page <= totalPages) {
+      const data = await tiktokGet(accessToken, '/report/integrated/get/', {
+        advertiser_id: advertiserId,
+        report_type: 'BASIC',
+        data_level: 'AUCTION_ADVERTISER',
+        dimensions: ['stat_time_day'],
+        metrics: ['spend', 'impressions', 'conversion', 'complete_payment_roas'],
+        start_date: since,
+        end_date: until,
+        page,
+        page_size: 1000,
+      });
+      (data.list || []).forEach(row => {
+        const spend = parseFloat(row.metrics?.spend || 0);
+        days.push({
+          date: String(row.dimensions?.stat_time_day || '').slice(0, 10),
+          spend,
+          impressions: parseInt(row.metrics?.impressions || '0', 10),
+          conversions: parseInt(row.metrics?.conversion || '0', 10),
+          revenue: spend * parseFloat(row.metrics?.complete_payment_roas || 0),
+        });
+      });
+      totalPages = data.page_info?.total_page || 1;
+      page++;
+    }
+
+    return days.sort((a, b) => a.date.localeCompare(b.date));
+  },
+};
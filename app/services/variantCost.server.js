@@ -0,0 +1,140 @@
+/**
+ * Historical unit costs of variants for TrackProfit
+ * Shopify only keeps the current cost of an inventory item. Every cost edit made in the app
+ * is stored here with the date it applies from, and COGS uses the cost effective on the order date.
+ */
+import prisma from "../db.server";
+
+// Line items carry numeric IDs, the admin API GIDs
+export const toVariantKey = (variantId) => String(variantId || '').split('/').pop();
+
+// "YYYY-MM-DD" or a date, as UTC midnight of that day
+const toEffectiveDate = (value) => {
+  const date = new Date(typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Validated keys of a cost edit, or the reason it cannot be recorded
+const parseCostEdit = ({ variantId, cost, effectiveFrom }) => {
+  const variantKey = toVariantKey(variantId);
+  const unitCost = parseFloat(cost);
+  const effectiveDate = toEffectiveDate(effectiveFrom || new Date());
+  if (!variantKey) return { error: 'Missing variant' };
+  if (isNaN(unitCost) || unitCost < 0) return { error: 'Invalid cost' };
+  if (!effectiveDate) return { error: 'Invalid effective date' };
+  if (effectiveDate > toEffectiveDate(new Date())) return { error: 'The effective date cannot be in the future' };
+  return { variantKey, unitCost, effectiveDate };
+};
+
+const hasLaterVersion = async (shop, variantKey, effectiveDate) =>
+  (await prisma.variantCostVersion.count({ where: { shop, variantId: variantKey, effectiveFrom: { gt: effectiveDate } } })) > 0;
+
+/**
+ * Check a cost edit of a variant before Shopify's cost is changed, nothing is stored
+ * @param {string} shop - Shop domain
+ * @param {Object} data - Same fields as recordVariantCost
+ * @returns {Promise<{success: boolean, isLatest?: boolean, error?: string}>}
+ * isLatest is false when a later version exists, so Shopify's current cost must not change
+ */
+export async function checkVariantCost(shop, data) {
+  const { error, variantKey, effectiveDate } = parseCostEdit(data);
+  if (error) return { success: false, error };
+  return { success: true, isLatest: !(await hasLaterVersion(shop, variantKey, effectiveDate)) };
+}
+
+/**
+ * Record a cost edit of a variant, once Shopify accepted it when it is the current cost
+ * On the first edit the cost Shopify had until then is kept as the cost of all earlier orders.
+ * @param {string} shop - Shop domain
+ * @param {Object} data
+ * @param {string} data.variantId - Variant ID or GID
+ * @param {string} [data.productId] - Product ID or GID
+ * @param {number} data.cost - New unit cost
+ * @param {string|Date} [data.effectiveFrom] - First day the cost applies, today by default
+ * @param {number} [data.previousCost] - Cost in Shopify before the edit
+ * @returns {Promise<{success: boolean, version?: Object, isLatest?: boolean, error?: string}>}
+ * isLatest is false when a later version exists
+ */
+export async function recordVariantCost(shop, { variantId, productId, cost, effectiveFrom, previousCost }) {
+  const { error, variantKey, unitCost, effectiveDate } = parseCostEdit({ variantId, cost, effectiveFrom });
+  if (error) return { success: false, error };
+
+  const productKey = toVariantKey(productId);
+  const existing = await prisma.variantCostVersion.count({ where: { shop, variantId: variantKey } });
+  const baseline = parseFloat(previousCost);
+  if (existing === 0 && baseline > 0 && effectiveDate.getTime() > 0) {
+    await prisma.variantCostVersion.create({
+      data: { shop, productId: productKey, variantId: variantKey, cost: baseline, effectiveFrom: new Date(0), source: 'shopify' },
+    });
+  }
+
+  const version = await prisma.variantCostVersion.upsert({
+    where: { shop_variantId_effectiveFrom: { shop, variantId: variantKey, effectiveFrom: effectiveDate } },
+    update: { cost: unitCost, source: 'manual' },
+    create: { shop, productId: productKey, variantId: variantKey, cost: unitCost, effectiveFrom: effectiveDate },
+  });
+
+  return { success: true, version, isLatest: !(await hasLaterVersion(shop, variantKey, effectiveDate)) };
+}
+
+/**
+ * Recorded cost versions, newest first, grouped by variant
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} [variantIds] - Only these variants
+ * @returns {Promise<Object<string, Array<Object>>>} Versions by numeric variant ID
+ */
+export async function getCostHistory(shop, variantIds) {
+  const versions = await prisma.variantCostVersion.findMany({
+    where: { shop, ...(variantIds ? { variantId: { in: variantIds.map(toVariantKey) } } : {}) },
+    select: { id: true, variantId: true, cost: true, effectiveFrom: true, source: true, createdAt: true },
+    orderBy: { effectiveFrom: 'desc' },
+  });
+  return versions.reduce((history, version) => {
+    (history[version.variantId] ||= []).push(version);
+    return history;
+  }, {});
+}
+
+/**
+ * Unit cost of each variant effective at a date
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} variantIds - Variant IDs or GIDs
+ * @param {string|Date} at - Order creation date
+ * @returns {Promise<Map<string, number>>} Costs by numeric variant ID; variants without history are missing
+ */
+export async function getEffectiveCosts(shop, variantIds, at) {
+  const keys = [...new Set(variantIds.map(toVariantKey).filter(Boolean))];
+  const date = new Date(at);
+  if (keys.length === 0 || isNaN(date.getTime())) return new Map();
+
+  const versions = await prisma.variantCostVersion.findMany({
+    where: { shop, variantId: { in: keys }, effectiveFrom: { lte: date } },
+    select: { variantId: true, cost: true },
+    orderBy: { effectiveFrom: 'desc' },
+  });
+  const costs = new Map();
+  versions.forEach(version => {
+    if (!costs.has(version.variantId)) costs.set(version.variantId, version.cost);
+  });
+  return costs;
+}
+
+/**
+ * Replace the unit cost of line items with the recorded cost effective on the order date
+ * Items of variants without history keep the cost they came with (Shopify's current cost).
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} lineItems - Items with variantId and unitCost
+ * @param {string|Date} [orderDate] - Order creation date; the line items are returned unchanged without it
+ * @returns {Promise<Array<Object>>}
+ */
+export async function applyCostHistory(shop, lineItems, orderDate) {
+  if (!orderDate || !lineItems?.length) return lineItems;
+  const costs = await getEffectiveCosts(shop, lineItems.map(item => item.variantId), orderDate);
+  if (costs.size === 0) return lineItems;
+
+  return lineItems.map(item => {
+    const cost = costs.get(toVariantKey(item.variantId));
+    return cost === undefined ? item : { ...item, unitCost: cost };
+  });
+}
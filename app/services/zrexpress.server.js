@@ -1,7 +1,12 @@
+import { randomUUID } from "crypto";
 import prisma from "../db.server";
+import { normalizeAlgerianPhone } from "../utils/phone";
+import { getCachedTarification } from "./tarificationCache.server";
+import { findWilayaPrices, quoteShippingCost } from "../utils/shippingQuote";
 
 export class ZRExpressService {
   constructor() {
+    this.code = 'zrexpress';
     this.baseUrl = 'https://procolis.com/api_v1';
     this.prisma = prisma;
   }
@@ -58,6 +63,27 @@ export class ZRExpressService {
   }
 
   async addColis(token, key, colisData, session) {
+    const batch = await this.addColisBatch(token, key, [colisData], session);
+    if (!batch.success) {
+      return batch;
+    }
+
+    const [row] = batch.results;
+    return row.success
+      ? { success: true, data: batch.data, shipment: row.shipment }
+      : { success: false, error: row.error };
+  }
+
+  /**
+   * Send several parcels in one add_colis request and store every accepted one
+   * @param {string} token - API token
+   * @param {string} key - API key
+   * @param {Array<Object>} colisList - Parcels in the shape accepted by addColis
+   * @param {Object} session - Shopify session
+   * @returns {Promise<Object>} - { success, data, results } where results holds
+   * { index, success, tracking, shipment?, error? } for each parcel, in input order
+   */
+  async addColisBatch(token, key, colisList, session) {
     try {
       if (!token || !key) {
         throw new Error('بيانات الاعتماد مطلوبة');
@@ -67,25 +93,38 @@ export class ZRExpressService {
         throw new Error('Shop information is required');
       }
 
+      if (!Array.isArray(colisList) || colisList.length === 0) {
+        throw new Error('No parcels to send');
+      }
+
+      // Parcels with an invalid phone number are rejected before reaching the carrier
+      const results = [];
+      const accepted = [];
+      // Parcels formatted in the same millisecond only differ by the random part of their IDs,
+      // which must stay unique to match the echoed parcels and the unique Shipment tracking
+      const trackings = new Set();
+      const externalIds = new Set();
+      colisList.forEach((colisData, index) => {
+        const phoneError = this.validatePhones(colisData);
+        if (phoneError) {
+          results.push({ index, success: false, error: phoneError });
+          return;
+        }
+        const colis = this.formatColis(colisData);
+        while (trackings.has(colis.Tracking)) colis.Tracking = this.generateTracking();
+        while (externalIds.has(colis.id_Externe)) colis.id_Externe = this.generateExternalId();
+        trackings.add(colis.Tracking);
+        externalIds.add(colis.id_Externe);
+        accepted.push({ index, colisData, colis });
+      });
+
+      if (accepted.length === 0) {
+        return { success: true, data: null, results };
+      }
+
       // Ensure the data matches the API format exactly
       const formattedData = {
-        Colis: [{
-          Tracking: this.generateTracking(),
-          TypeLivraison: String(colisData.TypeLivraison || "0"),
-          TypeColis: String(colisData.TypeColis || "0"),
-          Confrimee: colisData.Confrimee || "1", // Default to confirmed (1) if not provided
-          Client: colisData.Client || "",
-          MobileA: colisData.MobileA || "",
-          MobileB: colisData.MobileB || "",
-          Adresse: colisData.Adresse || "",
-          IDWilaya: String(colisData.IDWilaya || "31"),
-          Commune: colisData.Commune || "",
-          Total: String(colisData.Total || "0"),
-          Note: colisData.Note || "",
-          TProduit: colisData.TProduit || "",
-          id_Externe: this.generateExternalId(),
-          Source: colisData.Source || "Shopify"
-        }]
+        Colis: accepted.map(({ colis }) => colis)
       };
 
       const response = await fetch(`${this.baseUrl}/add_colis`, {
@@ -112,138 +151,140 @@ export class ZRExpressService {
         }
       }
 
+      let result;
       try {
-        const result = JSON.parse(responseText);
-        
-        // Get wilaya name based on ID
-        let wilayaName = colisData.Wilaya || ""; // Use provided Wilaya name if available
-        
-        // If no wilaya name was provided, try to fetch it from tarification data
-        if (!wilayaName) {
-          try {
-            // Fetch the wilaya name from the tarification data
-            const tarificationData = await this.getTarification(token, key);
-            const wilayaInfo = tarificationData.find(item => item.IDWilaya.toString() === formattedData.Colis[0].IDWilaya);
-            if (wilayaInfo) {
-              wilayaName = wilayaInfo.Wilaya;
-
-            } else {
-
-            }
-          } catch (error) {
-            console.error('Error fetching wilaya name:', error);
-          }
-        } else {
-
-        }
-
-        // Prepare shipment data for database
-        const shipmentData = {
-          shop: session.shop,
-          tracking: formattedData.Colis[0].Tracking,
-          client: formattedData.Colis[0].Client,
-          mobileA: formattedData.Colis[0].MobileA,
-          mobileB: formattedData.Colis[0].MobileB,
-          address: formattedData.Colis[0].Adresse,
-          wilayaId: parseInt(formattedData.Colis[0].IDWilaya) || 31,
-          wilaya: wilayaName, // Set the wilaya name we just fetched
-          commune: formattedData.Colis[0].Commune,
-          total: parseFloat(formattedData.Colis[0].Total) || 0,
-          note: formattedData.Colis[0].Note,
-          productType: (formattedData.Colis[0].TProduit || '').split(' - ')[0] || 'N/A', // Safe split with fallback
-          deliveryType: parseInt(formattedData.Colis[0].TypeLivraison) || 0,
-          packageType: parseInt(formattedData.Colis[0].TypeColis) || 0,
-          status: "En Préparation",
-          statusId: 1,
-          externalId: formattedData.Colis[0].id_Externe,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        // Debug logging to check field values
-        console.log('ZRExpress service - shipmentData before save:', {
-          deliveryType: shipmentData.deliveryType,
-          packageType: shipmentData.packageType,
-          TypeLivraison: formattedData.Colis[0].TypeLivraison,
-          TypeColis: formattedData.Colis[0].TypeColis
-        });
-        
-        
-        // Include orderId if provided
-        if (colisData.orderId) {
-          shipmentData.orderId = colisData.orderId;
-
-        }
-        
-        // Include cost information if provided
+        result = JSON.parse(responseText);
+      } catch (e) {
+        console.error('Failed to parse add_colis response:', e);
+        return { success: false, error: `Failed to process or save shipment: ${e.message}` };
+      }
 
-        // Default to 0 if values are not provided or parsing fails
-        try {
-          shipmentData.totalCost = colisData.totalCost ? parseFloat(colisData.totalCost) : 0;
+      // The API echoes each parcel with a MessageRetour, anything but "Good" is a rejection
+      const returnedColis = Array.isArray(result?.Colis) ? result.Colis : (Array.isArray(result) ? result : []);
 
-        } catch (error) {
-          console.error('Error parsing totalCost:', error);
-          shipmentData.totalCost = 0;
-        }
-        
-        try {
-          shipmentData.totalRevenue = colisData.totalRevenue ? parseFloat(colisData.totalRevenue) : 0;
+      // Wilaya names and the fee estimate both come from the (cached) tarification
+      const tarificationData = await getCachedTarification(session.shop, this.code, () => this.getTarification(token, key)).catch(error => {
+        console.error('Error fetching tarification:', error);
+        return [];
+      });
 
-        } catch (error) {
-          console.error('Error parsing totalRevenue:', error);
-          shipmentData.totalRevenue = 0;
-        }
-        
-        try {
-          shipmentData.profit = colisData.totalProfit ? parseFloat(colisData.totalProfit) : 0;
+      for (const { index, colis, colisData } of accepted) {
+        const returned = returnedColis.find(item => item?.Tracking === colis.Tracking);
 
-        } catch (error) {
-          console.error('Error parsing totalProfit:', error);
-          shipmentData.profit = 0;
+        if (returned?.MessageRetour && returned.MessageRetour !== 'Good') {
+          results.push({ index, success: false, tracking: colis.Tracking, error: returned.MessageRetour });
+          continue;
         }
 
-        // Add delivery fee and cancel fee
         try {
-          shipmentData.deliveryFee = colisData.deliveryFee ? parseFloat(colisData.deliveryFee) : 0;
+          // Use provided Wilaya name if available, otherwise look it up in the tarification data
+          let wilayaName = colisData.Wilaya || "";
+          if (!wilayaName) {
+            const wilayaInfo = tarificationData.find(item => item.IDWilaya.toString() === colis.IDWilaya);
+            wilayaName = wilayaInfo ? wilayaInfo.Wilaya : "";
+          }
+          const quote = quoteShippingCost(findWilayaPrices(tarificationData, colis.IDWilaya), colis.TypeLivraison);
 
-        } catch (error) {
-          console.error('Error parsing deliveryFee:', error);
-          shipmentData.deliveryFee = 0;
-        }
-        
-        try {
-          shipmentData.cancelFee = colisData.cancelFee ? parseFloat(colisData.cancelFee) : 0;
+          const savedShipment = await this.prisma.Shipment.create({
+            data: this.buildShipmentData(colis, colisData, wilayaName, session.shop, quote)
+          });
+          await this.recordStatusEvent(savedShipment, null, savedShipment.createdAt);
 
-        } catch (error) {
-          console.error('Error parsing cancelFee:', error);
-          shipmentData.cancelFee = 0;
-        }
-        
-        // Save the shipment to the database
-        // Validate that all required fields are present
-        const requiredFields = ['deliveryType', 'packageType', 'wilayaId', 'total'];
-        const missingFields = requiredFields.filter(field => shipmentData[field] === undefined || shipmentData[field] === null);
-        
-        if (missingFields.length > 0) {
-          console.error('Missing required fields in shipmentData:', missingFields, shipmentData);
-          throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+          results.push({ index, success: true, tracking: colis.Tracking, shipment: savedShipment });
+        } catch (e) {
+          console.error('Failed to process or save shipment:', e);
+          results.push({ index, success: false, tracking: colis.Tracking, error: `Failed to process or save shipment: ${e.message}` });
         }
-        
-        const savedShipment = await this.prisma.Shipment.create({
-          data: shipmentData
-        });
-
-        return { success: true, data: result, shipment: savedShipment };
-      } catch (e) {
-        console.error('Failed to process or save shipment:', e);
-        return { success: false, error: `Failed to process or save shipment: ${e.message}` };
       }
+
+      results.sort((a, b) => a.index - b.index);
+      return { success: true, data: result, results };
     } catch (error) {
       console.error('Add colis error:', error);
       return { success: false, error: error.message || 'An unknown error occurred' };
     }
   }
 
+  // Error message for an invalid MobileA, or an invalid MobileB when one is given
+  validatePhones(colisData) {
+    const mobileA = normalizeAlgerianPhone(colisData.MobileA);
+    if (!mobileA.valid) {
+      return `Invalid phone number MobileA "${colisData.MobileA || ''}" (${mobileA.error})`;
+    }
+    const mobileB = colisData.MobileB ? normalizeAlgerianPhone(colisData.MobileB) : null;
+    if (mobileB && !mobileB.valid) {
+      return `Invalid phone number MobileB "${colisData.MobileB}" (${mobileB.error})`;
+    }
+    return null;
+  }
+
+  // Map form/order values to one entry of the add_colis Colis array
+  formatColis(colisData) {
+    return {
+      Tracking: this.generateTracking(),
+      TypeLivraison: String(colisData.TypeLivraison || "0"),
+      TypeColis: String(colisData.TypeColis || "0"),
+      Confrimee: colisData.Confrimee || "1", // Default to confirmed (1) if not provided
+      Client: colisData.Client || "",
+      MobileA: normalizeAlgerianPhone(colisData.MobileA).phone,
+      MobileB: colisData.MobileB ? normalizeAlgerianPhone(colisData.MobileB).phone : "",
+      Adresse: colisData.Adresse || "",
+      IDWilaya: String(colisData.IDWilaya || "31"),
+      Commune: colisData.Commune || "",
+      Total: String(colisData.Total || "0"),
+      Note: colisData.Note || "",
+      TProduit: colisData.TProduit || "",
+      id_Externe: this.generateExternalId(),
+      Source: colisData.Source || "Shopify"
+    };
+  }
+
+  // Shipment row for a parcel accepted by add_colis; quote is the expected fees, if known
+  buildShipmentData(colis, colisData, wilayaName, shop, quote = null) {
+    const toFloat = (value) => {
+      const parsed = value ? parseFloat(value) : 0;
+      return isNaN(parsed) ? 0 : parsed;
+    };
+
+    const shipmentData = {
+      shop,
+      carrier: this.code,
+      tracking: colis.Tracking,
+      client: colis.Client,
+      mobileA: colis.MobileA,
+      mobileB: colis.MobileB,
+      address: colis.Adresse,
+      wilayaId: parseInt(colis.IDWilaya) || 31,
+      wilaya: wilayaName,
+      commune: colis.Commune,
+      total: parseFloat(colis.Total) || 0,
+      note: colis.Note,
+      productType: (colis.TProduit || '').split(' - ')[0] || 'N/A', // Safe split with fallback
+      deliveryType: parseInt(colis.TypeLivraison) || 0,
+      packageType: parseInt(colis.TypeColis) || 0,
+      status: "En Préparation",
+      statusId: 1,
+      externalId: colis.id_Externe,
+      // Cost information defaults to 0 when missing or not numeric
+      totalCost: toFloat(colisData.totalCost),
+      totalRevenue: toFloat(colisData.totalRevenue),
+      profit: toFloat(colisData.totalProfit),
+      deliveryFee: toFloat(colisData.deliveryFee),
+      cancelFee: toFloat(colisData.cancelFee),
+      estimatedDeliveryFee: quote ? quote.deliveryFee : null,
+      estimatedCancelFee: quote ? quote.cancelFee : null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    // Include orderId if provided
+    if (colisData.orderId) {
+      shipmentData.orderId = colisData.orderId;
+    }
+
+    return shipmentData;
+  }
+
   async getShipmentStatuses(token, key, trackingNumbers = [], shop, trackingDates = new Map(), dateRange = null) {
     try {
       if (!token || !key) {
@@ -265,6 +306,7 @@ export class ZRExpressService {
         // Build the where clause with date range if provided
         const whereClause = {
           shop,
+          carrier: this.code,
           ...(dateRange && dateRange.start && dateRange.end ? {
             updatedAt: {
               gte: new Date(dateRange.start),
@@ -291,6 +333,7 @@ export class ZRExpressService {
             in: trackingNumbers
           },
           shop,
+          carrier: this.code,
           ...(dateRange && dateRange.start && dateRange.end ? {
             updatedAt: {
               gte: new Date(dateRange.start),
@@ -361,9 +404,11 @@ export class ZRExpressService {
 
         // Find existing shipment or create new one
         let shipment = dbShipments.find(s => s.tracking === tracking);
+        const previousStatus = shipment ? shipment.status : null;
         
         const shipmentData = {
           shop,
+          carrier: this.code,
           tracking: apiShipment.Tracking,
           client: apiShipment.Client || '',
           mobileA: apiShipment.MobileA || '',
@@ -422,6 +467,7 @@ export class ZRExpressService {
               }
             });
           }
+          await this.recordStatusEvent(shipment, previousStatus, shipmentData.updatedAt);
           updatedShipments.push(shipment);
         } catch (error) {
           console.error(`Error updating/creating shipment ${tracking}:`, error);
@@ -549,7 +595,13 @@ export class ZRExpressService {
     }
   }
 
-  async getNetProfit(shop, dateRange = null) {
+  /**
+   * Net profit of stored shipments, across every carrier unless one is given
+   * @param {string} shop - Shop domain
+   * @param {Object} [dateRange] - { start, end } filter on updatedAt
+   * @param {string} [carrier] - Restrict to one carrier code
+   */
+  async getNetProfit(shop, dateRange = null, carrier = null) {
     try {
       if (!shop) {
         throw new Error('Shop parameter is required');
@@ -559,6 +611,10 @@ export class ZRExpressService {
         shop: shop
       };
 
+      if (carrier) {
+        whereCondition.carrier = carrier;
+      }
+
       // Add date range filter if provided
       if (dateRange && dateRange.start && dateRange.end) {
         whereCondition.updatedAt = {
@@ -579,6 +635,7 @@ export class ZRExpressService {
           deliveryFee: true,
           cancelFee: true,
           status: true,
+          carrier: true,
           updatedAt: true
         }
       });
@@ -589,12 +646,20 @@ export class ZRExpressService {
       let totalCancelFees = 0;
       let deliveredCount = 0;
       let cancelledCount = 0;
+      const byCarrier = {};
 
       shipments.forEach(shipment => {
         const revenue = parseFloat(shipment.total || 0);
         const cost = parseFloat(shipment.totalCost || 0);
         const deliveryFee = parseFloat(shipment.deliveryFee || 0);
         const cancelFee = parseFloat(shipment.cancelFee || 0);
+        const carrierCode = shipment.carrier || this.code;
+
+        if (!byCarrier[carrierCode]) {
+          byCarrier[carrierCode] = { netProfit: 0, totalShipments: 0, deliveredCount: 0, cancelledCount: 0 };
+        }
+        const carrierStats = byCarrier[carrierCode];
+        carrierStats.totalShipments++;
 
         if (shipment.status === "Livrée") {
           // Delivered shipments contribute to revenue
@@ -602,10 +667,14 @@ export class ZRExpressService {
           totalCosts += cost;
           totalDeliveryFees += deliveryFee;
           deliveredCount++;
+          carrierStats.netProfit += revenue - cost - deliveryFee;
+          carrierStats.deliveredCount++;
         } else if (shipment.status === "Annulé" || shipment.status?.includes("Retour")) {
           // Cancelled/returned shipments only incur fees
           totalCancelFees += cancelFee;
           cancelledCount++;
+          carrierStats.netProfit -= cancelFee;
+          carrierStats.cancelledCount++;
         }
       });
 
@@ -624,7 +693,8 @@ export class ZRExpressService {
           cancelledCount: cancelledCount,
           // Additional metrics
           profitMargin: totalRevenue > 0 ? (netProfit / totalRevenue) * 100 : 0,
-          deliveryRate: shipments.length > 0 ? (deliveredCount / shipments.length) * 100 : 0
+          deliveryRate: shipments.length > 0 ? (deliveredCount / shipments.length) * 100 : 0,
+          byCarrier
         }
       };
 
@@ -637,16 +707,49 @@ export class ZRExpressService {
     }
   }
 
+  /**
+   * Append a ShipmentEvent when the stored status differs from the previous one
+   * @param {Object} shipment - Saved Shipment row
+   * @param {string|null} previousStatus - Status before the update, null for new shipments
+   * @param {Date} [occurredAt] - When the carrier recorded the status
+   */
+  async recordStatusEvent(shipment, previousStatus, occurredAt = new Date()) {
+    if (!shipment?.status || shipment.status === previousStatus) {
+      return null;
+    }
+
+    try {
+      return await this.prisma.shipmentEvent.create({
+        data: {
+          shipmentId: shipment.id,
+          shop: shipment.shop,
+          tracking: shipment.tracking,
+          status: shipment.status,
+          statusId: shipment.statusId ?? null,
+          occurredAt: occurredAt && !isNaN(new Date(occurredAt)) ? new Date(occurredAt) : new Date(),
+        }
+      });
+    } catch (error) {
+      // The timeline is informative only, never fail the shipment update for it
+      console.error(`Error recording status event for ${shipment.tracking}:`, error);
+      return null;
+    }
+  }
+
   // Helper methods
+  // 8 random hexadecimal characters, so IDs generated in the same millisecond still differ
+  generateRandomSuffix() {
+    return randomUUID().replace(/-/g, '').substring(0, 8).toUpperCase();
+  }
+
   generateTracking() {
     const prefix = 'ZR';
     const timestamp = Date.now().toString(36).toUpperCase();
-    const random = Math.random().toString(36).substring(2, 5).toUpperCase();
-    return `${prefix}${timestamp}${random}`;
+    return `${prefix}${timestamp}${this.generateRandomSuffix()}`;
   }
 
   generateExternalId() {
-    return Date.now().toString(36).toUpperCase();
+    return `${Date.now().toString(36).toUpperCase()}${this.generateRandomSuffix()}`;
   }
 }
 
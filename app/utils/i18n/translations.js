@@ -135,10 +135,14 @@ export const ar = {
     shipping: 'الشحن',
     zrExpress: 'ZR Express',
     facebook: 'إعلانات فيسبوك',
+    adPlatforms: 'تيك توك وسناب شات',
     billing: 'الفواتير',
     settings: 'الإعدادات',
     logout: 'تسجيل الخروج',
     additional: 'صفحة إضافية',
+    blacklist: 'القائمة السوداء',
+    analytics: 'الربحية حسب الولاية',
+    expenses: 'المصاريف الثابتة',
   },
   dashboard: {
     title: 'لوحة تحكم الأرباح',
@@ -148,7 +152,11 @@ export const ar = {
     dateRange: 'الفترة الزمنية',
     facebookAccount: 'حساب فيسبوك للإعلانات',
     selectAccount: 'اختر حساب الإعلانات',
+    selectAccounts: 'حسابات الإعلانات المحسوبة',
+    accountsSelected: '{{count}} حسابات إعلانية',
     exchangeRate: 'سعر الصرف (دج/دولار)',
+    dailyRates: 'الأسعار اليومية',
+    missingExchangeRates: 'لا يوجد سعر يومي مسجل لـ {{currencies}}، تم استعمال السعر الافتراضي {{rate}}.',
     updateData: 'تحديث البيانات',
     updating: 'جاري التحديث...',
     noDataTitle: 'ابدأ بتتبع أرباحك',
@@ -163,12 +171,27 @@ export const ar = {
     adCosts: 'تكلفة الإعلانات',
     shippingCancelFees: 'رسوم الشحن والإلغاء',
     cogsCosts: 'تكلفة البضاعة',
+    landedCosts: 'تكاليف إضافية للطلبات',
+    operatingExpenses: 'المصاريف الثابتة',
     totalShipments: 'إجمالي الشحنات',
     insufficientData: 'لا توجد بيانات كافية للعرض',
   },
   facebook: {
     title: 'أداء إعلانات فيسبوك',
     currency: 'العملة',
+    lastSynced: 'آخر مزامنة لبيانات فيسبوك: {{date}}',
+    syncBackoff: 'فيسبوك يحد من عدد الطلبات، تُعرض البيانات المحفوظة حتى {{date}}',
+    syncing: 'جارٍ مزامنة بيانات المنصات الإعلانية...',
+    accountBreakdown: {
+      title: 'الإنفاق حسب الحساب الإعلاني',
+      account: 'الحساب',
+      accountSpend: 'الإنفاق بعملة الحساب',
+      spend: 'الإنفاق بعملة المتجر',
+      share: 'الحصة',
+      revenue: 'إيرادات فيسبوك',
+      purchases: 'المشتريات',
+      roas: 'ROAS',
+    },
     metrics: {
       roas: 'عائد الإعلان (ROAS)',
       netRoas: 'العائد الصافي (Net ROAS)',
@@ -365,6 +388,11 @@ export const ar = {
     enterCostFor: 'أدخل التكلفة الجديدة للمنتج: {{title}}',
     cost: 'التكلفة',
     setCost: 'إدخال التكلفة',
+    effectiveFrom: 'سارية من',
+    effectiveFromHelp: 'الطلبات المنشأة قبل هذا التاريخ تحتفظ بالتكلفة السابقة',
+    costHistory: 'سجل التكلفة',
+    costFrom: 'من {{date}}',
+    costBeforeHistory: 'قبل أول تعديل',
     save: 'حفظ',
     cancel: 'إلغاء',
     table: {
@@ -384,7 +412,8 @@ export const ar = {
       next: 'التالي',
       page: 'الصفحة',
       of: 'من',
-      totalProducts: 'إجمالي المنتجات'
+      totalProducts: 'إجمالي المنتجات',
+      totalVariants: 'إجمالي المتغيرات'
     },
     updating: 'جاري التحديث...',
     refreshed: 'تم تحديث البيانات',
@@ -424,6 +453,428 @@ export const ar = {
     trialMessage: 'أنت في وضع التجربة. ابدأ اشتراكك لفتح جميع المميزات.',
     manageSubscription: 'إدارة الاشتراك'
   },
+  geoAnalytics: {
+    title: 'الربحية حسب الولاية',
+    description: 'نسبة التوصيل والربح الصافي حسب الولاية والبلدية',
+    period: 'الفترة',
+    wilaya: 'الولاية',
+    commune: 'البلدية',
+    allWilayas: 'كل الولايات',
+    byWilaya: 'حسب الولاية',
+    byCommune: 'حسب البلدية',
+    delivered: 'تم التوصيل',
+    returned: 'مرتجع',
+    returnRate: 'نسبة الإرجاع',
+    avgDeliveryFee: 'متوسط سعر التوصيل',
+    revenue: 'الإيرادات',
+    cogs: 'تكلفة البضاعة',
+    fees: 'رسوم التوصيل والإلغاء',
+    netProfit: 'الربح الصافي',
+    empty: 'لا توجد شحنات في هذه الفترة',
+    adsNote: 'تكاليف الإعلانات غير محتسبة لأنها لا تنقسم حسب المنطقة.'
+  },
+  tarification: {
+    title: 'تغييرات الأسعار',
+    refresh: 'تحديث الأسعار الآن',
+    refreshed: 'تم تحديث قائمة الأسعار',
+    refreshFailed: 'تعذر تحديث قائمة الأسعار',
+    fetchedAt: 'آخر تحديث من شركة التوصيل: {{date}}',
+    priceChanges: 'سجل تغييرات الأسعار',
+    noChanges: 'لم يتم تسجيل أي تغيير في الأسعار بعد',
+    changedBetween: 'بين {{from}} و {{to}}',
+    currentPrices: 'الأسعار الحالية',
+    field: 'السعر',
+    before: 'قبل',
+    after: 'بعد',
+    change: 'الفرق',
+    wilayaAdded: 'ولاية جديدة',
+    wilayaRemoved: 'ولاية محذوفة',
+    fields: {
+      Domicile: 'توصيل منزلي',
+      Stopdesk: 'مكتب التوصيل',
+      Annuler: 'رسوم الإلغاء',
+      wilaya: 'الولاية'
+    }
+  },
+  feeReport: {
+    title: 'الرسوم: التقدير مقابل الفعلي',
+    description: 'الرسوم المقدرة عند إنشاء الشحنة مقارنة بما فوترته شركة التوصيل',
+    show: 'عرض',
+    allShipments: 'كل الشحنات',
+    mismatchesOnly: 'الفروقات فقط',
+    tracking: 'رقم التتبع',
+    deliveryType: 'نوع التوصيل',
+    domicile: 'المنزل',
+    stopdesk: 'مكتب التوقف',
+    outcome: 'النتيجة',
+    delivered: 'تم التسليم',
+    returned: 'مرتجع',
+    estimated: 'المقدر',
+    actual: 'المفوتر',
+    difference: 'الفرق',
+    billed: 'الشحنات المفوترة',
+    mismatches: 'الفروقات',
+    notBilled: 'لم تتم الفوترة بعد',
+    note: 'تتم مقارنة الطرود المسلمة برسوم التوصيل والطرود المرتجعة برسوم الإلغاء. الإجماليات تشمل الرسوم المفوترة فقط.',
+    empty: 'لا توجد شحنات منتهية بتقدير للرسوم في هذه الفترة'
+  },
+  statements: {
+    title: 'كشوفات شركة التوصيل',
+    description: 'مطابقة فواتير شركة التوصيل مع رسوم شحناتك',
+    import: 'استيراد كشف',
+    formatHelp: 'ملف XLSX أو XLS أو CSV يحتوي على عمود Tracking وعمود رسوم التوصيل و/أو رسوم الإرجاع (مثل "Tarif livraison" و "Tarif retour").',
+    selectFile: 'يرجى اختيار ملف XLSX أو XLS أو CSV',
+    imported: 'تم فحص {{count}} سطر من الكشف',
+    deleted: 'تم حذف الكشف',
+    delete: 'حذف الكشف',
+    history: 'الكشوفات المستوردة',
+    empty: 'لم يتم استيراد أي كشف بعد',
+    file: 'الملف',
+    importedAt: 'تاريخ الاستيراد',
+    lines: 'الأسطر',
+    totalBilled: 'المفوتر',
+    totalExpected: 'المتوقع',
+    overbilled: 'المفوتر ناقص المتوقع',
+    show: 'عرض',
+    allLines: 'كل الأسطر',
+    noLines: 'لا توجد أسطر تطابق هذا الفلتر',
+    row: 'السطر',
+    shipmentStatus: 'حالة الشحنة',
+    billedDelivery: 'التوصيل المفوتر',
+    expectedDelivery: 'التوصيل المتوقع',
+    billedCancel: 'الإرجاع المفوتر',
+    expectedCancel: 'الإرجاع المتوقع',
+    result: 'النتيجة',
+    results: {
+      matched: 'مطابق',
+      mismatch: 'رسوم غير مطابقة',
+      missing: 'طرد غير معروف',
+      duplicate: 'فوترة مكررة'
+    }
+  },
+  remittances: {
+    title: 'تحويلات الدفع عند الاستلام',
+    description: 'المبالغ التي حصّلتها شركة التوصيل عن الطرود المسلمة والتحويلات التي استلمتها',
+    outstanding: 'المبلغ الذي لا تزال شركة التوصيل مدينة به',
+    parcels: '{{count}} طرد',
+    days: '{{count}} يوم',
+    buckets: {
+      '0_7': '0-7 أيام',
+      '8_15': '8-15 يوم',
+      '16_30': '16-30 يوم',
+      over_30: 'أكثر من 30 يوم'
+    },
+    recordTitle: 'تسجيل تحويل',
+    paidAt: 'تاريخ الاستلام',
+    amount: 'المبلغ المستلم',
+    reference: 'مرجع الدفع',
+    note: 'ملاحظة',
+    trackings: 'أرقام تتبع أخرى',
+    trackingsHelp: 'الطرود المحددة أدناه مشمولة. الصق أرقام تتبع إضافية مفصولة بمسافات أو فواصل أو أسطر جديدة.',
+    selectedExpected: '{{count}} طرد محدد، المبلغ المتوقع {{amount}}',
+    record: 'تحديد كمحصّل',
+    recorded: 'تم تسجيل التحويل',
+    deleted: 'تم حذف التحويل وأصبحت طروده في انتظار التحصيل مجددا',
+    delete: 'حذف',
+    skippedUnknown: 'تم تجاهل أرقام تتبع غير معروفة: {{trackings}}',
+    skippedNotDelivered: 'تم تجاهل طرود غير مسلمة: {{trackings}}',
+    skippedRemitted: 'تم تجاهل طرود مدفوعة مسبقا: {{trackings}}',
+    pendingTitle: 'في انتظار التحصيل ({{count}})',
+    noPending: 'تم تحويل مبالغ كل الطرود المسلمة',
+    selectAll: 'تحديد الكل',
+    clearSelection: 'إلغاء التحديد',
+    client: 'العميل',
+    deliveredAt: 'تاريخ التسليم',
+    age: 'مدة الانتظار',
+    owed: 'المستحق',
+    history: 'التحويلات المستلمة',
+    empty: 'لم يتم تسجيل أي تحويل بعد',
+    parcelCount: 'الطرود',
+    expected: 'المتوقع',
+    gap: 'الفرق',
+    widgetTitle: 'مبالغ الدفع عند الاستلام المستحقة',
+    widgetSubtitle: '{{count}} طرد مسلم لم يتم تحويل مبلغه بعد، أقدمها ينتظر منذ {{days}} يوم',
+    manage: 'تسجيل التحويلات'
+  },
+  cashFlow: {
+    basis: 'طريقة العرض',
+    accrual: 'الأرباح (عند التسليم)',
+    cash: 'التدفق النقدي',
+    title: 'التدفق النقدي',
+    subtitle: 'الأموال في يوم حركتها الفعلية: تحويلات شركة التوصيل والطلبات المدفوعة مسبقا كمداخيل، والإعلانات واقتطاعات شركة التوصيل والبضاعة كمصاريف',
+    cashIn: 'المداخيل النقدية',
+    cashOut: 'المصاريف النقدية',
+    net: 'صافي النقد',
+    accrualProfit: 'الربح المحتسب عند التسليم: {{amount}}',
+    date: 'التاريخ',
+    remittances: 'تحويلات شركة التوصيل',
+    shopifyPayments: 'طلبات مدفوعة مسبقا',
+    adSpend: 'الإنفاق الإعلاني',
+    carrierFees: 'اقتطاعات شركة التوصيل',
+    cogsPurchases: 'البضاعة'
+  },
+  cogsHistory: {
+    title: 'سجل تكلفة البضاعة',
+    description: 'كل تغيير في تكلفة الطلبات مع الأسطر التي تغيرت',
+    recomputeTitle: 'إعادة حساب تكلفة البضاعة',
+    recomputeHelp: 'يعيد تحميل منتجات الطلبات من Shopify ويحسبها بالتكلفة السارية في تاريخ الطلب. الطلبات التي تغيرت فقط يتم تحديثها وتسجيلها في السجل.',
+    period: 'الفترة',
+    customRange: 'فترة مخصصة',
+    startDate: 'من',
+    endDate: 'إلى',
+    recompute: 'إعادة الحساب',
+    recomputed: 'تم فحص {{checked}} طلب، تغير {{changed}}، غير موجود في Shopify: {{missing}}',
+    costDelta: 'تغير إجمالي تكلفة البضاعة: {{amount}}',
+    revisions: 'آخر التغييرات',
+    orderId: 'رقم الطلب',
+    filter: 'تصفية',
+    empty: 'لا توجد تغييرات مسجلة',
+    date: 'التاريخ',
+    order: 'الطلب',
+    reason: 'السبب',
+    before: 'التكلفة السابقة',
+    after: 'التكلفة الجديدة',
+    delta: 'الفرق',
+    changes: 'التغييرات',
+    itemAdded: '{{title}}: أضيف (الكمية {{quantity}})',
+    itemRemoved: '{{title}}: حذف (الكمية {{quantity}})',
+    fieldChanged: '{{title}}: {{field}} {{before}} ← {{after}}',
+    landedCostChanged: 'تكاليف إضافية: {{before}} ← {{after}}',
+    fields: {
+      quantity: 'الكمية',
+      unitCost: 'تكلفة الوحدة',
+      price: 'السعر'
+    },
+    reasons: {
+      created: 'إنشاء',
+      recompute: 'إعادة حساب',
+      order_created: 'طلب جديد',
+      order_updated: 'تعديل الطلب',
+      shipment: 'إنشاء شحنة'
+    }
+  },
+  costImport: {
+    title: 'استيراد وتصدير التكاليف',
+    description: 'تعديل تكلفة جميع المتغيرات من ملف Excel أو CSV',
+    exportTitle: 'تصدير',
+    exportHelp: 'ملف بكل المتغيرات: المعرف، SKU، المنتج، المتغير، السعر والتكلفة الحالية. عدّل عمود التكلفة ثم استورد الملف.',
+    exportXlsx: 'تصدير XLSX',
+    exportCsv: 'تصدير CSV',
+    importTitle: 'استيراد',
+    importHelp: 'يتم التعرف على الأسطر بمعرف المتغير أو بـ SKU. راجع التغييرات قبل تطبيقها؛ الأسطر بدون تكلفة يتم تجاهلها.',
+    upload: 'رفع ملف',
+    selectFile: 'يرجى اختيار ملف Excel أو CSV',
+    changesOnly: 'عرض التغييرات والأخطاء فقط',
+    apply: 'تطبيق {{count}} تغيير',
+    applied: 'تم تحديث {{updated}} متغير، فشل {{failed}}',
+    invalidRows: '{{count}} سطر غير صالح لن يتم تطبيقه',
+    largeChanges: '{{count}} تكلفة جديدة أعلى أو أقل بعشر مرات من التكلفة الحالية. تحقق من القيمة المقروءة من الملف قبل التطبيق.',
+    noChanges: 'لا توجد تغييرات في الملف',
+    row: 'السطر',
+    variant: 'المتغير',
+    fileValue: 'القيمة في الملف',
+    oldCost: 'التكلفة الحالية',
+    newCost: 'التكلفة الجديدة',
+    result: 'النتيجة',
+    updated: 'تم التحديث',
+    failed: 'فشل',
+    status: {
+      change: 'تغيير',
+      unchanged: 'بدون تغيير',
+      skipped: 'بدون تكلفة',
+      invalid: 'غير صالح'
+    },
+    errors: {
+      unknownVariant: 'متغير غير معروف',
+      sharedSku: 'SKU مشترك بين عدة متغيرات، استعمل معرف المتغير',
+      duplicate: 'متغير مكرر في الملف',
+      invalidCost: 'تكلفة غير صالحة',
+      noInventoryItem: 'المتغير لا يتتبع المخزون'
+    }
+  },
+  landedCosts: {
+    title: 'تكاليف إضافية للطلبات',
+    description: 'التغليف، رسوم الدفع عند الاستلام، مركز التأكيد، الجمارك والشحن... تضاف إلى تكلفة البضاعة لكل طلب',
+    addTitle: 'إضافة قاعدة',
+    name: 'الاسم',
+    namePlaceholder: 'مثال: التغليف',
+    type: 'النوع',
+    amount: 'المبلغ',
+    percentage: 'النسبة',
+    tag: 'وسم المنتج',
+    tagHelp: 'اختياري: تطبق القاعدة فقط على منتجات هذا الوسم',
+    allProducts: 'كل المنتجات',
+    active: 'مفعلة',
+    add: 'إضافة القاعدة',
+    created: 'تمت إضافة القاعدة',
+    delete: 'حذف',
+    deleted: 'تم حذف القاعدة',
+    rules: 'القواعد',
+    empty: 'لا توجد قواعد بعد',
+    recomputeHint: 'القواعد تطبق على الطلبات الجديدة. لتطبيقها على الطلبات السابقة استعمل إعادة الحساب في سجل تكلفة البضاعة.',
+    types: {
+      per_order: 'مبلغ ثابت لكل طلب',
+      per_item: 'مبلغ لكل قطعة',
+      percent_revenue: 'نسبة من الإيرادات'
+    }
+  },
+  expenses: {
+    title: 'المصاريف الثابتة',
+    description: 'الإيجار، الرواتب، اشتراك Shopify والتطبيقات... توزع على الأيام وتخصم من صافي الربح',
+    addTitle: 'إضافة مصروف',
+    name: 'الاسم',
+    namePlaceholder: 'مثال: إيجار المخزن',
+    category: 'الفئة',
+    amount: 'المبلغ',
+    currency: 'العملة',
+    currencyHelp: 'يحول إلى عملة المتجر بسعر الصرف اليومي المسجل',
+    recurrence: 'التكرار',
+    date: 'التاريخ',
+    startDate: 'تاريخ البداية',
+    endDate: 'تاريخ النهاية',
+    endDateHelp: 'اتركه فارغا إذا كان المصروف مستمرا',
+    ongoing: 'مستمر',
+    add: 'إضافة المصروف',
+    created: 'تمت إضافة المصروف',
+    endToday: 'إيقاف اليوم',
+    ended: 'تم إيقاف المصروف',
+    delete: 'حذف',
+    deleted: 'تم حذف المصروف',
+    list: 'المصاريف',
+    empty: 'لا توجد مصاريف بعد',
+    prorationHint: 'المصاريف الشهرية والسنوية تقسم على أيام الشهر أو السنة، والمصاريف لمرة واحدة تحسب كاملة في يومها.',
+    categories: {
+      rent: 'الإيجار',
+      salaries: 'الرواتب',
+      shopify: 'اشتراك Shopify',
+      apps: 'التطبيقات',
+      marketing: 'تسويق آخر',
+      other: 'أخرى'
+    },
+    recurrences: {
+      one_off: 'مرة واحدة',
+      daily: 'يومي',
+      weekly: 'أسبوعي',
+      monthly: 'شهري',
+      yearly: 'سنوي'
+    }
+  },
+  exchangeRates: {
+    title: 'أسعار الصرف',
+    description: 'سعر كل يوم بالعملة {{currency}} لتحويل مصاريف الإعلانات والمصاريف بالعملة الأجنبية',
+    addTitle: 'إضافة سعر يومي',
+    date: 'التاريخ',
+    currency: 'العملة',
+    rate: 'السعر',
+    save: 'حفظ',
+    saved: 'تم حفظ السعر',
+    import: 'استيراد ملف CSV',
+    importHelp: 'أعمدة التاريخ والسعر، والعملة اختيارية ({{currency}} افتراضيا)',
+    imported: 'تم استيراد {{imported}} سعر، {{invalid}} سطر غير صالح',
+    selectFile: 'يرجى اختيار ملف XLSX أو XLS أو CSV',
+    rowError: 'السطر {{row}}: {{error}}',
+    defaultTitle: 'السعر الافتراضي',
+    defaultHelp: 'يستعمل للأيام التي ليس لها سعر مسجل ولا سعر سابق',
+    defaultSaved: 'تم حفظ السعر الافتراضي',
+    history: 'الأسعار المسجلة',
+    empty: 'لا توجد أسعار مسجلة',
+    source: 'المصدر',
+    delete: 'حذف',
+    deleted: 'تم حذف السعر',
+    sources: {
+      manual: 'يدوي',
+      import: 'مستورد'
+    }
+  },
+  adProfit: {
+    title: 'أرباح الحملات',
+    description: 'الإيرادات المسلمة، تكلفة البضاعة، رسوم الشحن وصافي الربح لكل حملة، مجموعة إعلانية وإعلان',
+    level: 'المستوى',
+    levels: {
+      campaign: 'الحملة',
+      adset: 'المجموعة الإعلانية',
+      ad: 'الإعلان'
+    },
+    sync: 'مزامنة فيسبوك والطلبات',
+    synced: 'تمت مزامنة {{rows}} سطر من فيسبوك، {{attributed}} طلب من {{checked}} له مصدر إعلاني',
+    lastSynced: 'آخر مزامنة: {{date}}',
+    neverSynced: 'لم تتم المزامنة بعد لهذه الفترة',
+    spend: 'الإنفاق',
+    fbPurchases: 'مشتريات فيسبوك · ROAS',
+    orders: 'الطلبات',
+    delivered: 'المسلمة',
+    deliveredRevenue: 'الإيرادات المسلمة',
+    cogs: 'تكلفة البضاعة',
+    shippingFees: 'رسوم الشحن والإرجاع',
+    netProfit: 'صافي الربح',
+    trueRoas: 'ROAS الحقيقي',
+    fbRoasValue: 'ROAS فيسبوك {{roas}}x',
+    unattributed: 'طلبات بدون حملة',
+    empty: 'لا توجد بيانات، قم بالمزامنة أولا',
+    attributionHelp: 'تربط الطلبات بالحملات عبر utm_campaign و utm_term و utm_content في رابط الصفحة أو في خصائص الطلب (campaign_id و adset_id و ad_id). الإيرادات والتكلفة تحسب عند التسليم فقط.',
+    notConnected: 'اربط حساب فيسبوك لرؤية أرباح الحملات',
+    connect: 'ربط فيسبوك'
+  },
+  adPlatforms: {
+    title: 'منصات الإعلانات',
+    description: 'اربط تيك توك وسناب شات ليُحسب إنفاقهما مع فيسبوك في الأرباح',
+    statusConnected: 'متصل',
+    statusNotConnected: 'غير متصل',
+    statusNeedsReconnect: 'يجب إعادة الربط',
+    accessToken: 'رمز الوصول',
+    refreshToken: 'رمز التحديث',
+    refreshTokenHelp: 'رموز وصول سناب شات تنتهي بعد 30 دقيقة، رمز التحديث مطلوب لتجديدها تلقائياً',
+    accountIds: 'معرفات الحسابات الإعلانية',
+    accountIdsOptional: 'معرفات الحسابات الإعلانية (اختياري)',
+    accountIdsHelp: 'معرف واحد في كل سطر أو مفصولة بفواصل. اتركه فارغاً في سناب شات لاحتساب كل الحسابات',
+    connect: 'ربط',
+    reconnect: 'إعادة الربط',
+    disconnect: 'فصل',
+    connected: 'تم الربط مع {{count}} حسابات إعلانية',
+    disconnected: 'تم فصل المنصة',
+    manage: 'إدارة المنصات',
+    breakdownTitle: 'الإنفاق حسب المنصة',
+    platform: 'المنصة',
+    spend: 'الإنفاق',
+    share: 'الحصة',
+    revenue: 'الإيرادات المعلنة',
+    conversions: 'التحويلات',
+    roas: 'ROAS',
+    mer: 'MER',
+    fetchFailed: 'فشل الجلب',
+    help: {
+      tiktok: 'أنشئ رمز وصول طويل المدى من تطبيق TikTok for Business وأدخل معرفات المعلنين (advertiser_id).',
+      snapchat: 'أدخل رمز تحديث من Snapchat Marketing API، يتم تجديد رمز الوصول به عبر تطبيق سناب شات المضبوط على الخادم.',
+    },
+  },
+  blacklist: {
+    title: 'القائمة السوداء للزبائن',
+    description: 'الزبائن الذين رفضوا {{count}} طرود أو أكثر يضافون تلقائياً. يتم منع إنشاء شحنة لهم إلا بعد تأكيدك.',
+    addTitle: 'إضافة زبون',
+    phone: 'رقم الهاتف',
+    name: 'الاسم',
+    note: 'ملاحظة',
+    add: 'إضافة إلى القائمة السوداء',
+    added: 'تمت إضافة الزبون إلى القائمة السوداء',
+    remove: 'إزالة',
+    removed: 'تمت إزالة الزبون من القائمة السوداء',
+    rebuild: 'تحديث من الشحنات المرتجعة',
+    rebuildDone: 'تم العثور على {{count}} زبون رافض متكرر',
+    empty: 'لا يوجد زبائن في القائمة السوداء',
+    refusals: 'الطرود المرفوضة',
+    lastRefusal: 'آخر رفض',
+    source: 'المصدر',
+    sources: {
+      auto: 'تلقائي',
+      manual: 'يدوي'
+    },
+    warningTitle: 'زبون في القائمة السوداء',
+    warningMessage: 'هذا الزبون موجود في القائمة السوداء. لن يتم إنشاء الشحنة إلا إذا أكدت الإرسال رغم ذلك.',
+    match: '{{name}} ({{phone}}) - {{count}} طرد مرفوض',
+    matchedByName: 'تطابق بالاسم والعنوان',
+    override: 'الإرسال رغم ذلك',
+    badge: 'في القائمة السوداء'
+  },
   orders: {
     title: 'الطلبات',
     noOrders: 'لا توجد طلبات',
@@ -488,6 +939,54 @@ export const ar = {
       page: 'صفحة',
       totalOrders: 'إجمالي الطلبات'
     },
+    phoneErrors: {
+      empty: 'رقم الهاتف مطلوب',
+      invalidLength: 'رقم الهاتف يجب أن يتكون من 10 أرقام (مثال: 0551234567)',
+      invalidPrefix: 'رقم الهاتف يجب أن يبدأ بـ 05 أو 06 أو 07',
+    },
+    duplicatePhone: 'رقم مكرر ({{count}})',
+    duplicatePhoneTitle: 'رقم الهاتف مستخدم في شحنات حديثة',
+    duplicatePhoneMessage: '{{count}} شحنة لنفس الرقم خلال آخر 30 يوماً: {{trackings}}',
+    addressToCheck: 'تحقق من العنوان ({{confidence}}%)',
+    shippingQuote: 'الرسوم المتوقعة: التوصيل {{delivery}}، الإلغاء في حالة الإرجاع {{cancel}}',
+    lowConfidenceTitle: 'تطابق العنوان غير مؤكد',
+    lowConfidenceMessage: 'تم اختيار الولاية والبلدية تلقائياً بنسبة ثقة {{confidence}}%. يرجى التحقق منهما قبل إنشاء الشحنة.',
+    bulk: {
+      selectOrder: 'تحديد الطلب {{order}}',
+      selectPage: 'تحديد كل طلبات الصفحة',
+      selected: '{{count}} طلب محدد',
+      preview: 'معاينة الشحنات',
+      clearSelection: 'إلغاء التحديد',
+      previewTitle: 'إنشاء الشحنات المحددة',
+      createButton: 'إنشاء {{count}} شحنة',
+      readyRows: '{{ready}} جاهزة / {{total}} طلبات',
+      invalidRowsInfo: 'الطلبات التي تحتوي على أخطاء لن يتم إرسالها حتى يتم تصحيحها.',
+      missingFields: 'حقول ناقصة: {{fields}}',
+      ready: 'جاهزة',
+      result: 'النتيجة',
+      creating: 'جاري إنشاء الشحنات، يرجى الانتظار...',
+      summary: 'تم إنشاء {{created}} شحنة، فشل {{failed}}',
+    },
+    rtoRisk: {
+      column: 'خطر الإرجاع',
+      badge: '{{score}}%',
+      threshold: 'حد خطر الإرجاع (%)',
+      thresholdHelp: 'تُقاس النسبة مقارنة بمعدل الإرجاع المعتاد للمتجر. الطلبات التي تساوي هذه النسبة أو تتجاوزها تتطلب تأكيداً يدوياً قبل الشحن',
+      saveThreshold: 'حفظ',
+      thresholdSaved: 'تم حفظ حد خطر الإرجاع',
+      highRiskTitle: 'خطر إرجاع مرتفع ({{score}}%)',
+      highRiskMessage: 'هذا الطلب مشابه لشحنات سابقة تم إرجاعها. يرجى الاتصال بالزبون قبل الشحن.',
+      reason: '{{factor}}: {{rate}}% إرجاع من أصل {{count}} شحنة',
+      confirm: 'تم التأكيد مع الزبون',
+      needsConfirmation: 'خطر مرتفع - يتطلب التأكيد',
+      factors: {
+        phone: 'رقم الهاتف',
+        commune: 'البلدية',
+        wilaya: 'الولاية',
+        product: 'المنتج',
+        value: 'قيمة الطلب'
+      }
+    },
     deliveryTypes: {
       home: 'توصيل منزلي',
       office: 'مكتب التوصيل'
@@ -552,6 +1051,15 @@ export const ar = {
     // Dashboard
     dashboard: '📊 لوحة التحكم',
     connectionError: 'خطأ في الاتصال',
+    carrier: 'شركة التوصيل',
+    syncNow: '🔄 مزامنة الحالات',
+    lastSync: 'آخر مزامنة: {{date}} ({{count}} شحنة)',
+    neverSynced: 'لم تتم المزامنة بعد',
+    syncFailed: 'فشلت المزامنة',
+    timelineTitle: 'سجل حالات الشحنة {{tracking}}',
+    noTimelineEvents: 'لا يوجد سجل حالات لهذه الشحنة',
+    deliveryLeadTime: 'مدة التوصيل: {{hours}} ساعة',
+    timeInStatus: '{{hours}} ساعة في هذه الحالة',
     
     // Stats
     totalSales: '💰 إجمالي المبيعات',
@@ -595,6 +1103,7 @@ export const ar = {
     homeDelivery: 'توصيل للمنزل',
     stopDesk: 'توصيل للمكتب',
     deliveryPrice: 'سعر التوصيل: {{price}} دج',
+    expectedCancelFee: 'رسوم الإلغاء في حالة الإرجاع: {{price}} دج',
     packageType: 'نوع الطرد',
     regularPackage: 'طرد عادي',
     exchange: 'تبديل',
@@ -772,10 +1281,14 @@ export const en = {
     shipping: 'Shipping',
     zrExpress: 'ZR Express',
     facebook: 'Facebook Ads',
+    adPlatforms: 'TikTok & Snapchat',
     billing: 'Billing',
     settings: 'Settings',
     logout: 'Logout',
     additional: 'Additional Page',
+    blacklist: 'Blacklist',
+    analytics: 'Wilaya profitability',
+    expenses: 'Operating expenses',
   },
   dashboard: {
     title: 'Profit Dashboard',
@@ -785,7 +1298,11 @@ export const en = {
     dateRange: 'Date Range',
     facebookAccount: 'Facebook Ad Account',
     selectAccount: 'Select Ad Account',
+    selectAccounts: 'Ad accounts to include',
+    accountsSelected: '{{count}} ad accounts',
     exchangeRate: 'Exchange Rate (DZD/USD)',
+    dailyRates: 'Daily rates',
+    missingExchangeRates: 'No daily rate is stored for {{currencies}}, the default rate {{rate}} was used.',
     updateData: 'Update Data',
     updating: 'Updating...',
     noDataTitle: 'Start Tracking Your Profits',
@@ -800,12 +1317,27 @@ export const en = {
     adCosts: 'Ad Costs',
     shippingCancelFees: 'Shipping & Cancel Fees',
     cogsCosts: 'COGS',
+    landedCosts: 'Landed costs',
+    operatingExpenses: 'Operating expenses',
     totalShipments: 'Total Shipments',
     insufficientData: 'Insufficient data to display',
   },
   facebook: {
     title: 'Facebook Ad Center',
     pageTitle: 'Facebook Ads Analytics - TrackProfit',
+    lastSynced: 'Facebook data last synced: {{date}}',
+    syncBackoff: 'Facebook is rate limiting requests, stored data is shown until {{date}}',
+    syncing: 'Syncing ad platform data...',
+    accountBreakdown: {
+      title: 'Spend by ad account',
+      account: 'Account',
+      accountSpend: 'Spend (account currency)',
+      spend: 'Spend (shop currency)',
+      share: 'Share',
+      revenue: 'Facebook revenue',
+      purchases: 'Purchases',
+      roas: 'ROAS',
+    },
     metricsBanner: {
       title: 'Select a Facebook Ad Account',
       action: 'Select Account',
@@ -989,6 +1521,11 @@ export const en = {
     enterCostFor: 'Enter the new cost for: {{title}}',
     cost: 'Cost',
     setCost: 'Set Cost',
+    effectiveFrom: 'Effective from',
+    effectiveFromHelp: 'Orders placed before this date keep the previous cost',
+    costHistory: 'Cost history',
+    costFrom: 'From {{date}}',
+    costBeforeHistory: 'Before the first edit',
     save: 'Save',
     cancel: 'Cancel',
     table: {
@@ -1008,7 +1545,8 @@ export const en = {
       next: 'Next',
       page: 'Page',
       of: 'of',
-      totalProducts: 'Total Products'
+      totalProducts: 'Total Products',
+      totalVariants: 'Total Variants'
     },
     updating: 'Updating...',
     refreshed: 'Data refreshed',
@@ -1045,6 +1583,428 @@ export const en = {
     trialMessage: 'You are in trial mode. Start your subscription to unlock all features.',
     manageSubscription: 'Manage Subscription'
   },
+  geoAnalytics: {
+    title: 'Wilaya profitability',
+    description: 'Delivery rate and net profit by wilaya and commune',
+    period: 'Period',
+    wilaya: 'Wilaya',
+    commune: 'Commune',
+    allWilayas: 'All wilayas',
+    byWilaya: 'By wilaya',
+    byCommune: 'By commune',
+    delivered: 'Delivered',
+    returned: 'Returned',
+    returnRate: 'Return rate',
+    avgDeliveryFee: 'Avg. delivery fee',
+    revenue: 'Revenue',
+    cogs: 'COGS',
+    fees: 'Delivery & cancel fees',
+    netProfit: 'Net profit',
+    empty: 'No shipments in this period',
+    adsNote: 'Ad spend is not included since it cannot be split by location.'
+  },
+  tarification: {
+    title: 'Price changes',
+    refresh: 'Refresh prices now',
+    refreshed: 'Price list refreshed',
+    refreshFailed: 'Could not refresh the price list',
+    fetchedAt: 'Last fetched from the carrier: {{date}}',
+    priceChanges: 'Price change history',
+    noChanges: 'No price change recorded yet',
+    changedBetween: 'Between {{from}} and {{to}}',
+    currentPrices: 'Current prices',
+    field: 'Price',
+    before: 'Before',
+    after: 'After',
+    change: 'Change',
+    wilayaAdded: 'New wilaya',
+    wilayaRemoved: 'Removed wilaya',
+    fields: {
+      Domicile: 'Home delivery',
+      Stopdesk: 'Stop desk',
+      Annuler: 'Cancel fee',
+      wilaya: 'Wilaya'
+    }
+  },
+  feeReport: {
+    title: 'Fees: estimate vs actual',
+    description: 'Fees quoted at shipment creation compared with what the carrier billed',
+    show: 'Show',
+    allShipments: 'All shipments',
+    mismatchesOnly: 'Mismatches only',
+    tracking: 'Tracking',
+    deliveryType: 'Delivery type',
+    domicile: 'Home',
+    stopdesk: 'Stop desk',
+    outcome: 'Outcome',
+    delivered: 'Delivered',
+    returned: 'Returned',
+    estimated: 'Estimated',
+    actual: 'Billed',
+    difference: 'Difference',
+    billed: 'Billed shipments',
+    mismatches: 'Mismatches',
+    notBilled: 'Not billed yet',
+    note: 'Delivered parcels are compared on the delivery fee, returned parcels on the cancel fee. Totals only include billed fees.',
+    empty: 'No finished shipment with a fee estimate in this period'
+  },
+  statements: {
+    title: 'Carrier statements',
+    description: 'Check the carrier invoices against the fees of your shipments',
+    import: 'Import statement',
+    formatHelp: 'XLSX, XLS or CSV with a Tracking column and a delivery fee and/or return fee column (e.g. "Tarif livraison", "Tarif retour").',
+    selectFile: 'Please select an XLSX, XLS or CSV file',
+    imported: '{{count}} statement lines checked',
+    deleted: 'Statement deleted',
+    delete: 'Delete statement',
+    history: 'Imported statements',
+    empty: 'No statement imported yet',
+    file: 'File',
+    importedAt: 'Imported on',
+    lines: 'Lines',
+    totalBilled: 'Billed',
+    totalExpected: 'Expected',
+    overbilled: 'Billed minus expected',
+    show: 'Show',
+    allLines: 'All lines',
+    noLines: 'No line matches this filter',
+    row: 'Row',
+    shipmentStatus: 'Shipment status',
+    billedDelivery: 'Billed delivery',
+    expectedDelivery: 'Expected delivery',
+    billedCancel: 'Billed return',
+    expectedCancel: 'Expected return',
+    result: 'Result',
+    results: {
+      matched: 'Matched',
+      mismatch: 'Fee mismatch',
+      missing: 'Unknown parcel',
+      duplicate: 'Double charge'
+    }
+  },
+  remittances: {
+    title: 'COD remittances',
+    description: 'Cash collected by the carrier on delivered parcels and the payouts you received',
+    outstanding: 'Cash still owed by the carrier',
+    parcels: '{{count}} parcels',
+    days: '{{count}} days',
+    buckets: {
+      '0_7': '0-7 days',
+      '8_15': '8-15 days',
+      '16_30': '16-30 days',
+      over_30: 'Over 30 days'
+    },
+    recordTitle: 'Record a payout',
+    paidAt: 'Received on',
+    amount: 'Amount received',
+    reference: 'Payment reference',
+    note: 'Note',
+    trackings: 'Other tracking numbers',
+    trackingsHelp: 'Parcels selected below are included. Paste more tracking numbers separated by spaces, commas or new lines.',
+    selectedExpected: '{{count}} selected parcels, {{amount}} expected',
+    record: 'Mark as collected',
+    recorded: 'Payout recorded',
+    deleted: 'Payout deleted, its parcels are pending again',
+    delete: 'Delete',
+    skippedUnknown: 'Unknown tracking numbers skipped: {{trackings}}',
+    skippedNotDelivered: 'Parcels not delivered skipped: {{trackings}}',
+    skippedRemitted: 'Parcels already paid skipped: {{trackings}}',
+    pendingTitle: 'Pending collection ({{count}})',
+    noPending: 'All delivered parcels have been paid out',
+    selectAll: 'Select all',
+    clearSelection: 'Clear selection',
+    client: 'Client',
+    deliveredAt: 'Delivered on',
+    age: 'Waiting',
+    owed: 'Owed',
+    history: 'Received payouts',
+    empty: 'No payout recorded yet',
+    parcelCount: 'Parcels',
+    expected: 'Expected',
+    gap: 'Gap',
+    widgetTitle: 'Outstanding COD cash',
+    widgetSubtitle: '{{count}} delivered parcels not paid out yet, oldest waiting for {{days}} days',
+    manage: 'Record payouts'
+  },
+  cashFlow: {
+    basis: 'View',
+    accrual: 'Profit (on delivery)',
+    cash: 'Cash flow',
+    title: 'Cash flow',
+    subtitle: 'Money on the day it actually moves: carrier payouts and prepaid orders in, ad spend, carrier deductions and goods out',
+    cashIn: 'Cash in',
+    cashOut: 'Cash out',
+    net: 'Net cash',
+    accrualProfit: 'Profit recognized on delivery: {{amount}}',
+    date: 'Date',
+    remittances: 'Carrier payouts',
+    shopifyPayments: 'Prepaid orders',
+    adSpend: 'Ad spend',
+    carrierFees: 'Carrier deductions',
+    cogsPurchases: 'Goods'
+  },
+  cogsHistory: {
+    title: 'COGS history',
+    description: 'Every change to order costs, with the lines that changed',
+    recomputeTitle: 'Recompute COGS',
+    recomputeHelp: 'Reloads the line items of stored orders from Shopify and prices them with the cost effective on the order date. Only orders that changed are updated and recorded in the history.',
+    period: 'Period',
+    customRange: 'Custom range',
+    startDate: 'From',
+    endDate: 'To',
+    recompute: 'Recompute COGS',
+    recomputed: '{{checked}} orders checked, {{changed}} changed, {{missing}} no longer in Shopify',
+    costDelta: 'Total COGS changed by {{amount}}',
+    revisions: 'Recent changes',
+    orderId: 'Order ID',
+    filter: 'Filter',
+    empty: 'No COGS changes recorded',
+    date: 'Date',
+    order: 'Order',
+    reason: 'Reason',
+    before: 'Previous cost',
+    after: 'New cost',
+    delta: 'Difference',
+    changes: 'Changes',
+    itemAdded: '{{title}}: added (qty {{quantity}})',
+    itemRemoved: '{{title}}: removed (qty {{quantity}})',
+    fieldChanged: '{{title}}: {{field}} {{before}} → {{after}}',
+    landedCostChanged: 'Landed costs: {{before}} → {{after}}',
+    fields: {
+      quantity: 'quantity',
+      unitCost: 'unit cost',
+      price: 'price'
+    },
+    reasons: {
+      created: 'Created',
+      recompute: 'Recompute',
+      order_created: 'Order created',
+      order_updated: 'Order edited',
+      shipment: 'Shipment created'
+    }
+  },
+  costImport: {
+    title: 'Import / export costs',
+    description: 'Edit the cost of all variants from an Excel or CSV file',
+    exportTitle: 'Export',
+    exportHelp: 'A file with every variant: ID, SKU, product, variant, price and current cost. Edit the Cost column, then import the file.',
+    exportXlsx: 'Export XLSX',
+    exportCsv: 'Export CSV',
+    importTitle: 'Import',
+    importHelp: 'Rows are matched by variant ID, or by SKU. Review the changes before applying them; rows without a cost are ignored.',
+    upload: 'Upload file',
+    selectFile: 'Please select an Excel or CSV file',
+    changesOnly: 'Only show changes and errors',
+    apply: 'Apply {{count}} changes',
+    applied: '{{updated}} variants updated, {{failed}} failed',
+    invalidRows: '{{count}} invalid rows will not be applied',
+    largeChanges: '{{count}} new costs are ten times higher or lower than the current cost. Check the value read from the file before applying.',
+    noChanges: 'No changes in this file',
+    row: 'Row',
+    variant: 'Variant',
+    fileValue: 'Value in file',
+    oldCost: 'Current cost',
+    newCost: 'New cost',
+    result: 'Result',
+    updated: 'Updated',
+    failed: 'Failed',
+    status: {
+      change: 'Change',
+      unchanged: 'Unchanged',
+      skipped: 'No cost',
+      invalid: 'Invalid'
+    },
+    errors: {
+      unknownVariant: 'Unknown variant',
+      sharedSku: 'SKU shared by several variants, use the variant ID',
+      duplicate: 'Variant listed twice',
+      invalidCost: 'Invalid cost',
+      noInventoryItem: 'Variant has no inventory item'
+    }
+  },
+  landedCosts: {
+    title: 'Landed costs',
+    description: 'Packaging, COD handling, confirmation calls, customs and freight... added to the COGS of every order',
+    addTitle: 'Add a rule',
+    name: 'Name',
+    namePlaceholder: 'e.g. Packaging',
+    type: 'Type',
+    amount: 'Amount',
+    percentage: 'Percentage',
+    tag: 'Product tag',
+    tagHelp: 'Optional: the rule only applies to products with this tag',
+    allProducts: 'All products',
+    active: 'Active',
+    add: 'Add rule',
+    created: 'Rule added',
+    delete: 'Delete',
+    deleted: 'Rule deleted',
+    rules: 'Rules',
+    empty: 'No rules yet',
+    recomputeHint: 'Rules apply to new orders. To apply them to past orders, use Recompute COGS in the COGS history.',
+    types: {
+      per_order: 'Fixed per order',
+      per_item: 'Per item',
+      percent_revenue: 'Percentage of revenue'
+    }
+  },
+  expenses: {
+    title: 'Operating expenses',
+    description: 'Rent, salaries, the Shopify plan and apps... spread over the days they cover and taken out of net profit',
+    addTitle: 'Add an expense',
+    name: 'Name',
+    namePlaceholder: 'e.g. Warehouse rent',
+    category: 'Category',
+    amount: 'Amount',
+    currency: 'Currency',
+    currencyHelp: 'Converted to the shop currency with the stored daily exchange rates',
+    recurrence: 'Recurrence',
+    date: 'Date',
+    startDate: 'Start date',
+    endDate: 'End date',
+    endDateHelp: 'Leave empty if the expense is ongoing',
+    ongoing: 'Ongoing',
+    add: 'Add expense',
+    created: 'Expense added',
+    endToday: 'Stop today',
+    ended: 'Expense stopped',
+    delete: 'Delete',
+    deleted: 'Expense deleted',
+    list: 'Expenses',
+    empty: 'No expenses yet',
+    prorationHint: 'Monthly and yearly expenses are divided over the days of the month or year; one-off expenses count in full on their date.',
+    categories: {
+      rent: 'Rent',
+      salaries: 'Salaries',
+      shopify: 'Shopify plan',
+      apps: 'Apps',
+      marketing: 'Other marketing',
+      other: 'Other'
+    },
+    recurrences: {
+      one_off: 'One-off',
+      daily: 'Daily',
+      weekly: 'Weekly',
+      monthly: 'Monthly',
+      yearly: 'Yearly'
+    }
+  },
+  exchangeRates: {
+    title: 'Exchange rates',
+    description: 'The rate of each day in {{currency}}, used to convert ad spend and foreign currency expenses',
+    addTitle: 'Add a daily rate',
+    date: 'Date',
+    currency: 'Currency',
+    rate: 'Rate',
+    save: 'Save',
+    saved: 'Rate saved',
+    import: 'Import CSV',
+    importHelp: 'Date and Rate columns, Currency is optional ({{currency}} by default)',
+    imported: '{{imported}} rates imported, {{invalid}} invalid rows',
+    selectFile: 'Please select an XLSX, XLS or CSV file',
+    rowError: 'Row {{row}}: {{error}}',
+    defaultTitle: 'Default rate',
+    defaultHelp: 'Used for days without a stored rate or an earlier one',
+    defaultSaved: 'Default rate saved',
+    history: 'Stored rates',
+    empty: 'No rates stored yet',
+    source: 'Source',
+    delete: 'Delete',
+    deleted: 'Rate deleted',
+    sources: {
+      manual: 'Manual',
+      import: 'Imported'
+    }
+  },
+  adProfit: {
+    title: 'Campaign profit',
+    description: 'Delivered revenue, COGS, shipping fees and net profit for each campaign, ad set and ad',
+    level: 'Level',
+    levels: {
+      campaign: 'Campaign',
+      adset: 'Ad set',
+      ad: 'Ad'
+    },
+    sync: 'Sync Facebook and orders',
+    synced: '{{rows}} Facebook rows synced, {{attributed}} of {{checked}} orders have an ad source',
+    lastSynced: 'Last synced: {{date}}',
+    neverSynced: 'Not synced yet for this period',
+    spend: 'Spend',
+    fbPurchases: 'Facebook purchases · ROAS',
+    orders: 'Orders',
+    delivered: 'Delivered',
+    deliveredRevenue: 'Delivered revenue',
+    cogs: 'COGS',
+    shippingFees: 'Shipping and return fees',
+    netProfit: 'Net profit',
+    trueRoas: 'True ROAS',
+    fbRoasValue: 'Facebook ROAS {{roas}}x',
+    unattributed: 'Orders without a campaign',
+    empty: 'No data yet, run a sync first',
+    attributionHelp: 'Orders are matched to ads through utm_campaign, utm_term and utm_content on the landing page or the order note attributes (campaign_id, adset_id, ad_id). Revenue and costs only count once delivered.',
+    notConnected: 'Connect a Facebook account to see campaign profit',
+    connect: 'Connect Facebook'
+  },
+  adPlatforms: {
+    title: 'Ad platforms',
+    description: 'Connect TikTok and Snapchat so their spend counts with Facebook in your profit',
+    statusConnected: 'Connected',
+    statusNotConnected: 'Not connected',
+    statusNeedsReconnect: 'Reconnect needed',
+    accessToken: 'Access token',
+    refreshToken: 'Refresh token',
+    refreshTokenHelp: 'Snapchat access tokens expire after 30 minutes, the refresh token is required to renew them',
+    accountIds: 'Ad account IDs',
+    accountIdsOptional: 'Ad account IDs (optional)',
+    accountIdsHelp: 'One ID per line or comma separated. Leave empty on Snapchat to include every account',
+    connect: 'Connect',
+    reconnect: 'Reconnect',
+    disconnect: 'Disconnect',
+    connected: 'Connected with {{count}} ad accounts',
+    disconnected: 'Platform disconnected',
+    manage: 'Manage platforms',
+    breakdownTitle: 'Spend by platform',
+    platform: 'Platform',
+    spend: 'Spend',
+    share: 'Share',
+    revenue: 'Reported revenue',
+    conversions: 'Conversions',
+    roas: 'ROAS',
+    mer: 'MER',
+    fetchFailed: 'Fetch failed',
+    help: {
+      tiktok: 'Create a long-term access token in your TikTok for Business app and enter the advertiser IDs.',
+      snapchat: 'Enter a Snapchat Marketing API refresh token, access tokens are renewed with it through the Snapchat app configured on the server.',
+    },
+  },
+  blacklist: {
+    title: 'Customer blacklist',
+    description: 'Customers who refused {{count}} parcels or more are added automatically. Shipments to them are blocked until you confirm.',
+    addTitle: 'Add a customer',
+    phone: 'Phone number',
+    name: 'Name',
+    note: 'Note',
+    add: 'Add to blacklist',
+    added: 'Customer added to the blacklist',
+    remove: 'Remove',
+    removed: 'Customer removed from the blacklist',
+    rebuild: 'Update from returned shipments',
+    rebuildDone: '{{count}} repeat refusers found',
+    empty: 'No blacklisted customers',
+    refusals: 'Refused parcels',
+    lastRefusal: 'Last refusal',
+    source: 'Source',
+    sources: {
+      auto: 'Automatic',
+      manual: 'Manual'
+    },
+    warningTitle: 'Blacklisted customer',
+    warningMessage: 'This customer is on the blacklist. The shipment will only be created if you choose to ship anyway.',
+    match: '{{name}} ({{phone}}) - {{count}} refused parcels',
+    matchedByName: 'matched by name and address',
+    override: 'Ship anyway',
+    badge: 'Blacklisted'
+  },
   orders: {
     title: 'Orders',
     noOrders: 'No orders found',
@@ -1130,6 +2090,54 @@ export const en = {
       page: 'Page',
       totalOrders: 'Total Orders'
     },
+    phoneErrors: {
+      empty: 'Phone number is required',
+      invalidLength: 'Phone number must have 10 digits (e.g. 0551234567)',
+      invalidPrefix: 'Phone number must start with 05, 06 or 07',
+    },
+    duplicatePhone: 'Duplicate phone ({{count}})',
+    duplicatePhoneTitle: 'Phone number used in recent shipments',
+    duplicatePhoneMessage: '{{count}} shipments to this number in the last 30 days: {{trackings}}',
+    addressToCheck: 'Check address ({{confidence}}%)',
+    shippingQuote: 'Expected fees: delivery {{delivery}}, cancel if returned {{cancel}}',
+    lowConfidenceTitle: 'Uncertain address match',
+    lowConfidenceMessage: 'Wilaya and commune were picked automatically with {{confidence}}% confidence. Please check them before creating the shipment.',
+    bulk: {
+      selectOrder: 'Select order {{order}}',
+      selectPage: 'Select all orders on this page',
+      selected: '{{count}} orders selected',
+      preview: 'Preview shipments',
+      clearSelection: 'Clear selection',
+      previewTitle: 'Create selected shipments',
+      createButton: 'Create {{count}} shipments',
+      readyRows: '{{ready}} ready / {{total}} orders',
+      invalidRowsInfo: 'Orders with errors are not sent until they are fixed.',
+      missingFields: 'Missing fields: {{fields}}',
+      ready: 'Ready',
+      result: 'Result',
+      creating: 'Creating shipments, please wait...',
+      summary: '{{created}} shipments created, {{failed}} failed',
+    },
+    rtoRisk: {
+      column: 'Return risk',
+      badge: '{{score}}%',
+      threshold: 'Return risk threshold (%)',
+      thresholdHelp: 'The score is measured against the usual return rate of the shop. Orders at or above this score need a manual confirmation before shipping',
+      saveThreshold: 'Save',
+      thresholdSaved: 'Return risk threshold saved',
+      highRiskTitle: 'High return risk ({{score}}%)',
+      highRiskMessage: 'This order looks like shipments that were returned before. Call the customer before shipping.',
+      reason: '{{factor}}: {{rate}}% returned out of {{count}} shipments',
+      confirm: 'Confirmed with the customer',
+      needsConfirmation: 'High risk - confirmation needed',
+      factors: {
+        phone: 'Phone number',
+        commune: 'Commune',
+        wilaya: 'Wilaya',
+        product: 'Product',
+        value: 'Order value'
+      }
+    },
     deliveryTypes: {
       home: 'Home Delivery',
       office: 'Delivery Office'
@@ -1176,6 +2184,15 @@ export const en = {
     // Dashboard
     dashboard: '📊 Dashboard',
     connectionError: 'Connection Error',
+    carrier: 'Carrier',
+    syncNow: '🔄 Sync Statuses',
+    lastSync: 'Last sync: {{date}} ({{count}} shipments)',
+    neverSynced: 'Not synced yet',
+    syncFailed: 'Sync failed',
+    timelineTitle: 'Status history of {{tracking}}',
+    noTimelineEvents: 'No status history for this shipment',
+    deliveryLeadTime: 'Delivery lead time: {{hours}} h',
+    timeInStatus: '{{hours}} h in this status',
 
     // Stats
     totalSales: '💰 Total Sales',
@@ -1219,6 +2236,7 @@ export const en = {
     homeDelivery: 'Home Delivery',
     stopDesk: 'Stop Desk',
     deliveryPrice: 'Delivery Price: {{price}} DZD',
+    expectedCancelFee: 'Cancel fee if returned: {{price}} DZD',
     packageType: 'Package Type',
     regularPackage: 'Regular Package',
     exchange: 'Exchange',
@@ -0,0 +1,42 @@
+/**
+ * Algerian phone number normalization shared by the shipment forms and the carrier service.
+ * Carriers expect the local 10-digit mobile format, e.g. 0551234567.
+ */
+
+// Mobile operators: 05 (Ooredoo), 06 (Mobilis), 07 (Djezzy)
+const MOBILE_PATTERN = /^0[567]\d{8}$/;
+
+/**
+ * Normalize an Algerian mobile number to the carrier format
+ * @param {string} value - Number as typed, e.g. "+213 551 23 45 67", "+213 0551 23 45 67", "00213551234567", "0551234567"
+ * @returns {{valid: boolean, phone: string, error: (null|'empty'|'invalidLength'|'invalidPrefix')}}
+ * phone is the normalized number when valid, otherwise the digits that were found
+ */
+export const normalizeAlgerianPhone = (value) => {
+  let digits = (value || '').toString().replace(/[^\d+]/g, '');
+
+  // The national trunk 0 is often kept after the country code, e.g. "+213 0551 23 45 67"
+  if (digits.startsWith('+213')) digits = '0' + digits.slice(4).replace(/^0/, '');
+  else if (digits.startsWith('00213')) digits = '0' + digits.slice(5).replace(/^0/, '');
+  else if (digits.startsWith('213') && (digits.length === 12 || digits.length === 13)) digits = '0' + digits.slice(3).replace(/^0/, '');
+  else if (digits.length === 9 && /^[567]/.test(digits)) digits = '0' + digits;
+
+  digits = digits.replace(/\+/g, '');
+
+  if (!digits) return { valid: false, phone: '', error: 'empty' };
+  if (digits.length !== 10) return { valid: false, phone: digits, error: 'invalidLength' };
+  if (!MOBILE_PATTERN.test(digits)) return { valid: false, phone: digits, error: 'invalidPrefix' };
+
+  return { valid: true, phone: digits, error: null };
+};
+
+/**
+ * Stored variants of a normalized number, to find rows saved before normalization
+ * @param {string} phone - Normalized number (0XXXXXXXXX)
+ * @returns {Array<string>}
+ */
+export const phoneVariants = (phone) => {
+  if (!phone) return [];
+  const national = phone.replace(/^0/, '');
+  return [phone, `+213${national}`, `00213${national}`, `213${national}`];
+};
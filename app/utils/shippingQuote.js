@@ -0,0 +1,28 @@
+/**
+ * Expected carrier fees of a parcel, computed from the tarification when the shipment is created.
+ * TypeLivraison "0" is home delivery (Domicile), "1" is stop desk (Stopdesk).
+ */
+
+/**
+ * Prices of one wilaya in a tarification list
+ * @param {Array<Object>} tarification - List of {IDWilaya, Domicile, Stopdesk, Annuler}
+ * @param {string|number} wilayaId
+ * @returns {{domicile: string, stopdesk: string, cancel: string}|null}
+ */
+export const findWilayaPrices = (tarification, wilayaId) => {
+  const item = (tarification || []).find(row => parseInt(row.IDWilaya, 10) === parseInt(wilayaId, 10));
+  return item ? { domicile: item.Domicile, stopdesk: item.Stopdesk, cancel: item.Annuler } : null;
+};
+
+/**
+ * Expected delivery and cancel fee of a parcel
+ * @param {{domicile: string, stopdesk: string, cancel: string}|null} prices - Prices of the destination wilaya
+ * @param {string|number} typeLivraison - "0" home delivery, "1" stop desk
+ * @returns {{deliveryFee: number, cancelFee: number}|null} null when the wilaya has no price
+ */
+export const quoteShippingCost = (prices, typeLivraison) => {
+  if (!prices) return null;
+  const deliveryFee = parseFloat(String(typeLivraison) === "1" ? prices.stopdesk : prices.domicile);
+  if (isNaN(deliveryFee)) return null;
+  return { deliveryFee, cancelFee: parseFloat(prices.cancel) || 0 };
+};
@@ -0,0 +1,69 @@
+/**
+ * Spreadsheet helpers shared by the XLSX/CSV imports and exports
+ */
+import XLSX from "xlsx";
+
+// Column titles compared without case and accents
+export const normalizeHeader = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Number typed in a spreadsheet cell, whatever its separators
+ * @param {number|string} value - e.g. 1200, "1 200 DA", "1.200", "1,200.50" or "1.200,50"
+ * @param {Object} [options]
+ * @param {boolean} [options.groupedThousands=true] - Read "1.200" as 1200; false for values with three decimals, like exchange rates
+ * @returns {number} 0 when the cell holds no number
+ */
+export const toAmount = (value, { groupedThousands = true } = {}) => {
+  if (typeof value === 'number') return value;
+  let text = String(value ?? '').replace(/[^\d.,-]/g, '');
+  // "1.200" and "1.500.000" group thousands with dots, DZD amounts have no decimals
+  if (groupedThousands && /^-?\d{1,3}(\.\d{3})+$/.test(text)) text = text.replace(/\./g, '');
+  // "1.200,50" and "450,00" use a decimal comma, "1,200.50" a thousands comma
+  const parsed = parseFloat(/,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, ''));
+  return isNaN(parsed) ? 0 : parsed;
+};
+
+/**
+ * Rows of the first sheet of a file
+ * @param {ArrayBuffer} arrayBuffer - XLSX, XLS or CSV content
+ * @returns {Array<Array>} Rows as arrays of cells (sheet_to_json with header: 1)
+ */
+export function readSheetRows(arrayBuffer) {
+  const bytes = Buffer.from(arrayBuffer);
+  // XLSX files are zip archives (PK) and XLS files OLE documents; anything else is CSV text,
+  // decoded here as UTF-8 since xlsx would read it as latin1
+  const isWorkbook = (bytes[0] === 0x50 && bytes[1] === 0x4b) || (bytes[0] === 0xd0 && bytes[1] === 0xcf);
+  const workbook = isWorkbook
+    ? XLSX.read(bytes, { type: 'buffer' })
+    : XLSX.read(bytes.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return worksheet ? XLSX.utils.sheet_to_json(worksheet, { header: 1 }) : [];
+}
+
+/**
+ * A one-sheet file ready to download
+ * @param {Array<Array>} rows - Header row first
+ * @param {"xlsx"|"csv"} format
+ * @param {string} name - File name without extension
+ * @returns {{fileName: string, mimeType: string, content: string}} Base64 content
+ */
+export function writeSheet(rows, format, name) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name.slice(0, 31));
+
+  if (format === 'csv') {
+    // The BOM makes Excel open the file as UTF-8
+    const csv = `\uFEFF${XLSX.utils.sheet_to_csv(workbook.Sheets[workbook.SheetNames[0]])}`;
+    return { fileName: `${name}.csv`, mimeType: 'text/csv;charset=utf-8', content: Buffer.from(csv, 'utf8').toString('base64') };
+  }
+  return {
+    fileName: `${name}.xlsx`,
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    content: XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' }),
+  };
+}
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN "carrier" TEXT NOT NULL DEFAULT 'zrexpress';
+
+-- CreateTable
+CREATE TABLE "CarrierCredential" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "carrier" TEXT NOT NULL,
+    "credentials" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CarrierCredential_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CarrierCredential_shop_carrier_key" ON "CarrierCredential"("shop", "carrier");
+
+-- CreateIndex
+CREATE INDEX "CarrierCredential_shop_idx" ON "CarrierCredential"("shop");
+
+-- CreateIndex
+CREATE INDEX "Shipment_shop_carrier_idx" ON "Shipment"("shop", "carrier");
+
+-- Copy existing ZR Express credentials
+INSERT INTO "CarrierCredential" ("id", "shop", "carrier", "credentials", "createdAt", "updatedAt")
+SELECT "id", "shop", 'zrexpress', jsonb_build_object('token', "token", 'key', "key"), "createdAt", "updatedAt"
+FROM "ZRExpressCredential";
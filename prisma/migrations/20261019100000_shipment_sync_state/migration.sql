@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ShipmentSyncState" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "carrier" TEXT NOT NULL,
+    "lastSyncAt" TIMESTAMP(3),
+    "lastStatus" TEXT,
+    "lastError" TEXT,
+    "syncedCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShipmentSyncState_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShipmentSyncState_shop_carrier_key" ON "ShipmentSyncState"("shop", "carrier");
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "ShipmentEvent" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "tracking" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "statusId" INTEGER,
+    "occurredAt" TIMESTAMP(3) NOT NULL,
+    "shipmentId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ShipmentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ShipmentEvent_shipmentId_occurredAt_idx" ON "ShipmentEvent"("shipmentId", "occurredAt");
+
+-- CreateIndex
+CREATE INDEX "ShipmentEvent_shop_tracking_idx" ON "ShipmentEvent"("shop", "tracking");
+
+-- AddForeignKey
+ALTER TABLE "ShipmentEvent" ADD CONSTRAINT "ShipmentEvent_shipmentId_fkey" FOREIGN KEY ("shipmentId") REFERENCES "Shipment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the timeline with the status each shipment currently has
+INSERT INTO "ShipmentEvent" ("id", "shop", "tracking", "status", "statusId", "occurredAt", "shipmentId")
+SELECT 'evt_' || "id", "shop", "tracking", "status", "statusId", "updatedAt", "id"
+FROM "Shipment";
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "rtoRiskThreshold" DOUBLE PRECISION NOT NULL DEFAULT 0.35,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShopSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSettings_shop_key" ON "ShopSettings"("shop");
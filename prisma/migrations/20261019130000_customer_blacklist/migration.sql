@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "CustomerBlacklist" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameKey" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'auto',
+    "refusalCount" INTEGER NOT NULL DEFAULT 0,
+    "lastRefusalAt" TIMESTAMP(3),
+    "lastTracking" TEXT,
+    "note" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CustomerBlacklist_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerBlacklist_shop_phone_key" ON "CustomerBlacklist"("shop", "phone");
+
+-- CreateIndex
+CREATE INDEX "CustomerBlacklist_shop_nameKey_idx" ON "CustomerBlacklist"("shop", "nameKey");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Shipment" ADD COLUMN     "estimatedCancelFee" DOUBLE PRECISION,
+ADD COLUMN     "estimatedDeliveryFee" DOUBLE PRECISION;
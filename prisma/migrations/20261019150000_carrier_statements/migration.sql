@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "CarrierStatement" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "carrier" TEXT NOT NULL DEFAULT 'zrexpress',
+    "fileName" TEXT NOT NULL,
+    "lineCount" INTEGER NOT NULL DEFAULT 0,
+    "matchedCount" INTEGER NOT NULL DEFAULT 0,
+    "mismatchCount" INTEGER NOT NULL DEFAULT 0,
+    "missingCount" INTEGER NOT NULL DEFAULT 0,
+    "duplicateCount" INTEGER NOT NULL DEFAULT 0,
+    "totalBilled" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalExpected" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CarrierStatement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CarrierStatementLine" (
+    "id" TEXT NOT NULL,
+    "statementId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "row" INTEGER NOT NULL,
+    "tracking" TEXT NOT NULL,
+    "billedDeliveryFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "billedCancelFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "expectedDeliveryFee" DOUBLE PRECISION,
+    "expectedCancelFee" DOUBLE PRECISION,
+    "result" TEXT NOT NULL,
+    "shipmentStatus" TEXT,
+
+    CONSTRAINT "CarrierStatementLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CarrierStatement_shop_carrier_createdAt_idx" ON "CarrierStatement"("shop", "carrier", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CarrierStatementLine_statementId_idx" ON "CarrierStatementLine"("statementId");
+
+-- CreateIndex
+CREATE INDEX "CarrierStatementLine_shop_tracking_idx" ON "CarrierStatementLine"("shop", "tracking");
+
+-- AddForeignKey
+ALTER TABLE "CarrierStatementLine" ADD CONSTRAINT "CarrierStatementLine_statementId_fkey" FOREIGN KEY ("statementId") REFERENCES "CarrierStatement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
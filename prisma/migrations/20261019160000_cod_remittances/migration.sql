@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "CodRemittance" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "carrier" TEXT NOT NULL DEFAULT 'zrexpress',
+    "paidAt" TIMESTAMP(3) NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "expectedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "reference" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CodRemittance_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CodRemittanceItem" (
+    "id" TEXT NOT NULL,
+    "remittanceId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "shipmentId" TEXT NOT NULL,
+    "tracking" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "CodRemittanceItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CodRemittance_shop_paidAt_idx" ON "CodRemittance"("shop", "paidAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CodRemittanceItem_shipmentId_key" ON "CodRemittanceItem"("shipmentId");
+
+-- CreateIndex
+CREATE INDEX "CodRemittanceItem_remittanceId_idx" ON "CodRemittanceItem"("remittanceId");
+
+-- CreateIndex
+CREATE INDEX "CodRemittanceItem_shop_idx" ON "CodRemittanceItem"("shop");
+
+-- AddForeignKey
+ALTER TABLE "CodRemittanceItem" ADD CONSTRAINT "CodRemittanceItem_remittanceId_fkey" FOREIGN KEY ("remittanceId") REFERENCES "CodRemittance"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "OrderCOGSRevision" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderCOGSId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "previousTotalCost" DOUBLE PRECISION,
+    "totalCost" DOUBLE PRECISION NOT NULL,
+    "previousTotalRevenue" DOUBLE PRECISION,
+    "totalRevenue" DOUBLE PRECISION NOT NULL,
+    "changes" TEXT NOT NULL DEFAULT '[]',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderCOGSRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderCOGSRevision_shop_createdAt_idx" ON "OrderCOGSRevision"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "OrderCOGSRevision_orderCOGSId_idx" ON "OrderCOGSRevision"("orderCOGSId");
+
+-- AddForeignKey
+ALTER TABLE "OrderCOGSRevision" ADD CONSTRAINT "OrderCOGSRevision_orderCOGSId_fkey" FOREIGN KEY ("orderCOGSId") REFERENCES "OrderCOGS"("id") ON DELETE CASCADE ON UPDATE CASCADE;
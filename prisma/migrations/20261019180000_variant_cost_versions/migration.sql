@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "VariantCostVersion" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL DEFAULT '',
+    "variantId" TEXT NOT NULL,
+    "cost" DOUBLE PRECISION NOT NULL,
+    "effectiveFrom" TIMESTAMP(3) NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "VariantCostVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VariantCostVersion_shop_variantId_effectiveFrom_key" ON "VariantCostVersion"("shop", "variantId", "effectiveFrom");
+
+-- CreateIndex
+CREATE INDEX "VariantCostVersion_shop_variantId_idx" ON "VariantCostVersion"("shop", "variantId");
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "OrderCOGS" ADD COLUMN "landedCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "landedCostDetails" TEXT NOT NULL DEFAULT '[]';
+
+-- CreateTable
+CREATE TABLE "LandedCostRule" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "tag" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LandedCostRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LandedCostRule_shop_idx" ON "LandedCostRule"("shop");
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_shop_currency_date_key" ON "ExchangeRate"("shop", "currency", "date");
@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE "FacebookAdInsight" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "adAccountId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "campaignId" TEXT NOT NULL,
+    "campaignName" TEXT NOT NULL,
+    "adsetId" TEXT NOT NULL,
+    "adsetName" TEXT NOT NULL,
+    "adId" TEXT NOT NULL,
+    "adName" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "spend" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "impressions" INTEGER NOT NULL DEFAULT 0,
+    "clicks" INTEGER NOT NULL DEFAULT 0,
+    "purchases" INTEGER NOT NULL DEFAULT 0,
+    "revenue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FacebookAdInsight_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrderAttribution" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "orderCreatedAt" TIMESTAMP(3) NOT NULL,
+    "source" TEXT NOT NULL,
+    "utmSource" TEXT,
+    "utmMedium" TEXT,
+    "utmCampaign" TEXT,
+    "utmTerm" TEXT,
+    "utmContent" TEXT,
+    "campaignId" TEXT,
+    "adsetId" TEXT,
+    "adId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OrderAttribution_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FacebookAdInsight_shop_adId_date_key" ON "FacebookAdInsight"("shop", "adId", "date");
+
+-- CreateIndex
+CREATE INDEX "FacebookAdInsight_shop_adAccountId_date_idx" ON "FacebookAdInsight"("shop", "adAccountId", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderAttribution_shop_orderId_key" ON "OrderAttribution"("shop", "orderId");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_shop_orderCreatedAt_idx" ON "OrderAttribution"("shop", "orderCreatedAt");
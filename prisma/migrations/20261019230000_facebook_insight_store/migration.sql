@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "FacebookInsightDaily" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "adAccountId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "spend" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "impressions" INTEGER NOT NULL DEFAULT 0,
+    "purchases" INTEGER NOT NULL DEFAULT 0,
+    "revenue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FacebookInsightDaily_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FacebookSyncState" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "adAccountId" TEXT NOT NULL,
+    "syncedFrom" TIMESTAMP(3),
+    "syncedUntil" TIMESTAMP(3),
+    "lastSyncedAt" TIMESTAMP(3),
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "backoffUntil" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FacebookSyncState_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FacebookInsightDaily_shop_adAccountId_date_key" ON "FacebookInsightDaily"("shop", "adAccountId", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FacebookSyncState_shop_adAccountId_key" ON "FacebookSyncState"("shop", "adAccountId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "facebookAdAccountIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
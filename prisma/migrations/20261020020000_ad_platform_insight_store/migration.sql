@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "AdPlatformInsightDaily" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "platform" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "spend" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "impressions" INTEGER NOT NULL DEFAULT 0,
+    "conversions" INTEGER NOT NULL DEFAULT 0,
+    "revenue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdPlatformInsightDaily_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AdPlatformSyncState" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "platform" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "syncedFrom" TIMESTAMP(3),
+    "syncedUntil" TIMESTAMP(3),
+    "lastSyncedAt" TIMESTAMP(3),
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "backoffUntil" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AdPlatformSyncState_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdPlatformInsightDaily_shop_platform_accountId_date_key" ON "AdPlatformInsightDaily"("shop", "platform", "accountId", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdPlatformSyncState_shop_platform_accountId_key" ON "AdPlatformSyncState"("shop", "platform", "accountId");
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "FacebookCampaign" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "adAccountId" TEXT NOT NULL,
+    "campaignId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "objective" TEXT,
+    "status" TEXT,
+    "budget" DOUBLE PRECISION,
+    "budgetType" TEXT NOT NULL,
+    "startTime" TIMESTAMP(3),
+    "endTime" TIMESTAMP(3),
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FacebookCampaign_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FacebookCampaign_shop_campaignId_key" ON "FacebookCampaign"("shop", "campaignId");
+
+-- CreateIndex
+CREATE INDEX "FacebookCampaign_shop_adAccountId_idx" ON "FacebookCampaign"("shop", "adAccountId");